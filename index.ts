@@ -1,11 +1,21 @@
 import ResilientLLM from "./lib/ResilientLLM.js";
 import ProviderRegistry from "./lib/ProviderRegistry.js";
 import { ResilientLLMError } from "./lib/ResilientLLMError.js";
+import { MemoryCacheStore, FileSystemCacheStore } from "./lib/CacheStore.js";
+import { MemoryStateBackend, RedisStateBackend } from "./lib/StateBackend.js";
+import TokenizerRegistry, { tiktokenTokenizer, approximateTokenizer } from "./lib/Tokenizer.js";
 
 export {
     ResilientLLM,
     ProviderRegistry,
     ResilientLLMError,
+    MemoryCacheStore,
+    FileSystemCacheStore,
+    MemoryStateBackend,
+    RedisStateBackend,
+    TokenizerRegistry,
+    tiktokenTokenizer,
+    approximateTokenizer,
 };
 
 export type {
@@ -18,8 +28,61 @@ export type {
     ChatResponse,
     ChatToolCallResult,
     SchemaValidationIssue,
+    ChatStreamDelta,
+    NormalizedToolCall,
+    ToolHandler,
+    ToolExecutionResult,
+    RunToolsOptions,
+    RunToolsResponse,
+    BatchItem,
+    BatchOptions,
+    BatchProgress,
+    BatchResponse,
+    BatchJobOptions,
+    EmbedOptions,
+    EmbeddingResponse,
+    FallbackTarget,
+    FallbackPolicy,
+    ProviderHealthEvent,
+    ProviderHealthStatus,
+    BucketScope,
+    BucketScopeContext,
+    BucketScopeName,
+    TokenCount,
+    Tokenizer,
+    ContextOverflow,
+    ContextOverflowConfig,
+    ContextOverflowStrategyName,
+    ContentPart,
+    TextPart,
+    ImagePart,
+    DocumentPart,
+    MessageContent,
+    InputModality,
+    UsageTotals,
+    ModelPricing,
+    CostBreakdown,
+    BudgetConfig,
+    BudgetLimits,
+    BudgetWindow,
+    BudgetStatus,
+    BudgetScopeStatus,
+    BudgetWindowStatus,
+    BudgetExceeded,
 } from "./lib/ResilientLLM.js";
 
+export type {
+    ChatStream,
+} from "./lib/ChatStream.js";
+
+export type {
+    BatchJob,
+    BatchJobStatus,
+    BatchJobResult,
+    BatchJobRequestCounts,
+    BatchJobWaitOptions,
+} from "./lib/BatchJob.js";
+
 export type {
     ParseMode,
     ValidationMode,
@@ -34,12 +97,21 @@ export type {
     AuthConfig,
     ParseConfig,
     ChatConfig,
+    EmbeddingsConfig,
+    BatchConfig,
     ProviderConfig,
+    RateLimitHeaderConfig,
     ConfigureInput,
     UnifiedModel,
     ListOptions,
 } from "./lib/ProviderRegistry.js";
 
+export type {
+    UsageConfig,
+    UsagePath,
+    NormalizedUsage,
+} from "./lib/Usage.js";
+
 export type {
     ResilientOperationConfig,
     RuntimeMetrics,
@@ -47,8 +119,30 @@ export type {
 
 export type {
     RateLimitConfig,
+    AcquireOptions,
 } from "./lib/RateLimitManager.js";
 
+export type {
+    CacheStore,
+    CacheKeyPolicy,
+    MemoryCacheStoreOptions,
+    FileSystemCacheStoreOptions,
+} from "./lib/CacheStore.js";
+
+export type {
+    StateBackend,
+    SharedBucketConfig,
+    SharedCircuitState,
+    TakeResult,
+    RedisLikeClient,
+    RedisStateBackendOptions,
+} from "./lib/StateBackend.js";
+
+export type {
+    RateLimitInfo,
+    RateLimitWindow,
+} from "./lib/RateLimitHeaderParser.js";
+
 export type {
     ResilientLLMErrorCode,
 } from "./lib/ResilientLLMError.js";
@@ -56,6 +150,8 @@ export type {
 export type {
     CircuitBreakerConfig,
     CircuitBreakerStatus,
+    CircuitState,
+    CircuitStateChange,
 } from "./lib/CircuitBreaker.js";
 
 export type {
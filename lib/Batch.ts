@@ -0,0 +1,108 @@
+/**
+ * Batch helpers for ResilientLLM.batch(): a worker pool that runs items with bounded concurrency,
+ * and checkpoint files that let an interrupted batch resume without repeating finished items.
+ *
+ * A checkpoint is a JSON file `{ version: 1, items: { [itemId]: { fingerprint, response } } }`, rewritten
+ * atomically (temp file + rename) after every successful item. An entry is reused only while the item's
+ * messages and options are unchanged (same fingerprint).
+ *
+ * @example
+ * await runPool(items.length, 4, async index => { results[index] = await work(items[index]); });
+ */
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+export interface CheckpointEntry {
+    fingerprint: string;
+    response: unknown;
+}
+
+export interface Checkpoint {
+    version: 1;
+    items: Record<string, CheckpointEntry>;
+}
+
+export interface CheckpointWriter {
+    /** Records a finished item; write failures are logged, not thrown. */
+    save(itemId: string, entry: CheckpointEntry): Promise<void>;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORKER POOL
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Runs `worker` for indexes 0..count-1, at most `concurrency` at a time, in index order.
+ * No new index is started once `shouldStop()` returns true; indexes never started are left to the caller.
+ * @example
+ * await runPool(3, 2, async index => console.log(index)); // 0, 1, then 2 once a worker is free
+ */
+export async function runPool(
+    count: number,
+    concurrency: number,
+    worker: (index: number) => Promise<void>,
+    shouldStop: () => boolean = () => false,
+): Promise<void> {
+    let next = 0;
+    const runWorker = async (): Promise<void> => {
+        while (next < count && !shouldStop()) {
+            await worker(next++);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, count)) }, runWorker));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHECKPOINTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Fingerprint of an item's input, so a checkpoint entry is not reused for a changed item. */
+export function itemFingerprint(input: unknown): string {
+    return createHash('sha256').update(JSON.stringify(input) ?? '').digest('hex');
+}
+
+/**
+ * Reads a checkpoint file; a missing file is an empty checkpoint.
+ * @throws {Error} When the file is not a checkpoint
+ */
+export async function readCheckpoint(path: string): Promise<Checkpoint> {
+    let text: string;
+    try {
+        text = await readFile(path, 'utf8');
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return { version: 1, items: {} };
+        throw error;
+    }
+    const checkpoint = JSON.parse(text) as Checkpoint;
+    if (checkpoint?.version !== 1 || !checkpoint.items || typeof checkpoint.items !== 'object') {
+        throw new Error(`${path} is not a batch checkpoint file`);
+    }
+    return checkpoint;
+}
+
+/**
+ * Writer adding entries to a checkpoint and rewriting its file. Writes are queued, so
+ * concurrent saves never interleave and the file always holds complete JSON.
+ */
+export function createCheckpointWriter(path: string, checkpoint: Checkpoint): CheckpointWriter {
+    let queue: Promise<void> = Promise.resolve();
+    const write = async (): Promise<void> => {
+        const tempPath = `${path}.${process.pid}.tmp`;
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(tempPath, JSON.stringify(checkpoint), 'utf8');
+        await rename(tempPath, path);
+    };
+    return {
+        save(itemId, entry) {
+            checkpoint.items[itemId] = entry;
+            queue = queue.then(write).catch(error => {
+                console.warn(`Batch checkpoint write to ${path} failed: ${(error as Error).message}`);
+            });
+            return queue;
+        },
+    };
+}
@@ -0,0 +1,363 @@
+/**
+ * Provider batch jobs: asynchronous, discounted processing of many chat requests with the OpenAI
+ * Batch API or Anthropic Message Batches. `ResilientLLM.submitBatchJob()` builds every request with the
+ * same pipeline as `chat()`, and results are mapped back to `chat()` responses.
+ *
+ * Lifecycle: submit → `wait()` (polls with exponential backoff) → `results()`.
+ * - openai: the requests are uploaded as a JSONL file (`purpose: batch`) to `filesApiUrl`, then
+ *   `POST batchApiUrl { input_file_id, endpoint, completion_window }`; results come from the output and error files
+ * - anthropic: `POST batchApiUrl { requests: [{ custom_id, params }] }`; results come from `results_url`
+ *
+ * @example
+ * const job = await llm.submitBatchJob(items, { aiService: 'openai', model: 'gpt-4o-mini' });
+ * await job.wait({ pollIntervalMs: 30000 });
+ * for (const { id, result } of await job.results()) {
+ *     if (result instanceof ResilientLLMError) console.error(id, result.code);
+ * }
+ */
+
+import { ResilientLLMError } from "./ResilientLLMError.js";
+import type { ChatResponse } from "./ResilientLLM.js";
+import { sleep } from "./Utility.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+/** Normalized job status; `providerStatus` holds the provider's own. */
+export type BatchJobStatus = 'in_progress' | 'completed' | 'failed' | 'expired' | 'cancelled';
+
+/** One request of a job: a provider request body and the id its result is matched by. */
+export interface BatchJobRequest {
+    customId: string;
+    body: Record<string, unknown>;
+}
+
+export interface BatchJobRequestCounts {
+    total: number;
+    succeeded: number;
+    failed: number;
+}
+
+/** Result of one request: its `chat()` response or the error it failed with. */
+export interface BatchJobResult {
+    id: string;
+    result: ChatResponse | ResilientLLMError;
+}
+
+export interface BatchJobWaitOptions {
+    /** First delay between polls in ms (default 5000); doubles up to `maxPollIntervalMs` */
+    pollIntervalMs?: number;
+    /** Longest delay between polls in ms (default 60000) */
+    maxPollIntervalMs?: number;
+    /** Give up with `TIMEOUT` after this many ms (default: wait until the job ends) */
+    timeoutMs?: number;
+    signal?: AbortSignal;
+    /** Called after every successful poll */
+    onPoll?: (job: BatchJob) => void;
+}
+
+/** Provider access and response mapping a job is created with (built by ResilientLLM). */
+export interface BatchJobContext {
+    aiService: string;
+    format: 'openai' | 'anthropic';
+    batchApiUrl: string;
+    filesApiUrl: string | null;
+    /** Auth and custom headers, without Content-Type */
+    headers: Record<string, string>;
+    completionWindow?: string;
+    /** Maps the provider response body of a succeeded request to a `chat()` response */
+    toResponse(customId: string, body: Record<string, unknown>, jobId: string): ChatResponse;
+    /** Maps a failure (with its HTTP status when known) to a ResilientLLMError */
+    toError(statusCode: number | null, error: Error): ResilientLLMError;
+}
+
+type ProviderObject = Record<string, unknown>;
+
+/** HTTP status of Anthropic error types, so errored requests get the same codes as chat() */
+const ANTHROPIC_ERROR_STATUS: Record<string, number> = {
+    invalid_request_error: 400,
+    authentication_error: 401,
+    permission_error: 403,
+    not_found_error: 404,
+    request_too_large: 413,
+    rate_limit_error: 429,
+    api_error: 500,
+    overloaded_error: 529,
+};
+
+/** Polling failures worth polling again for */
+const TRANSIENT_CODES = new Set(['PROVIDER_RATE_LIMIT', 'PROVIDER_UNAVAILABLE', 'PROVIDER_OVERLOADED', 'PROVIDER_INTERNAL_ERROR', 'PROVIDER_ERROR']);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BATCH JOB
+// ═══════════════════════════════════════════════════════════════════════════
+
+export class BatchJob {
+    readonly id: string;
+    readonly aiService: string;
+    status: BatchJobStatus;
+    /** Status as reported by the provider (e.g. 'validating', 'finalizing', 'ended') */
+    providerStatus: string;
+    requestCounts: BatchJobRequestCounts;
+    /** Request ids in submission order; empty for jobs loaded with `getBatchJob()` */
+    readonly customIds: string[];
+    /** Last provider batch object */
+    data: ProviderObject;
+    #context: BatchJobContext;
+
+    constructor(context: BatchJobContext, data: ProviderObject, customIds: string[] = []) {
+        this.#context = context;
+        this.id = String(data.id);
+        this.aiService = context.aiService;
+        this.customIds = customIds;
+        this.data = data;
+        this.status = 'in_progress';
+        this.providerStatus = '';
+        this.requestCounts = { total: 0, succeeded: 0, failed: 0 };
+        this.#update(data);
+    }
+
+    /**
+     * Submits requests as a new provider batch job.
+     * @param endpoint - Path of the batched endpoint (OpenAI format), e.g. '/v1/chat/completions'
+     */
+    static async submit(
+        context: BatchJobContext,
+        requests: BatchJobRequest[],
+        { endpoint, metadata }: { endpoint: string; metadata?: Record<string, string> },
+    ): Promise<BatchJob> {
+        if (context.format === 'anthropic') {
+            const data = await send(context, 'POST', context.batchApiUrl, {
+                requests: requests.map(request => ({ custom_id: request.customId, params: request.body })),
+            });
+            return new BatchJob(context, data, requests.map(request => request.customId));
+        }
+
+        if (!context.filesApiUrl) {
+            throw new ResilientLLMError(`${context.aiService} has no filesApiUrl for batch input files`, 'UNSUPPORTED_FEATURE');
+        }
+        const jsonl = requests
+            .map(request => JSON.stringify({ custom_id: request.customId, method: 'POST', url: endpoint, body: request.body }))
+            .join('\n');
+        const form = new FormData();
+        form.append('purpose', 'batch');
+        form.append('file', new Blob([jsonl], { type: 'application/jsonl' }), 'batch.jsonl');
+        const file = await send(context, 'POST', context.filesApiUrl, form);
+        const data = await send(context, 'POST', context.batchApiUrl, {
+            input_file_id: String(file.id),
+            endpoint,
+            completion_window: context.completionWindow ?? '24h',
+            ...(metadata ? { metadata } : {}),
+        });
+        return new BatchJob(context, data, requests.map(request => request.customId));
+    }
+
+    /** Loads an existing job by id. */
+    static async retrieve(context: BatchJobContext, id: string): Promise<BatchJob> {
+        return new BatchJob(context, await send(context, 'GET', `${context.batchApiUrl}/${encodeURIComponent(id)}`));
+    }
+
+    /** Whether the job has ended (completed, failed, expired or cancelled). */
+    get done(): boolean {
+        return this.status !== 'in_progress';
+    }
+
+    /** Fetches the job's current status. */
+    async refresh(): Promise<this> {
+        this.#update(await send(this.#context, 'GET', `${this.#context.batchApiUrl}/${encodeURIComponent(this.id)}`));
+        return this;
+    }
+
+    /**
+     * Polls until the job ends, doubling the delay between polls. Transient polling failures
+     * (429, 5xx, network) are logged and polled again.
+     * @throws {ResilientLLMError} `TIMEOUT` after `timeoutMs`, `ABORTED` when `signal` aborts
+     */
+    async wait({
+        pollIntervalMs = 5000,
+        maxPollIntervalMs = 60000,
+        timeoutMs,
+        signal,
+        onPoll,
+    }: BatchJobWaitOptions = {}): Promise<this> {
+        const deadline = timeoutMs !== undefined ? Date.now() + timeoutMs : Infinity;
+        let delay = pollIntervalMs;
+        while (!this.done) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw new ResilientLLMError(`Batch job ${this.id} did not end within ${timeoutMs} ms`, 'TIMEOUT');
+            }
+            try {
+                await sleep(Math.min(delay, remaining), signal);
+            } catch (error) {
+                throw new ResilientLLMError(`Waiting for batch job ${this.id} was aborted`, 'ABORTED', { cause: error });
+            }
+            try {
+                await this.refresh();
+                onPoll?.(this);
+            } catch (error) {
+                if (!(error instanceof ResilientLLMError) || !TRANSIENT_CODES.has(error.code)) throw error;
+                console.warn(`Polling batch job ${this.id} failed, polling again: ${error.message}`);
+            }
+            delay = Math.min(delay * 2, maxPollIntervalMs);
+        }
+        return this;
+    }
+
+    /** Cancels the job; requests already processed keep their results. */
+    async cancel(): Promise<this> {
+        this.#update(await send(this.#context, 'POST', `${this.#context.batchApiUrl}/${encodeURIComponent(this.id)}/cancel`));
+        return this;
+    }
+
+    /**
+     * Downloads the results of an ended job, in submission order when known. Requests without a
+     * result (the job expired or was cancelled first) get an `ABORTED` error.
+     * @throws {ResilientLLMError} `INVALID_REQUEST` while the job is running; the provider's error when it failed
+     */
+    async results(): Promise<BatchJobResult[]> {
+        if (!this.done) {
+            throw new ResilientLLMError(`Batch job ${this.id} is still ${this.providerStatus}; call wait() first`, 'INVALID_REQUEST');
+        }
+        if (this.status === 'failed') {
+            const errors = asObject(this.data.errors).data;
+            const messages = Array.isArray(errors) ? errors.map(error => asObject(error).message).filter(message => typeof message === 'string') : [];
+            const message = messages.join('; ') || `Batch job ${this.id} failed`;
+            throw this.#context.toError(400, new Error(message));
+        }
+
+        const byId = new Map<string, ChatResponse | ResilientLLMError>();
+        for (const line of await this.#downloadResults()) {
+            const customId = String(line.custom_id);
+            byId.set(customId, this.#toResult(customId, line));
+        }
+
+        const ids = [...this.customIds, ...[...byId.keys()].filter(id => !this.customIds.includes(id))];
+        return ids.map(id => ({
+            id,
+            result: byId.get(id) ?? new ResilientLLMError(`No result for request ${id}: batch job ${this.id} ${this.status}`, 'ABORTED'),
+        }));
+    }
+
+    /** Result lines of the output (and error) files or the results URL. */
+    async #downloadResults(): Promise<ProviderObject[]> {
+        const context = this.#context;
+        if (context.format === 'anthropic') {
+            const resultsUrl = this.data.results_url;
+            return typeof resultsUrl === 'string' && resultsUrl ? parseJsonl(await sendForText(context, 'GET', resultsUrl)) : [];
+        }
+        const lines: ProviderObject[] = [];
+        for (const fileId of [this.data.output_file_id, this.data.error_file_id]) {
+            if (typeof fileId !== 'string' || !fileId) continue;
+            lines.push(...parseJsonl(await sendForText(context, 'GET', `${context.filesApiUrl}/${encodeURIComponent(fileId)}/content`)));
+        }
+        return lines;
+    }
+
+    /** Maps one result line to a chat() response or error. */
+    #toResult(customId: string, line: ProviderObject): ChatResponse | ResilientLLMError {
+        const context = this.#context;
+        try {
+            if (context.format === 'anthropic') {
+                const result = asObject(line.result);
+                if (result.type === 'succeeded') return context.toResponse(customId, asObject(result.message), this.id);
+                if (result.type === 'errored') {
+                    const outer = asObject(result.error);
+                    const error = asObject(outer.error ?? outer);
+                    const message = typeof error.message === 'string' && error.message ? error.message : 'Batch request failed';
+                    return context.toError(ANTHROPIC_ERROR_STATUS[String(error.type)] ?? null, new Error(message));
+                }
+                return new ResilientLLMError(`Request ${customId} was ${result.type ?? 'not processed'}`, 'ABORTED');
+            }
+            const response = asObject(line.response);
+            const statusCode = typeof response.status_code === 'number' ? response.status_code : null;
+            const body = asObject(response.body);
+            if (statusCode === 200) return context.toResponse(customId, body, this.id);
+            const message = asObject(body.error).message ?? asObject(line.error).message;
+            return context.toError(statusCode, new Error(typeof message === 'string' ? message : 'Batch request failed'));
+        } catch (error) {
+            return error instanceof ResilientLLMError ? error : context.toError(null, error as Error);
+        }
+    }
+
+    /** Applies a provider batch object. */
+    #update(data: ProviderObject): void {
+        this.data = data;
+        this.providerStatus = String(data.processing_status ?? data.status ?? '');
+        const counts = asObject(data.request_counts);
+        const count = (key: string): number => typeof counts[key] === 'number' ? counts[key] as number : 0;
+        if (this.#context.format === 'anthropic') {
+            this.status = this.providerStatus === 'ended'
+                ? (data.cancel_initiated_at ? 'cancelled' : 'completed')
+                : 'in_progress';
+            const failed = count('errored') + count('canceled') + count('expired');
+            this.requestCounts = {
+                total: count('processing') + count('succeeded') + failed,
+                succeeded: count('succeeded'),
+                failed,
+            };
+            return;
+        }
+        const ended: Record<string, BatchJobStatus> = { completed: 'completed', failed: 'failed', expired: 'expired', cancelled: 'cancelled' };
+        this.status = ended[this.providerStatus] ?? 'in_progress';
+        this.requestCounts = { total: count('total'), succeeded: count('completed'), failed: count('failed') };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HTTP
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Sends a request to a batch endpoint and returns its JSON object.
+ * @throws {ResilientLLMError} Mapped with `context.toError` on network failures and non-2xx responses
+ */
+async function send(
+    context: BatchJobContext,
+    method: 'GET' | 'POST',
+    url: string,
+    body?: FormData | Record<string, unknown>,
+): Promise<ProviderObject> {
+    return asObject(JSON.parse(await sendForText(context, method, url, body)));
+}
+
+/** Sends a request to a batch endpoint and returns its body as text (e.g. JSONL result files). */
+async function sendForText(
+    context: BatchJobContext,
+    method: 'GET' | 'POST',
+    url: string,
+    body?: FormData | Record<string, unknown>,
+): Promise<string> {
+    const isForm = body instanceof FormData;
+    let response: Response;
+    try {
+        response = await fetch(url, {
+            method,
+            headers: { ...context.headers, ...(body && !isForm ? { 'Content-Type': 'application/json' } : {}) },
+            body: isForm ? body : body ? JSON.stringify(body) : undefined,
+        });
+    } catch (error) {
+        throw context.toError(null, error as Error);
+    }
+    const text = await response.text();
+    if (!response.ok) {
+        let message = text;
+        try {
+            const parsed = asObject(JSON.parse(text));
+            const detail = asObject(parsed.error).message ?? parsed.message;
+            if (typeof detail === 'string') message = detail;
+        } catch {
+            // Not JSON: keep the text
+        }
+        throw context.toError(response.status, new Error(message || `Batch request to ${url} failed with ${response.status}`));
+    }
+    return text;
+}
+
+function parseJsonl(text: string): ProviderObject[] {
+    return text.split('\n').filter(line => line.trim() !== '').map(line => asObject(JSON.parse(line)));
+}
+
+/** A provider JSON value as an object to read fields from; anything else (null, arrays, scalars) reads as `{}`. */
+function asObject(value: unknown): ProviderObject {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) ? value as ProviderObject : {};
+}
@@ -0,0 +1,75 @@
+/**
+ * Bucket scoping for shared resilience state.
+ * Rate limiters, circuit breakers and bulkheads are shared per bucket id; the scope decides
+ * what a bucket stands for: a whole provider, one model of a provider, one API key of a provider,
+ * or whatever a custom function returns.
+ *
+ * @example
+ * const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5', bucketScope: 'provider+model' });
+ * // gpt-5 and gpt-5-mini now have separate rate limiters and circuit breakers
+ */
+
+import { createHash } from "node:crypto";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+export type BucketScopeName = 'provider' | 'provider+model' | 'provider+apiKey';
+
+export interface BucketScopeContext {
+    aiService: string;
+    model: string;
+    /** Short SHA-256 fingerprint of the per-call API key, or null when the registry/env key is used */
+    apiKeyFingerprint: string | null;
+}
+
+/** A named scope, or a function returning the bucket id for a request. */
+export type BucketScope = BucketScopeName | ((context: BucketScopeContext) => string);
+
+export interface ResolvedBucket {
+    bucketId: string;
+    scope: BucketScopeName | 'custom';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fingerprint of an API key for bucket ids; the key itself never appears in ids, logs or metadata.
+ * @example
+ * apiKeyFingerprint('sk-abc'); // 'a1b2c3d4e5f6'
+ */
+export function apiKeyFingerprint(apiKey: string | null | undefined): string | null {
+    if (!apiKey) return null;
+    return createHash('sha256').update(apiKey).digest('hex').slice(0, 12);
+}
+
+/**
+ * Resolves the bucket id of a request for a scope (default `provider`).
+ * @example
+ * resolveBucket('provider+model', { aiService: 'openai', model: 'gpt-5', apiKey: null });
+ * // { bucketId: 'openai:gpt-5', scope: 'provider+model' }
+ */
+export function resolveBucket(
+    scope: BucketScope | undefined,
+    { aiService, model, apiKey }: { aiService: string; model: string; apiKey?: string | null },
+): ResolvedBucket {
+    const fingerprint = apiKeyFingerprint(apiKey);
+    if (typeof scope === 'function') {
+        const bucketId = scope({ aiService, model, apiKeyFingerprint: fingerprint });
+        if (typeof bucketId !== 'string' || bucketId === '') {
+            throw new Error(`bucketScope function must return a non-empty string, got: ${String(bucketId)}`);
+        }
+        return { bucketId, scope: 'custom' };
+    }
+    switch (scope ?? 'provider') {
+        case 'provider':
+            return { bucketId: aiService, scope: 'provider' };
+        case 'provider+model':
+            return { bucketId: `${aiService}:${model}`, scope: 'provider+model' };
+        case 'provider+apiKey':
+            return { bucketId: `${aiService}:key-${fingerprint ?? 'default'}`, scope: 'provider+apiKey' };
+        default:
+            throw new Error(`Invalid bucketScope: "${String(scope)}". Use 'provider', 'provider+model', 'provider+apiKey' or a function`);
+    }
+}
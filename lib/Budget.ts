@@ -0,0 +1,229 @@
+/**
+ * Spending budgets: USD limits per instance and per tenant over calendar windows (UTC hour, day,
+ * month) or in total, checked with a request's estimated cost before it is sent.
+ *
+ * - A request reserves its estimated cost in every window it falls in; the reservation is settled
+ *   with the actual `metadata.cost` on success, or released on failure
+ * - Tenant limits apply to requests with `llmOptions.tenant`; `'*'` applies to each tenant without
+ *   its own entry, separately
+ * - Requests with no estimated cost (free or unpriced models) fit until a window is fully spent; from
+ *   then on every request is over budget, so a new or mistyped model id does not get around it
+ * - Spending is kept in memory, per tracker
+ *
+ * @example
+ * const budgets = new BudgetTracker({ instance: { day: 50 }, tenants: { '*': { month: 5 } } });
+ * budgets.check(0.02, 'acme'); // null while the request fits, else the exceeded window
+ */
+
+import { roundUsd } from "./Pricing.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+export type BudgetWindow = 'hour' | 'day' | 'month' | 'total';
+
+/** Limits in USD per window. */
+export type BudgetLimits = Partial<Record<BudgetWindow, number>>;
+
+export interface BudgetConfig {
+    /** Limits over all requests of the ResilientLLM instance */
+    instance?: BudgetLimits;
+    /** Limits per tenant key (`llmOptions.tenant`); `'*'` applies to every other tenant */
+    tenants?: Record<string, BudgetLimits>;
+    /** 'block' (default) throws BUDGET_EXCEEDED; 'downgrade' switches to the first `downgradeTo` model within budget */
+    onExceeded?: 'block' | 'downgrade';
+    /** Cheaper models, in order of preference (`aiService` defaults to the request's) */
+    downgradeTo?: { aiService?: string; model: string }[];
+}
+
+export interface BudgetWindowStatus {
+    limit: number;
+    spent: number;
+    /** Estimated cost of the requests in flight */
+    reserved: number;
+    remaining: number;
+    /** When the window starts over (ISO 8601); null for `total` */
+    resetsAt: string | null;
+}
+
+export type BudgetScopeStatus = Partial<Record<BudgetWindow, BudgetWindowStatus>>;
+
+export interface BudgetStatus {
+    instance: BudgetScopeStatus;
+    /** Tenants with a limit and spending or requests in flight */
+    tenants: Record<string, BudgetScopeStatus>;
+}
+
+/** The budget a request would exceed. */
+export interface BudgetExceeded {
+    scope: 'instance' | 'tenant';
+    tenant: string | null;
+    window: BudgetWindow;
+    limit: number;
+    spent: number;
+    reserved: number;
+    estimate: number;
+}
+
+/** Estimated cost held in the windows of one request until it is settled. */
+export interface BudgetReservation {
+    tenant: string | null;
+    amount: number;
+    /** Period each window was reserved in, by `instance:<window>` / `tenant:<window>` */
+    periods: Record<string, string>;
+}
+
+interface WindowState {
+    period: string;
+    spent: number;
+    reserved: number;
+}
+
+const WINDOWS: BudgetWindow[] = ['hour', 'day', 'month', 'total'];
+
+class BudgetTracker {
+    config: BudgetConfig;
+
+    private _instance: Map<BudgetWindow, WindowState>;
+    private _tenants: Map<string, Map<BudgetWindow, WindowState>>;
+
+    constructor(config: BudgetConfig = {}) {
+        this.config = config;
+        this._instance = new Map();
+        this._tenants = new Map();
+    }
+
+    /**
+     * The first budget a request of the given estimated cost would exceed.
+     * @returns null when the request fits every budget
+     */
+    check(estimate: number, tenant?: string | null): BudgetExceeded | null {
+        for (const { scope, window, limit, state } of this._windows(tenant ?? null)) {
+            const committed = state.spent + state.reserved;
+            if (committed >= limit || committed + estimate > limit) {
+                return { scope, tenant: scope === 'tenant' ? tenant! : null, window, limit, spent: state.spent, reserved: state.reserved, estimate };
+            }
+        }
+        return null;
+    }
+
+    /** Holds a request's estimated cost in its windows until settle(). */
+    reserve(estimate: number, tenant?: string | null): BudgetReservation {
+        const amount = Math.max(0, estimate);
+        const periods: Record<string, string> = {};
+        for (const { scope, window, state } of this._windows(tenant ?? null)) {
+            state.reserved = roundUsd(state.reserved + amount);
+            periods[`${scope}:${window}`] = state.period;
+        }
+        return { tenant: tenant ?? null, amount, periods };
+    }
+
+    /**
+     * Releases a reservation and adds the actual cost to the current windows.
+     * @param cost - USD spent (0 for failed requests)
+     */
+    settle(reservation: BudgetReservation, cost: number): void {
+        for (const { scope, window, state } of this._windows(reservation.tenant)) {
+            // Reservations from a window that has since started over are gone with it
+            if (reservation.periods[`${scope}:${window}`] === state.period) {
+                state.reserved = Math.max(0, roundUsd(state.reserved - reservation.amount));
+            }
+            state.spent = roundUsd(state.spent + cost);
+        }
+    }
+
+    /** Spending, requests in flight and limits per window, for dashboards. */
+    getStatus(): BudgetStatus {
+        const tenants: Record<string, BudgetScopeStatus> = {};
+        const tenantKeys = new Set([
+            ...Object.keys(this.config.tenants ?? {}).filter(key => key !== '*'),
+            ...this._tenants.keys(),
+        ]);
+        for (const tenant of tenantKeys) {
+            tenants[tenant] = this._scopeStatus(this._windows(tenant).filter(entry => entry.scope === 'tenant'));
+        }
+        return {
+            instance: this._scopeStatus(this._windows(null)),
+            tenants,
+        };
+    }
+
+    /** Clears the spending of one tenant, or of the instance and all tenants when called without arguments. */
+    reset(tenant?: string): void {
+        if (tenant !== undefined) {
+            this._tenants.delete(tenant);
+            return;
+        }
+        this._instance.clear();
+        this._tenants.clear();
+    }
+
+    /** The limited windows of a request, with their state rolled over to the current period. */
+    private _windows(tenant: string | null): { scope: 'instance' | 'tenant'; window: BudgetWindow; limit: number; state: WindowState }[] {
+        const now = new Date();
+        const windows: { scope: 'instance' | 'tenant'; window: BudgetWindow; limit: number; state: WindowState }[] = [];
+        const scopes: ['instance' | 'tenant', BudgetLimits | undefined, () => Map<BudgetWindow, WindowState>][] = [
+            ['instance', this.config.instance, () => this._instance],
+            ['tenant', tenant !== null ? this.config.tenants?.[tenant] ?? this.config.tenants?.['*'] : undefined, () => {
+                if (!this._tenants.has(tenant!)) this._tenants.set(tenant!, new Map());
+                return this._tenants.get(tenant!)!;
+            }],
+        ];
+        for (const [scope, limits, states] of scopes) {
+            for (const window of WINDOWS) {
+                const limit = limits?.[window];
+                if (limit === undefined) continue;
+                const period = periodOf(window, now);
+                const windowStates = states();
+                let state = windowStates.get(window);
+                if (!state || state.period !== period) {
+                    state = { period, spent: 0, reserved: 0 };
+                    windowStates.set(window, state);
+                }
+                windows.push({ scope, window, limit, state });
+            }
+        }
+        return windows;
+    }
+
+    private _scopeStatus(windows: { window: BudgetWindow; limit: number; state: WindowState }[]): BudgetScopeStatus {
+        const status: BudgetScopeStatus = {};
+        for (const { window, limit, state } of windows) {
+            status[window] = {
+                limit,
+                spent: state.spent,
+                reserved: state.reserved,
+                remaining: Math.max(0, roundUsd(limit - state.spent - state.reserved)),
+                resetsAt: resetsAt(window, state.period),
+            };
+        }
+        return status;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Calendar period (UTC) a time falls in, e.g. `2026-10-19T05` for an hour. */
+function periodOf(window: BudgetWindow, now: Date): string {
+    const iso = now.toISOString();
+    switch (window) {
+        case 'hour': return iso.slice(0, 13);
+        case 'day': return iso.slice(0, 10);
+        case 'month': return iso.slice(0, 7);
+        default: return 'total';
+    }
+}
+
+function resetsAt(window: BudgetWindow, period: string): string | null {
+    if (window === 'total') return null;
+    const [year, month, day = 1, hour = 0] = period.split(/[-T]/).map(Number);
+    const next = window === 'hour'
+        ? Date.UTC(year, month - 1, day, hour + 1)
+        : window === 'day'
+            ? Date.UTC(year, month - 1, day + 1)
+            : Date.UTC(year, month);
+    return new Date(next).toISOString();
+}
+
+export default BudgetTracker;
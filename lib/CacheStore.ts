@@ -0,0 +1,343 @@
+/**
+ * Cache backends for ResilientOperation response caching.
+ * Any object implementing `CacheStore` (e.g. a Redis adapter) can be passed as `cacheStore`.
+ *
+ * @example
+ * const llm = new ResilientLLM({ cacheStore: new MemoryCacheStore({ maxEntries: 500, defaultTtlMs: 3600000 }) });
+ * const llm = new ResilientLLM({ cacheStore: new FileSystemCacheStore({ directory: '.cache/llm' }) });
+ */
+
+import { createHash, randomUUID } from "node:crypto";
+import { mkdir, readFile, readdir, rename, unlink, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+/**
+ * Async key-value store with per-entry expiry.
+ * Values are JSON-serializable; a missing or expired key resolves to `undefined`.
+ */
+export interface CacheStore {
+    get(key: string): Promise<unknown>;
+    /** @param ttlMs - Time to live in ms; omit to use the store's default (no expiry unless configured) */
+    set(key: string, value: unknown, ttlMs?: number): Promise<void>;
+    delete(key: string): Promise<void>;
+    clear?(): Promise<void>;
+}
+
+export interface MemoryCacheStoreOptions {
+    /** Maximum number of entries (default 1000) */
+    maxEntries?: number;
+    /** Maximum total size of serialized values in bytes (default unlimited) */
+    maxBytes?: number;
+    /** TTL applied when `set()` is called without one (default: no expiry) */
+    defaultTtlMs?: number;
+}
+
+/**
+ * Which parts of a request identify a cached response.
+ * Request headers (and therefore credentials) are excluded unless listed in `headers`.
+ */
+export interface CacheKeyPolicy {
+    /** Request body fields included in the key (default: DEFAULT_CACHE_KEY_FIELDS) */
+    fields?: string[];
+    /** Opt-in scope: entries are only shared between requests with the same tenant */
+    tenant?: string | null;
+    /** Non-secret request headers to include (e.g. `anthropic-beta`); credential headers are always ignored */
+    headers?: string[];
+}
+
+export interface FileSystemCacheStoreOptions {
+    /** Directory holding one JSON file per entry (created on first write) */
+    directory: string;
+    /** TTL applied when `set()` is called without one (default: no expiry) */
+    defaultTtlMs?: number;
+}
+
+interface MemoryEntry {
+    json: string;
+    bytes: number;
+    expiresAt: number | null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// IN-MEMORY LRU
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * In-memory LRU cache bounded by entry count and total serialized size.
+ * Values are stored serialized, so callers never share mutable objects with the cache.
+ */
+export class MemoryCacheStore implements CacheStore {
+    readonly maxEntries: number;
+    readonly maxBytes: number;
+    readonly defaultTtlMs: number | undefined;
+
+    /** Insertion order doubles as recency order (oldest first). */
+    private _entries: Map<string, MemoryEntry>;
+    private _totalBytes: number;
+
+    constructor({ maxEntries = 1000, maxBytes = Infinity, defaultTtlMs }: MemoryCacheStoreOptions = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.defaultTtlMs = defaultTtlMs;
+        this._entries = new Map();
+        this._totalBytes = 0;
+    }
+
+    /** Number of entries currently held (including expired entries not yet evicted). */
+    get size(): number {
+        return this._entries.size;
+    }
+
+    /** Total size of the serialized values in bytes. */
+    get totalBytes(): number {
+        return this._totalBytes;
+    }
+
+    async get(key: string): Promise<unknown> {
+        const entry = this._entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this._remove(key);
+            return undefined;
+        }
+        // Mark as most recently used
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        return JSON.parse(entry.json);
+    }
+
+    async set(key: string, value: unknown, ttlMs: number | undefined = this.defaultTtlMs): Promise<void> {
+        const json = JSON.stringify(value);
+        if (json === undefined) return;
+        const bytes = Buffer.byteLength(json);
+        this._remove(key);
+        if (bytes > this.maxBytes) {
+            console.warn(`[MemoryCacheStore] Entry of ${bytes} bytes exceeds maxBytes (${this.maxBytes}); not cached`);
+            return;
+        }
+        this._entries.set(key, { json, bytes, expiresAt: ttlMs != null ? Date.now() + ttlMs : null });
+        this._totalBytes += bytes;
+        for (const oldestKey of this._entries.keys()) {
+            if (this._entries.size <= this.maxEntries && this._totalBytes <= this.maxBytes) break;
+            this._remove(oldestKey);
+        }
+    }
+
+    async delete(key: string): Promise<void> {
+        this._remove(key);
+    }
+
+    async clear(): Promise<void> {
+        this._entries.clear();
+        this._totalBytes = 0;
+    }
+
+    private _remove(key: string): void {
+        const entry = this._entries.get(key);
+        if (entry) {
+            this._totalBytes -= entry.bytes;
+            this._entries.delete(key);
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FILE SYSTEM
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * File-system cache: one JSON file per entry, named by the SHA-256 of the key.
+ * Writes are atomic (temp file + rename), so several processes can share a directory.
+ * Expired entries are removed when read.
+ */
+export class FileSystemCacheStore implements CacheStore {
+    readonly directory: string;
+    readonly defaultTtlMs: number | undefined;
+
+    constructor({ directory, defaultTtlMs }: FileSystemCacheStoreOptions) {
+        if (!directory) {
+            throw new Error('FileSystemCacheStore requires a directory');
+        }
+        this.directory = directory;
+        this.defaultTtlMs = defaultTtlMs;
+    }
+
+    async get(key: string): Promise<unknown> {
+        let raw: string;
+        try {
+            raw = await readFile(this._filePath(key), 'utf8');
+        } catch (error) {
+            if ((error as NodeJS.ErrnoException).code === 'ENOENT') return undefined;
+            throw error;
+        }
+        let entry: { key: string; expiresAt: number | null; value: unknown };
+        try {
+            entry = JSON.parse(raw);
+        } catch {
+            // Partially written or corrupted entry: treat as a miss
+            await this.delete(key);
+            return undefined;
+        }
+        if (entry.key !== key) return undefined;
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            await this.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    async set(key: string, value: unknown, ttlMs: number | undefined = this.defaultTtlMs): Promise<void> {
+        await mkdir(this.directory, { recursive: true });
+        const filePath = this._filePath(key);
+        const tempPath = `${filePath}.${randomUUID()}.tmp`;
+        const entry = { key, expiresAt: ttlMs != null ? Date.now() + ttlMs : null, value };
+        await writeFile(tempPath, JSON.stringify(entry), 'utf8');
+        await rename(tempPath, filePath);
+    }
+
+    async delete(key: string): Promise<void> {
+        await unlink(this._filePath(key)).catch((error: NodeJS.ErrnoException) => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+
+    /** Remove every entry in the cache directory. */
+    async clear(): Promise<void> {
+        const files = await readdir(this.directory).catch(() => [] as string[]);
+        await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => unlink(join(this.directory, file)).catch(() => {})));
+    }
+
+    private _filePath(key: string): string {
+        return join(this.directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CACHE KEY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Request body fields that determine the response, used for cache keys by default. */
+export const DEFAULT_CACHE_KEY_FIELDS: readonly string[] = [
+    'model',
+    'messages',
+    'system',
+    'tools',
+    'response_format',
+    'output_config',
+    'temperature',
+    'top_p',
+    'max_tokens',
+    'max_completion_tokens',
+    'reasoning_effort',
+    // Gemini generateContent (the model is in the URL)
+    'contents',
+    'systemInstruction',
+    'generationConfig',
+    'safetySettings',
+    // Ollama /api/chat
+    'options',
+    'format',
+];
+
+const CREDENTIAL_HEADER_PATTERN = /^(authorization|proxy-authorization|cookie|x-api-key|api-key|x-goog-api-key)$|token|secret|key/i;
+
+/**
+ * Builds a cache key (SHA-256 hex) for a request according to a cache-key policy.
+ * The URL is reduced to origin + path (query strings may carry API keys); credential headers
+ * are never included, so rotating a key keeps the cache valid and no secret reaches a persistent store.
+ * @example
+ * buildCacheKey(url, body, headers, { tenant: 'acme' });
+ */
+export function buildCacheKey(
+    apiUrl: string,
+    requestBody: unknown,
+    headers: Record<string, string> | null | undefined,
+    policy: CacheKeyPolicy = {},
+): string {
+    let endpoint = apiUrl;
+    try {
+        const parsed = new URL(apiUrl);
+        endpoint = `${parsed.origin}${parsed.pathname}`;
+    } catch {
+        // Not an absolute URL: use as-is
+    }
+
+    const fields = policy.fields ?? DEFAULT_CACHE_KEY_FIELDS;
+    const body = requestBody && typeof requestBody === 'object' ? requestBody as Record<string, unknown> : {};
+    const keyFields: Record<string, unknown> = {};
+    for (const field of fields) {
+        if (body[field] !== undefined) keyFields[field] = body[field];
+    }
+
+    const keyHeaders: Record<string, string> = {};
+    const allowedHeaders = (policy.headers ?? [])
+        .map(name => name.toLowerCase())
+        .filter(name => !CREDENTIAL_HEADER_PATTERN.test(name));
+    for (const [name, value] of Object.entries(headers ?? {})) {
+        if (allowedHeaders.includes(name.toLowerCase())) keyHeaders[name.toLowerCase()] = value;
+    }
+
+    return createHash('sha256')
+        .update(stableStringify({
+            endpoint,
+            tenant: policy.tenant ?? null,
+            body: keyFields,
+            headers: keyHeaders,
+        }))
+        .digest('hex');
+}
+
+/** JSON.stringify with sorted object keys, so key order does not change the cache key. */
+function stableStringify(value: unknown): string {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value as Record<string, unknown>)
+            .filter(key => (value as Record<string, unknown>)[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify((value as Record<string, unknown>)[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ADAPTER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalizes a `cacheStore` option to the async `CacheStore` interface.
+ * - Objects with `get`/`set` methods (CacheStore, Map, sync or async adapters) are called as-is:
+ *   `set(key, value, ttlMs?)` gets the value itself and `get(key)` must return it (undefined when missing).
+ *   Raw clients such as ioredis store strings and take `'PX', ttlMs`; wrap them to serialize values
+ * - Plain objects are used as key-value maps (`store[key] = value`, no expiry) for backward compatibility
+ */
+export function toCacheStore(store: CacheStore | Record<string, unknown> | null | undefined): CacheStore {
+    if (!store) {
+        return new MemoryCacheStore();
+    }
+    const candidate = store as Partial<CacheStore>;
+    if (typeof candidate.get === 'function' && typeof candidate.set === 'function') {
+        if (store instanceof MemoryCacheStore || store instanceof FileSystemCacheStore) {
+            return store;
+        }
+        return {
+            get: async (key) => candidate.get!(key),
+            set: async (key, value, ttlMs) => { await candidate.set!(key, value, ttlMs); },
+            delete: async (key) => { await candidate.delete?.(key); },
+            ...(typeof candidate.clear === 'function' ? { clear: async () => { await candidate.clear!(); } } : {}),
+        };
+    }
+    const object = store as Record<string, unknown>;
+    return {
+        get: async (key) => object[key],
+        set: async (key, value) => { object[key] = value; },
+        delete: async (key) => { delete object[key]; },
+        clear: async () => { for (const key of Object.keys(object)) delete object[key]; },
+    };
+}
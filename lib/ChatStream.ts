@@ -0,0 +1,344 @@
+/**
+ * Streaming support for ResilientLLM.chatStream().
+ * Parses Server-Sent Events from OpenAI-style, Anthropic-style and Gemini chat APIs into
+ * normalized deltas, and accumulates them into a final response envelope.
+ */
+
+import type { ResponseEnvelope } from "./StructuredOutput.js";
+import { normalizeAnthropicStopReason } from "./ToolCalling.js";
+import { extractGoogleText, normalizeGoogleFinishReason, parseGoogleToolCalls } from "./GoogleFormat.js";
+import { DEFAULT_USAGE_CONFIGS, normalizeUsage, type NormalizedUsage } from "./Usage.js";
+
+/**
+ * A normalized streaming delta.
+ * - `text`: a chunk of assistant text
+ * - `tool_call`: a fragment of a tool call; `id`/`name` arrive with the first fragment,
+ *   `argumentsDelta` carries partial JSON arguments to be concatenated per `index`
+ */
+export type ChatStreamDelta =
+    | { type: 'text'; text: string }
+    | { type: 'tool_call'; index: number; id?: string; name?: string; argumentsDelta: string };
+
+/** A raw Server-Sent Event. */
+export interface ServerSentEvent {
+    event: string | null;
+    data: string;
+}
+
+interface ToolCallAccumulator {
+    id: string | null;
+    name: string | null;
+    arguments: string;
+}
+
+/**
+ * Reads a byte stream and yields Server-Sent Events.
+ * Handles events split across chunks, multi-line `data:` fields and comment lines.
+ * @param body - Response body stream
+ * @example
+ * for await (const { event, data } of parseServerSentEvents(response.body)) { ... }
+ */
+export async function* parseServerSentEvents(body: ReadableStream<Uint8Array>): AsyncGenerator<ServerSentEvent> {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finished = false;
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            finished = done;
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+            let boundary = buffer.search(/\r?\n\r?\n/);
+            while (boundary !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+                const parsed = parseEventBlock(rawEvent);
+                if (parsed) yield parsed;
+                boundary = buffer.search(/\r?\n\r?\n/);
+            }
+
+            if (done) {
+                const parsed = parseEventBlock(buffer);
+                if (parsed) yield parsed;
+                return;
+            }
+        }
+    } finally {
+        if (!finished) {
+            // Consumer stopped early: cancel the body so the connection is released.
+            await reader.cancel().catch(() => {});
+        }
+        reader.releaseLock();
+    }
+}
+
+function parseEventBlock(block: string): ServerSentEvent | null {
+    let event: string | null = null;
+    const dataLines: string[] = [];
+    for (const line of block.split(/\r?\n/)) {
+        if (!line || line.startsWith(':')) continue;
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+        if (field === 'event') event = value;
+        else if (field === 'data') dataLines.push(value);
+    }
+    if (dataLines.length === 0) return null;
+    return { event, data: dataLines.join('\n') };
+}
+
+/**
+ * Accumulates normalized deltas from provider stream events.
+ * One instance per stream; feed it events with `push()` and read `toEnvelope()` at the end.
+ */
+export class StreamAccumulator {
+    readonly messageFormat: 'openai' | 'anthropic' | 'google';
+    content: string;
+    finishReason: string | null;
+    /** Usage fields from stream events, placed as in a non-streaming response (`usage` or `usageMetadata`) */
+    usageData: Record<string, unknown>;
+    done: boolean;
+
+    private _toolCalls: ToolCallAccumulator[];
+    /** Anthropic content block index -> tool call index */
+    private _blockToToolIndex: Map<number, number>;
+
+    constructor(messageFormat: 'openai' | 'anthropic' | 'google') {
+        this.messageFormat = messageFormat;
+        this.content = '';
+        this.finishReason = null;
+        this.usageData = {};
+        this.done = false;
+        this._toolCalls = [];
+        this._blockToToolIndex = new Map();
+    }
+
+    /**
+     * Consume one Server-Sent Event and return the normalized deltas it produced.
+     * @throws {Error} When the provider sends an error event mid-stream
+     */
+    push(sse: ServerSentEvent): ChatStreamDelta[] {
+        if (sse.data === '[DONE]') {
+            this.done = true;
+            return [];
+        }
+        let payload: Record<string, unknown>;
+        try {
+            payload = JSON.parse(sse.data) as Record<string, unknown>;
+        } catch {
+            return [];
+        }
+        if (payload.error || sse.event === 'error') {
+            const error = (payload.error ?? payload) as Record<string, unknown>;
+            throw new Error((error.message as string) || 'Provider stream error');
+        }
+        if (this.messageFormat === 'anthropic') return this._pushAnthropic(payload);
+        if (this.messageFormat === 'google') return this._pushGoogle(payload);
+        return this._pushOpenAI(payload);
+    }
+
+    /** Normalized tool calls (OpenAI shape), or undefined when none were streamed. */
+    getToolCalls(): Array<{ id: string | null; type: 'function'; function: { name: string | null; arguments: string } }> | undefined {
+        if (this._toolCalls.length === 0) return undefined;
+        return this._toolCalls.map(call => ({
+            id: call.id,
+            type: 'function' as const,
+            // Anthropic omits input_json_delta for tools called without arguments
+            function: { name: call.name, arguments: call.arguments || (this.messageFormat === 'anthropic' ? '{}' : '') },
+        }));
+    }
+
+    /** Build the response envelope consumed by ResilientLLM's response handler. */
+    toEnvelope(): ResponseEnvelope {
+        const toolCalls = this.getToolCalls();
+        return {
+            content: this.content === '' && toolCalls ? null : this.content,
+            ...(toolCalls ? { toolCalls } : {}),
+            finishReason: this.finishReason,
+        };
+    }
+
+    /** Token usage collected from stream events, in the same shape as non-streaming responses. */
+    get usage(): NormalizedUsage {
+        return normalizeUsage(this.usageData, DEFAULT_USAGE_CONFIGS[this.messageFormat]);
+    }
+
+    private _pushOpenAI(payload: Record<string, unknown>): ChatStreamDelta[] {
+        const deltas: ChatStreamDelta[] = [];
+        if (payload.usage && typeof payload.usage === 'object') {
+            this.usageData = { usage: payload.usage };
+        }
+        const choice = (payload.choices as Record<string, unknown>[] | undefined)?.[0];
+        if (!choice) return deltas;
+
+        const delta = (choice.delta ?? {}) as Record<string, unknown>;
+        if (typeof delta.content === 'string' && delta.content) {
+            this.content += delta.content;
+            deltas.push({ type: 'text', text: delta.content });
+        }
+        const toolCallDeltas = delta.tool_calls as Record<string, unknown>[] | undefined;
+        for (const toolCallDelta of toolCallDeltas ?? []) {
+            const index = typeof toolCallDelta.index === 'number' ? toolCallDelta.index : this._toolCalls.length;
+            const fn = (toolCallDelta.function ?? {}) as Record<string, unknown>;
+            const call = this._toolCalls[index] ?? (this._toolCalls[index] = { id: null, name: null, arguments: '' });
+            if (typeof toolCallDelta.id === 'string') call.id = toolCallDelta.id;
+            if (typeof fn.name === 'string') call.name = fn.name;
+            const argumentsDelta = typeof fn.arguments === 'string' ? fn.arguments : '';
+            call.arguments += argumentsDelta;
+            deltas.push({
+                type: 'tool_call',
+                index,
+                ...(typeof toolCallDelta.id === 'string' ? { id: toolCallDelta.id } : {}),
+                ...(typeof fn.name === 'string' ? { name: fn.name } : {}),
+                argumentsDelta,
+            });
+        }
+        if (typeof choice.finish_reason === 'string') {
+            this.finishReason = choice.finish_reason;
+        }
+        return deltas;
+    }
+
+    private _pushAnthropic(payload: Record<string, unknown>): ChatStreamDelta[] {
+        const deltas: ChatStreamDelta[] = [];
+        switch (payload.type) {
+            case 'message_start': {
+                this._mergeAnthropicUsage((payload.message as Record<string, unknown>)?.usage);
+                break;
+            }
+            case 'content_block_start': {
+                const block = (payload.content_block ?? {}) as Record<string, unknown>;
+                if (block.type === 'tool_use') {
+                    const toolIndex = this._toolCalls.length;
+                    this._blockToToolIndex.set(payload.index as number, toolIndex);
+                    this._toolCalls.push({ id: block.id as string, name: block.name as string, arguments: '' });
+                    deltas.push({ type: 'tool_call', index: toolIndex, id: block.id as string, name: block.name as string, argumentsDelta: '' });
+                } else if (block.type === 'text' && typeof block.text === 'string' && block.text) {
+                    this.content += block.text;
+                    deltas.push({ type: 'text', text: block.text });
+                }
+                break;
+            }
+            case 'content_block_delta': {
+                const delta = (payload.delta ?? {}) as Record<string, unknown>;
+                if (delta.type === 'text_delta' && typeof delta.text === 'string') {
+                    this.content += delta.text;
+                    deltas.push({ type: 'text', text: delta.text });
+                } else if (delta.type === 'input_json_delta' && typeof delta.partial_json === 'string') {
+                    const toolIndex = this._blockToToolIndex.get(payload.index as number);
+                    if (toolIndex !== undefined) {
+                        this._toolCalls[toolIndex].arguments += delta.partial_json;
+                        deltas.push({ type: 'tool_call', index: toolIndex, argumentsDelta: delta.partial_json });
+                    }
+                }
+                break;
+            }
+            case 'message_delta': {
+                const delta = (payload.delta ?? {}) as Record<string, unknown>;
+                if (typeof delta.stop_reason === 'string') this.finishReason = normalizeAnthropicStopReason(delta.stop_reason);
+                this._mergeAnthropicUsage(payload.usage);
+                break;
+            }
+            case 'message_stop':
+                this.done = true;
+                break;
+            default:
+                break;
+        }
+        return deltas;
+    }
+
+    /** Gemini streams whole parts: each chunk is a generateContent response with new text and complete function calls. */
+    private _pushGoogle(payload: Record<string, unknown>): ChatStreamDelta[] {
+        const deltas: ChatStreamDelta[] = [];
+        if (payload.usageMetadata && typeof payload.usageMetadata === 'object') {
+            this.usageData = { usageMetadata: payload.usageMetadata };
+        }
+        const text = extractGoogleText(payload);
+        if (text) {
+            this.content += text;
+            deltas.push({ type: 'text', text });
+        }
+        for (const call of parseGoogleToolCalls(payload, this._toolCalls.length) ?? []) {
+            const index = this._toolCalls.length;
+            this._toolCalls.push({ id: call.id, name: call.function.name, arguments: call.function.arguments });
+            deltas.push({ type: 'tool_call', index, id: call.id, name: call.function.name, argumentsDelta: call.function.arguments });
+        }
+        const finishReason = normalizeGoogleFinishReason(payload, this._toolCalls.length > 0);
+        if (finishReason) this.finishReason = finishReason;
+        return deltas;
+    }
+
+    /** `message_start` reports input (and cache) tokens, `message_delta` the running output tokens. */
+    private _mergeAnthropicUsage(usage: unknown): void {
+        if (!usage || typeof usage !== 'object') return;
+        this.usageData = { usage: { ...(this.usageData.usage as Record<string, unknown> ?? {}), ...usage } };
+    }
+}
+
+/**
+ * Async iterable returned by `ResilientLLM.chatStream()`.
+ * Iterate it for normalized deltas; `finalResponse()` resolves the complete `ChatResponse`
+ * (same shape and metadata as `chat()`) once the stream ends.
+ *
+ * @example
+ * const stream = llm.chatStream([{ role: 'user', content: 'Hi' }]);
+ * for await (const delta of stream) {
+ *     if (delta.type === 'text') process.stdout.write(delta.text);
+ * }
+ * const { content, metadata } = await stream.finalResponse();
+ */
+export class ChatStream<TResponse> implements AsyncIterable<ChatStreamDelta> {
+    private _source: AsyncGenerator<ChatStreamDelta, TResponse>;
+    private _started: boolean;
+    private _final: Promise<TResponse>;
+    private _resolveFinal!: (response: TResponse) => void;
+    private _rejectFinal!: (error: unknown) => void;
+
+    constructor(source: AsyncGenerator<ChatStreamDelta, TResponse>) {
+        this._source = source;
+        this._started = false;
+        this._final = new Promise<TResponse>((resolve, reject) => {
+            this._resolveFinal = resolve;
+            this._rejectFinal = reject;
+        });
+        // Errors are surfaced to the iterator consumer; avoid unhandled rejections
+        // when finalResponse() is never awaited.
+        this._final.catch(() => {});
+    }
+
+    async *[Symbol.asyncIterator](): AsyncGenerator<ChatStreamDelta, void> {
+        if (this._started) {
+            throw new Error('ChatStream can only be iterated once');
+        }
+        this._started = true;
+        try {
+            while (true) {
+                const next = await this._source.next();
+                if (next.done) {
+                    this._resolveFinal(next.value);
+                    return;
+                }
+                yield next.value;
+            }
+        } catch (error) {
+            this._rejectFinal(error);
+            throw error;
+        } finally {
+            // Consumer stopped early (break/return): release the underlying request.
+            await this._source.return(undefined as never).catch(() => {});
+            this._rejectFinal(new Error('Stream was closed before completion'));
+        }
+    }
+
+    /** Resolve the final response, consuming any remaining deltas if iteration has not started. */
+    async finalResponse(): Promise<TResponse> {
+        if (!this._started) {
+            for await (const _delta of this) {
+                // drain
+            }
+        }
+        return this._final;
+    }
+}
@@ -1,20 +1,67 @@
 /**
- * Circuit Breaker implementation with configurable failure thresholds and cooldown periods.
+ * Circuit Breaker implementation with a closed/open/half-open state machine.
  * Used to fail fast when a service is unhealthy and allow it to recover.
+ *
+ * - closed: requests flow; the circuit opens after `failureThreshold` failures without a success,
+ *   or (with `rollingWindowMs`) when the failure rate in the window reaches `failureRateThreshold`
+ * - open: requests are rejected until `cooldownPeriod` has passed
+ * - half-open: up to `halfOpenProbes` requests are let through; the circuit closes when they all
+ *   succeed and reopens on the first failure
+ *
+ * @example
+ * const breaker = CircuitBreaker.getInstance('openai', {
+ *     failureThreshold: 5,
+ *     cooldownPeriod: 30000,
+ *     halfOpenProbes: 2,
+ *     rollingWindowMs: 60000, failureRateThreshold: 0.5, minimumRequests: 20,
+ *     onStateChange: ({ from, to }) => console.log(`openai circuit ${from} -> ${to}`),
+ * });
+ *
+ * // With a `stateBackend`, open/close is shared with other processes: transitions are published,
+ * // and `syncSharedState()` adopts newer ones before each admission check.
  */
 
+import type { StateBackend } from "./StateBackend.js";
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitStateChange {
+    name: string;
+    from: CircuitState;
+    to: CircuitState;
+    /** Why the state changed, e.g. `failure threshold reached`, `cooldown elapsed`, `probes succeeded` */
+    reason: string;
+    timestamp: string;
+}
+
 export interface CircuitBreakerConfig {
     failureThreshold?: number;
     cooldownPeriod?: number;
+    /** Requests let through in half-open state, all of which must succeed to close (default 1) */
+    halfOpenProbes?: number;
+    /** Rolling window for failure-rate tripping in ms (default: disabled) */
+    rollingWindowMs?: number;
+    /** Failure rate (0-1) in the rolling window that opens the circuit (default 0.5) */
+    failureRateThreshold?: number;
+    /** Minimum requests in the rolling window before the failure rate is considered (default 10) */
+    minimumRequests?: number;
+    onStateChange?: (change: CircuitStateChange) => void;
+    /** Shares open/close with other processes using the same backend */
+    stateBackend?: StateBackend | null;
     name?: string;
 }
 
 export interface CircuitBreakerStatus {
     isOpen: boolean;
+    state: CircuitState;
     failCount: number;
     failureThreshold: number;
     cooldownRemaining: number;
     lastFailureTime: number | null;
+    /** Failure rate in the rolling window, or null when the window is disabled or empty */
+    failureRate: number | null;
+    /** Requests recorded in the rolling window */
+    windowRequests: number;
     name: string;
 }
 
@@ -23,25 +70,57 @@ class CircuitBreaker {
 
     failureThreshold: number;
     cooldownPeriod: number;
+    halfOpenProbes: number;
+    rollingWindowMs: number | null;
+    failureRateThreshold: number;
+    minimumRequests: number;
+    onStateChange: ((change: CircuitStateChange) => void) | undefined;
+    stateBackend: StateBackend | null;
     name: string;
+    state: CircuitState;
     failCount: number;
-    isOpen: boolean;
     openedAt: number | null;
     lastFailureTime: number | null;
 
+    /** Probes admitted / succeeded in the current half-open round */
+    private _probesAdmitted: number;
+    private _probesSucceeded: number;
+    private _halfOpenedAt: number | null;
+    /** Outcomes in the rolling window, oldest first */
+    private _outcomes: Array<{ time: number; failed: boolean }>;
+    /** `updatedAt` of the last shared state written or adopted */
+    private _sharedUpdatedAt: number;
+
     constructor({
         failureThreshold = 5,
         cooldownPeriod = 30000,
+        halfOpenProbes = 1,
+        rollingWindowMs,
+        failureRateThreshold = 0.5,
+        minimumRequests = 10,
+        onStateChange,
+        stateBackend = null,
         name = 'default'
     }: CircuitBreakerConfig = {}) {
         this.failureThreshold = failureThreshold;
         this.cooldownPeriod = cooldownPeriod;
+        this.halfOpenProbes = halfOpenProbes;
+        this.rollingWindowMs = rollingWindowMs ?? null;
+        this.failureRateThreshold = failureRateThreshold;
+        this.minimumRequests = minimumRequests;
+        this.onStateChange = onStateChange;
+        this.stateBackend = stateBackend;
         this.name = name;
 
+        this.state = 'closed';
         this.failCount = 0;
-        this.isOpen = false;
         this.openedAt = null;
         this.lastFailureTime = null;
+        this._probesAdmitted = 0;
+        this._probesSucceeded = 0;
+        this._halfOpenedAt = null;
+        this._outcomes = [];
+        this._sharedUpdatedAt = 0;
     }
 
     /**
@@ -70,79 +149,215 @@ class CircuitBreaker {
         this.#instances.delete(bucketId);
     }
 
+    /** Whether the circuit is open (kept for compatibility; half-open counts as not open). */
+    get isOpen(): boolean {
+        return this._currentState() === 'open';
+    }
+
     /**
-     * Check if the circuit breaker is open; resets if cooldown period has expired.
-     * @returns true if circuit is open, false if closed (or after cooldown)
+     * Admission check before a request: moves open -> half-open once the cooldown has passed,
+     * and in half-open admits up to `halfOpenProbes` requests (each call takes a probe slot).
+     * @returns true if the request must be rejected, false if it may proceed
      */
     isCircuitOpen(): boolean {
-        if (!this.isOpen) return false;
+        const state = this._currentState();
+        if (state === 'closed') return false;
+        if (state === 'open') return true;
 
-        if (Date.now() - this.openedAt! > this.cooldownPeriod) {
-            this._reset();
+        // A probe round whose outcomes were never recorded (e.g. aborted requests) expires after a cooldown
+        if (this._probesAdmitted >= this.halfOpenProbes && Date.now() - this._halfOpenedAt! > this.cooldownPeriod) {
+            this._probesAdmitted = this._probesSucceeded;
+            this._halfOpenedAt = Date.now();
+        }
+        if (this._probesAdmitted < this.halfOpenProbes) {
+            this._probesAdmitted++;
             return false;
         }
-
         return true;
     }
 
-    /** Record a successful operation (resets failure count and closes if open after cooldown). */
+    /** Record a successful operation (resets the failure count; closes after enough half-open probes succeed). */
     recordSuccess(): void {
-        this._reset();
+        this._recordOutcome(false);
+        this.failCount = 0;
+        if (this._currentState() === 'half-open') {
+            this._probesSucceeded++;
+            if (this._probesSucceeded >= this.halfOpenProbes) {
+                this._transition('closed', 'probes succeeded');
+            }
+        }
     }
 
-    /** Record a failed operation; opens circuit when failure threshold is reached. */
+    /** Record a failed operation; opens the circuit on the failure threshold or rate, reopens it from half-open. */
     recordFailure(): void {
+        this._recordOutcome(true);
         this.failCount++;
         this.lastFailureTime = Date.now();
 
-        if (this.failCount >= this.failureThreshold) {
-            this._open();
+        const state = this._currentState();
+        if (state === 'half-open') {
+            this._transition('open', 'probe failed');
+        } else if (state === 'closed') {
+            if (this.failCount >= this.failureThreshold) {
+                this._transition('open', 'failure threshold reached');
+            } else if (this._isFailureRateExceeded()) {
+                this._transition('open', 'failure rate threshold reached');
+            }
         }
     }
 
-    /** Get current circuit breaker status (open/closed, fail count, cooldown remaining, etc.). */
+    /** Get current circuit breaker status (state, fail count, cooldown remaining, failure rate, etc.). */
     getStatus(): CircuitBreakerStatus {
+        const state = this._currentState();
+        const { requests, failureRate } = this._windowStats();
         return {
-            isOpen: this.isCircuitOpen(),
+            isOpen: state === 'open',
+            state,
             failCount: this.failCount,
             failureThreshold: this.failureThreshold,
-            cooldownRemaining: this.isOpen
+            cooldownRemaining: state === 'open'
                 ? Math.max(0, this.cooldownPeriod - (Date.now() - this.openedAt!))
                 : 0,
             lastFailureTime: this.lastFailureTime,
+            failureRate,
+            windowRequests: requests,
             name: this.name
         };
     }
 
     /** Manually open the circuit breaker. */
     forceOpen(): void {
-        this._open();
+        this._transition('open', 'forced open');
     }
 
     /** Manually close the circuit breaker. */
     forceClose(): void {
-        this._reset();
+        this._transition('closed', 'forced closed');
     }
 
     /**
-     * Update threshold and cooldown config without resetting state.
+     * Update config without resetting state.
      * Called by getInstance when per-request config differs from the original.
      */
-    syncConfig({ failureThreshold, cooldownPeriod }: CircuitBreakerConfig = {}): void {
+    syncConfig({
+        failureThreshold,
+        cooldownPeriod,
+        halfOpenProbes,
+        rollingWindowMs,
+        failureRateThreshold,
+        minimumRequests,
+        onStateChange,
+        stateBackend
+    }: CircuitBreakerConfig = {}): void {
         if (failureThreshold !== undefined) this.failureThreshold = failureThreshold;
         if (cooldownPeriod !== undefined) this.cooldownPeriod = cooldownPeriod;
+        if (halfOpenProbes !== undefined) this.halfOpenProbes = halfOpenProbes;
+        if (rollingWindowMs !== undefined) this.rollingWindowMs = rollingWindowMs;
+        if (failureRateThreshold !== undefined) this.failureRateThreshold = failureRateThreshold;
+        if (minimumRequests !== undefined) this.minimumRequests = minimumRequests;
+        if (onStateChange !== undefined) this.onStateChange = onStateChange;
+        if (stateBackend !== undefined) this.stateBackend = stateBackend;
     }
 
-    private _reset(): void {
-        this.isOpen = false;
-        this.failCount = 0;
-        this.openedAt = null;
+    /**
+     * Adopt the shared open/close state when another process changed it more recently.
+     * Backend errors are logged and the local state is kept.
+     */
+    async syncSharedState(): Promise<void> {
+        if (!this.stateBackend) return;
+        let shared;
+        try {
+            shared = await this.stateBackend.getCircuitState(this.name);
+        } catch (error) {
+            console.warn(`[${this.name}] Failed to read shared circuit state:`, error);
+            return;
+        }
+        if (!shared || shared.updatedAt <= this._sharedUpdatedAt) return;
+        this._sharedUpdatedAt = shared.updatedAt;
+
+        const state = this._currentState();
+        if (shared.state === 'open' && (state !== 'open' || shared.openedAt !== this.openedAt)) {
+            this._transition('open', 'opened by another process', false);
+            this.openedAt = shared.openedAt ?? shared.updatedAt;
+        } else if (shared.state === 'closed' && state !== 'closed') {
+            this._transition('closed', 'closed by another process', false);
+        }
+    }
+
+    /** State with the time-based open -> half-open transition applied. */
+    private _currentState(): CircuitState {
+        if (this.state === 'open' && Date.now() - this.openedAt! > this.cooldownPeriod) {
+            this._transition('half-open', 'cooldown elapsed');
+        }
+        return this.state;
+    }
+
+    /** @param publish - Write open/close to the state backend (false when adopting a shared state) */
+    private _transition(to: CircuitState, reason: string, publish: boolean = true): void {
+        const from = this.state;
+        this.state = to;
+        if (to === 'open') {
+            this.openedAt = Date.now();
+        } else if (to === 'half-open') {
+            this._probesAdmitted = 0;
+            this._probesSucceeded = 0;
+            this._halfOpenedAt = Date.now();
+        } else {
+            this.failCount = 0;
+            this.openedAt = null;
+            this._outcomes = [];
+        }
+        if (publish && to !== 'half-open') {
+            this._publish(to);
+        }
+        if (from === to) return;
+
+        console.log(`[${this.name}] ${from} -> ${to} (${reason})`);
+        try {
+            this.onStateChange?.({ name: this.name, from, to, reason, timestamp: new Date().toISOString() });
+        } catch (error) {
+            console.warn(`[${this.name}] onStateChange callback failed:`, error);
+        }
+    }
+
+    private _publish(state: 'open' | 'closed'): void {
+        if (!this.stateBackend) return;
+        // Strictly increasing, so this process never re-adopts its own write
+        const updatedAt = Math.max(Date.now(), this._sharedUpdatedAt + 1);
+        this._sharedUpdatedAt = updatedAt;
+        this.stateBackend.setCircuitState(this.name, { state, openedAt: this.openedAt, updatedAt }).catch(error => {
+            console.warn(`[${this.name}] Failed to publish circuit state:`, error);
+        });
+    }
+
+    private _recordOutcome(failed: boolean): void {
+        if (this.rollingWindowMs === null) return;
+        this._outcomes.push({ time: Date.now(), failed });
+        this._pruneOutcomes();
+    }
+
+    private _pruneOutcomes(): void {
+        if (this.rollingWindowMs === null) return;
+        const cutoff = Date.now() - this.rollingWindowMs;
+        let expired = 0;
+        while (expired < this._outcomes.length && this._outcomes[expired].time <= cutoff) expired++;
+        if (expired > 0) this._outcomes.splice(0, expired);
+    }
+
+    private _windowStats(): { requests: number; failureRate: number | null } {
+        this._pruneOutcomes();
+        const requests = this._outcomes.length;
+        if (this.rollingWindowMs === null || requests === 0) {
+            return { requests, failureRate: null };
+        }
+        const failures = this._outcomes.filter(outcome => outcome.failed).length;
+        return { requests, failureRate: failures / requests };
     }
 
-    private _open(): void {
-        this.isOpen = true;
-        this.openedAt = Date.now();
+    private _isFailureRateExceeded(): boolean {
+        const { requests, failureRate } = this._windowStats();
+        return failureRate !== null && requests >= this.minimumRequests && failureRate >= this.failureRateThreshold;
     }
 }
 
-export default CircuitBreaker;
\ No newline at end of file
+export default CircuitBreaker;
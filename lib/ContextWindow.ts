@@ -0,0 +1,189 @@
+/**
+ * Context-window overflow strategies for ResilientLLM.
+ * When a conversation is over the input token limit, the configured strategy shortens it before
+ * the request is sent: drop the oldest turns, keep the first and last turns, or summarize the older
+ * history with another (cheaper) model. System prompts are always kept, and an assistant's tool calls
+ * stay together with their results.
+ *
+ * @example
+ * const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5', contextOverflow: 'drop-oldest' });
+ * await llm.chat(longConversation, {
+ *     contextOverflow: { strategy: 'summarize', aiService: 'openai', model: 'gpt-5-nano', keepLast: 6 },
+ * });
+ */
+
+import { contentToText } from "./MessageContent.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+export type ContextOverflowStrategyName = 'error' | 'drop-oldest' | 'keep-first-last' | 'summarize';
+
+export interface ContextOverflowConfig {
+    strategy: ContextOverflowStrategyName;
+    /** keep-first-last: turns kept from the start of the conversation (default 1) */
+    first?: number;
+    /** keep-first-last: most recent turns kept at most (default: as many as fit) */
+    last?: number;
+    /** summarize: most recent turns kept verbatim (default 4) */
+    keepLast?: number;
+    /** summarize: provider of the summarizing model (default: the request's) */
+    aiService?: string;
+    /** summarize: summarizing model, ideally a cheaper one (default: the request's, or `aiService`'s default model when that is another provider) */
+    model?: string;
+    /** summarize: max tokens of the summary (default 500) */
+    maxSummaryTokens?: number;
+}
+
+/** A strategy name, or a strategy with its options. */
+export type ContextOverflow = ContextOverflowStrategyName | ContextOverflowConfig;
+
+type MessageLike = { role: string; content?: unknown; [key: string]: unknown };
+
+const STRATEGIES: ContextOverflowStrategyName[] = ['error', 'drop-oldest', 'keep-first-last', 'summarize'];
+
+export const SUMMARY_INSTRUCTIONS =
+    'Summarize the conversation below for the assistant that continues it. Keep facts, decisions, ' +
+    'open questions, names, numbers and tool results that later turns may need. Reply with the summary only.';
+const SUMMARY_HEADING = 'Summary of the earlier conversation:';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalizes a strategy name or config (default `error`: keep failing when over the limit).
+ * @example
+ * normalizeContextOverflow('summarize'); // { strategy: 'summarize' }
+ */
+export function normalizeContextOverflow(overflow: ContextOverflow | undefined | null): ContextOverflowConfig {
+    const config = typeof overflow === 'string' ? { strategy: overflow } : overflow ?? { strategy: 'error' as const };
+    if (!STRATEGIES.includes(config.strategy)) {
+        throw new Error(`Invalid contextOverflow strategy: "${String(config.strategy)}". Use ${STRATEGIES.map(s => `'${s}'`).join(', ')}`);
+    }
+    return config;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TURNS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Splits a conversation into system messages and turns. A turn is a message together with the
+ * tool results answering it (`role: 'tool'` messages, or Anthropic `tool_result` blocks), so
+ * dropping a turn never leaves a tool result without its call.
+ */
+export function splitTurns<T extends MessageLike>(messages: T[]): { system: T[]; turns: T[][] } {
+    const system: T[] = [];
+    const turns: T[][] = [];
+    for (const message of messages) {
+        if (message.role === 'system') {
+            system.push(message);
+        } else if (isToolResult(message) && turns.length > 0) {
+            turns[turns.length - 1].push(message);
+        } else {
+            turns.push([message]);
+        }
+    }
+    return { system, turns };
+}
+
+function isToolResult(message: MessageLike): boolean {
+    if (message.role === 'tool') return true;
+    return message.role === 'user' && Array.isArray(message.content)
+        && (message.content as Record<string, unknown>[]).some(block => block?.type === 'tool_result');
+}
+
+/** Puts system messages back in front of the kept turns. */
+function join<T extends MessageLike>(system: T[], turns: T[][]): T[] {
+    return [...system, ...turns.flat()];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STRATEGIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Drops the fewest turns needed for `fits`, oldest first, after the first `keepFirst` turns.
+ * The last turn is always kept, at most `keepLast` recent turns are kept, and a conversation never
+ * resumes with an assistant turn. Returns the shortest candidate when nothing fits.
+ * @example
+ * dropTurns(messages, candidate => llm.countTokens(candidate).total <= 8000);
+ * dropTurns(messages, fits, { keepFirst: 1, keepLast: 10 }); // keep-first-last
+ */
+export function dropTurns<T extends MessageLike>(
+    messages: T[],
+    fits: (candidate: T[]) => boolean,
+    { keepFirst = 0, keepLast = Infinity }: { keepFirst?: number; keepLast?: number } = {},
+): { messages: T[]; droppedMessages: number } {
+    const { system, turns } = splitTurns(messages);
+    const first = turns.slice(0, Math.min(keepFirst, Math.max(0, turns.length - 1)));
+    const middle = turns.slice(first.length, turns.length - 1);
+    const last = turns.slice(turns.length - 1);
+
+    const build = (dropped: number) => {
+        let kept = middle.slice(dropped);
+        if (first.length === 0) {
+            // Providers expect the conversation to start with the user
+            while (kept.length > 0 && kept[0][0].role === 'assistant') kept = kept.slice(1);
+        }
+        return join(system, [...first, ...kept, ...last]);
+    };
+
+    // Fewest dropped turns that fit (token counts only shrink as more turns are dropped)
+    let low = Math.max(0, middle.length - Math.max(0, keepLast - 1));
+    let high = middle.length;
+    if (!fits(build(high))) {
+        const shortest = build(high);
+        return { messages: shortest, droppedMessages: messages.length - shortest.length };
+    }
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (fits(build(mid))) high = mid;
+        else low = mid + 1;
+    }
+    const result = build(low);
+    return { messages: result, droppedMessages: messages.length - result.length };
+}
+
+/**
+ * Splits off the history to summarize: all turns except the last `keepLast`.
+ * @example
+ * const { older, recent } = splitForSummary(messages, 4);
+ */
+export function splitForSummary<T extends MessageLike>(messages: T[], keepLast: number = 4): { older: T[]; recent: T[] } {
+    const { system, turns } = splitTurns(messages);
+    const keep = Math.max(1, keepLast);
+    let split = Math.max(0, turns.length - keep);
+    // Resume with a user turn, like dropTurns
+    while (split < turns.length - 1 && turns[split][0].role === 'assistant') split++;
+    return { older: turns.slice(0, split).flat(), recent: join(system, turns.slice(split)) };
+}
+
+/**
+ * Renders messages as a plain transcript for the summarizing model (images and documents as placeholders).
+ * @example
+ * renderTranscript([{ role: 'user', content: 'Hi' }]); // 'user: Hi'
+ */
+export function renderTranscript(messages: MessageLike[]): string {
+    return messages.map(message => {
+        const parts: string[] = [];
+        if (message.content != null) parts.push(contentToText(message.content));
+        if (message.tool_calls) parts.push(`[tool calls] ${JSON.stringify(message.tool_calls)}`);
+        return `${message.role}: ${parts.join('\n')}`;
+    }).join('\n\n');
+}
+
+/**
+ * Adds a summary of the dropped history to the system prompt (the last system message, or a new
+ * one in front). Providers that take a single system prompt keep the last system message.
+ */
+export function withSummary<T extends MessageLike>(messages: T[], summary: string): T[] {
+    const text = `${SUMMARY_HEADING}\n${summary.trim()}`;
+    const lastSystem = messages.map(message => message.role).lastIndexOf('system');
+    if (lastSystem === -1 || typeof messages[lastSystem].content !== 'string') {
+        return [{ role: 'system', content: text } as unknown as T, ...messages];
+    }
+    return messages.map((message, index) => index === lastSystem
+        ? { ...message, content: `${message.content as string}\n\n${text}` }
+        : message);
+}
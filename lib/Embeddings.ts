@@ -0,0 +1,113 @@
+/**
+ * Embeddings request helpers for ResilientLLM.embed(): splitting inputs into batches within a
+ * provider's limits, and building/parsing provider-native embeddings requests.
+ *
+ * Formats (`embeddingsConfig.requestFormat`):
+ * - openai: `POST /v1/embeddings { model, input, dimensions }` → `{ data: [{ index, embedding }], usage }`
+ *   (OpenAI, Gemini's OpenAI-compatible endpoint, OpenRouter)
+ * - ollama: `POST /api/embed { model, input, dimensions }` → `{ embeddings, prompt_eval_count }`
+ *
+ * @example
+ * batchInputs([10, 10, 10], { maxBatchSize: 2 }); // [[0, 1], [2]]
+ */
+
+import type { EmbeddingsConfig } from "./ProviderRegistry.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+export interface EmbeddingsRequest {
+    model: string;
+    input: string[];
+    dimensions?: number;
+}
+
+export interface EmbeddingsUsage {
+    prompt_tokens: number;
+    total_tokens: number;
+}
+
+export interface ParsedEmbeddings {
+    embeddings: number[][];
+    usage: EmbeddingsUsage | null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BATCHING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Splits inputs into batches of at most `maxBatchSize` inputs and `maxBatchTokens` tokens, in order.
+ * An input over `maxBatchTokens` on its own gets a batch of its own.
+ * @param tokenCounts - Estimated tokens of each input
+ * @returns Batches of input indexes
+ * @example
+ * batchInputs([300, 300, 300], { maxBatchSize: 10, maxBatchTokens: 500 }); // [[0], [1], [2]]
+ */
+export function batchInputs(
+    tokenCounts: number[],
+    { maxBatchSize, maxBatchTokens }: { maxBatchSize: number; maxBatchTokens?: number },
+): number[][] {
+    const batches: number[][] = [];
+    let batch: number[] = [];
+    let batchTokens = 0;
+    tokenCounts.forEach((tokens, index) => {
+        const full = batch.length >= Math.max(1, maxBatchSize)
+            || (maxBatchTokens !== undefined && batch.length > 0 && batchTokens + tokens > maxBatchTokens);
+        if (full) {
+            batches.push(batch);
+            batch = [];
+            batchTokens = 0;
+        }
+        batch.push(index);
+        batchTokens += tokens;
+    });
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROVIDER FORMATS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Request body for an embeddings batch (the same fields in both formats). */
+export function buildEmbeddingsBody({ model, input, dimensions }: EmbeddingsRequest): Record<string, unknown> {
+    return { model, input, ...(dimensions !== undefined ? { dimensions } : {}) };
+}
+
+/**
+ * Vectors (in input order) and usage from an embeddings response.
+ * @throws {Error} When the response holds no vectors, or one that is not an array of numbers
+ */
+export function parseEmbeddingsResponse(config: EmbeddingsConfig, data: unknown): ParsedEmbeddings {
+    const body = asRecord(data);
+    if (config.requestFormat === 'ollama') {
+        if (!Array.isArray(body.embeddings)) throw new Error('Embeddings response has no embeddings');
+        const promptTokens = typeof body.prompt_eval_count === 'number' ? body.prompt_eval_count : null;
+        return {
+            embeddings: body.embeddings.map(toVector),
+            usage: promptTokens === null ? null : { prompt_tokens: promptTokens, total_tokens: promptTokens },
+        };
+    }
+    if (!Array.isArray(body.data)) throw new Error('Embeddings response has no data');
+    const index = (item: Record<string, unknown>) => typeof item.index === 'number' ? item.index : 0;
+    const items = body.data.map(asRecord).sort((a, b) => index(a) - index(b));
+    const usage = asRecord(body.usage);
+    const promptTokens = typeof usage.prompt_tokens === 'number' ? usage.prompt_tokens : null;
+    return {
+        embeddings: items.map(item => toVector(item.embedding)),
+        usage: promptTokens === null
+            ? null
+            : { prompt_tokens: promptTokens, total_tokens: typeof usage.total_tokens === 'number' ? usage.total_tokens : promptTokens },
+    };
+}
+
+function asRecord(value: unknown): Record<string, unknown> {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) ? value as Record<string, unknown> : {};
+}
+
+function toVector(value: unknown): number[] {
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'number')) {
+        throw new Error('Embeddings response has a vector that is not an array of numbers');
+    }
+    return value;
+}
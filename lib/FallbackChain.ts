@@ -0,0 +1,145 @@
+/**
+ * Ordered fallback chains for ResilientLLM.
+ * When a request fails with a matching error code, the next eligible target in the chain is tried.
+ * Eligibility is decided by the target's conditions (`on`), its model-equivalence tier and
+ * whether credentials are available for its provider.
+ *
+ * @example
+ * const llm = new ResilientLLM({
+ *     aiService: 'anthropic', model: 'claude-sonnet-4-5',
+ *     fallbacks: [
+ *         { aiService: 'openai', model: 'gpt-5' },
+ *         { aiService: 'google', model: 'gemini-2.5-pro', on: ['PROVIDER_OVERLOADED'] },
+ *     ],
+ *     fallbackPolicy: { tiers: { 'claude-sonnet-4-5': 1, 'gpt-5': 1, 'gemini-2.5-pro': 1, 'gpt-5-nano': 3 } },
+ * });
+ */
+
+import type { ResilientLLMErrorCode } from "./ResilientLLMError.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+/** One hop of a fallback chain. */
+export interface FallbackTarget {
+    aiService: string;
+    model: string;
+    /** Per-target overrides (apiKey, maxTokens, temperature, ...) applied on top of the call's options */
+    llmOptions?: Record<string, unknown>;
+    /** Error codes that trigger a hop to this target (default: `fallbackPolicy.on`) */
+    on?: ResilientLLMErrorCode[];
+    /** Model-equivalence tier of this target (default: `fallbackPolicy.tiers[model]`) */
+    tier?: number;
+}
+
+/** Chain-wide fallback rules. */
+export interface FallbackPolicy {
+    /** Error codes that trigger failover when a target has no `on` (default: DEFAULT_FALLBACK_CONDITIONS) */
+    on?: ResilientLLMErrorCode[];
+    /** Model id -> equivalence tier; lower is more capable (e.g. 1 = frontier, 3 = small) */
+    tiers?: Record<string, number>;
+    /** How many tiers below the primary model a target may be (default 0: equivalent or better only) */
+    maxTierDrop?: number;
+}
+
+/** Why a target was passed over while selecting the next hop. */
+export interface SkippedFallback {
+    aiService: string;
+    model: string;
+    reason: 'condition' | 'tier' | 'unhealthy' | 'credentials';
+}
+
+export interface FallbackSelection {
+    target: FallbackTarget | null;
+    /** Targets after the selected one, i.e. the chain for the next hop */
+    remaining: FallbackTarget[];
+    skipped: SkippedFallback[];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SELECTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Error codes that trigger failover by default: provider-side failures, timeouts and open circuits. */
+export const DEFAULT_FALLBACK_CONDITIONS: readonly ResilientLLMErrorCode[] = [
+    'PROVIDER_RATE_LIMIT',
+    'PROVIDER_OVERLOADED',
+    'PROVIDER_INTERNAL_ERROR',
+    'PROVIDER_UNAVAILABLE',
+    'TIMEOUT',
+    'CIRCUIT_OPEN',
+];
+
+/**
+ * Whether an error code triggers failover to at least one target of the chain.
+ * Without a chain (`null`: failover across the registry's default models) the policy's conditions apply.
+ * Cancellation (`ABORTED`) never does: it was requested by the caller.
+ */
+export function isFallbackCondition(targets: FallbackTarget[] | null, code: ResilientLLMErrorCode, policy: FallbackPolicy = {}): boolean {
+    if (code === 'ABORTED') return false;
+    const defaultConditions = policy.on ?? DEFAULT_FALLBACK_CONDITIONS;
+    if (!targets) return defaultConditions.includes(code);
+    return targets.some(target => (target.on ?? defaultConditions).includes(code));
+}
+
+/**
+ * Resolves the equivalence tier of a model, or null when unknown.
+ * @example
+ * resolveTier('gpt-5', { tiers: { 'gpt-5': 1 } }); // 1
+ */
+export function resolveTier(model: string | undefined, policy: FallbackPolicy = {}, explicitTier?: number): number | null {
+    if (typeof explicitTier === 'number') return explicitTier;
+    if (!model) return null;
+    const tier = policy.tiers?.[model];
+    return typeof tier === 'number' ? tier : null;
+}
+
+/**
+ * Picks the next target of a fallback chain for an error code.
+ * Targets are considered in order; those passed over are reported in `skipped` and dropped from the chain.
+ * A target whose tier or the primary's tier is unknown is never excluded on quality grounds.
+ * @param targets - Remaining chain, in order
+ * @param code - Error code of the failed attempt
+ * @param context.primaryTier - Tier of the model originally requested
+ * @param context.isHealthy - Whether the target's provider is currently available (default: always)
+ * @param context.canUse - Whether credentials are available for a target
+ */
+export function selectFallback(
+    targets: FallbackTarget[],
+    code: ResilientLLMErrorCode,
+    context: {
+        policy?: FallbackPolicy;
+        primaryTier: number | null;
+        isHealthy?: (target: FallbackTarget) => boolean;
+        canUse: (target: FallbackTarget) => boolean;
+    },
+): FallbackSelection {
+    const policy = context.policy ?? {};
+    const defaultConditions = policy.on ?? DEFAULT_FALLBACK_CONDITIONS;
+    const maxTierDrop = policy.maxTierDrop ?? 0;
+    const skipped: SkippedFallback[] = [];
+
+    for (let index = 0; index < targets.length; index++) {
+        const target = targets[index];
+        const skip = (reason: SkippedFallback['reason']) => skipped.push({ aiService: target.aiService, model: target.model, reason });
+
+        if (!(target.on ?? defaultConditions).includes(code)) {
+            skip('condition');
+            continue;
+        }
+        const tier = resolveTier(target.model, policy, target.tier);
+        if (context.primaryTier !== null && tier !== null && tier > context.primaryTier + maxTierDrop) {
+            skip('tier');
+            continue;
+        }
+        if (context.isHealthy && !context.isHealthy(target)) {
+            skip('unhealthy');
+            continue;
+        }
+        if (!context.canUse(target)) {
+            skip('credentials');
+            continue;
+        }
+        return { target, remaining: targets.slice(index + 1), skipped };
+    }
+    return { target: null, remaining: [], skipped };
+}
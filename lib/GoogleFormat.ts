@@ -0,0 +1,253 @@
+/**
+ * Translation between the normalized (OpenAI-style) chat format used by ResilientLLM callers and
+ * Gemini's native generateContent API, used by providers with `chatConfig.messageFormat: 'google'`.
+ *
+ * - messages: system messages become `systemInstruction`, the rest `contents` with roles `user` / `model`;
+ *   assistant `tool_calls` become `functionCall` parts and `role: 'tool'` messages `functionResponse` parts
+ * - tools: definitions become one `{ functionDeclarations }` tool; Gemini tools (`googleSearch`, `codeExecution`, ...) pass through
+ * - schemas: JSON Schema is reduced to the subset Gemini takes as `responseSchema` and function `parameters`
+ * - responses: text and `functionCall` parts of the first candidate and `finishReason` (`usageMetadata` is read in Usage.ts)
+ *
+ * @example
+ * toGoogleContents([{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }]);
+ * // { systemInstruction: { parts: [{ text: 'Be brief.' }] }, contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] }
+ */
+
+import { contentToText, toGoogleContent, type ContentPart } from "./MessageContent.js";
+import { toOpenAITools, type NormalizedToolCall } from "./ToolCalling.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+/** A Gemini content: one turn of the conversation. */
+export interface GoogleContent {
+    role: 'user' | 'model';
+    parts: Record<string, unknown>[];
+}
+
+type Part = Record<string, unknown>;
+type ToolLike = Record<string, unknown>;
+type MessageLike = { role: string; content?: unknown; [key: string]: unknown };
+
+/** Schema keywords Gemini accepts; anything else (`additionalProperties`, `$schema`, `$ref`, ...) is dropped. */
+const SCHEMA_KEYWORDS = new Set([
+    'type', 'format', 'title', 'description', 'nullable', 'enum', 'default', 'example',
+    'properties', 'required', 'propertyOrdering', 'minProperties', 'maxProperties',
+    'items', 'minItems', 'maxItems', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'anyOf',
+]);
+
+const CONTENT_FILTER_REASONS = new Set([
+    'SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY',
+]);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REQUESTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Converts normalized conversation messages to Gemini `systemInstruction` and `contents`.
+ * Consecutive `role: 'tool'` messages become one user content of `functionResponse` parts,
+ * named after the tool call they answer.
+ */
+export function toGoogleContents(messages: MessageLike[]): { systemInstruction?: { parts: Part[] }; contents: GoogleContent[] } {
+    const system: string[] = [];
+    const contents: GoogleContent[] = [];
+    const toolNames = new Map<string, string>();
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            if (message.content) system.push(contentToText(message.content));
+            continue;
+        }
+
+        if (message.role === 'tool') {
+            const id = String(message.tool_call_id ?? '');
+            const part = {
+                functionResponse: { id, name: toolNames.get(id) ?? id, response: toFunctionResponse(message.content) },
+            };
+            const previous = contents[contents.length - 1];
+            if (previous?.role === 'user' && previous.parts.every(p => p.functionResponse)) {
+                previous.parts.push(part);
+            } else {
+                contents.push({ role: 'user', parts: [part] });
+            }
+            continue;
+        }
+
+        const parts: Part[] = typeof message.content === 'string'
+            ? (message.content ? [{ text: message.content }] : [])
+            : Array.isArray(message.content) ? toGoogleContent(message.content as ContentPart[]) : [];
+        const toolCalls = message.role === 'assistant' ? message.tool_calls as NormalizedToolCall[] | undefined : undefined;
+        for (const call of toolCalls ?? []) {
+            toolNames.set(call.id, call.function?.name);
+            parts.push({ functionCall: { id: call.id, name: call.function?.name, args: parseArguments(call.function?.arguments) } });
+        }
+        if (parts.length) {
+            contents.push({ role: message.role === 'assistant' ? 'model' : 'user', parts });
+        }
+    }
+
+    return {
+        ...(system.length ? { systemInstruction: { parts: [{ text: system.join('\n\n') }] } } : {}),
+        contents,
+    };
+}
+
+/**
+ * Converts tool definitions to Gemini tools: function definitions (OpenAI or Anthropic shape) are
+ * collected into one `{ functionDeclarations }` tool; Gemini tools such as `{ googleSearch: {} }` pass through.
+ * @example
+ * toGoogleTools([{ type: 'function', function: { name: 'get_weather', parameters: schema } }, { googleSearch: {} }]);
+ * // [{ functionDeclarations: [{ name: 'get_weather', parameters: schema }] }, { googleSearch: {} }]
+ */
+export function toGoogleTools(tools: ToolLike[]): ToolLike[] {
+    const functionDeclarations: ToolLike[] = [];
+    const googleTools: ToolLike[] = [];
+    for (const tool of tools) {
+        if (!tool.function && !tool.input_schema) {
+            googleTools.push(tool);
+            continue;
+        }
+        const fn = toOpenAITools([tool])[0].function as Record<string, unknown>;
+        const parameters = fn.parameters as Record<string, unknown> | undefined;
+        // Gemini rejects object schemas without properties: omit parameters of tools taking none
+        const hasParameters = parameters && Object.keys((parameters.properties ?? {}) as object).length > 0;
+        functionDeclarations.push({
+            name: fn.name,
+            ...(fn.description !== undefined ? { description: fn.description } : {}),
+            ...(hasParameters ? { parameters: toGoogleSchema(parameters) } : {}),
+        });
+    }
+    return functionDeclarations.length ? [{ functionDeclarations }, ...googleTools] : googleTools;
+}
+
+/**
+ * Reduces a JSON Schema to the subset Gemini takes: unsupported keywords are dropped,
+ * `type: [T, 'null']` becomes `type: T, nullable: true` and `const` a one-value `enum`.
+ * @example
+ * toGoogleSchema({ type: 'object', properties: { note: { type: ['string', 'null'] } }, additionalProperties: false });
+ * // { type: 'object', properties: { note: { type: 'string', nullable: true } } }
+ */
+export function toGoogleSchema(schema: unknown): unknown {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return schema;
+    const source = schema as Record<string, unknown>;
+    const result: Record<string, unknown> = {};
+    for (const [key, value] of Object.entries(source)) {
+        if (!SCHEMA_KEYWORDS.has(key)) continue;
+        if (key === 'type' && Array.isArray(value)) {
+            const types = value.filter(type => type !== 'null');
+            if (types.length === 1) result.type = types[0];
+            if (types.length < value.length) result.nullable = true;
+        } else if (key === 'properties' && value && typeof value === 'object') {
+            result.properties = Object.fromEntries(
+                Object.entries(value as Record<string, unknown>).map(([name, property]) => [name, toGoogleSchema(property)])
+            );
+        } else if (key === 'items' || key === 'anyOf') {
+            result[key] = Array.isArray(value) ? value.map(toGoogleSchema) : toGoogleSchema(value);
+        } else {
+            result[key] = value;
+        }
+    }
+    if (source.const !== undefined && result.enum === undefined) {
+        result.enum = [source.const];
+    }
+    return result;
+}
+
+/**
+ * URL of the streaming endpoint for a generateContent URL (`:streamGenerateContent`, as Server-Sent Events).
+ * @example
+ * toGoogleStreamUrl('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent');
+ * // 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse'
+ */
+export function toGoogleStreamUrl(apiUrl: string): string {
+    const url = apiUrl.replace(':generateContent', ':streamGenerateContent');
+    return `${url}${url.includes('?') ? '&' : '?'}alt=sse`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESPONSES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Joins the text parts of the first candidate of a Gemini response (thought summaries excluded).
+ * @returns The model text, or null when the candidate has no text parts
+ */
+export function extractGoogleText(data: Record<string, unknown>): string | null {
+    const texts = candidateParts(data)
+        .filter(part => typeof part.text === 'string' && !part.thought)
+        .map(part => part.text as string);
+    return texts.length ? texts.join('') : null;
+}
+
+/**
+ * Extracts `functionCall` parts of the first candidate as normalized tool calls.
+ * Calls without an `id` get `call_<index>`, which `toGoogleContents` maps back to the function name.
+ * @param offset - Index of the first call (for calls streamed over several chunks)
+ * @returns Normalized tool calls, or undefined when the response has none
+ */
+export function parseGoogleToolCalls(data: Record<string, unknown>, offset: number = 0): NormalizedToolCall[] | undefined {
+    const toolCalls = candidateParts(data)
+        .filter(part => part.functionCall)
+        .map((part, index) => {
+            const call = part.functionCall as Record<string, unknown>;
+            return {
+                id: typeof call.id === 'string' && call.id ? call.id : `call_${offset + index}`,
+                type: 'function' as const,
+                function: { name: call.name as string, arguments: JSON.stringify(call.args ?? {}) },
+            };
+        });
+    return toolCalls.length ? toolCalls : undefined;
+}
+
+/**
+ * Maps the `finishReason` of a Gemini response to normalized finish reasons (`stop`, `length`,
+ * `tool_calls`, `content_filter`). A prompt blocked by safety filters (`promptFeedback.blockReason`)
+ * is a `content_filter` finish.
+ * @param hasToolCalls - Whether the model called tools (Gemini reports those turns as `STOP`)
+ */
+export function normalizeGoogleFinishReason(data: Record<string, unknown>, hasToolCalls: boolean = false): string | null {
+    const candidate = (data?.candidates as Record<string, unknown>[] | undefined)?.[0];
+    const finishReason = candidate?.finishReason;
+    if (finishReason == null || finishReason === 'FINISH_REASON_UNSPECIFIED') {
+        return (data?.promptFeedback as Record<string, unknown> | undefined)?.blockReason ? 'content_filter' : null;
+    }
+    if (finishReason === 'STOP') return hasToolCalls ? 'tool_calls' : 'stop';
+    if (finishReason === 'MAX_TOKENS') return 'length';
+    if (CONTENT_FILTER_REASONS.has(finishReason as string)) return 'content_filter';
+    return String(finishReason).toLowerCase();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function candidateParts(data: Record<string, unknown>): Part[] {
+    const candidate = (data?.candidates as Record<string, unknown>[] | undefined)?.[0];
+    const parts = (candidate?.content as Record<string, unknown> | undefined)?.parts;
+    return Array.isArray(parts) ? parts as Part[] : [];
+}
+
+/** `functionResponse.response` must be an object: JSON objects are sent as-is, anything else as `{ result }`. */
+function toFunctionResponse(content: unknown): Record<string, unknown> {
+    let value = content;
+    if (typeof content === 'string') {
+        try {
+            value = JSON.parse(content);
+        } catch {
+            value = content;
+        }
+    }
+    return value && typeof value === 'object' && !Array.isArray(value)
+        ? value as Record<string, unknown>
+        : { result: value ?? '' };
+}
+
+function parseArguments(args: unknown): unknown {
+    if (args && typeof args === 'object') return args;
+    if (typeof args !== 'string' || !args.trim()) return {};
+    try {
+        return JSON.parse(args);
+    } catch {
+        return {};
+    }
+}
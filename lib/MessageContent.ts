@@ -0,0 +1,284 @@
+/**
+ * Multimodal message content: translation between the content parts used by ResilientLLM
+ * callers and provider-native formats, and which models take which content.
+ *
+ * Callers pass `content` as a string or an array of parts:
+ * - text: `{ type: 'text', text }`
+ * - image: `{ type: 'image', url }` or `{ type: 'image', data, mediaType }` (base64), optional `detail`
+ * - document: `{ type: 'document', data, mediaType: 'application/pdf', name? }` or `{ type: 'document', url }`
+ * Provider-native parts (OpenAI `image_url` / `file`, Anthropic blocks with a `source`) are accepted too.
+ *
+ * @example
+ * toOpenAIContent([{ type: 'text', text: 'What is this?' }, { type: 'image', url: 'https://example.com/cat.png' }]);
+ * // [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }]
+ */
+
+import { ResilientLLMError } from "./ResilientLLMError.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+export interface TextPart {
+    type: 'text';
+    text: string;
+}
+
+/** An image by URL (`url`, also a data URL) or as base64 `data` with its `mediaType`. */
+export interface ImagePart {
+    type: 'image';
+    url?: string;
+    data?: string;
+    /** e.g. 'image/png' (required with `data`) */
+    mediaType?: string;
+    /** OpenAI image detail: 'low' costs fewer tokens */
+    detail?: 'auto' | 'low' | 'high';
+}
+
+/** A document (PDF or plain text) by URL or as base64 `data`. */
+export interface DocumentPart {
+    type: 'document';
+    url?: string;
+    data?: string;
+    /** Default 'application/pdf' */
+    mediaType?: string;
+    /** File name or title shown to the model */
+    name?: string;
+}
+
+/** A provider-native part, passed through unchanged when not recognized. */
+export interface ProviderContentPart {
+    type: string;
+    [key: string]: unknown;
+}
+
+export type ContentPart = TextPart | ImagePart | DocumentPart | ProviderContentPart;
+
+/** Message content: a string or an array of parts. */
+export type MessageContent = string | ContentPart[];
+
+/** Kinds of input a model takes. */
+export type InputModality = 'text' | 'image' | 'document';
+
+type Part = Record<string, unknown>;
+
+const DEFAULT_DOCUMENT_TYPE = 'application/pdf';
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,(.*)$/s;
+
+/** Models taking other input than their provider's `chatConfig.inputModalities` (first match wins). */
+const MODEL_MODALITIES: { aiService: string; model: RegExp; inputModalities: InputModality[] }[] = [
+    { aiService: 'openai', model: /^(gpt-3\.5|gpt-4(-\d{4})?$|gpt-4-32k|o1-mini|o3-mini|text-|davinci|babbage)/, inputModalities: ['text'] },
+    { aiService: 'anthropic', model: /^claude-(instant|2)/, inputModalities: ['text'] },
+    { aiService: 'ollama', model: /(llava|vision|moondream|gemma3|qwen2\.5vl|minicpm-v)/, inputModalities: ['text', 'image'] },
+];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalizes a part to a text, image or document part; other parts are returned unchanged.
+ * @example
+ * normalizeContentPart({ type: 'image_url', image_url: { url: 'data:image/png;base64,iVBO' } });
+ * // { type: 'image', data: 'iVBO', mediaType: 'image/png' }
+ */
+export function normalizeContentPart(part: ContentPart | string): ContentPart {
+    if (typeof part === 'string') return { type: 'text', text: part };
+    const native = part as Part;
+    if (native.type === 'image_url') {
+        const imageUrl = typeof native.image_url === 'string' ? { url: native.image_url } : native.image_url as Part;
+        const detail = imageUrl?.detail as ImagePart['detail'];
+        return fromUrl('image', String(imageUrl?.url ?? ''), detail ? { detail } : {});
+    }
+    if (native.type === 'file' && native.file) {
+        const file = native.file as Part;
+        if (typeof file.file_data !== 'string') return part;
+        return fromUrl('document', file.file_data, file.filename ? { name: String(file.filename) } : {});
+    }
+    if ((native.type === 'image' || native.type === 'document') && native.source) {
+        const source = native.source as Part;
+        const name = native.title ? { name: String(native.title) } : {};
+        if (source.type === 'url') return { type: native.type, url: String(source.url), ...name } as ContentPart;
+        if (source.type === 'base64') {
+            return { type: native.type, data: String(source.data), mediaType: String(source.media_type), ...name } as ContentPart;
+        }
+        if (source.type === 'text') {
+            return { type: 'document', data: Buffer.from(String(source.data)).toString('base64'), mediaType: 'text/plain', ...name };
+        }
+        return part;
+    }
+    if (native.type === 'image' || native.type === 'document') {
+        return typeof native.url === 'string' && native.data === undefined
+            ? fromUrl(native.type, native.url, withoutKeys(native, ['type', 'url']))
+            : part;
+    }
+    return part;
+}
+
+/** Image or document part from a URL, unpacking base64 data URLs. */
+function fromUrl(type: 'image' | 'document', url: string, rest: Part): ContentPart {
+    const match = url.match(DATA_URL_PATTERN);
+    if (match) return { ...rest, type, data: match[2], mediaType: match[1] } as ContentPart;
+    return { ...rest, type, url } as ContentPart;
+}
+
+function withoutKeys(part: Part, keys: string[]): Part {
+    return Object.fromEntries(Object.entries(part).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Kinds of input in message content (`text` for strings and unknown parts).
+ * @example
+ * contentModalities([{ type: 'text', text: 'Summarize' }, { type: 'document', data, mediaType: 'application/pdf' }]);
+ * // Set { 'text', 'document' }
+ */
+export function contentModalities(content: unknown): Set<InputModality> {
+    const modalities = new Set<InputModality>();
+    if (!Array.isArray(content)) return modalities.add('text');
+    for (const part of content as ContentPart[]) {
+        const type = normalizeContentPart(part).type;
+        modalities.add(type === 'image' || type === 'document' ? type : 'text');
+    }
+    return modalities;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CAPABILITIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Input a model takes: the model list's `inputModalities` (e.g. OpenRouter) when loaded, else the
+ * built-in model rules, else the provider's `inputModalities` (default: text, image and document).
+ * @example
+ * modelInputModalities('openai', 'gpt-3.5-turbo'); // ['text']
+ */
+export function modelInputModalities(
+    aiService: string,
+    model: string,
+    { providerModalities, listedModalities }: { providerModalities?: InputModality[]; listedModalities?: string[] } = {},
+): InputModality[] {
+    if (listedModalities?.length) {
+        return (['text', 'image', 'document'] as InputModality[]).filter(modality =>
+            listedModalities.includes(modality) || (modality === 'document' && listedModalities.includes('file'))
+        );
+    }
+    const [vendor, ...rest] = model.split('/');
+    const rule = MODEL_MODALITIES.find(entry => entry.aiService === aiService && entry.model.test(model))
+        ?? (rest.length > 0 ? MODEL_MODALITIES.find(entry => entry.aiService === vendor && entry.model.test(rest.join('/'))) : undefined);
+    return rule?.inputModalities ?? providerModalities ?? ['text', 'image', 'document'];
+}
+
+/**
+ * Throws `UNSUPPORTED_FEATURE` when messages hold content the model does not take.
+ * @throws {ResilientLLMError} `UNSUPPORTED_FEATURE`
+ */
+export function assertSupportedContent(
+    messages: { content?: unknown }[],
+    { aiService, model, inputModalities }: { aiService: string; model: string; inputModalities: InputModality[] },
+): void {
+    for (const message of messages) {
+        for (const modality of contentModalities(message.content)) {
+            if (!inputModalities.includes(modality)) {
+                throw new ResilientLLMError(
+                    `Model "${model}" of ${aiService} does not accept ${modality} input. Use a model that takes ${modality}s or remove them from the messages.`,
+                    'UNSUPPORTED_FEATURE',
+                );
+            }
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROVIDER FORMATS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Converts content parts to OpenAI chat completion parts (`text`, `image_url`, and `file` for documents).
+ * With `documentPartType: 'image_url'` documents are sent as data URLs in `image_url` parts
+ * (Gemini's OpenAI-compatible endpoint).
+ * @throws {ResilientLLMError} `UNSUPPORTED_FEATURE` for documents by URL (send base64 `data`)
+ */
+export function toOpenAIContent(
+    content: ContentPart[],
+    { documentPartType = 'file', aiService = 'openai' }: { documentPartType?: 'file' | 'image_url'; aiService?: string } = {},
+): Part[] {
+    return content.map(original => {
+        const part = normalizeContentPart(original) as Part;
+        if (part.type === 'text') return { type: 'text', text: part.text };
+        if (part.type === 'image') {
+            const url = part.data !== undefined ? `data:${part.mediaType};base64,${part.data}` : part.url;
+            return { type: 'image_url', image_url: { url, ...(part.detail ? { detail: part.detail } : {}) } };
+        }
+        if (part.type === 'document') {
+            if (part.data === undefined) {
+                throw new ResilientLLMError(
+                    `${aiService} does not accept documents by URL. Pass the document as base64 \`data\` with its \`mediaType\`.`,
+                    'UNSUPPORTED_FEATURE',
+                );
+            }
+            const dataUrl = `data:${part.mediaType ?? DEFAULT_DOCUMENT_TYPE};base64,${part.data}`;
+            return documentPartType === 'image_url'
+                ? { type: 'image_url', image_url: { url: dataUrl } }
+                : { type: 'file', file: { filename: part.name ?? 'document.pdf', file_data: dataUrl } };
+        }
+        return original as Part;
+    });
+}
+
+/**
+ * Converts content parts to Anthropic content blocks (`text`, `image`, `document`).
+ * @example
+ * toAnthropicContent([{ type: 'document', url: 'https://example.com/report.pdf' }]);
+ * // [{ type: 'document', source: { type: 'url', url: 'https://example.com/report.pdf' } }]
+ */
+export function toAnthropicContent(content: ContentPart[]): Part[] {
+    return content.map(original => {
+        const part = normalizeContentPart(original) as Part;
+        if (part.type === 'text') return { type: 'text', text: part.text };
+        if (part.type === 'image' || part.type === 'document') {
+            const mediaType = part.mediaType ?? (part.type === 'document' ? DEFAULT_DOCUMENT_TYPE : undefined);
+            const source = part.data === undefined
+                ? { type: 'url', url: part.url }
+                : mediaType === 'text/plain'
+                    ? { type: 'text', media_type: mediaType, data: Buffer.from(String(part.data), 'base64').toString('utf8') }
+                    : { type: 'base64', media_type: mediaType, data: part.data };
+            return { type: part.type, source, ...(part.type === 'document' && part.name ? { title: part.name } : {}) };
+        }
+        return original as Part;
+    });
+}
+
+/**
+ * Converts content parts to Gemini parts: `text`, `inlineData` for base64 data and `fileData` for URLs.
+ * @example
+ * toGoogleContent([{ type: 'image', data: 'iVBO', mediaType: 'image/png' }]);
+ * // [{ inlineData: { mimeType: 'image/png', data: 'iVBO' } }]
+ */
+export function toGoogleContent(content: ContentPart[]): Part[] {
+    return content.map(original => {
+        const part = normalizeContentPart(original) as Part;
+        if (part.type === 'text') return { text: part.text };
+        if (part.type === 'image' || part.type === 'document') {
+            const mimeType = part.mediaType ?? (part.type === 'document' ? DEFAULT_DOCUMENT_TYPE : undefined);
+            return part.data === undefined
+                ? { fileData: { ...(mimeType ? { mimeType } : {}), fileUri: part.url } }
+                : { inlineData: { mimeType, data: part.data } };
+        }
+        return original as Part;
+    });
+}
+
+/**
+ * Text of message content for prompts and logs: text parts as-is, images and documents as placeholders.
+ * @example
+ * contentToText([{ type: 'text', text: 'Compare' }, { type: 'image', url }]); // 'Compare\n[image]'
+ */
+export function contentToText(content: unknown): string {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return content == null ? '' : JSON.stringify(content);
+    return (content as ContentPart[]).map(original => {
+        const part = normalizeContentPart(original) as Part;
+        if (typeof part.text === 'string') return part.text;
+        if (part.type === 'image') return '[image]';
+        if (part.type === 'document') return part.name ? `[document: ${part.name}]` : '[document]';
+        return JSON.stringify(part);
+    }).join('\n');
+}
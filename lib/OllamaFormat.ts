@@ -0,0 +1,141 @@
+/**
+ * Translation between the normalized (OpenAI-style) chat format used by ResilientLLM callers and
+ * Ollama's native `/api/chat` API, used by providers with `chatConfig.messageFormat: 'ollama'`.
+ *
+ * - messages: content parts become a text `content` plus base64 `images`; assistant `tool_calls` carry
+ *   their arguments as objects and `role: 'tool'` messages are named after the tool they answer (`tool_name`)
+ * - tools: sent in OpenAI shape, which Ollama takes as-is
+ * - responses: `message.content`, `message.tool_calls` and `done_reason` (eval counts are read in Usage.ts)
+ *
+ * @example
+ * toOllamaMessages([{ role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image', data: 'iVBO', mediaType: 'image/png' }] }]);
+ * // [{ role: 'user', content: 'What is this?', images: ['iVBO'] }]
+ */
+
+import { normalizeContentPart, type ContentPart } from "./MessageContent.js";
+import { ResilientLLMError } from "./ResilientLLMError.js";
+import type { NormalizedToolCall } from "./ToolCalling.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+/** An Ollama chat message. */
+export interface OllamaMessage {
+    role: string;
+    content: string;
+    images?: string[];
+    tool_calls?: { function: { name: string; arguments: unknown } }[];
+    tool_name?: string;
+}
+
+type MessageLike = { role: string; content?: unknown; [key: string]: unknown };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REQUESTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Converts normalized conversation messages to Ollama chat messages.
+ * @throws {ResilientLLMError} `UNSUPPORTED_FEATURE` for images by URL and documents (Ollama takes base64 images only)
+ */
+export function toOllamaMessages(messages: MessageLike[]): OllamaMessage[] {
+    const toolNames = new Map<string, string>();
+    return messages.map(message => {
+        const result: OllamaMessage = { role: message.role, content: '' };
+        if (typeof message.content === 'string') {
+            result.content = message.content;
+        } else if (Array.isArray(message.content)) {
+            const texts: string[] = [];
+            const images: string[] = [];
+            for (const original of message.content as ContentPart[]) {
+                const part = normalizeContentPart(original) as Record<string, unknown>;
+                if (part.type === 'text') {
+                    texts.push(String(part.text));
+                } else if (part.type === 'image' && part.data !== undefined) {
+                    images.push(String(part.data));
+                } else if (part.type === 'image' || part.type === 'document') {
+                    throw new ResilientLLMError(
+                        part.type === 'image'
+                            ? 'Ollama does not fetch images by URL. Pass the image as base64 `data` with its `mediaType`.'
+                            : 'Ollama does not accept documents. Send their text as a text part.',
+                        'UNSUPPORTED_FEATURE',
+                    );
+                } else {
+                    texts.push(JSON.stringify(original));
+                }
+            }
+            result.content = texts.join('\n');
+            if (images.length) result.images = images;
+        }
+
+        const toolCalls = message.role === 'assistant' ? message.tool_calls as NormalizedToolCall[] | undefined : undefined;
+        if (toolCalls?.length) {
+            result.tool_calls = toolCalls.map(call => {
+                toolNames.set(call.id, call.function?.name);
+                return { function: { name: call.function?.name, arguments: parseArguments(call.function?.arguments) } };
+            });
+        }
+        if (message.role === 'tool') {
+            const name = toolNames.get(String(message.tool_call_id ?? ''));
+            if (name) result.tool_name = name;
+            if (typeof message.content !== 'string') result.content = JSON.stringify(message.content ?? '');
+        }
+        return result;
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESPONSES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Extracts `message.tool_calls` of an Ollama response as normalized tool calls.
+ * Ollama sends arguments as objects and may omit ids; calls without one get `call_<index>`.
+ * @returns Normalized tool calls, or undefined when the response has none
+ */
+export function parseOllamaToolCalls(data: Record<string, unknown>): NormalizedToolCall[] | undefined {
+    const message = data?.message as Record<string, unknown> | undefined;
+    const calls = Array.isArray(message?.tool_calls) ? message.tool_calls as Record<string, unknown>[] : [];
+    const toolCalls = calls.map((call, index) => {
+        const fn = (call.function ?? {}) as Record<string, unknown>;
+        return {
+            id: typeof call.id === 'string' && call.id ? call.id : `call_${index}`,
+            type: 'function' as const,
+            function: {
+                name: fn.name as string,
+                arguments: typeof fn.arguments === 'string' ? fn.arguments : JSON.stringify(fn.arguments ?? {}),
+            },
+        };
+    });
+    return toolCalls.length ? toolCalls : undefined;
+}
+
+/**
+ * Maps Ollama `done_reason` values to normalized finish reasons (`stop`, `length`, `tool_calls`).
+ * @param hasToolCalls - Whether the model called tools (Ollama reports those turns as `stop`)
+ */
+export function normalizeOllamaDoneReason(doneReason: unknown, hasToolCalls: boolean = false): string | null {
+    switch (doneReason) {
+        case 'stop':
+            return hasToolCalls ? 'tool_calls' : 'stop';
+        case null:
+        case undefined:
+        case '':
+            return hasToolCalls ? 'tool_calls' : null;
+        default:
+            return String(doneReason);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function parseArguments(args: unknown): unknown {
+    if (args && typeof args === 'object') return args;
+    if (typeof args !== 'string' || !args.trim()) return {};
+    try {
+        return JSON.parse(args);
+    } catch {
+        return {};
+    }
+}
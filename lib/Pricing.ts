@@ -0,0 +1,124 @@
+/**
+ * Cost of chat requests from normalized usage (see Usage.ts) and per-model prices.
+ * Prices live in `ProviderConfig.pricing` (USD per million tokens, keyed by model) and can be
+ * overridden with `ProviderRegistry.configure(provider, { pricing })`.
+ *
+ * - Model lookup: exact id, else the key of its dated snapshot (`claude-haiku-4-5` prices
+ *   `claude-haiku-4-5-20251001`, `gpt-4o` prices `gpt-4o-2024-08-06`), else `'*'`. Other ids starting
+ *   with a key (`gpt-5-pro`, `claude-opus-4-5`) are different models and stay unpriced without their own key
+ * - Cached input is charged at `cachedInput` and cache writes at `cacheWrite` (both default to `input`)
+ *
+ * @example
+ * computeCost({ prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 }, { input: 1, output: 5 });
+ * // { currency: 'USD', input: 0.001, cachedInput: 0, cacheWrite: 0, output: 0.0025, total: 0.0035 }
+ */
+
+import type { NormalizedUsage } from "./Usage.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+/** Prices of a model in USD per million tokens. */
+export interface ModelPricing {
+    input: number;
+    output: number;
+    /** Input tokens read from the prompt cache (default: `input`) */
+    cachedInput?: number;
+    /** Input tokens written to the prompt cache (default: `input`) */
+    cacheWrite?: number;
+}
+
+/** Cost of one or more requests in USD: `metadata.cost`. */
+export interface CostBreakdown {
+    currency: 'USD';
+    /** Uncached input tokens */
+    input: number;
+    cachedInput: number;
+    cacheWrite: number;
+    output: number;
+    total: number;
+    /** Total per service, for every service in `metadata.service.attempted` (failed hops report no usage and cost 0) */
+    byService?: Record<string, number>;
+}
+
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+/** Date suffix of a model snapshot: `-20251001` or `-2024-08-06`. */
+const SNAPSHOT_SUFFIX = /-(\d{8}|\d{4}-\d{2}-\d{2})$/;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRICES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Prices for a model from a provider's pricing table.
+ * @returns The matching prices, or null when the model is not priced
+ */
+export function findModelPricing(pricing: Record<string, ModelPricing> | null | undefined, model: string | null | undefined): ModelPricing | null {
+    if (!pricing) return null;
+    if (model && pricing[model]) return pricing[model];
+    const snapshotOf = model?.replace(SNAPSHOT_SUFFIX, '');
+    if (snapshotOf && snapshotOf !== model && pricing[snapshotOf]) return pricing[snapshotOf];
+    return pricing['*'] ?? null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COSTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Cost of a response from its normalized usage.
+ * @returns The cost, or null when the response reported no usage
+ */
+export function computeCost(usage: NormalizedUsage | null | undefined, pricing: ModelPricing): CostBreakdown | null {
+    if (!usage || (usage.prompt_tokens == null && usage.completion_tokens == null)) return null;
+    const cached = usage.cached_input_tokens ?? 0;
+    const cacheWrite = usage.cache_write_tokens ?? 0;
+    const uncached = Math.max(0, (usage.prompt_tokens ?? 0) - cached - cacheWrite);
+    const cost = {
+        input: price(uncached, pricing.input),
+        cachedInput: price(cached, pricing.cachedInput ?? pricing.input),
+        cacheWrite: price(cacheWrite, pricing.cacheWrite ?? pricing.input),
+        output: price(usage.completion_tokens ?? 0, pricing.output),
+    };
+    return { currency: 'USD', ...cost, total: roundUsd(cost.input + cost.cachedInput + cost.cacheWrite + cost.output) };
+}
+
+/** A zero cost, e.g. for cache hits. */
+export function zeroCost(): CostBreakdown {
+    return { currency: 'USD', input: 0, cachedInput: 0, cacheWrite: 0, output: 0, total: 0 };
+}
+
+/**
+ * Sum of several costs, including their `byService` totals.
+ * @returns The sum, or null when there is nothing to sum
+ */
+export function sumCosts(costs: (CostBreakdown | null | undefined)[]): CostBreakdown | null {
+    const present = costs.filter((cost): cost is CostBreakdown => Boolean(cost));
+    if (!present.length) return null;
+    const sum = zeroCost();
+    const byService: Record<string, number> = {};
+    for (const cost of present) {
+        sum.input = roundUsd(sum.input + cost.input);
+        sum.cachedInput = roundUsd(sum.cachedInput + cost.cachedInput);
+        sum.cacheWrite = roundUsd(sum.cacheWrite + cost.cacheWrite);
+        sum.output = roundUsd(sum.output + cost.output);
+        sum.total = roundUsd(sum.total + cost.total);
+        for (const [service, total] of Object.entries(cost.byService ?? {})) {
+            byService[service] = roundUsd((byService[service] ?? 0) + total);
+        }
+    }
+    return Object.keys(byService).length ? { ...sum, byService } : sum;
+}
+
+/** Rounds away floating point noise (to a billionth of a cent). */
+export function roundUsd(usd: number): number {
+    return Math.round(usd * 1e11) / 1e11;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function price(tokens: number, perMillion: number): number {
+    return roundUsd(tokens * perMillion / TOKENS_PER_PRICE_UNIT);
+}
@@ -0,0 +1,133 @@
+/**
+ * Provider health registry: tracks providers that recently failed so failover skips them,
+ * and restores them once their recovery time has passed.
+ * Recovery time comes from the provider's `retry-after`, the circuit breaker cooldown, or a default cooldown.
+ *
+ * @example
+ * const health = new ProviderHealthRegistry({ defaultCooldownMs: 30000, onChange: (event) => console.log(event) });
+ * health.markDown('openai', { reason: 'Rate limit exceeded', statusCode: 429, recoverAfterMs: 20000 });
+ * health.isAvailable('openai'); // false for the next 20s
+ */
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+export interface ProviderHealthEntry {
+    service: string;
+    reason: string | null;
+    statusCode: number | null;
+    /** When the provider was marked down (epoch ms) */
+    downSince: number;
+    /** When the provider becomes available again (epoch ms) */
+    until: number;
+}
+
+export interface ProviderHealthStatus extends ProviderHealthEntry {
+    remainingMs: number;
+}
+
+export interface ProviderHealthEvent {
+    type: 'provider.down' | 'provider.restored';
+    service: string;
+    reason: string | null;
+    statusCode: number | null;
+    /** For `provider.down`: when the provider becomes available again (ISO 8601) */
+    until: string | null;
+    timestamp: string;
+}
+
+export interface ProviderHealthOptions {
+    /** Recovery time when no `retry-after` or circuit cooldown is known (default 30000) */
+    defaultCooldownMs?: number;
+    onChange?: (event: ProviderHealthEvent) => void;
+}
+
+class ProviderHealthRegistry {
+    defaultCooldownMs: number;
+    onChange: ((event: ProviderHealthEvent) => void) | undefined;
+
+    private _down: Map<string, ProviderHealthEntry>;
+
+    constructor({ defaultCooldownMs = 30000, onChange }: ProviderHealthOptions = {}) {
+        this.defaultCooldownMs = defaultCooldownMs;
+        this.onChange = onChange;
+        this._down = new Map();
+    }
+
+    /**
+     * Mark a provider as down. Marking an already-down provider extends its recovery time if later.
+     * @param service - Provider name (e.g. `openai`)
+     * @param details.recoverAfterMs - Time until recovery (default: `defaultCooldownMs`)
+     */
+    markDown(service: string, { reason = null, statusCode = null, recoverAfterMs }: {
+        reason?: string | null;
+        statusCode?: number | null;
+        recoverAfterMs?: number | null;
+    } = {}): void {
+        const now = Date.now();
+        const until = now + (recoverAfterMs ?? this.defaultCooldownMs);
+        const existing = this._down.get(service);
+        if (existing && existing.until >= until) {
+            return;
+        }
+        this._down.set(service, { service, reason, statusCode, downSince: existing?.downSince ?? now, until });
+        console.warn(`[ProviderHealth] ${service} marked down until ${new Date(until).toISOString()}${reason ? `: ${reason}` : ''}`);
+        this._emit({ type: 'provider.down', service, reason, statusCode, until: new Date(until).toISOString(), timestamp: new Date(now).toISOString() });
+    }
+
+    /** Mark a provider as available again (no-op if it is not down). */
+    markUp(service: string): void {
+        const entry = this._down.get(service);
+        if (!entry) return;
+        this._down.delete(service);
+        console.log(`[ProviderHealth] ${service} restored`);
+        this._emit({ type: 'provider.restored', service, reason: entry.reason, statusCode: entry.statusCode, until: null, timestamp: new Date().toISOString() });
+    }
+
+    /** Whether a provider can receive traffic; restores it once its recovery time has passed. */
+    isAvailable(service: string): boolean {
+        const entry = this._down.get(service);
+        if (!entry) return true;
+        if (entry.until <= Date.now()) {
+            this.markUp(service);
+            return true;
+        }
+        return false;
+    }
+
+    /** Providers currently marked down, with time remaining until recovery. */
+    getStatus(): Record<string, ProviderHealthStatus> {
+        const status: Record<string, ProviderHealthStatus> = {};
+        for (const service of [...this._down.keys()]) {
+            if (this.isAvailable(service)) continue;
+            const entry = this._down.get(service)!;
+            status[service] = { ...entry, remainingMs: Math.max(0, entry.until - Date.now()) };
+        }
+        return status;
+    }
+
+    /** Names of the providers currently marked down. */
+    getDownServices(): string[] {
+        return Object.keys(this.getStatus());
+    }
+
+    /**
+     * Restore one provider, or all providers when called without arguments.
+     * Emits `provider.restored` for each provider that was down.
+     */
+    reset(service?: string): void {
+        const services = service ? [service] : [...this._down.keys()];
+        for (const name of services) {
+            this.markUp(name);
+        }
+    }
+
+    private _emit(event: ProviderHealthEvent): void {
+        try {
+            this.onChange?.(event);
+        } catch (error) {
+            console.warn('[ProviderHealth] onChange callback failed:', error);
+        }
+    }
+}
+
+export default ProviderHealthRegistry;
@@ -4,6 +4,10 @@
  * Handles provider configuration, API key management, and model fetching/caching.
  */
 
+import type { InputModality } from "./MessageContent.js";
+import type { UsageConfig } from "./Usage.js";
+import { findModelPricing, type ModelPricing } from "./Pricing.js";
+
 export interface AuthConfig {
     type: 'header' | 'query';
     headerName?: string;
@@ -18,21 +22,83 @@ export interface ParseConfig {
     nameField: string;
     displayNameField: string | null;
     contextWindowField: string | null;
+    /** Field listing the input a model takes, e.g. OpenRouter 'architecture.input_modalities' (optional) */
+    inputModalitiesField?: string | null;
     idPrefix: string | null;
 }
 
 export interface ChatConfig {
-    messageFormat: 'openai' | 'anthropic';
+    /** Request and response format: OpenAI chat completions, Anthropic Messages, Gemini generateContent ('google') or Ollama /api/chat */
+    messageFormat: 'openai' | 'anthropic' | 'google' | 'ollama';
     responseParsePath: string;
-    toolSchemaType: 'openai' | 'anthropic';
-    structuredOutputRequestField?: 'response_format' | 'output_config';
+    toolSchemaType: 'openai' | 'anthropic' | 'google';
+    structuredOutputRequestField?: 'response_format' | 'output_config' | 'generationConfig' | 'format';
+    /** Input the provider's models take (default: text, image and document); see MessageContent.ts */
+    inputModalities?: InputModality[];
+    /** How OpenAI-format requests carry documents: 'file' parts (default) or data URLs in 'image_url' parts */
+    documentPartType?: 'file' | 'image_url';
+    /** Where responses report token usage, over the defaults of `messageFormat`; see Usage.ts */
+    usageConfig?: UsageConfig;
+}
+
+/** How embeddings are requested from a provider (see ResilientLLM.embed). */
+export interface EmbeddingsConfig {
+    /** 'openai': `{ model, input, dimensions }` → `data[].embedding`; 'ollama': /api/embed `{ model, input, dimensions }` → `embeddings` */
+    requestFormat: 'openai' | 'ollama';
+    defaultModel: string;
+    /** Most inputs per request */
+    maxBatchSize: number;
+    /** Most input tokens per request, summed over the batch (optional) */
+    maxBatchTokens?: number;
+    /** Whether `dimensions` can shorten the vectors */
+    supportsDimensions?: boolean;
+}
+
+/** How asynchronous batch jobs are submitted to a provider (see BatchJob). */
+export interface BatchConfig {
+    /** 'openai': JSONL file uploaded to `filesApiUrl`, then `POST batchApiUrl`; 'anthropic': Message Batches */
+    format: 'openai' | 'anthropic';
+    /** OpenAI `completion_window` (default '24h') */
+    completionWindow?: string;
+}
+
+/**
+ * How to read rate limit state from a provider's response headers (see RateLimitHeaderParser).
+ * Header names are matched case-insensitively; unset names are skipped.
+ */
+export interface RateLimitHeaderConfig {
+    headers?: {
+        requestsLimit?: string | null;
+        requestsRemaining?: string | null;
+        requestsReset?: string | null;
+        tokensLimit?: string | null;
+        tokensRemaining?: string | null;
+        tokensReset?: string | null;
+        inputTokensLimit?: string | null;
+        inputTokensRemaining?: string | null;
+        inputTokensReset?: string | null;
+        outputTokensLimit?: string | null;
+        outputTokensRemaining?: string | null;
+        outputTokensReset?: string | null;
+        requestId?: string | null;
+        processingMs?: string | null;
+    };
+    /** Format of the reset headers: OpenAI-style durations (`1m30s`) or ISO 8601 timestamps */
+    resetTimeFormat?: 'duration' | 'iso8601';
+    enabled: boolean;
 }
 
 export interface ProviderConfig {
     name: string;
     displayName: string;
+    /** Chat endpoint; `{model}` is replaced with the model of each request (e.g. Gemini `models/{model}:generateContent`) */
     chatApiUrl: string;
     modelsApiUrl?: string;
+    embeddingsApiUrl?: string;
+    /** Batch jobs endpoint (e.g. /v1/batches); batch jobs are unsupported without it */
+    batchApiUrl?: string;
+    /** File upload endpoint for batch input (OpenAI format) */
+    filesApiUrl?: string;
     docsUrl?: string;
     envVarNames: string[];
     defaultModel: string;
@@ -43,12 +109,20 @@ export interface ProviderConfig {
     endpointAuthConfigs?: Record<string, AuthConfig>;
     parseConfig: ParseConfig;
     chatConfig: ChatConfig;
+    embeddingsConfig?: EmbeddingsConfig;
+    batchConfig?: BatchConfig;
+    rateLimitHeaderConfig?: RateLimitHeaderConfig;
+    /** Model prices in USD per million tokens, keyed by model id or id prefix (`'*'` for any model); see Pricing.ts */
+    pricing?: Record<string, ModelPricing>;
     active: boolean;
 }
 
 export interface ConfigureInput {
     chatApiUrl?: string;
     modelsApiUrl?: string;
+    embeddingsApiUrl?: string;
+    batchApiUrl?: string;
+    filesApiUrl?: string;
     baseUrl?: string;
     envVarNames?: string[];
     apiKey?: string;
@@ -58,8 +132,14 @@ export interface ConfigureInput {
     iconUrl?: string;
     customHeaders?: Record<string, string>;
     authConfig?: Partial<AuthConfig>;
+    endpointAuthConfigs?: Record<string, AuthConfig>;
     parseConfig?: Partial<ParseConfig>;
     chatConfig?: Partial<ChatConfig>;
+    embeddingsConfig?: Partial<EmbeddingsConfig>;
+    batchConfig?: Partial<BatchConfig>;
+    rateLimitHeaderConfig?: Partial<RateLimitHeaderConfig>;
+    /** Merged per model with the existing prices */
+    pricing?: Record<string, ModelPricing>;
     active?: boolean;
 }
 
@@ -69,6 +149,7 @@ export interface ConfigureInput {
  * @property provider - Provider name ('openai', 'anthropic', 'google', 'openrouter', 'ollama')
  * @property name - Display name (if available from API)
  * @property contextWindow - Maximum tokens limit (if available from API, e.g. Gemini)
+ * @property inputModalities - Input the model takes (if available from API, e.g. OpenRouter: 'text', 'image', 'file')
  * @property raw - Full raw API response for this model
  */
 export interface UnifiedModel {
@@ -76,6 +157,7 @@ export interface UnifiedModel {
     provider: string;
     name: string;
     contextWindow?: number;
+    inputModalities?: string[];
     raw: unknown;
 }
 
@@ -83,6 +165,66 @@ export interface ListOptions {
     active?: boolean;
 }
 
+const OPENAI_RATE_LIMIT_HEADERS: RateLimitHeaderConfig = {
+    headers: {
+        requestsLimit: 'x-ratelimit-limit-requests',
+        requestsRemaining: 'x-ratelimit-remaining-requests',
+        requestsReset: 'x-ratelimit-reset-requests',
+        tokensLimit: 'x-ratelimit-limit-tokens',
+        tokensRemaining: 'x-ratelimit-remaining-tokens',
+        tokensReset: 'x-ratelimit-reset-tokens',
+        requestId: 'x-request-id',
+        processingMs: 'openai-processing-ms'
+    },
+    resetTimeFormat: 'duration',
+    enabled: true
+};
+
+/**
+ * List prices (USD per million tokens, standard tier) of built-in providers; override with configure({ pricing }).
+ * Keys also price their dated snapshots (`claude-opus-4-1` prices `claude-opus-4-1-20250805`), not other models sharing the prefix.
+ */
+const OPENAI_PRICING: Record<string, ModelPricing> = {
+    'gpt-5': { input: 1.25, output: 10, cachedInput: 0.125 },
+    'gpt-5-pro': { input: 15, output: 120 },
+    'gpt-5-mini': { input: 0.25, output: 2, cachedInput: 0.025 },
+    'gpt-5-nano': { input: 0.05, output: 0.4, cachedInput: 0.005 },
+    'gpt-4.1': { input: 2, output: 8, cachedInput: 0.5 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6, cachedInput: 0.1 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4, cachedInput: 0.025 },
+    'gpt-4o': { input: 2.5, output: 10, cachedInput: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cachedInput: 0.075 },
+    'o3': { input: 2, output: 8, cachedInput: 0.5 },
+    'o3-pro': { input: 20, output: 80 },
+    'o3-mini': { input: 1.1, output: 4.4, cachedInput: 0.55 },
+    'o4-mini': { input: 1.1, output: 4.4, cachedInput: 0.275 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+};
+
+const ANTHROPIC_PRICING: Record<string, ModelPricing> = {
+    'claude-opus-4-5': { input: 5, output: 25, cachedInput: 0.5, cacheWrite: 6.25 },
+    'claude-opus-4-1': { input: 15, output: 75, cachedInput: 1.5, cacheWrite: 18.75 },
+    'claude-opus-4': { input: 15, output: 75, cachedInput: 1.5, cacheWrite: 18.75 },
+    'claude-sonnet-4-5': { input: 3, output: 15, cachedInput: 0.3, cacheWrite: 3.75 },
+    'claude-sonnet-4': { input: 3, output: 15, cachedInput: 0.3, cacheWrite: 3.75 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cachedInput: 0.3, cacheWrite: 3.75 },
+    'claude-3-5-sonnet': { input: 3, output: 15, cachedInput: 0.3, cacheWrite: 3.75 },
+    'claude-haiku-4-5': { input: 1, output: 5, cachedInput: 0.1, cacheWrite: 1.25 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cachedInput: 0.08, cacheWrite: 1 },
+    'claude-3-haiku': { input: 0.25, output: 1.25, cachedInput: 0.03, cacheWrite: 0.3 },
+};
+
+const GOOGLE_PRICING: Record<string, ModelPricing> = {
+    'gemini-2.5-pro': { input: 1.25, output: 10, cachedInput: 0.31 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5, cachedInput: 0.075 },
+    'gemini-2.5-flash-lite': { input: 0.1, output: 0.4, cachedInput: 0.025 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4, cachedInput: 0.025 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+};
+
+/** Ollama server from OLLAMA_API_URL; a full `/api/generate` or `/api/chat` URL (older setups) is reduced to its server. */
+const OLLAMA_BASE_URL = (process.env?.OLLAMA_API_URL || 'http://localhost:11434').replace(/\/api\/(generate|chat)\/?$|\/$/, '');
+
 class ProviderRegistry {
     static #initialized = false;
     static #providers = new Map<string, ProviderConfig>();
@@ -98,6 +240,9 @@ class ProviderRegistry {
             displayName: 'OpenAI',
             chatApiUrl: 'https://api.openai.com/v1/chat/completions',
             modelsApiUrl: 'https://api.openai.com/v1/models',
+            embeddingsApiUrl: 'https://api.openai.com/v1/embeddings',
+            batchApiUrl: 'https://api.openai.com/v1/batches',
+            filesApiUrl: 'https://api.openai.com/v1/files',
             docsUrl: "https://developers.openai.com/api/reference/resources/chat/subresources/completions/methods/create",
             envVarNames: ['OPENAI_API_KEY'],
             defaultModel: 'gpt-5-nano',
@@ -123,6 +268,19 @@ class ProviderRegistry {
                 toolSchemaType: 'openai',
                 structuredOutputRequestField: 'response_format',
             },
+            embeddingsConfig: {
+                requestFormat: 'openai',
+                defaultModel: 'text-embedding-3-small',
+                maxBatchSize: 2048,
+                maxBatchTokens: 300000,
+                supportsDimensions: true,
+            },
+            batchConfig: {
+                format: 'openai',
+                completionWindow: '24h',
+            },
+            rateLimitHeaderConfig: OPENAI_RATE_LIMIT_HEADERS,
+            pricing: OPENAI_PRICING,
             active: true
         },
         anthropic: {
@@ -130,6 +288,7 @@ class ProviderRegistry {
             displayName: 'Anthropic',
             chatApiUrl: 'https://api.anthropic.com/v1/messages',
             modelsApiUrl: 'https://api.anthropic.com/v1/models',
+            batchApiUrl: 'https://api.anthropic.com/v1/messages/batches',
             docsUrl: "https://platform.claude.com/docs/en/api/messages/create",
             envVarNames: ['ANTHROPIC_API_KEY'],
             defaultModel: 'claude-haiku-4-5-20251001',
@@ -157,6 +316,29 @@ class ProviderRegistry {
                 toolSchemaType: 'anthropic',
                 structuredOutputRequestField: 'output_config',
             },
+            batchConfig: {
+                format: 'anthropic',
+            },
+            rateLimitHeaderConfig: {
+                headers: {
+                    requestsLimit: 'anthropic-ratelimit-requests-limit',
+                    requestsRemaining: 'anthropic-ratelimit-requests-remaining',
+                    requestsReset: 'anthropic-ratelimit-requests-reset',
+                    tokensLimit: 'anthropic-ratelimit-tokens-limit',
+                    tokensRemaining: 'anthropic-ratelimit-tokens-remaining',
+                    tokensReset: 'anthropic-ratelimit-tokens-reset',
+                    inputTokensLimit: 'anthropic-ratelimit-input-tokens-limit',
+                    inputTokensRemaining: 'anthropic-ratelimit-input-tokens-remaining',
+                    inputTokensReset: 'anthropic-ratelimit-input-tokens-reset',
+                    outputTokensLimit: 'anthropic-ratelimit-output-tokens-limit',
+                    outputTokensRemaining: 'anthropic-ratelimit-output-tokens-remaining',
+                    outputTokensReset: 'anthropic-ratelimit-output-tokens-reset',
+                    requestId: 'request-id'
+                },
+                resetTimeFormat: 'iso8601',
+                enabled: true
+            },
+            pricing: ANTHROPIC_PRICING,
             active: true
         },
         google: {
@@ -164,6 +346,7 @@ class ProviderRegistry {
             displayName: 'Google',
             chatApiUrl: 'https://generativelanguage.googleapis.com/v1beta/openai/chat/completions',
             modelsApiUrl: 'https://generativelanguage.googleapis.com/v1/models',
+            embeddingsApiUrl: 'https://generativelanguage.googleapis.com/v1beta/openai/embeddings',
             docsUrl: "https://ai.google.dev/api",
             envVarNames: ['GEMINI_API_KEY', 'GOOGLE_API_KEY', 'GOOGLE_GENERATIVE_AI_API_KEY'],
             defaultModel: 'gemini-2.0-flash',
@@ -180,6 +363,22 @@ class ProviderRegistry {
                     headerName: 'Authorization',
                     headerFormat: 'Bearer {key}'
                 },
+                '/embeddings': {
+                    type: 'header',
+                    headerName: 'Authorization',
+                    headerFormat: 'Bearer {key}'
+                },
+                // Native API (chatConfig.messageFormat 'google')
+                ':generateContent': {
+                    type: 'header',
+                    headerName: 'x-goog-api-key',
+                    headerFormat: '{key}'
+                },
+                ':streamGenerateContent': {
+                    type: 'header',
+                    headerName: 'x-goog-api-key',
+                    headerFormat: '{key}'
+                },
                 '/models': {
                     type: 'query',
                     queryParam: 'key'
@@ -198,7 +397,17 @@ class ProviderRegistry {
                 responseParsePath: 'choices[0].message.content',
                 toolSchemaType: 'openai',
                 structuredOutputRequestField: 'response_format',
+                documentPartType: 'image_url',
             },
+            embeddingsConfig: {
+                requestFormat: 'openai',
+                defaultModel: 'gemini-embedding-001',
+                maxBatchSize: 100,
+                supportsDimensions: true,
+            },
+            // OpenAI-compatible endpoint; parsed only when the headers are present
+            rateLimitHeaderConfig: OPENAI_RATE_LIMIT_HEADERS,
+            pricing: GOOGLE_PRICING,
             active: true
         },
         openrouter: {
@@ -206,6 +415,7 @@ class ProviderRegistry {
             displayName: 'OpenRouter',
             chatApiUrl: 'https://openrouter.ai/api/v1/chat/completions',
             modelsApiUrl: 'https://openrouter.ai/api/v1/models',
+            embeddingsApiUrl: 'https://openrouter.ai/api/v1/embeddings',
             docsUrl: 'https://openrouter.ai/docs/api/api-reference/chat/send-chat-completion-request',
             envVarNames: ['OPENROUTER_API_KEY'],
             defaultModel: 'openrouter/free',
@@ -226,6 +436,7 @@ class ProviderRegistry {
                 nameField: 'id',
                 displayNameField: 'name',
                 contextWindowField: 'context_length',
+                inputModalitiesField: 'architecture.input_modalities',
                 idPrefix: null
             },
             chatConfig: {
@@ -234,13 +445,26 @@ class ProviderRegistry {
                 toolSchemaType: 'openai',
                 structuredOutputRequestField: 'response_format',
             },
+            embeddingsConfig: {
+                requestFormat: 'openai',
+                defaultModel: 'openai/text-embedding-3-small',
+                maxBatchSize: 2048,
+                supportsDimensions: true,
+            },
+            rateLimitHeaderConfig: {
+                enabled: false
+            },
+            pricing: {
+                'openrouter/free': { input: 0, output: 0 },
+            },
             active: true
         },
         ollama: {
             name: 'ollama',
             displayName: 'Ollama',
-            chatApiUrl: process.env?.OLLAMA_API_URL || 'http://localhost:11434/api/generate',
-            modelsApiUrl: `${process.env?.OLLAMA_API_URL || 'http://localhost:11434'}/api/tags`,
+            chatApiUrl: `${OLLAMA_BASE_URL}/api/chat`,
+            modelsApiUrl: `${OLLAMA_BASE_URL}/api/tags`,
+            embeddingsApiUrl: `${OLLAMA_BASE_URL}/api/embed`,
             envVarNames: ['OLLAMA_API_KEY'],
             defaultModel: 'llama3.1:8b',
             apiVersion: null,
@@ -261,10 +485,25 @@ class ProviderRegistry {
                 idPrefix: null
             },
             chatConfig: {
-                messageFormat: 'openai',
-                responseParsePath: 'response',
+                messageFormat: 'ollama',
+                responseParsePath: 'message.content',
                 toolSchemaType: 'openai',
-                structuredOutputRequestField: 'response_format',
+                structuredOutputRequestField: 'format',
+                // Vision models (llava, llama3.2-vision, gemma3, ...) also take images; see MessageContent.ts
+                inputModalities: ['text'],
+            },
+            embeddingsConfig: {
+                requestFormat: 'ollama',
+                defaultModel: 'nomic-embed-text',
+                maxBatchSize: 512,
+                supportsDimensions: true,
+            },
+            rateLimitHeaderConfig: {
+                enabled: false
+            },
+            pricing: {
+                // Local models
+                '*': { input: 0, output: 0 },
             },
             active: true
         }
@@ -298,8 +537,9 @@ class ProviderRegistry {
 
     /**
      * Configure or update a provider. Uses merge strategy: new config merges with existing.
-     * Supports baseUrl (for Ollama/OpenAI-compatible), chatApiUrl, modelsApiUrl, envVarNames,
-     * apiKey, defaultModel, authConfig, parseConfig, chatConfig, active. See ConfigureInput.
+     * Supports baseUrl (for Ollama/OpenAI-compatible), chatApiUrl, modelsApiUrl, embeddingsApiUrl, batchApiUrl,
+     * filesApiUrl, envVarNames, apiKey, defaultModel, authConfig, endpointAuthConfigs, parseConfig, chatConfig, embeddingsConfig,
+     * batchConfig, pricing, active. See ConfigureInput. Batch URLs are never derived from baseUrl.
      * @param providerName - Provider identifier
      * @param config - Provider configuration (partial merge)
      * @returns The merged provider config
@@ -312,20 +552,25 @@ class ProviderRegistry {
 
         let chatApiUrl = config.chatApiUrl || existing.chatApiUrl;
         let modelsApiUrl = config.modelsApiUrl || existing.modelsApiUrl;
+        let embeddingsApiUrl = config.embeddingsApiUrl || existing.embeddingsApiUrl;
 
         if (config.baseUrl) {
             const baseUrl = config.baseUrl.replace(/\/$/, '');
 
             if (providerName === 'ollama') {
                 if (!existing.chatApiUrl && !config.chatApiUrl)
-                    chatApiUrl = `${baseUrl}/api/generate`;
+                    chatApiUrl = `${baseUrl}/api/chat`;
                 if (!existing.modelsApiUrl && !config.modelsApiUrl)
                     modelsApiUrl = `${baseUrl}/api/tags`;
+                if (!existing.embeddingsApiUrl && !config.embeddingsApiUrl)
+                    embeddingsApiUrl = `${baseUrl}/api/embed`;
             } else {
                 if (!existing.chatApiUrl && !config.chatApiUrl)
                     chatApiUrl = `${baseUrl}/v1/chat/completions`;
                 if (!existing.modelsApiUrl && !config.modelsApiUrl)
                     modelsApiUrl = `${baseUrl}/v1/models`;
+                if (!existing.embeddingsApiUrl && !config.embeddingsApiUrl)
+                    embeddingsApiUrl = `${baseUrl}/v1/embeddings`;
             }
         }
 
@@ -344,6 +589,9 @@ class ProviderRegistry {
             displayName: config.displayName || existing.displayName || providerName,
             chatApiUrl: chatApiUrl || '',
             modelsApiUrl: modelsApiUrl,
+            embeddingsApiUrl: embeddingsApiUrl,
+            batchApiUrl: config.batchApiUrl || existing.batchApiUrl,
+            filesApiUrl: config.filesApiUrl || existing.filesApiUrl,
             envVarNames: config.envVarNames || existing.envVarNames || [],
             defaultModel: config.defaultModel || existing.defaultModel || '',
             apiVersion: config.apiVersion !== undefined ? config.apiVersion : (existing.apiVersion ?? null),
@@ -356,6 +604,9 @@ class ProviderRegistry {
                     headerName: 'Authorization',
                     headerFormat: 'Bearer {key}'
                 } as AuthConfig),
+            endpointAuthConfigs: config.endpointAuthConfigs || existing.endpointAuthConfigs
+                ? { ...(existing.endpointAuthConfigs || {}), ...(config.endpointAuthConfigs || {}) }
+                : undefined,
             parseConfig: config.parseConfig
                 ? { ...(existing.parseConfig || {} as ParseConfig), ...config.parseConfig } as ParseConfig
                 : (existing.parseConfig || {
@@ -374,6 +625,25 @@ class ProviderRegistry {
                     toolSchemaType: 'openai',
                     structuredOutputRequestField: 'response_format',
                 } as ChatConfig),
+            embeddingsConfig: config.embeddingsConfig
+                ? {
+                    ...(existing.embeddingsConfig || {
+                        requestFormat: providerName === 'ollama' ? 'ollama' : 'openai',
+                        defaultModel: '',
+                        maxBatchSize: 100,
+                    }),
+                    ...config.embeddingsConfig,
+                } as EmbeddingsConfig
+                : existing.embeddingsConfig,
+            batchConfig: config.batchConfig
+                ? { ...(existing.batchConfig || { format: 'openai' }), ...config.batchConfig } as BatchConfig
+                : existing.batchConfig,
+            rateLimitHeaderConfig: config.rateLimitHeaderConfig
+                ? { ...(existing.rateLimitHeaderConfig || { enabled: true }), ...config.rateLimitHeaderConfig } as RateLimitHeaderConfig
+                : (existing.rateLimitHeaderConfig || { enabled: false }),
+            pricing: config.pricing || existing.pricing
+                ? { ...(existing.pricing || {}), ...(config.pricing || {}) }
+                : undefined,
             active: config.active !== undefined ? config.active : (existing.active !== undefined ? existing.active : true)
         };
 
@@ -449,6 +719,43 @@ class ProviderRegistry {
         return provider ? provider.chatApiUrl : null;
     }
 
+    /** Get the embeddings API URL for a provider (null if it has none). */
+    static getEmbeddingsApiUrl(providerName: string): string | null {
+        this.init();
+        providerName = this.#normalizeProviderName(providerName);
+        const provider = this.get(providerName);
+        return provider?.embeddingsApiUrl || null;
+    }
+
+    /**
+     * Get the embeddings config for a provider. Providers with an embeddings URL but no config
+     * get OpenAI request format and a batch size of 100.
+     */
+    static getEmbeddingsConfig(providerName: string): EmbeddingsConfig | null {
+        this.init();
+        providerName = this.#normalizeProviderName(providerName);
+        const provider = this.get(providerName);
+        if (!provider?.embeddingsApiUrl) return null;
+        return provider.embeddingsConfig || { requestFormat: 'openai', defaultModel: '', maxBatchSize: 100 };
+    }
+
+    /**
+     * Get the batch job URLs and config for a provider (null without `batchApiUrl`). Providers with a
+     * batch URL but no config use the format of their chat messages.
+     */
+    static getBatchConfig(providerName: string): (BatchConfig & { batchApiUrl: string; filesApiUrl: string | null }) | null {
+        this.init();
+        providerName = this.#normalizeProviderName(providerName);
+        const provider = this.get(providerName);
+        if (!provider?.batchApiUrl) return null;
+        const format = provider.chatConfig?.messageFormat === 'anthropic' ? 'anthropic' : 'openai';
+        return {
+            ...(provider.batchConfig || { format }),
+            batchApiUrl: provider.batchApiUrl,
+            filesApiUrl: provider.filesApiUrl || null,
+        };
+    }
+
     /** Get auth headers (and customHeaders) for a provider; uses endpoint-specific auth when endpointAuthConfigs match the URL. */
     static getHeaders(providerName: string, defaultHeaders: Record<string, string> = {}): Record<string, string> {
         this.init();
@@ -470,6 +777,25 @@ class ProviderRegistry {
         return provider?.chatConfig || null;
     }
 
+    /**
+     * Get the prices of a provider's model (null if the provider or model is not priced).
+     * @example
+     * ProviderRegistry.getModelPricing('anthropic', 'claude-haiku-4-5-20251001'); // { input: 1, output: 5, cachedInput: 0.1, cacheWrite: 1.25 }
+     */
+    static getModelPricing(providerName: string, model: string | null | undefined): ModelPricing | null {
+        this.init();
+        providerName = this.#normalizeProviderName(providerName);
+        return findModelPricing(this.#providers.get(providerName)?.pricing, model);
+    }
+
+    /** Get rate limit header config for a provider (null if the provider is unknown). */
+    static getRateLimitHeaderConfig(providerName: string): RateLimitHeaderConfig | null {
+        this.init();
+        providerName = this.#normalizeProviderName(providerName);
+        const provider = this.get(providerName);
+        return provider?.rateLimitHeaderConfig || null;
+    }
+
     /** Whether an API key is set for the provider (from config or environment). */
     static hasApiKey(providerName: string): boolean {
         this.init();
@@ -629,6 +955,14 @@ class ProviderRegistry {
         return models.find(m => m.id === modelName) || null;
     }
 
+    /** Get a model from the cache only (null if getModels()/getModel() has not loaded it). */
+    static getCachedModel(providerName: string, modelName: string): UnifiedModel | null {
+        this.init();
+
+        providerName = this.#normalizeProviderName(providerName);
+        return this.#modelsCache.get(providerName)?.get(modelName) ?? null;
+    }
+
     static saveModel(providerName: string, modelName: string, modelData: Partial<UnifiedModel>): void {
         this.init();
 
@@ -756,11 +1090,16 @@ class ProviderRegistry {
                                undefined) as number | undefined;
             }
 
+            const inputModalities = parseConfig.inputModalitiesField
+                ? this.#getNestedValue(m, parseConfig.inputModalitiesField)
+                : null;
+
             return {
                 id: id || 'unknown',
                 provider: providerName,
                 name: displayName || name || id || 'unknown',
                 contextWindow: contextWindow || undefined,
+                ...(Array.isArray(inputModalities) ? { inputModalities } : {}),
                 raw: model
             } as UnifiedModel;
         }).filter((model): model is UnifiedModel => model !== null);
@@ -0,0 +1,151 @@
+import ProviderRegistry from './ProviderRegistry.js';
+
+/** Limit, remaining quota and time to reset for one rate limit window. */
+export interface RateLimitWindow {
+    limit: number | null;
+    remaining: number | null;
+    /** Milliseconds until the window resets */
+    resetMs: number | null;
+}
+
+/** Provider rate limit state, normalized from response headers. */
+export interface RateLimitInfo {
+    requests: RateLimitWindow;
+    /** Combined input+output tokens (OpenAI), total tokens (Anthropic) */
+    tokens: RateLimitWindow;
+    /** Anthropic: separate input token limit */
+    inputTokens: RateLimitWindow | null;
+    /** Anthropic: separate output token limit */
+    outputTokens: RateLimitWindow | null;
+    provider: string;
+    requestId: string | null;
+    /** Server-side processing time (OpenAI) */
+    processingMs: number | null;
+    raw: Record<string, string>;
+}
+
+type HeadersLike = Headers | Record<string, string>;
+
+/**
+ * Rate Limit Header Parser: converts provider response headers into a normalized `RateLimitInfo`,
+ * using the provider's `rateLimitHeaderConfig` from the ProviderRegistry.
+ *
+ * @example
+ * const rateLimitInfo = RateLimitHeaderParser.parse('openai', { 'x-ratelimit-remaining-requests': '4999', ... });
+ * // { requests: { limit: 5000, remaining: 4999, resetMs: 12 }, tokens: {...}, provider: 'openai', ... }
+ */
+class RateLimitHeaderParser {
+    /**
+     * Parse response headers into normalized rate limit info.
+     * @param providerName - Provider whose header config to use
+     * @param responseHeaders - Plain headers object or fetch `Headers`
+     * @returns Rate limit info, or null when disabled for the provider or no rate limit headers are present
+     */
+    static parse(providerName: string, responseHeaders: HeadersLike | null | undefined): RateLimitInfo | null {
+        const config = ProviderRegistry.getRateLimitHeaderConfig(providerName);
+        if (!config?.enabled || !config.headers || !responseHeaders) {
+            return null;
+        }
+        const raw = RateLimitHeaderParser.#toPlainObject(responseHeaders);
+        const names = config.headers;
+        const header = (name: string | null | undefined): string | null => (name ? raw[name.toLowerCase()] ?? null : null);
+        const window = (limit?: string | null, remaining?: string | null, reset?: string | null): RateLimitWindow => ({
+            limit: RateLimitHeaderParser.#parseNumber(header(limit)),
+            remaining: RateLimitHeaderParser.#parseNumber(header(remaining)),
+            resetMs: RateLimitHeaderParser.#parseReset(header(reset), config.resetTimeFormat),
+        });
+        const hasValues = (w: RateLimitWindow) => w.limit !== null || w.remaining !== null || w.resetMs !== null;
+
+        const requests = window(names.requestsLimit, names.requestsRemaining, names.requestsReset);
+        const tokens = window(names.tokensLimit, names.tokensRemaining, names.tokensReset);
+        const inputTokens = window(names.inputTokensLimit, names.inputTokensRemaining, names.inputTokensReset);
+        const outputTokens = window(names.outputTokensLimit, names.outputTokensRemaining, names.outputTokensReset);
+        if (![requests, tokens, inputTokens, outputTokens].some(hasValues)) {
+            return null;
+        }
+
+        return {
+            requests,
+            tokens,
+            inputTokens: hasValues(inputTokens) ? inputTokens : null,
+            outputTokens: hasValues(outputTokens) ? outputTokens : null,
+            provider: providerName,
+            requestId: header(names.requestId),
+            processingMs: RateLimitHeaderParser.#parseNumber(header(names.processingMs)),
+            raw,
+        };
+    }
+
+    /**
+     * Parse an OpenAI-style duration string to milliseconds.
+     * @param durationStr - e.g. `"12ms"`, `"6s"`, `"1m30s"`, `"1h2m"`
+     * @returns Milliseconds, or null when the string is not a duration
+     */
+    static parseDurationToMs(durationStr: string | null | undefined): number | null {
+        if (typeof durationStr !== 'string') return null;
+        const value = durationStr.trim();
+        if (!/^(\d+(\.\d+)?(ms|h|m|s))+$/.test(value)) return null;
+        const unitMs: Record<string, number> = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+        let total = 0;
+        for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+            total += parseFloat(amount) * unitMs[unit];
+        }
+        return Math.round(total);
+    }
+
+    /**
+     * Parse an ISO 8601 timestamp to milliseconds from now (floored at 0 for past timestamps / clock skew).
+     * @param isoStr - e.g. `"2026-02-22T05:48:17Z"`
+     * @returns Milliseconds until the timestamp, or null when the string is not a date
+     */
+    static parseIso8601ToMs(isoStr: string | null | undefined): number | null {
+        if (typeof isoStr !== 'string') return null;
+        const timestamp = Date.parse(isoStr);
+        if (Number.isNaN(timestamp)) return null;
+        return Math.max(0, timestamp - Date.now());
+    }
+
+    /**
+     * Read the time to wait before retrying from `retry-after-ms` or `retry-after` (seconds or HTTP date).
+     * @param responseHeaders - Plain headers object or fetch `Headers`
+     * @returns Milliseconds (floored at 0), or null when no retry hint is present
+     */
+    static parseRetryAfter(responseHeaders: HeadersLike | null | undefined): number | null {
+        if (!responseHeaders) return null;
+        const raw = RateLimitHeaderParser.#toPlainObject(responseHeaders);
+        const retryAfterMs = RateLimitHeaderParser.#parseNumber(raw['retry-after-ms'] ?? null);
+        if (retryAfterMs !== null) return Math.max(0, retryAfterMs);
+        const retryAfter = raw['retry-after'];
+        if (retryAfter === undefined) return null;
+        const seconds = RateLimitHeaderParser.#parseNumber(retryAfter);
+        if (seconds !== null) return Math.max(0, seconds * 1000);
+        const date = Date.parse(retryAfter);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    static #parseReset(value: string | null, format: 'duration' | 'iso8601' | undefined): number | null {
+        return format === 'iso8601'
+            ? RateLimitHeaderParser.parseIso8601ToMs(value)
+            : RateLimitHeaderParser.parseDurationToMs(value);
+    }
+
+    static #parseNumber(value: string | null): number | null {
+        if (value === null || value.trim() === '') return null;
+        const parsed = Number(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+
+    static #toPlainObject(headers: HeadersLike): Record<string, string> {
+        const plain: Record<string, string> = {};
+        if (typeof (headers as Headers).forEach === 'function') {
+            (headers as Headers).forEach((value, key) => { plain[key.toLowerCase()] = value; });
+            return plain;
+        }
+        for (const [key, value] of Object.entries(headers)) {
+            plain[key.toLowerCase()] = String(value);
+        }
+        return plain;
+    }
+}
+
+export default RateLimitHeaderParser;
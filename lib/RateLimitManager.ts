@@ -1,15 +1,46 @@
 import TokenBucket from './TokenBucket.js';
-import { sleep } from './Utility.js';
+import type { RateLimitInfo, RateLimitWindow } from './RateLimitHeaderParser.js';
+import type { SharedBucketConfig, StateBackend } from './StateBackend.js';
 
 export interface RateLimitConfig {
     requestsPerMinute?: number;
     llmTokensPerMinute?: number;
+    /** Maximum requests waiting for the bucket; more fail with RATE_LIMIT_EXHAUSTED (default unlimited) */
+    maxQueueDepth?: number;
+    /** Maximum time a request waits in the queue before RATE_LIMIT_EXHAUSTED (default unlimited) */
+    maxQueueWaitMs?: number;
 }
 
 export interface AcquireResult {
     totalWaitMs: number;
 }
 
+export interface AcquireOptions {
+    /** Higher is served first (default 0) */
+    priority?: number;
+    /** Maximum time in the queue in ms (default: the manager's `maxQueueWaitMs`) */
+    maxWaitMs?: number;
+}
+
+interface QueuedAcquire {
+    llmTokenCount: number;
+    priority: number;
+    enqueuedAt: number;
+    timer: ReturnType<typeof setTimeout> | null;
+    settle: (error: Error | null, result?: AcquireResult) => void;
+}
+
+interface TakeOutcome {
+    taken: boolean;
+    retryAfterMs: number;
+}
+
+/** Floor and ceiling of the queue's wake-up delay */
+const MIN_WAKE_UP_MS = 10;
+const MAX_WAKE_UP_MS = 60000;
+/** Longest sleep with a state backend, where other processes can return tokens at any time */
+const SHARED_WAKE_UP_MS = 1000;
+
 /**
  * Rate Limit Manager: manages rate limits for a given bucketId using two token buckets
  * (requests per minute and LLM tokens per minute).
@@ -21,6 +52,15 @@ export interface AcquireResult {
  * const rateLimitManager = new RateLimitManager({ requestsPerMinute: 60, llmTokensPerMinute: 150000 });
  * rateLimitManager.acquire(4048); // 1 request token + 4048 LLM tokens
  * rateLimitManager.syncConfig({ requestsPerMinute: 120, llmTokensPerMinute: 300000 });
+ *
+ * // Interactive requests go ahead of batch jobs; give up after 5s in the queue
+ * await rateLimitManager.acquire(500, abortSignal, { priority: 10, maxWaitMs: 5000 });
+ *
+ * // Reserved 4048 LLM tokens, the provider reported 1200 used: 2848 go back to the bucket
+ * await rateLimitManager.reconcile(4048, 1200);
+ *
+ * // Share the buckets with other processes
+ * const shared = RateLimitManager.getInstance('openai', { requestsPerMinute: 500 }, new RedisStateBackend({ client: redis }));
  */
 class RateLimitManager {
     static #instances = new Map<string, RateLimitManager>(); // bucketId -> instance
@@ -29,23 +69,51 @@ class RateLimitManager {
     requestBucket: TokenBucket;
     /** Limits number of LLM text tokens per minute. */
     llmTokenBucket: TokenBucket;
+    /** Identifies the shared buckets in the state backend. */
+    bucketId: string;
+    /** Shared token buckets (null: this process's buckets only). The local buckets still hold the config. */
+    stateBackend: StateBackend | null;
+    maxQueueDepth: number;
+    maxQueueWaitMs: number | undefined;
+    /** Buckets synced from provider headers; static config no longer overrides them. */
+    private _syncedFromProvider: { requests: boolean; tokens: boolean };
+    /** Waiting requests by priority, then arrival */
+    private _queue: QueuedAcquire[];
+    private _draining: boolean;
+    private _drainRequested: boolean;
+    private _wakeUpTimer: ReturnType<typeof setTimeout> | null;
 
-    constructor({ requestsPerMinute = 60, llmTokensPerMinute = 150000 }: RateLimitConfig = {}) {
+    constructor(
+        { requestsPerMinute = 60, llmTokensPerMinute = 150000, maxQueueDepth = Infinity, maxQueueWaitMs }: RateLimitConfig = {},
+        { bucketId = 'default', stateBackend = null }: { bucketId?: string; stateBackend?: StateBackend | null } = {}
+    ) {
         this.requestBucket = new TokenBucket(requestsPerMinute, requestsPerMinute / 60); // refill per second
         this.llmTokenBucket = new TokenBucket(llmTokensPerMinute, llmTokensPerMinute / 60); // refill per second
+        this.bucketId = bucketId;
+        this.stateBackend = stateBackend;
+        this.maxQueueDepth = maxQueueDepth;
+        this.maxQueueWaitMs = maxQueueWaitMs;
+        this._syncedFromProvider = { requests: false, tokens: false };
+        this._queue = [];
+        this._draining = false;
+        this._drainRequested = false;
+        this._wakeUpTimer = null;
     }
 
     /**
      * Get or create a rate limit manager instance for the given bucketId.
      * @param bucketId - The service identifier
      * @param config - Rate limit configuration (merged if instance exists)
+     * @param stateBackend - Backend sharing the buckets across processes (replaces the instance's backend when given)
      * @returns The rate limit manager instance for that bucket
      */
-    static getInstance(bucketId: string, config?: RateLimitConfig): RateLimitManager {
+    static getInstance(bucketId: string, config?: RateLimitConfig, stateBackend?: StateBackend | null): RateLimitManager {
         if (!this.#instances.has(bucketId)) {
-            this.#instances.set(bucketId, new RateLimitManager(config));
-        } else if (config) {
-            this.#instances.get(bucketId)!.syncConfig(config);
+            this.#instances.set(bucketId, new RateLimitManager(config, { bucketId, stateBackend }));
+        } else {
+            const instance = this.#instances.get(bucketId)!;
+            if (config) instance.syncConfig(config);
+            if (stateBackend !== undefined) instance.stateBackend = stateBackend;
         }
         return this.#instances.get(bucketId)!;
     }
@@ -58,68 +126,302 @@ class RateLimitManager {
         this.#instances.delete(bucketId);
     }
 
+    /** Requests waiting in the queue. */
+    get queueDepth(): number {
+        return this._queue.length;
+    }
+
     /**
-     * Attempt to acquire a request slot and the required number of LLM tokens.
-     * Waits until both are available; respects abortSignal for cancellation.
+     * Acquire a request slot and the required number of LLM tokens.
+     * Requests are served in priority order, first come first served within a priority: a request
+     * at the head of the queue is never overtaken by smaller ones, so it cannot starve.
+     * The queue wakes up when the buckets have refilled enough for the head request.
      * @param llmTokenCount - Number of LLM tokens to reserve
      * @param abortSignal - Optional abort signal to cancel the wait
+     * @param options.priority - Higher is served first (default 0), e.g. 10 for interactive, -10 for batch
+     * @param options.maxWaitMs - Maximum time in the queue (default: `maxQueueWaitMs`)
      * @returns Time spent waiting for rate limit tokens (totalWaitMs)
+     * @throws {Error} `RateLimitExhaustedError` when the queue is full or the wait exceeds `maxWaitMs`
      */
-    async acquire(llmTokenCount: number = 1, abortSignal?: AbortSignal): Promise<AcquireResult> {
+    async acquire(
+        llmTokenCount: number = 1,
+        abortSignal?: AbortSignal,
+        { priority = 0, maxWaitMs = this.maxQueueWaitMs }: AcquireOptions = {}
+    ): Promise<AcquireResult> {
         if (abortSignal?.aborted) {
-            const error = new Error(abortSignal.reason || 'Operation was aborted');
-            error.name = 'AbortError';
+            throw RateLimitManager._abortError(abortSignal);
+        }
+        if (this._queue.length > 0 && llmTokenCount > this.llmTokenBucket.capacity) {
+            // Fail fast instead of waiting for the head; with an empty queue the first take reports it
+            const error = new Error('Cannot remove more tokens than the bucket capacity');
+            error.name = 'OversizedRequestError';
             throw error;
         }
+        if (this._queue.length >= this.maxQueueDepth) {
+            throw RateLimitManager._exhaustedError(`Rate limit queue for ${this.bucketId} is full (${this._queue.length} waiting)`);
+        }
 
         console.log('Awaiting rate limit...');
-        let waitTime = 0;
-        while (!abortSignal?.aborted) {
-            let llmTokenAcquired = false;
-            let requestAcquired = false;
-            try {
-                llmTokenAcquired = this.llmTokenBucket.tryRemoveToken(llmTokenCount);
-                if (llmTokenAcquired) {
-                    requestAcquired = this.requestBucket.tryRemoveToken();
+        return new Promise<AcquireResult>((resolve, reject) => {
+            const waiter: QueuedAcquire = {
+                llmTokenCount,
+                priority,
+                enqueuedAt: Date.now(),
+                timer: null,
+                settle: (error, result) => {
+                    this._remove(waiter);
+                    if (waiter.timer) clearTimeout(waiter.timer);
+                    abortSignal?.removeEventListener('abort', onAbort);
+                    if (error) {
+                        reject(error);
+                    } else {
+                        console.log('Rate limit acquired after waiting for %dms...', result!.totalWaitMs);
+                        resolve(result!);
+                    }
+                },
+            };
+            const onAbort = () => {
+                waiter.settle(RateLimitManager._abortError(abortSignal!));
+                this._drain();
+            };
+            abortSignal?.addEventListener('abort', onAbort, { once: true });
+            if (maxWaitMs != null && Number.isFinite(maxWaitMs)) {
+                waiter.timer = setTimeout(() => {
+                    waiter.settle(RateLimitManager._exhaustedError(
+                        `Rate limit not acquired for ${this.bucketId} within ${maxWaitMs}ms (${this._queue.length} waiting)`
+                    ));
+                    this._drain();
+                }, maxWaitMs);
+            }
+
+            // Priority first, then arrival order
+            const index = this._queue.findIndex(queued => queued.priority < priority);
+            this._queue.splice(index === -1 ? this._queue.length : index, 0, waiter);
+            this._drain();
+        });
+    }
+
+    /**
+     * Serve the queue from its head while the buckets allow, then sleep until the head can be served.
+     * Re-entrant calls (new request, abort, refill) are folded into the running pass.
+     * @private
+     */
+    private async _drain(): Promise<void> {
+        if (this._draining) {
+            this._drainRequested = true;
+            return;
+        }
+        this._draining = true;
+        try {
+            do {
+                this._drainRequested = false;
+                this._clearWakeUp();
+                while (this._queue.length > 0) {
+                    const head = this._queue[0];
+                    let taken: TakeOutcome;
+                    try {
+                        taken = await this._take(head.llmTokenCount);
+                    } catch (error) {
+                        // e.g. OversizedRequestError after the provider lowered the limit
+                        head.settle(error as Error);
+                        continue;
+                    }
+                    if (this._queue[0] !== head) {
+                        // Head aborted or timed out while taking: give the tokens back and re-evaluate
+                        if (taken.taken) await this._refund(head.llmTokenCount);
+                        continue;
+                    }
+                    if (!taken.taken) {
+                        this._scheduleWakeUp(taken.retryAfterMs);
+                        break;
+                    }
+                    head.settle(null, { totalWaitMs: Date.now() - head.enqueuedAt });
                 }
-                if (llmTokenAcquired && requestAcquired) {
-                    console.log('Rate limit acquired after waiting for %dms...', waitTime);
-                    break;
+            } while (this._drainRequested);
+        } finally {
+            this._draining = false;
+        }
+    }
+
+    /**
+     * Take LLM tokens then a request slot, from the state backend when set (falling back to the
+     * local buckets if it is unavailable). LLM tokens are returned when no request slot is free.
+     * @private
+     */
+    private async _take(llmTokenCount: number): Promise<TakeOutcome> {
+        if (this.stateBackend) {
+            try {
+                return await this._takeShared(llmTokenCount);
+            } catch (error) {
+                console.warn(`[RateLimitManager] State backend unavailable for ${this.bucketId}, using local buckets:`, error);
+            }
+        }
+        if (!this.llmTokenBucket.tryRemoveToken(llmTokenCount)) {
+            return { taken: false, retryAfterMs: this.llmTokenBucket.getWaitTimeMs(llmTokenCount) };
+        }
+        let requestAcquired = false;
+        try {
+            requestAcquired = this.requestBucket.tryRemoveToken();
+        } finally {
+            if (!requestAcquired) this.llmTokenBucket.refundTokens(llmTokenCount);
+        }
+        return requestAcquired
+            ? { taken: true, retryAfterMs: 0 }
+            : { taken: false, retryAfterMs: this.requestBucket.getWaitTimeMs(1) };
+    }
+
+    private async _takeShared(llmTokenCount: number): Promise<TakeOutcome> {
+        const backend = this.stateBackend!;
+        const tokens = await backend.take(`${this.bucketId}:tokens`, llmTokenCount, this._sharedConfig(this.llmTokenBucket));
+        if (!tokens.taken) {
+            return { taken: false, retryAfterMs: Math.min(tokens.retryAfterMs, SHARED_WAKE_UP_MS) };
+        }
+        const request = await backend.take(`${this.bucketId}:requests`, 1, this._sharedConfig(this.requestBucket));
+        if (!request.taken) {
+            await backend.refund(`${this.bucketId}:tokens`, llmTokenCount, this._sharedConfig(this.llmTokenBucket));
+            // Other processes may refund before the window ends
+            return { taken: false, retryAfterMs: Math.min(request.retryAfterMs, SHARED_WAKE_UP_MS) };
+        }
+        return { taken: true, retryAfterMs: 0 };
+    }
+
+    private async _refund(llmTokenCount: number): Promise<void> {
+        if (this.stateBackend) {
+            try {
+                await this.stateBackend.refund(`${this.bucketId}:tokens`, llmTokenCount, this._sharedConfig(this.llmTokenBucket));
+                await this.stateBackend.refund(`${this.bucketId}:requests`, 1, this._sharedConfig(this.requestBucket));
+                return;
+            } catch (error) {
+                console.warn(`[RateLimitManager] Failed to refund shared buckets for ${this.bucketId}:`, error);
+            }
+        }
+        this.llmTokenBucket.refundTokens(llmTokenCount);
+        this.requestBucket.refundTokens();
+    }
+
+    /**
+     * Correct an LLM token reservation with the tokens the provider actually used.
+     * Unused tokens go back to the bucket (serving waiting requests sooner); an overrun is charged,
+     * so the bucket may go below zero and later requests wait for it.
+     * @param reservedTokens - LLM tokens taken by `acquire()`
+     * @param actualTokens - Tokens the provider reported (prompt + completion)
+     */
+    async reconcile(reservedTokens: number, actualTokens: number): Promise<void> {
+        const difference = reservedTokens - actualTokens;
+        if (!Number.isFinite(difference) || difference === 0) return;
+        if (this.stateBackend) {
+            const key = `${this.bucketId}:tokens`;
+            const bucket = this._sharedConfig(this.llmTokenBucket);
+            try {
+                if (difference > 0) {
+                    await this.stateBackend.refund(key, difference, bucket);
+                } else {
+                    await this.stateBackend.charge?.(key, -difference, bucket);
                 }
-                console.debug('Waiting for rate limit... %dms', waitTime);
-                waitTime += 100;
-                if (llmTokenAcquired) this.llmTokenBucket.refundTokens(llmTokenCount);
-                if (requestAcquired) this.requestBucket.refundTokens();
-                await sleep(100, abortSignal);
             } catch (error) {
-                if (llmTokenAcquired) this.llmTokenBucket.refundTokens(llmTokenCount);
-                if (requestAcquired) this.requestBucket.refundTokens();
-                throw error;
+                console.warn(`[RateLimitManager] Failed to reconcile shared LLM tokens for ${this.bucketId}:`, error);
             }
+        } else if (difference > 0) {
+            this.llmTokenBucket.refundTokens(difference);
+        } else {
+            this.llmTokenBucket.chargeTokens(-difference);
         }
-        console.log('Wait for rate limit complete...');
+        if (difference > 0 && this._queue.length > 0) this._drain();
+    }
 
-        // Final check after loop - if aborted during sleep, throw error
-        if (abortSignal?.aborted) {
-            const error = new Error(abortSignal.reason || 'Operation was aborted');
-            error.name = 'AbortError';
-            throw error;
+    private _sharedConfig(bucket: TokenBucket): SharedBucketConfig {
+        return { capacity: bucket.capacity, refillRate: bucket.refillRate };
+    }
+
+    private _scheduleWakeUp(waitMs: number): void {
+        // Refill time unknown (e.g. no refill): check again later; never spin on a zero wait
+        const delay = Number.isFinite(waitMs) ? Math.max(MIN_WAKE_UP_MS, waitMs) : MAX_WAKE_UP_MS;
+        console.debug(`Waiting for rate limit... next check in ${delay}ms (${this._queue.length} queued)`);
+        this._wakeUpTimer = setTimeout(() => {
+            this._wakeUpTimer = null;
+            this._drain();
+        }, Math.min(delay, MAX_WAKE_UP_MS));
+    }
+
+    private _clearWakeUp(): void {
+        if (this._wakeUpTimer) {
+            clearTimeout(this._wakeUpTimer);
+            this._wakeUpTimer = null;
         }
+    }
+
+    private _remove(waiter: QueuedAcquire): void {
+        const index = this._queue.indexOf(waiter);
+        if (index !== -1) this._queue.splice(index, 1);
+        if (this._queue.length === 0) this._clearWakeUp();
+    }
 
-        return { totalWaitMs: waitTime };
+    private static _abortError(abortSignal: AbortSignal): Error {
+        const error = new Error(abortSignal.reason || 'Operation was aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    private static _exhaustedError(message: string): Error {
+        const error = new Error(message);
+        error.name = 'RateLimitExhaustedError';
+        return error;
     }
 
     /**
      * Dynamically update rate limits (e.g., from API response headers).
-     * @param config - Partial rate limit config (requestsPerMinute, llmTokensPerMinute)
+     * @param config - Partial rate limit config (requestsPerMinute, llmTokensPerMinute, queue limits)
      */
     syncConfig(config?: RateLimitConfig): void {
-        if (config?.requestsPerMinute) {
+        if (config?.requestsPerMinute && !this._syncedFromProvider.requests) {
             this.requestBucket.syncConfig({ capacity: config.requestsPerMinute, refillRate: config.requestsPerMinute / 60 });
         }
-        if (config?.llmTokensPerMinute) {
+        if (config?.llmTokensPerMinute && !this._syncedFromProvider.tokens) {
             this.llmTokenBucket.syncConfig({ capacity: config.llmTokensPerMinute, refillRate: config.llmTokensPerMinute / 60 });
         }
+        if (config?.maxQueueDepth !== undefined) this.maxQueueDepth = config.maxQueueDepth;
+        if (config?.maxQueueWaitMs !== undefined) this.maxQueueWaitMs = config.maxQueueWaitMs;
+        if (this._queue.length > 0) this._drain();
+    }
+
+    /**
+     * Sync both buckets to the provider's real state parsed from response headers.
+     * Only windows with at least one known value are applied. Once synced, a bucket follows the
+     * provider and ignores the static `requestsPerMinute` / `llmTokensPerMinute` config.
+     * @param rateLimitInfo - Normalized rate limit info (see RateLimitHeaderParser)
+     */
+    syncFromHeaders(rateLimitInfo: RateLimitInfo): void {
+        const hasValues = (w?: RateLimitWindow | null) => !!w && (w.limit != null || w.remaining != null || w.resetMs != null);
+        if (hasValues(rateLimitInfo?.requests)) {
+            this.requestBucket.syncFromProvider({ capacity: rateLimitInfo.requests.limit, ...rateLimitInfo.requests });
+            this._syncedFromProvider.requests = true;
+        }
+        if (hasValues(rateLimitInfo?.tokens)) {
+            this.llmTokenBucket.syncFromProvider({ capacity: rateLimitInfo.tokens.limit, ...rateLimitInfo.tokens });
+            this._syncedFromProvider.tokens = true;
+        }
+        if (this.stateBackend) {
+            this._syncSharedFromHeaders(rateLimitInfo).catch(error => {
+                console.warn(`[RateLimitManager] Failed to sync shared buckets for ${this.bucketId}:`, error);
+            });
+        }
+        // The provider may report more room than expected: serve waiting requests now
+        if (this._queue.length > 0) this._drain();
+    }
+
+    /** Push the provider's remaining quota to the shared buckets. */
+    private async _syncSharedFromHeaders(rateLimitInfo: RateLimitInfo): Promise<void> {
+        const windows: Array<[string, RateLimitWindow | null | undefined, TokenBucket]> = [
+            [`${this.bucketId}:requests`, rateLimitInfo?.requests, this.requestBucket],
+            [`${this.bucketId}:tokens`, rateLimitInfo?.tokens, this.llmTokenBucket],
+        ];
+        for (const [key, window, bucket] of windows) {
+            if (window?.remaining == null) continue;
+            await this.stateBackend!.syncFromProvider(key, { capacity: bucket.capacity, refillRate: bucket.refillRate }, {
+                remaining: window.remaining,
+                resetMs: window.resetMs ?? null,
+            });
+        }
     }
 }
 
@@ -11,12 +11,33 @@
  * llm.abort();
  */
 
-import { Tiktoken } from "js-tiktoken/lite";
-import o200k_base from "js-tiktoken/ranks/o200k_base";
 import { randomUUID } from "node:crypto";
 import ResilientOperation from "./ResilientOperation.js";
-import ProviderRegistry, { type ChatConfig } from "./ProviderRegistry.js";
+import { ChatStream, StreamAccumulator, parseServerSentEvents, type ChatStreamDelta } from "./ChatStream.js";
+import ProviderRegistry, { type ChatConfig, type ProviderConfig } from "./ProviderRegistry.js";
 import type { RateLimitConfig } from "./RateLimitManager.js";
+import type { RateLimitInfo } from "./RateLimitHeaderParser.js";
+import { MemoryCacheStore, buildCacheKey, toCacheStore, type CacheStore, type CacheKeyPolicy } from "./CacheStore.js";
+import ProviderHealthRegistry, { type ProviderHealthEvent, type ProviderHealthStatus } from "./ProviderHealth.js";
+import RateLimitHeaderParser from "./RateLimitHeaderParser.js";
+import CircuitBreaker, { type CircuitBreakerConfig, type CircuitStateChange } from "./CircuitBreaker.js";
+import { isFallbackCondition, resolveTier, selectFallback, type FallbackPolicy, type FallbackTarget } from "./FallbackChain.js";
+import { resolveBucket, type BucketScope, type ResolvedBucket } from "./BucketScope.js";
+import type { StateBackend } from "./StateBackend.js";
+import TokenizerRegistry, { countRequestTokens, type TokenCount } from "./Tokenizer.js";
+import { batchInputs, buildEmbeddingsBody, parseEmbeddingsResponse } from "./Embeddings.js";
+import { createCheckpointWriter, itemFingerprint, readCheckpoint, runPool, type CheckpointWriter } from "./Batch.js";
+import { BatchJob, type BatchJobContext, type BatchJobRequest } from "./BatchJob.js";
+import {
+    normalizeContextOverflow,
+    dropTurns,
+    splitForSummary,
+    renderTranscript,
+    withSummary,
+    SUMMARY_INSTRUCTIONS,
+    type ContextOverflow,
+    type ContextOverflowConfig,
+} from "./ContextWindow.js";
 import {
     normalizeStructuredOutputConfig,
     mapConfigToRequestFields,
@@ -25,18 +46,82 @@ import {
     type ResponseEnvelope,
     type NormalizedStructuredOutputConfig,
 } from "./StructuredOutput.js";
+import {
+    toAnthropicTools,
+    toOpenAITools,
+    toAnthropicMessages,
+    parseAnthropicToolCalls,
+    extractAnthropicText,
+    normalizeAnthropicStopReason,
+    executeToolCall,
+    type ToolHandler,
+} from "./ToolCalling.js";
+import {
+    assertSupportedContent,
+    modelInputModalities,
+    toOpenAIContent,
+    toAnthropicContent,
+    contentToText,
+    type ContentPart,
+    type MessageContent,
+} from "./MessageContent.js";
+import {
+    toGoogleContents,
+    toGoogleTools,
+    toGoogleStreamUrl,
+    extractGoogleText,
+    parseGoogleToolCalls,
+    normalizeGoogleFinishReason,
+} from "./GoogleFormat.js";
+import { toOllamaMessages, parseOllamaToolCalls, normalizeOllamaDoneReason } from "./OllamaFormat.js";
+import { normalizeUsage, resolveUsageConfig, type NormalizedUsage } from "./Usage.js";
+import { computeCost, roundUsd, sumCosts, zeroCost, type CostBreakdown } from "./Pricing.js";
+import BudgetTracker, { type BudgetConfig, type BudgetReservation, type BudgetStatus } from "./Budget.js";
 import { ResilientLLMError, type ResilientLLMErrorCode } from "./ResilientLLMError.js";
 import type { OperationMetadata } from "./types.js";
+import type { NormalizedToolCall } from "./ToolCalling.js";
 
 export type { OperationMetadata } from "./types.js";
 export type { SchemaValidationIssue } from "./StructuredOutput.js";
+export type { ChatStreamDelta } from "./ChatStream.js";
+export type { NormalizedToolCall, ToolHandler, ToolExecutionResult } from "./ToolCalling.js";
+export type { FallbackTarget, FallbackPolicy } from "./FallbackChain.js";
+export type { ProviderHealthEvent, ProviderHealthStatus } from "./ProviderHealth.js";
+export type { BucketScope, BucketScopeContext, BucketScopeName } from "./BucketScope.js";
+export type { TokenCount, Tokenizer } from "./Tokenizer.js";
+export type { ContextOverflow, ContextOverflowConfig, ContextOverflowStrategyName } from "./ContextWindow.js";
+export type { ModelPricing, CostBreakdown } from "./Pricing.js";
+export type { BudgetConfig, BudgetLimits, BudgetWindow, BudgetStatus, BudgetScopeStatus, BudgetWindowStatus, BudgetExceeded } from "./Budget.js";
+export type {
+    ContentPart,
+    TextPart,
+    ImagePart,
+    DocumentPart,
+    MessageContent,
+    InputModality,
+} from "./MessageContent.js";
 
 /**
  * Options for the ResilientLLM constructor.
  */
 export interface ResilientLLMOptions extends LLMOptions {
-    cacheStore?: Record<string, unknown>;
-    onRateLimitUpdate?: (rateLimitInfo: RateLimitConfig) => void;
+    /** Response cache: a CacheStore (e.g. MemoryCacheStore, FileSystemCacheStore, your Redis adapter)
+     *  or a plain object (legacy, no expiry). Defaults to an in-memory LRU store. */
+    cacheStore?: CacheStore | Record<string, unknown>;
+    onRateLimitUpdate?: (rateLimitInfo: RateLimitInfo) => void;
+    /** What rate limiters, circuit breakers and provider health are shared by:
+     *  'provider' (default), 'provider+model', 'provider+apiKey' or a function returning a bucket id. */
+    bucketScope?: BucketScope;
+    /** Shares rate limit buckets and circuit open/close across processes (e.g. RedisStateBackend).
+     *  Default: each process keeps its own. */
+    stateBackend?: StateBackend;
+    /** Called when a provider's circuit breaker changes state (closed / open / half-open). */
+    onCircuitStateChange?: (change: CircuitStateChange) => void;
+    /** Called when a provider is marked down after a failover, or restored. */
+    onProviderHealthChange?: (event: ProviderHealthEvent) => void;
+    /** Spending limits per instance and per tenant (`tenant` option) over hour/day/month windows, checked
+     *  with each request's estimated cost; over budget, requests throw BUDGET_EXCEEDED or downgrade. */
+    budgets?: BudgetConfig;
     onError?: (error: Error) => void;
 }
 
@@ -49,15 +134,25 @@ export interface LLMOptions {
     temperature?: number;
     maxTokens?: number;
     timeout?: number;
+    /** Input token limit. Default: the model's `contextWindow` (minus max output tokens) when
+     *  ProviderRegistry has loaded the model, else 100000. */
     maxInputTokens?: number;
+    /** What to do when the input is over the limit: 'error' (default), 'drop-oldest',
+     *  'keep-first-last' or 'summarize', or a strategy with options (see ContextWindow.ts). */
+    contextOverflow?: ContextOverflow;
     topP?: number;
     maxCompletionTokens?: number;
     reasoningEffort?: string;
     retries?: number;
     backoffFactor?: number;
     rateLimitConfig?: RateLimitConfig;
-    circuitBreakerConfig?: { failureThreshold?: number; cooldownPeriod?: number };
+    /** failureThreshold, cooldownPeriod, halfOpenProbes, rollingWindowMs, failureRateThreshold, minimumRequests */
+    circuitBreakerConfig?: Omit<CircuitBreakerConfig, 'name' | 'onStateChange'>;
     maxConcurrent?: number;
+    /** Rate limit queue priority: higher is served first (default 0), e.g. 10 for interactive, -10 for batch. */
+    priority?: number;
+    /** Bucket scope for this call; overrides the constructor scope. */
+    bucketScope?: BucketScope;
     apiKey?: string;
     tools?: ToolDefinition[];
     /** Recommended structured output option. Accepts string aliases ("json", "object"),
@@ -66,11 +161,28 @@ export interface LLMOptions {
     /** Migration input for callers transitioning from provider-native APIs.
      *  Not recommended — use responseFormat instead. */
     output_config?: unknown;
+    /** Gemini `safetySettings` (providers with the native 'google' message format only). */
+    safetySettings?: Record<string, unknown>[];
     enableCache?: boolean;
+    /** Time to live for cached responses in ms (default: the cache store's default). */
+    cacheTtlMs?: number;
+    /** Which request fields (and opt-in tenant) make up the cache key; merged over the constructor policy. */
+    cacheKeyPolicy?: CacheKeyPolicy;
+    /** Ordered failover chain; per call replaces the constructor chain. `[]` disables failover.
+     *  When unset on both, failover walks the ProviderRegistry default models (legacy). */
+    fallbacks?: FallbackTarget[];
+    /** Failover conditions and model-equivalence tiers; merged over the constructor policy. */
+    fallbackPolicy?: FallbackPolicy;
+    /** Tenant the request is billed to, for tenant budgets (see `budgets`). */
+    tenant?: string;
+    /** Internal: tier of the originally requested model, kept across fallback hops. */
+    __fallbackPrimaryTier?: number | null;
     /** Internal: tracks provider attempts across failover hops for metadata continuity. */
     __serviceAttempted?: string[];
     /** Internal: carries failover events across recursive chat() retries. */
     __serviceEvents?: Record<string, unknown>[];
+    /** Internal: next `budgets.downgradeTo` target to try after a budget downgrade. */
+    __budgetDowngradeIndex?: number;
 }
 
 /**
@@ -87,7 +199,14 @@ export interface ObservabilityOptions {
  */
 export interface ChatMessage {
     role: 'system' | 'user' | 'assistant' | 'tool';
-    content: string;
+    /** Text, or an array of text, image and document parts (see MessageContent.ts); null with tool calls */
+    content: MessageContent | null;
+    /** Assistant messages: tool calls requested by the model (as returned in `ChatResponse.toolCalls`). */
+    tool_calls?: NormalizedToolCall[];
+    /** Tool messages: id of the tool call this message answers. */
+    tool_call_id?: string;
+    /** Tool messages: the tool failed (sent to Anthropic as `is_error`). */
+    is_error?: boolean;
     [key: string]: unknown;
 }
 
@@ -121,6 +240,134 @@ export interface ChatResponse {
     metadata: OperationMetadata;
 }
 
+/**
+ * Options for the ResilientLLM.runTools method: chat options plus the tool loop settings.
+ */
+export interface RunToolsOptions extends LLMOptions {
+    tools: ToolDefinition[];
+    /** Handlers by tool name. */
+    handlers: Record<string, ToolHandler>;
+    /** Maximum number of model calls (default 10). */
+    maxSteps?: number;
+    /** Default handler timeout in ms (default 30000). */
+    toolTimeout?: number;
+    /** Handler timeouts in ms by tool name; override `toolTimeout`. */
+    toolTimeouts?: Record<string, number>;
+}
+
+/**
+ * Response returned by `ResilientLLM.runTools()`: the final `chat()` envelope plus the full conversation.
+ */
+export interface RunToolsResponse extends ChatResponse {
+    /** Input conversation followed by every assistant tool call, tool result and the final answer. */
+    messages: ChatMessage[];
+}
+
+/**
+ * One request of a batch: a conversation, with optional per-item options and a stable id for checkpoints.
+ */
+export interface BatchItem {
+    /** Identifies the item in the checkpoint file (default: its index) */
+    id?: string;
+    messages: ChatMessage[];
+    /** Merged over the batch options */
+    options?: LLMOptions;
+}
+
+/**
+ * Options for the ResilientLLM.batch method: chat options for every item plus the batch settings.
+ */
+export interface BatchOptions extends LLMOptions {
+    /** Items in flight at once (default: `maxConcurrent`, else 5); capped at `maxConcurrent` */
+    concurrency?: number;
+    /** Start no new items after the first failure; items not run fail with `ABORTED` (default false) */
+    stopOnError?: boolean;
+    /** Called after every finished item */
+    onProgress?: (progress: BatchProgress) => void;
+    /** JSON file recording finished items; a rerun with the same file skips them */
+    checkpointPath?: string;
+}
+
+/**
+ * Progress reported to `onProgress` after every finished item.
+ */
+export interface BatchProgress {
+    index: number;
+    id: string;
+    result: ChatResponse | ResilientLLMError;
+    completed: number;
+    succeeded: number;
+    failed: number;
+    total: number;
+}
+
+/**
+ * Response returned by `ResilientLLM.batch()`: one result per item, in input order.
+ */
+export interface BatchResponse {
+    /** The item's `chat()` response, or the `ResilientLLMError` it failed with */
+    results: (ChatResponse | ResilientLLMError)[];
+    metadata: {
+        requestId: string;
+        startTime: number;
+        timing: { totalTimeMs: number };
+        /** `resumed` items were read from the checkpoint; `notRun` were skipped after `stopOnError` or `abort()` */
+        items: { total: number; succeeded: number; failed: number; resumed: number; notRun: number };
+        /** Summed over the items run by this call (not the resumed ones) */
+        usage: { prompt_tokens: number; completion_tokens: number; total_tokens: number };
+        /** Summed like `usage`; null when an item's model is not priced */
+        cost: CostBreakdown | null;
+    };
+}
+
+/**
+ * Options for the ResilientLLM.submitBatchJob method: chat options for every item plus job settings.
+ */
+export interface BatchJobOptions extends LLMOptions {
+    /** Key-value labels stored with the job (OpenAI format) */
+    metadata?: Record<string, string>;
+}
+
+/**
+ * Options for the ResilientLLM.embed method: the resilience options of chat() plus `dimensions`.
+ */
+export interface EmbedOptions extends Pick<LLMOptions,
+    'aiService' | 'apiKey' | 'timeout' | 'retries' | 'backoffFactor' | 'rateLimitConfig' | 'circuitBreakerConfig'
+    | 'maxConcurrent' | 'priority' | 'bucketScope' | 'enableCache' | 'cacheTtlMs' | 'cacheKeyPolicy'> {
+    /** Embedding model (default: the provider's `embeddingsConfig.defaultModel`, not the chat model) */
+    model?: string;
+    /** Length of the returned vectors, for models that can shorten them (e.g. text-embedding-3-*) */
+    dimensions?: number;
+}
+
+/**
+ * Response returned by `ResilientLLM.embed()`: one vector per input, in input order.
+ */
+export interface EmbeddingResponse {
+    embeddings: number[][];
+    metadata: OperationMetadata;
+}
+
+/**
+ * Usage and cost of the successful `chat()` responses of a ResilientLLM instance (`llm.usageTotals`).
+ * Cache hits are counted as requests but add no tokens or cost.
+ */
+export interface UsageTotals {
+    requests: number;
+    cacheHits: number;
+    prompt_tokens: number;
+    completion_tokens: number;
+    total_tokens: number;
+    cached_input_tokens: number;
+    cache_write_tokens: number;
+    reasoning_tokens: number;
+    /** USD, over the priced responses */
+    cost: number;
+    /** Responses whose model has no prices */
+    unpricedRequests: number;
+    byService: Record<string, { requests: number; total_tokens: number; cost: number }>;
+}
+
 /**
  * A tool call result.
  * This is the same as the LLM API tool call result object.
@@ -145,6 +392,19 @@ interface FinishReasonAnalysis {
 interface HttpResult {
     data: Record<string, unknown>;
     statusCode: number;
+    /** Response headers (lowercase names), used for adaptive rate limiting. */
+    responseHeaders?: Record<string, string>;
+}
+
+/**
+ * Streaming HTTP fetch result: `body` is set once the provider accepted the request,
+ * otherwise `data` holds the (synthetic) JSON error payload.
+ */
+interface HttpStreamResult {
+    body?: ReadableStream<Uint8Array>;
+    data?: Record<string, unknown>;
+    statusCode: number;
+    responseHeaders?: Record<string, string>;
 }
 
 /**
@@ -154,9 +414,10 @@ interface ResilienceConfig {
     timeout: number;
     retries: number;
     backoffFactor: number;
-    circuitBreakerConfig: { failureThreshold?: number; cooldownPeriod?: number };
+    circuitBreakerConfig: Omit<CircuitBreakerConfig, 'name' | 'onStateChange'>;
     rateLimitConfig: RateLimitConfig;
     maxConcurrent: number | undefined;
+    priority: number;
 }
 
 /**
@@ -177,10 +438,14 @@ interface PreparedChatRequest {
     chatConfig: ChatConfig;
     structuredOutputConfig: NormalizedStructuredOutputConfig | null;
     estimatedTokens: number;
+    /** Completion tokens reserved on top of the input (the request's max tokens; 0 when unset) */
+    expectedCompletionTokens: number;
     aiService: string;
     model: string;
     maxInputTokens: number;
     resilienceConfig: ResilienceConfig;
+    /** Bucket the rate limiter, circuit breaker and bulkhead are shared by */
+    bucket: ResolvedBucket;
     enableCache: boolean;
 }
 
@@ -189,6 +454,8 @@ interface PreparedChatRequest {
  */
 interface ChatResponseHandlerInput {
     rawData: Record<string, unknown>;
+    /** Pre-extracted envelope (e.g. accumulated from a stream); skips parseChatCompletion when set. */
+    envelope?: ResponseEnvelope;
     statusCode: number;
     chatConfig: ChatConfig;
     structuredOutputConfig: NormalizedStructuredOutputConfig | null;
@@ -208,19 +475,21 @@ interface ParsedChatResponse {
 
 /**
  * ResilientLLM: unified chat interface with configurable provider, model, rate limits, circuit breaker, and retries.
- * Constructor options: aiService, model, temperature, maxTokens, timeout, cacheStore, maxInputTokens, topP,
- * rateLimitConfig, retries, backoffFactor, circuitBreakerConfig, maxConcurrent, onRateLimitUpdate.
+ * Constructor options: aiService, model, temperature, maxTokens, timeout, cacheStore, maxInputTokens, contextOverflow, topP,
+ * rateLimitConfig, retries, backoffFactor, circuitBreakerConfig, maxConcurrent, bucketScope, stateBackend, onRateLimitUpdate.
  */
 class ResilientLLM {
-    static encoder: Tiktoken | undefined;
     static _safeHeaderPrefixes = ['x-ratelimit', 'rate-limit', 'retry-after', 'x-request-id', 'request-id'];
 
     aiService: string;
     model: string;
     temperature: number | string | undefined;
     maxTokens: number | string | undefined;
-    cacheStore: Record<string, unknown>;
+    cacheStore: CacheStore | Record<string, unknown>;
+    cacheTtlMs: number | undefined;
+    cacheKeyPolicy: CacheKeyPolicy;
     maxInputTokens: number | string;
+    contextOverflow: ContextOverflow;
     topP: number | string | undefined;
     maxCompletionTokens: number | string | undefined;
     reasoningEffort: string | undefined;
@@ -228,24 +497,40 @@ class ResilientLLM {
     backoffFactor: number;
     timeout: number | string;
     rateLimitConfig: RateLimitConfig;
-    circuitBreakerConfig: { failureThreshold: number; cooldownPeriod: number };
+    circuitBreakerConfig: Omit<CircuitBreakerConfig, 'name' | 'onStateChange'> & { failureThreshold: number; cooldownPeriod: number };
     maxConcurrent: number | undefined;
-    onRateLimitUpdate: ((rateLimitInfo: RateLimitConfig) => void) | undefined;
+    onRateLimitUpdate: ((rateLimitInfo: RateLimitInfo) => void) | undefined;
+    onCircuitStateChange: ((change: CircuitStateChange) => void) | undefined;
+    bucketScope: BucketScope | undefined;
+    stateBackend: StateBackend | undefined;
     resilientOperations: Record<string, ResilientOperation>;
-    llmOutOfService?: string[];
+    /** Usage and cost of this instance's chat() responses; see resetUsageTotals() */
+    usageTotals: UsageTotals;
+    /** Spending against the `budgets` option; undefined without budgets. See getBudgetStatus() */
+    budgets: BudgetTracker | undefined;
+    /** Providers recently failed over from; skipped as fallback targets until they recover. */
+    providerHealth: ProviderHealthRegistry;
+    fallbacks: FallbackTarget[] | undefined;
+    fallbackPolicy: FallbackPolicy;
     responseFormat?: unknown;
     output_config?: unknown;
 
     private _abortController: AbortController | null;
+    /** False while maxInputTokens is the 100k default, which a model's context window replaces */
+    private _maxInputTokensConfigured: boolean;
 
     constructor(options?: ResilientLLMOptions) {
         this.aiService = options?.aiService || process.env.PREFERRED_AI_SERVICE || "anthropic";
         this.model = options?.model || process.env.PREFERRED_AI_MODEL || "claude-haiku-4-5-20251001";
         this.temperature = options?.temperature ?? process.env.AI_TEMPERATURE;
         this.maxTokens = options?.maxTokens || process.env.MAX_TOKENS;
-        this.cacheStore = options?.cacheStore || {};
+        this.cacheStore = options?.cacheStore || new MemoryCacheStore();
+        this.cacheTtlMs = options?.cacheTtlMs;
+        this.cacheKeyPolicy = options?.cacheKeyPolicy || {};
         // Default to 100k to avoid accidental context window overflow
         this.maxInputTokens = options?.maxInputTokens || process.env.MAX_INPUT_TOKENS || 100000;
+        this._maxInputTokensConfigured = !!(options?.maxInputTokens || process.env.MAX_INPUT_TOKENS);
+        this.contextOverflow = options?.contextOverflow || 'error';
         this.topP = options?.topP ?? process.env.AI_TOP_P;
         this.maxCompletionTokens = options?.maxCompletionTokens ?? process.env.MAX_COMPLETION_TOKENS;
         this.reasoningEffort = options?.reasoningEffort ?? process.env.AI_REASONING_EFFORT;
@@ -254,14 +539,25 @@ class ResilientLLM {
         this.timeout = options?.timeout || process.env.LLM_TIMEOUT || 60000;
         this.rateLimitConfig = options?.rateLimitConfig || { requestsPerMinute: 10, llmTokensPerMinute: 150000 };
         this.circuitBreakerConfig = options?.circuitBreakerConfig
-            ? { failureThreshold: options.circuitBreakerConfig.failureThreshold ?? 5, cooldownPeriod: options.circuitBreakerConfig.cooldownPeriod ?? 30000 }
+            ? { ...options.circuitBreakerConfig, failureThreshold: options.circuitBreakerConfig.failureThreshold ?? 5, cooldownPeriod: options.circuitBreakerConfig.cooldownPeriod ?? 30000 }
             : { failureThreshold: 5, cooldownPeriod: 30000 };
         this.maxConcurrent = options?.maxConcurrent;
         this.onRateLimitUpdate = options?.onRateLimitUpdate;
+        this.onCircuitStateChange = options?.onCircuitStateChange;
+        this.bucketScope = options?.bucketScope;
+        this.stateBackend = options?.stateBackend;
+        this.providerHealth = new ProviderHealthRegistry({
+            defaultCooldownMs: this.circuitBreakerConfig.cooldownPeriod,
+            onChange: options?.onProviderHealthChange,
+        });
+        this.fallbacks = options?.fallbacks;
+        this.fallbackPolicy = options?.fallbackPolicy || {};
         this.responseFormat = options?.responseFormat;
         this.output_config = options?.output_config;
         this._abortController = null;
         this.resilientOperations = {}; // Store resilient operation instances for observability
+        this.usageTotals = ResilientLLM._emptyUsageTotals();
+        this.budgets = options?.budgets ? new BudgetTracker(options.budgets) : undefined;
     }
 
     /**
@@ -286,19 +582,38 @@ class ResilientLLM {
 
         let metadata: OperationMetadata | null = null;
         let resilientOperation: ResilientOperation | null = null;
+        let providerFailure: {
+            statusCode: number;
+            message: string;
+            response: Record<string, unknown> | null;
+            retryAfterMs: number | null;
+        } | null = null;
+        let budgetReservation: BudgetReservation | null = null;
+        const fallbacks = llmOptions.fallbacks ?? this.fallbacks;
 
         try {
+            ({ conversationHistory, llmOptions } = await this._fitContextWindow(conversationHistory, llmOptions));
             const preparedRequest = this._buildRequest({
                 conversationHistory,
                 llmOptions,
             });
+            const budget = this._reserveBudget(preparedRequest, llmOptions);
+            if (budget.downgrade) {
+                return await this.chat(conversationHistory, budget.downgrade, observabilityOptions);
+            }
+            budgetReservation = budget.reservation;
 
             resilientOperation = new ResilientOperation({
-                bucketId: preparedRequest.aiService,
+                bucketId: preparedRequest.bucket.bucketId,
+                provider: preparedRequest.aiService,
                 ...preparedRequest.resilienceConfig,
                 collectMetrics: true,
                 onRateLimitUpdate: this.onRateLimitUpdate,
-                cacheStore: this.cacheStore
+                onCircuitStateChange: this.onCircuitStateChange,
+                stateBackend: this.stateBackend,
+                cacheStore: this.cacheStore,
+                cacheTtlMs: llmOptions.cacheTtlMs ?? this.cacheTtlMs,
+                cacheKeyPolicy: { ...this.cacheKeyPolicy, ...llmOptions.cacheKeyPolicy },
             });
 
             metadata = this._initMetadata({
@@ -315,8 +630,8 @@ class ResilientLLM {
             }
             this.resilientOperations[resilientOperation.id] = resilientOperation;
 
-            const { data, statusCode } = await resilientOperation
-                .withTokens(preparedRequest.estimatedTokens)
+            const { data, statusCode, responseHeaders } = await resilientOperation
+                .withTokens(preparedRequest.estimatedTokens, preparedRequest.expectedCompletionTokens)
                 .withCache(preparedRequest.enableCache)
                 .withAbortControl(this._abortController)
                 .execute(
@@ -333,24 +648,26 @@ class ResilientLLM {
                 statusCode
             );
             console.log("LLM chat status code:", statusCode, providerError.message);
-            if ([429, 529].includes(statusCode)) {
-                delete this.resilientOperations[resilientOperation.id];
+            if (statusCode === 429) {
                 console.warn(
                     `Provider error response (${statusCode}):`,
                     JSON.stringify(providerError.response ?? data, null, 2)
                 );
-                return await this.retryChatWithAlternateService(conversationHistory, llmOptions, {
-                    statusCode,
-                    message: providerError.message,
-                    response: providerError.response,
-                });
             }
 
             const dataAsArray = data as unknown as Record<string, unknown>[];
-            if (data?.error || (Array.isArray(data) && dataAsArray[0]?.error)) {
+            if (data?.error || (Array.isArray(data) && dataAsArray[0]?.error) || statusCode === 429) {
+                // Keep the status so the error (and any failover) gets the matching code
+                providerFailure = {
+                    statusCode,
+                    message: providerError.message,
+                    response: providerError.response,
+                    retryAfterMs: RateLimitHeaderParser.parseRetryAfter(responseHeaders),
+                };
                 throw new Error(
                     ((data?.error as Record<string, unknown>)?.message as string) ||
-                    ((dataAsArray?.[0]?.error as Record<string, unknown>)?.message as string)
+                    ((dataAsArray?.[0]?.error as Record<string, unknown>)?.message as string) ||
+                    providerError.message
                 );
             }
             if (statusCode !== 200) {
@@ -383,15 +700,15 @@ class ResilientLLM {
 
             delete this.resilientOperations[resilientOperation.id];
 
-            const usageData = data?.usage && typeof data.usage === 'object'
-                ? (data.usage as Record<string, unknown>)
-                : {};
-            metadata = this._finalizeMetadata(
+            const usageData = ResilientLLM._responseUsage(data, preparedRequest.chatConfig);
+            await resilientOperation.reconcileTokens(ResilientLLM._usedTokens(usageData));
+            metadata = this._recordCost(this._finalizeMetadata(
                 metadata!,
                 'success',
                 resilientOperation.getRuntimeMetrics(),
                 usageData,
-            );
+            ));
+            this._settleBudget(budgetReservation, metadata);
 
             const response: ChatResponse = {
                 content: content ?? null,
@@ -406,6 +723,7 @@ class ResilientLLM {
             if (resilientOperation) {
                 delete this.resilientOperations[resilientOperation.id];
             }
+            this._settleBudget(budgetReservation, null);
             if (metadata) {
                 metadata = this._finalizeMetadata(
                     metadata,
@@ -413,10 +731,764 @@ class ResilientLLM {
                     resilientOperation?.getRuntimeMetrics() ?? null,
                 );
             }
-            this.parseError(null, error as Error, metadata);
+            // 5xx responses are thrown by _makeHttpRequest with the response attached
+            const statusCode = providerFailure?.statusCode ?? (error as { response?: Response }).response?.status ?? null;
+            const { code } = ResilientLLM._mapError(statusCode, error as Error);
+            const fallbackPolicy = { ...this.fallbackPolicy, ...llmOptions.fallbackPolicy };
+            if (isFallbackCondition(fallbacks ?? null, code, fallbackPolicy)) {
+                const fallbackContext = {
+                    statusCode,
+                    message: providerFailure?.message ?? (error as Error).message,
+                    response: providerFailure?.response ?? null,
+                    retryAfterMs: providerFailure?.retryAfterMs ?? null,
+                };
+                if (fallbacks) {
+                    return await this.retryChatWithFallback(conversationHistory, llmOptions, fallbacks, {
+                        ...fallbackContext,
+                        code,
+                        error: error as Error,
+                        metadata,
+                    });
+                }
+                try {
+                    return await this.retryChatWithAlternateService(conversationHistory, llmOptions, {
+                        ...fallbackContext,
+                        statusCode: statusCode ?? undefined,
+                    });
+                } catch (alternateError) {
+                    // No provider left: fail with the code of this attempt
+                    this.parseError(statusCode, alternateError as Error, metadata);
+                }
+            }
+            this.parseError(statusCode, error as Error, metadata);
         }
     }
 
+    /**
+     * Chat with the LLM and stream the reply as it is generated.
+     * Parses OpenAI-style, Anthropic-style and Gemini Server-Sent Events into normalized deltas.
+     * Rate limiting, circuit breaker and retries apply until the first byte of the stream;
+     * once streaming has started, failures are surfaced to the consumer without retry.
+     * @param conversationHistory - Array of messages (role + content)
+     * @param llmOptions - Overrides for this call (model, temperature, tools, apiKey, etc.)
+     * @param observabilityOptions - Observability/metadata options
+     * @returns An async iterable of deltas; `finalResponse()` resolves the same envelope as `chat()`
+     * @throws {ResilientLLMError} From the iterator (and `finalResponse()`), with the same codes as `chat()`
+     * @example
+     * const stream = llm.chatStream([{ role: "user", content: "Tell me a story" }]);
+     * for await (const delta of stream) {
+     *     if (delta.type === "text") process.stdout.write(delta.text);
+     * }
+     * const { content, metadata } = await stream.finalResponse();
+     */
+    chatStream(
+        conversationHistory: ChatMessage[],
+        llmOptions?: LLMOptions | null,
+        observabilityOptions?: ObservabilityOptions | null
+    ): ChatStream<ChatResponse> {
+        return new ChatStream(this._streamChat(conversationHistory, llmOptions ?? {}, observabilityOptions ?? {}));
+    }
+
+    /** Generator behind chatStream(): yields deltas and returns the final ChatResponse. */
+    private async *_streamChat(
+        conversationHistory: ChatMessage[],
+        llmOptions: LLMOptions,
+        observabilityOptions: ObservabilityOptions
+    ): AsyncGenerator<ChatStreamDelta, ChatResponse> {
+        const startTime = Date.now();
+        const requestId = randomUUID();
+
+        let metadata: OperationMetadata | null = null;
+        let resilientOperation: ResilientOperation | null = null;
+        let statusCode: number | null = null;
+        let streamStarted = false;
+        let budgetReservation: BudgetReservation | null = null;
+
+        try {
+            ({ conversationHistory, llmOptions } = await this._fitContextWindow(conversationHistory, llmOptions));
+            const preparedRequest = this._buildRequest({
+                conversationHistory,
+                llmOptions,
+            });
+            const { messageFormat } = preparedRequest.chatConfig;
+            if (messageFormat === 'ollama') {
+                throw new ResilientLLMError(
+                    `Streaming is not supported with ${preparedRequest.aiService}'s /api/chat format. Use chat(), or Ollama's OpenAI-compatible endpoint (/v1/chat/completions) with messageFormat 'openai'.`,
+                    'UNSUPPORTED_FEATURE',
+                );
+            }
+            const budget = this._reserveBudget(preparedRequest, llmOptions);
+            if (budget.downgrade) {
+                return yield* this._streamChat(conversationHistory, budget.downgrade, observabilityOptions);
+            }
+            budgetReservation = budget.reservation;
+            if (messageFormat === 'google') {
+                // Gemini streams from its own endpoint
+                preparedRequest.apiUrl = toGoogleStreamUrl(preparedRequest.apiUrl);
+            } else {
+                preparedRequest.requestBody.stream = true;
+                if (messageFormat !== 'anthropic') {
+                    preparedRequest.requestBody.stream_options = { include_usage: true };
+                }
+            }
+
+            resilientOperation = new ResilientOperation({
+                bucketId: preparedRequest.bucket.bucketId,
+                provider: preparedRequest.aiService,
+                ...preparedRequest.resilienceConfig,
+                collectMetrics: true,
+                onRateLimitUpdate: this.onRateLimitUpdate,
+                onCircuitStateChange: this.onCircuitStateChange,
+                stateBackend: this.stateBackend,
+                cacheStore: this.cacheStore
+            });
+
+            metadata = this._initMetadata({
+                requestId,
+                startTime,
+                preparedRequest,
+                llmOptions,
+                operationId: resilientOperation.id,
+            });
+            metadata.config = { ...metadata.config, stream: true, enableCache: false };
+            metadata.cache = { enabled: false };
+            observabilityOptions = { ...observabilityOptions, metadata };
+
+            if (!this._abortController || this._abortController.signal.aborted) {
+                this._abortController = new AbortController();
+            }
+            this.resilientOperations[resilientOperation.id] = resilientOperation;
+
+            const result = await resilientOperation
+                .withTokens(preparedRequest.estimatedTokens, preparedRequest.expectedCompletionTokens)
+                .withCache(false)
+                .withAbortControl(this._abortController)
+                .execute(
+                    this._makeStreamRequest as (...args: unknown[]) => Promise<unknown>,
+                    preparedRequest.apiUrl,
+                    preparedRequest.requestBody,
+                    preparedRequest.headers,
+                    this._abortController.signal,
+                    observabilityOptions
+                ) as HttpStreamResult;
+            statusCode = result.statusCode;
+
+            if (!result.body) {
+                const providerError = ResilientLLM._extractProviderErrorDetails(result.data, statusCode);
+                throw new Error(providerError.message);
+            }
+
+            streamStarted = true;
+            const accumulator = new StreamAccumulator(messageFormat);
+            for await (const sse of parseServerSentEvents(result.body)) {
+                for (const delta of accumulator.push(sse)) {
+                    yield delta;
+                }
+                if (accumulator.done) break;
+            }
+
+            const envelope = accumulator.toEnvelope();
+            const parsedResponse = this._handleResponse({
+                rawData: { ...envelope, ...accumulator.usageData },
+                envelope,
+                statusCode,
+                chatConfig: preparedRequest.chatConfig,
+                structuredOutputConfig: preparedRequest.structuredOutputConfig,
+                tools: llmOptions?.tools,
+            });
+            metadata!.finishReason = parsedResponse.finishReason ?? null;
+
+            const usageData = ResilientLLM._responseUsage(accumulator.usageData, preparedRequest.chatConfig);
+            await resilientOperation.reconcileTokens(ResilientLLM._usedTokens(usageData));
+            metadata = this._recordCost(this._finalizeMetadata(
+                metadata!,
+                'success',
+                resilientOperation.getRuntimeMetrics(),
+                usageData,
+            ));
+            this._settleBudget(budgetReservation, metadata);
+            budgetReservation = null;
+
+            return {
+                content: parsedResponse.content ?? null,
+                ...(parsedResponse.toolCalls !== undefined ? { toolCalls: parsedResponse.toolCalls } : {}),
+                metadata,
+            };
+        } catch (error) {
+            const aiService = llmOptions?.aiService || this.aiService;
+            console.error(`Error streaming from ${aiService} API:`, error);
+            if (streamStarted && resilientOperation && !(error instanceof ResilientLLMError)) {
+                // Failures after the first byte bypass ResilientOperation; count them here.
+                resilientOperation.circuitBreaker.recordFailure();
+            }
+            if (metadata) {
+                metadata = this._finalizeMetadata(
+                    metadata,
+                    'error',
+                    resilientOperation?.getRuntimeMetrics() ?? null,
+                );
+            }
+            const failedStatus = (error as { response?: { status?: number } })?.response?.status ?? statusCode;
+            return this.parseError(failedStatus ?? null, error as Error, metadata);
+        } finally {
+            if (resilientOperation) {
+                delete this.resilientOperations[resilientOperation.id];
+            }
+            // Also releases the reservation when the consumer stops reading early
+            this._settleBudget(budgetReservation, null);
+        }
+    }
+
+    /**
+     * Chat with tools and execute the model's tool calls until it returns a final answer.
+     * Each model call goes through `chat()` (same resilience and errors). Tool arguments are validated
+     * against the tool's JSON schema; unknown tools, invalid arguments, handler errors and timeouts are
+     * sent back to the model as tool results so it can recover.
+     * @param conversationHistory - Array of messages (role + content)
+     * @param options - Chat options plus `tools`, `handlers`, `maxSteps`, `toolTimeout`, `toolTimeouts`
+     * @param observabilityOptions - Observability/metadata options
+     * @returns The last `chat()` envelope with `messages`; `metadata.events` holds the trace of every step
+     *   and `metadata.usage` the usage summed over all steps. When `maxSteps` is reached the last
+     *   response (with its unexecuted `toolCalls`) is returned; `messages` leaves those calls out so it
+     *   can be sent again.
+     * @throws {ResilientLLMError} From `chat()`; `INVALID_REQUEST` when no tools or handlers are given
+     * @example
+     * const { content } = await llm.runTools(
+     *     [{ role: "user", content: "Weather in Paris?" }],
+     *     { tools: [weatherTool], handlers: { get_weather: async ({ location }) => fetchWeather(location) } }
+     * );
+     */
+    async runTools(
+        conversationHistory: ChatMessage[],
+        options: RunToolsOptions,
+        observabilityOptions?: ObservabilityOptions | null
+    ): Promise<RunToolsResponse> {
+        const { handlers, maxSteps = 10, toolTimeout = 30000, toolTimeouts = {}, ...llmOptions } = options ?? {} as RunToolsOptions;
+        if (!llmOptions.tools?.length || !handlers || typeof handlers !== 'object') {
+            throw new ResilientLLMError('runTools() requires `tools` and `handlers`', 'INVALID_REQUEST');
+        }
+        const startTime = Date.now();
+        const messages: ChatMessage[] = [...conversationHistory];
+        const events: unknown[] = [];
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        const costs: (CostBreakdown | null)[] = [];
+
+        for (let step = 1; ; step++) {
+            const response = await this.chat(messages, llmOptions, observabilityOptions);
+            const toolCalls = response.toolCalls as NormalizedToolCall[] | undefined;
+            events.push(...(response.metadata.events ?? []), {
+                type: 'tool.step',
+                step,
+                requestId: response.metadata.requestId ?? null,
+                finishReason: response.metadata.finishReason ?? null,
+                toolCalls: (toolCalls ?? []).map(call => call.function?.name),
+                timestamp: new Date().toISOString(),
+            });
+            usage.prompt_tokens += response.metadata.usage?.prompt_tokens ?? 0;
+            usage.completion_tokens += response.metadata.usage?.completion_tokens ?? 0;
+            usage.total_tokens += response.metadata.usage?.total_tokens ?? 0;
+            costs.push(response.metadata.cost ?? null);
+
+            const assistantMessage: ChatMessage = {
+                role: 'assistant',
+                content: typeof response.content === 'string' || response.content == null
+                    ? response.content ?? ''
+                    : JSON.stringify(response.content),
+            };
+
+            if (!toolCalls?.length || step >= maxSteps) {
+                // Tool calls without results would make `messages` invalid to send again
+                if (!toolCalls?.length || assistantMessage.content) {
+                    messages.push(assistantMessage);
+                }
+                if (toolCalls?.length) {
+                    console.warn(`runTools() stopped after reaching maxSteps (${maxSteps})`);
+                    events.push({ type: 'tool.maxStepsReached', step, timestamp: new Date().toISOString() });
+                }
+                return {
+                    ...response,
+                    messages,
+                    metadata: {
+                        ...response.metadata,
+                        events,
+                        usage,
+                        cost: costs.every(Boolean) ? sumCosts(costs) : null,
+                        timing: { ...response.metadata.timing, totalTimeMs: Date.now() - startTime },
+                    },
+                };
+            }
+
+            messages.push({ ...assistantMessage, tool_calls: toolCalls });
+
+            const signal = this._abortController?.signal;
+            const results = await Promise.all(toolCalls.map(toolCall => executeToolCall(toolCall, {
+                tools: llmOptions.tools as unknown as Record<string, unknown>[],
+                handlers,
+                timeoutMs: toolTimeouts[toolCall.function?.name] ?? toolTimeout,
+                signal,
+            })));
+            if (signal?.aborted) {
+                throw new ResilientLLMError('Operation was aborted', 'ABORTED', { metadata: { ...response.metadata, events } });
+            }
+            for (const result of results) {
+                events.push({
+                    type: 'tool.call',
+                    step,
+                    toolCallId: result.toolCallId,
+                    name: result.name,
+                    status: result.status,
+                    durationMs: result.durationMs,
+                    ...(result.error !== undefined ? { error: result.error } : {}),
+                    timestamp: new Date().toISOString(),
+                });
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: result.toolCallId,
+                    content: result.content,
+                    ...(result.status !== 'success' ? { is_error: true } : {}),
+                });
+            }
+        }
+    }
+
+    /**
+     * Run many chat requests with bounded concurrency. Every item goes through `chat()`, so the rate limiter,
+     * bulkhead (`maxConcurrent`), retries and failover apply per item; a failed item does not fail the batch.
+     * @param items - Conversations, or `{ id, messages, options }` items
+     * @param options - Chat options for every item plus `concurrency`, `stopOnError`, `onProgress` and `checkpointPath`
+     * @returns Results (responses or errors) in input order, with item counts, usage and timing
+     * @throws {ResilientLLMError} `INVALID_REQUEST` when items are missing or the checkpoint file cannot be read
+     * @example
+     * const { results, metadata } = await llm.batch(
+     *     prompts.map((prompt, i) => ({ id: `doc-${i}`, messages: [{ role: "user", content: prompt }] })),
+     *     { concurrency: 4, checkpointPath: "./batch-checkpoint.json", onProgress: p => console.log(`${p.completed}/${p.total}`) }
+     * );
+     * const failed = results.filter(result => result instanceof ResilientLLMError);
+     */
+    async batch(
+        items: (ChatMessage[] | BatchItem)[],
+        options?: BatchOptions | null,
+        observabilityOptions?: ObservabilityOptions | null
+    ): Promise<BatchResponse> {
+        const { concurrency, stopOnError = false, onProgress, checkpointPath, ...llmOptions } = options ?? {};
+        if (!Array.isArray(items)) {
+            throw new ResilientLLMError('batch() requires an array of items', 'INVALID_REQUEST');
+        }
+        const startTime = Date.now();
+        const requests = items.map((item, index) => ResilientLLM._batchItem(item, index, llmOptions, 'batch()'));
+
+        const maxConcurrent = llmOptions.maxConcurrent ?? this.maxConcurrent;
+        let workers = concurrency ?? maxConcurrent ?? 5;
+        if (maxConcurrent && workers > maxConcurrent) {
+            // More would be rejected by the bulkhead with BULKHEAD_EXHAUSTED
+            console.warn(`batch() concurrency ${workers} is above maxConcurrent ${maxConcurrent}; using ${maxConcurrent}`);
+            workers = maxConcurrent;
+        }
+
+        let checkpoint: CheckpointWriter | null = null;
+        const resumed = new Map<number, ChatResponse>();
+        if (checkpointPath) {
+            const saved = await readCheckpoint(checkpointPath).catch(error => {
+                throw new ResilientLLMError(`Cannot read batch checkpoint: ${(error as Error).message}`, 'INVALID_REQUEST', { cause: error });
+            });
+            requests.forEach((request, index) => {
+                const entry = saved.items[request.id];
+                if (entry && entry.fingerprint === itemFingerprint({ messages: request.messages, options: request.options })) {
+                    resumed.set(index, entry.response as ChatResponse);
+                }
+            });
+            checkpoint = createCheckpointWriter(checkpointPath, saved);
+        }
+
+        const results: (ChatResponse | ResilientLLMError | undefined)[] = requests.map((_, index) => resumed.get(index));
+        const pending = requests.map((_, index) => index).filter(index => !resumed.has(index));
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        const costs: (CostBreakdown | null)[] = [];
+        let succeeded = resumed.size;
+        let failed = 0;
+        let stopped = false;
+        if (!this._abortController || this._abortController.signal.aborted) {
+            this._abortController = new AbortController();
+        }
+        const signal = this._abortController.signal;
+
+        await runPool(pending.length, workers, async position => {
+            const index = pending[position];
+            const request = requests[index];
+            let result: ChatResponse | ResilientLLMError;
+            try {
+                const response = await this.chat(request.messages, request.options, observabilityOptions);
+                result = response;
+                succeeded++;
+                usage.prompt_tokens += response.metadata.usage?.prompt_tokens ?? 0;
+                usage.completion_tokens += response.metadata.usage?.completion_tokens ?? 0;
+                usage.total_tokens += response.metadata.usage?.total_tokens ?? 0;
+                costs.push(response.metadata.cost ?? null);
+                await checkpoint?.save(request.id, {
+                    fingerprint: itemFingerprint({ messages: request.messages, options: request.options }),
+                    response,
+                });
+            } catch (error) {
+                result = error instanceof ResilientLLMError
+                    ? error
+                    : new ResilientLLMError((error as Error).message, ResilientLLM._mapError(null, error as Error).code, { cause: error });
+                failed++;
+                stopped ||= stopOnError;
+            }
+            results[index] = result;
+            try {
+                onProgress?.({ index, id: request.id, result, completed: succeeded + failed, succeeded, failed, total: requests.length });
+            } catch (error) {
+                console.warn(`batch() onProgress failed: ${(error as Error).message}`);
+            }
+        }, () => stopped || signal.aborted);
+
+        let notRun = 0;
+        for (const index of pending) {
+            if (results[index] !== undefined) continue;
+            notRun++;
+            results[index] = new ResilientLLMError(
+                stopped ? 'Not run: the batch stopped after an item failed' : 'Not run: the batch was aborted',
+                'ABORTED',
+            );
+        }
+
+        return {
+            results: results as (ChatResponse | ResilientLLMError)[],
+            metadata: {
+                requestId: randomUUID(),
+                startTime,
+                timing: { totalTimeMs: Date.now() - startTime },
+                items: { total: requests.length, succeeded, failed, resumed: resumed.size, notRun },
+                usage,
+                cost: costs.every(Boolean) ? sumCosts(costs) ?? zeroCost() : null,
+            },
+        };
+    }
+
+    /**
+     * Submit chat requests as a provider batch job (OpenAI Batch API, Anthropic Message Batches), which
+     * providers process asynchronously at a discount. Each request is built like a `chat()` request; the
+     * job's HTTP calls do not go through the rate limiter, as batch jobs have limits of their own.
+     * @param items - Conversations, or `{ id, messages, options }` items (`id` becomes the request's `custom_id`)
+     * @param options - Chat options for every item, plus `metadata` for the job
+     * @returns The submitted job: `wait()` for it to end, then read `results()`
+     * @throws {ResilientLLMError} `UNSUPPORTED_FEATURE` when the provider has no batch API, `INVALID_REQUEST`
+     *   for missing items, duplicate ids or items for another provider, and provider errors from submitting
+     * @example
+     * const job = await llm.submitBatchJob(prompts.map(p => [{ role: "user", content: p }]), { aiService: "anthropic" });
+     * await job.wait();
+     * const results = await job.results(); // [{ id, result: ChatResponse | ResilientLLMError }]
+     */
+    async submitBatchJob(items: (ChatMessage[] | BatchItem)[], options?: BatchJobOptions | null): Promise<BatchJob> {
+        const { metadata, ...llmOptions } = options ?? {};
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new ResilientLLMError('submitBatchJob() requires a non-empty array of items', 'INVALID_REQUEST');
+        }
+        const aiService = llmOptions.aiService || this.aiService;
+        const prepared = new Map<string, PreparedChatRequest & { tools?: ToolDefinition[] }>();
+        const requests: BatchJobRequest[] = items.map((item, index) => {
+            const request = ResilientLLM._batchItem(item, index, llmOptions, 'submitBatchJob()');
+            if ((request.options.aiService || this.aiService) !== aiService) {
+                throw new ResilientLLMError(`All items of a batch job must use ${aiService}; item ${request.id} does not`, 'INVALID_REQUEST');
+            }
+            if (prepared.has(request.id)) {
+                throw new ResilientLLMError(`Duplicate batch job item id "${request.id}"`, 'INVALID_REQUEST');
+            }
+            let preparedRequest: PreparedChatRequest;
+            try {
+                preparedRequest = this._buildRequest({ conversationHistory: request.messages, llmOptions: request.options });
+            } catch (error) {
+                this.parseError(null, error as Error);
+            }
+            prepared.set(request.id, { ...preparedRequest, tools: request.options.tools });
+            return { customId: request.id, body: preparedRequest.requestBody };
+        });
+
+        const context = this._batchJobContext(aiService, llmOptions.apiKey, prepared);
+        const endpoint = new URL(ProviderRegistry.getChatApiUrl(aiService)!).pathname;
+        const job = await BatchJob.submit(context, requests, { endpoint, metadata });
+        console.log(`Submitted ${aiService} batch job ${job.id} with ${requests.length} requests`);
+        return job;
+    }
+
+    /**
+     * Load a provider batch job by id, e.g. to collect its results after a restart. Results are mapped
+     * with the provider's chat config (structured output is not parsed, as the original options are unknown).
+     * @throws {ResilientLLMError} `UNSUPPORTED_FEATURE` when the provider has no batch API, provider errors (e.g. `PROVIDER_NOT_FOUND`)
+     */
+    async getBatchJob(id: string, options?: Pick<LLMOptions, 'aiService' | 'apiKey'> | null): Promise<BatchJob> {
+        const aiService = options?.aiService || this.aiService;
+        return BatchJob.retrieve(this._batchJobContext(aiService, options?.apiKey), id);
+    }
+
+    /** Provider access for batch jobs, mapping results like chat() does (with each item's prepared request when known). */
+    private _batchJobContext(
+        aiService: string,
+        apiKey: string | undefined,
+        prepared?: Map<string, PreparedChatRequest & { tools?: ToolDefinition[] }>,
+    ): BatchJobContext {
+        const batchConfig = ProviderRegistry.getBatchConfig(aiService);
+        if (!batchConfig) {
+            throw new ResilientLLMError(
+                `${aiService} has no batch API. Use openai or anthropic, or configure the provider's \`batchApiUrl\`.`,
+                'UNSUPPORTED_FEATURE',
+            );
+        }
+        const { providerConfig, chatConfig } = this._resolveProvider(aiService);
+        try {
+            this._assertApiKey(providerConfig, apiKey);
+        } catch (error) {
+            this.parseError(null, error as Error);
+        }
+
+        return {
+            aiService,
+            format: batchConfig.format,
+            batchApiUrl: batchConfig.batchApiUrl,
+            filesApiUrl: batchConfig.filesApiUrl,
+            headers: ProviderRegistry.buildAuthHeaders(aiService, apiKey ?? null, {}, batchConfig.batchApiUrl),
+            completionWindow: batchConfig.completionWindow,
+            toResponse: (customId, body, jobId) => {
+                const request = prepared?.get(customId);
+                const parsed = this._handleResponse({
+                    rawData: body,
+                    statusCode: 200,
+                    chatConfig: request?.chatConfig ?? chatConfig,
+                    structuredOutputConfig: request?.structuredOutputConfig ?? null,
+                    tools: request?.tools,
+                });
+                const usage = ResilientLLM._responseUsage(body, request?.chatConfig ?? chatConfig);
+                const metadata = this._finalizeMetadata({
+                    requestId: customId,
+                    startTime: null,
+                    finishReason: parsed.finishReason ?? null,
+                    config: { aiService, model: body.model ?? request?.model ?? null, batchJobId: jobId },
+                    events: [],
+                    service: { attempted: [aiService], final: aiService },
+                }, 'success', null, usage);
+                return {
+                    content: parsed.content ?? null,
+                    ...(parsed.toolCalls !== undefined ? { toolCalls: parsed.toolCalls } : {}),
+                    metadata,
+                };
+            },
+            toError: (statusCode, error) => {
+                const { message, code } = ResilientLLM._mapError(statusCode, error);
+                return new ResilientLLMError(message, code, { cause: error, metadata: { provider: { httpStatus: statusCode } } });
+            },
+        };
+    }
+
+    /** A batch item with its id (default: its index) and options merged over the batch options. */
+    private static _batchItem(
+        item: ChatMessage[] | BatchItem,
+        index: number,
+        llmOptions: LLMOptions,
+        caller: string,
+    ): { id: string; messages: ChatMessage[]; options: LLMOptions } {
+        const { id, messages, options: itemOptions } = Array.isArray(item) ? { messages: item } as BatchItem : item ?? {} as BatchItem;
+        if (!Array.isArray(messages)) {
+            throw new ResilientLLMError(`${caller} item ${index} has no messages`, 'INVALID_REQUEST');
+        }
+        return { id: id ?? String(index), messages, options: { ...llmOptions, ...itemOptions } };
+    }
+
+    /**
+     * Embed texts with the provider's embeddings API (see `embeddingsApiUrl` / `embeddingsConfig` in ProviderRegistry).
+     * Inputs are cached one by one, so only new strings are sent; those are split into batches within the
+     * provider's limits, and each batch goes through rate limiting (its estimated tokens), the circuit breaker
+     * and retries like a chat request. There is no failover: vectors of different models are not comparable.
+     * @param input - A string or an array of strings
+     * @param options - Provider, embedding model, `dimensions` and resilience overrides
+     * @param observabilityOptions - Observability/metadata options
+     * @returns `{ embeddings, metadata }`; `metadata.cache` counts `hits` and `misses` per input
+     * @throws {ResilientLLMError} `INVALID_REQUEST` for empty input, `UNSUPPORTED_FEATURE` when the provider has
+     *   no embeddings API or cannot shorten vectors, and the same codes as `chat()` for failed requests
+     * @example
+     * const { embeddings } = await llm.embed(["first document", "second document"], {
+     *     aiService: "openai", model: "text-embedding-3-small", dimensions: 512,
+     * });
+     */
+    async embed(
+        input: string | string[],
+        options?: EmbedOptions | null,
+        observabilityOptions?: ObservabilityOptions | null
+    ): Promise<EmbeddingResponse> {
+        options = options ?? {};
+        const startTime = Date.now();
+        const requestId = randomUUID();
+        const texts = typeof input === 'string' ? [input] : input;
+        if (!Array.isArray(texts) || texts.length === 0 || texts.some(text => typeof text !== 'string' || text === '')) {
+            throw new ResilientLLMError('embed() requires a non-empty string or array of non-empty strings', 'INVALID_REQUEST');
+        }
+
+        const aiService = options.aiService || this.aiService;
+        const embeddingsConfig = ProviderRegistry.getEmbeddingsConfig(aiService);
+        const embeddingsApiUrl = ProviderRegistry.getEmbeddingsApiUrl(aiService);
+        if (!embeddingsConfig || !embeddingsApiUrl) {
+            throw new ResilientLLMError(
+                `${aiService} has no embeddings API. Use another provider or configure its \`embeddingsApiUrl\`.`,
+                'UNSUPPORTED_FEATURE',
+            );
+        }
+        const model = options.model || embeddingsConfig.defaultModel;
+        if (!model) {
+            throw new ResilientLLMError(`No embedding model set for ${aiService}. Pass \`model\`.`, 'INVALID_REQUEST');
+        }
+        const dimensions = options.dimensions;
+        if (dimensions !== undefined && !embeddingsConfig.supportsDimensions) {
+            throw new ResilientLLMError(`${aiService} embeddings do not support \`dimensions\``, 'UNSUPPORTED_FEATURE');
+        }
+
+        const resilienceConfig = this._resolveResilienceConfig(options);
+        const bucket = this._resolveBucket({ ...options, aiService, model });
+        const enableCache = options.enableCache ?? true;
+        const metadata: OperationMetadata = {
+            requestId,
+            startTime,
+            config: {
+                aiService,
+                model,
+                dimensions: dimensions ?? null,
+                inputs: texts.length,
+                batches: 0,
+                enableCache,
+                ...resilienceConfig,
+            },
+            events: [],
+            timing: { totalTimeMs: null, rateLimitWaitMs: 0, httpRequestMs: null },
+            retries: [],
+            rateLimiting: { ...bucket, priority: resilienceConfig.priority, requestedTokens: 0, totalWaitMs: 0 },
+            circuitBreaker: { ...bucket },
+            http: {},
+            cache: { enabled: enableCache, hits: 0, misses: 0 },
+            service: { attempted: [aiService], final: aiService },
+        };
+        observabilityOptions = { ...(observabilityOptions ?? {}), metadata };
+        let failedStatus: number | null = null;
+
+        try {
+            const { providerConfig } = this._resolveProvider(aiService);
+            this._assertApiKey(providerConfig, options.apiKey);
+            const apiKey = options.apiKey || null;
+            const apiUrl = ProviderRegistry.buildApiUrl(aiService, embeddingsApiUrl, apiKey);
+            const headers = ProviderRegistry.buildAuthHeaders(aiService, apiKey, { 'Content-Type': 'application/json' }, apiUrl);
+
+            // One cache entry per input string; backend failures count as misses
+            const cacheStore = toCacheStore(this.cacheStore);
+            const cacheKeyPolicy = { ...this.cacheKeyPolicy, ...options.cacheKeyPolicy, fields: ['model', 'input', 'dimensions'] };
+            const cacheTtlMs = options.cacheTtlMs ?? this.cacheTtlMs;
+            const cacheKeys = texts.map(text => buildCacheKey(apiUrl, { model, input: text, dimensions }, headers, cacheKeyPolicy));
+            const embeddings: (number[] | undefined)[] = await Promise.all(cacheKeys.map(async key => {
+                if (!enableCache) return undefined;
+                try {
+                    const cached = await cacheStore.get(key);
+                    return Array.isArray(cached) ? cached as number[] : undefined;
+                } catch (error) {
+                    console.warn(`Embeddings cache read failed: ${(error as Error).message}`);
+                    return undefined;
+                }
+            }));
+
+            // Repeated inputs are sent once
+            const pending = new Map<string, number[]>();
+            embeddings.forEach((embedding, index) => {
+                if (embedding === undefined) pending.set(cacheKeys[index], [...(pending.get(cacheKeys[index]) ?? []), index]);
+            });
+            const misses = [...pending.values()];
+            const missedInputs = misses.reduce((sum, indexes) => sum + indexes.length, 0);
+            metadata.cache = { enabled: enableCache, hits: texts.length - missedInputs, misses: missedInputs };
+
+            const tokenCounts = misses.map(([index]) => ResilientLLM.estimateTokens(texts[index], { aiService, model }));
+            const batches = batchInputs(tokenCounts, embeddingsConfig);
+            metadata.config!.batches = batches.length;
+            if (!this._abortController || this._abortController.signal.aborted) {
+                this._abortController = new AbortController();
+            }
+            const abortController = this._abortController;
+            let promptTokens = 0;
+
+            await Promise.all(batches.map(async batch => {
+                const operation = new ResilientOperation({
+                    bucketId: bucket.bucketId,
+                    provider: aiService,
+                    ...resilienceConfig,
+                    collectMetrics: true,
+                    onRateLimitUpdate: this.onRateLimitUpdate,
+                    onCircuitStateChange: this.onCircuitStateChange,
+                    stateBackend: this.stateBackend,
+                });
+                this.resilientOperations[operation.id] = operation;
+                metadata.operationId ??= operation.id;
+                try {
+                    const requestBody = buildEmbeddingsBody({ model, input: batch.map(miss => texts[misses[miss][0]]), dimensions });
+                    const batchTokens = batch.reduce((sum, miss) => sum + tokenCounts[miss], 0);
+                    const { data, statusCode } = await operation
+                        .withTokens(batchTokens, 0)
+                        .withCache(false)
+                        .withAbortControl(abortController)
+                        .execute(
+                            this._makeHttpRequest as (...args: unknown[]) => Promise<unknown>,
+                            apiUrl,
+                            requestBody,
+                            headers,
+                            abortController.signal,
+                            observabilityOptions
+                        ) as HttpResult;
+                    if (statusCode !== 200 || data?.error) {
+                        const providerError = ResilientLLM._extractProviderErrorDetails(data, statusCode);
+                        console.warn(`Provider error response (${statusCode}):`, JSON.stringify(providerError.response ?? data, null, 2));
+                        failedStatus = statusCode;
+                        throw new Error(providerError.message);
+                    }
+
+                    const parsed = parseEmbeddingsResponse(embeddingsConfig, data);
+                    if (parsed.embeddings.length !== batch.length) {
+                        throw new Error(`Expected ${batch.length} embeddings from ${aiService}, got ${parsed.embeddings.length}`);
+                    }
+                    await operation.reconcileTokens(parsed.usage?.total_tokens ?? null);
+                    promptTokens += parsed.usage?.prompt_tokens ?? 0;
+                    await Promise.all(batch.map(async (miss, position) => {
+                        const embedding = parsed.embeddings[position];
+                        for (const index of misses[miss]) embeddings[index] = embedding;
+                        if (!enableCache) return;
+                        try {
+                            await cacheStore.set(cacheKeys[misses[miss][0]], embedding, cacheTtlMs);
+                        } catch (error) {
+                            console.warn(`Embeddings cache write failed: ${(error as Error).message}`);
+                        }
+                    }));
+                } finally {
+                    this._mergeEmbedMetrics(metadata, operation.getRuntimeMetrics());
+                    delete this.resilientOperations[operation.id];
+                }
+            }));
+
+            metadata.timing!.totalTimeMs = Date.now() - startTime;
+            metadata.usage = { prompt_tokens: promptTokens, completion_tokens: null, total_tokens: promptTokens };
+            return { embeddings: embeddings as number[][], metadata };
+        } catch (error) {
+            console.error(`Error calling ${aiService} embeddings API:`, error);
+            metadata.timing!.totalTimeMs = Date.now() - startTime;
+            this.parseError(failedStatus, error as Error, metadata);
+        }
+    }
+
+    /** Adds one embeddings batch's runtime metrics to the embed() metadata. */
+    private _mergeEmbedMetrics(metadata: OperationMetadata, runtimeMetrics: ReturnType<ResilientOperation['getRuntimeMetrics']>): void {
+        if (!runtimeMetrics) return;
+        const rateLimiting = metadata.rateLimiting!;
+        rateLimiting.requestedTokens = (rateLimiting.requestedTokens ?? 0) + runtimeMetrics.rateLimiting.requestedTokens;
+        rateLimiting.totalWaitMs = (rateLimiting.totalWaitMs ?? 0) + runtimeMetrics.rateLimiting.totalWaitMs;
+        if (runtimeMetrics.rateLimiting.actualTokens !== undefined) {
+            rateLimiting.actualTokens = (rateLimiting.actualTokens ?? 0) + runtimeMetrics.rateLimiting.actualTokens;
+        }
+        metadata.timing!.rateLimitWaitMs = rateLimiting.totalWaitMs;
+        metadata.retries = [...(metadata.retries ?? []), ...runtimeMetrics.retries];
+        metadata.circuitBreaker = { ...metadata.circuitBreaker, ...(runtimeMetrics.circuitBreaker ?? {}) };
+    }
+
     /** Resolves resilience settings from instance defaults and per-call overrides. */
     private _resolveResilienceConfig(llmOptions: LLMOptions): ResilienceConfig {
         return {
@@ -424,24 +1496,235 @@ class ResilientLLM {
             retries: llmOptions?.retries ?? this.retries,
             backoffFactor: llmOptions?.backoffFactor ?? this.backoffFactor,
             circuitBreakerConfig: {
+                ...this.circuitBreakerConfig,
+                ...llmOptions?.circuitBreakerConfig,
                 failureThreshold: llmOptions?.circuitBreakerConfig?.failureThreshold ?? this.circuitBreakerConfig?.failureThreshold,
                 cooldownPeriod: llmOptions?.circuitBreakerConfig?.cooldownPeriod ?? this.circuitBreakerConfig?.cooldownPeriod
             },
             rateLimitConfig: {
                 requestsPerMinute: llmOptions?.rateLimitConfig?.requestsPerMinute ?? this.rateLimitConfig?.requestsPerMinute,
-                llmTokensPerMinute: llmOptions?.rateLimitConfig?.llmTokensPerMinute ?? this.rateLimitConfig?.llmTokensPerMinute
+                llmTokensPerMinute: llmOptions?.rateLimitConfig?.llmTokensPerMinute ?? this.rateLimitConfig?.llmTokensPerMinute,
+                maxQueueDepth: llmOptions?.rateLimitConfig?.maxQueueDepth ?? this.rateLimitConfig?.maxQueueDepth,
+                maxQueueWaitMs: llmOptions?.rateLimitConfig?.maxQueueWaitMs ?? this.rateLimitConfig?.maxQueueWaitMs,
             },
             maxConcurrent: llmOptions?.maxConcurrent ?? this.maxConcurrent,
+            priority: llmOptions?.priority ?? 0,
+        };
+    }
+
+    /** Bucket a request's shared rate limiter, circuit breaker and provider health are keyed by. */
+    private _resolveBucket(llmOptions: LLMOptions): ResolvedBucket {
+        return resolveBucket(llmOptions?.bucketScope ?? this.bucketScope, {
+            aiService: llmOptions?.aiService || this.aiService,
+            model: llmOptions?.model || this.model,
+            apiKey: llmOptions?.apiKey,
+        });
+    }
+
+    /** Builds provider request data from explicit chat inputs and defaults. */
+    private _buildRequest(input: ChatRequestInput): PreparedChatRequest {
+        const { conversationHistory, llmOptions } = input;
+        const aiService = llmOptions?.aiService || this.aiService;
+        const model = llmOptions?.model || this.model;
+
+        const { providerConfig, chatConfig } = this._resolveProvider(aiService);
+
+        // Get API URL from provider configuration
+        let apiUrl = ProviderRegistry.getChatApiUrl(aiService);
+        if (!apiUrl) {
+            const available = ProviderRegistry.list().map(p => `"${p.name}"`).join(', ');
+            throw new Error(`Invalid AI service: "${aiService}". Available: ${available}`);
+        }
+
+        this._assertApiKey(providerConfig, llmOptions?.apiKey);
+        apiUrl = apiUrl.replace('{model}', model);
+
+        // Get API key early for URL building and headers
+        const apiKey = llmOptions?.apiKey || null;
+
+        // Handle query-parameter auth; buildApiUrl uses endpoint-specific auth when needed
+        apiUrl = ProviderRegistry.buildApiUrl(aiService, apiUrl, apiKey);
+
+        const { requestBody, structuredOutputConfig } = this._buildRequestBody(
+            conversationHistory, llmOptions, { model, chatConfig, providerName: providerConfig.name }
+        );
+        const expectedCompletionTokens = ResilientLLM._expectedCompletionTokens(requestBody);
+        const maxInputTokens = this._inputTokenLimit(llmOptions, aiService, model, expectedCompletionTokens);
+
+        // Count everything sent: messages with overhead, system prompt, tool and response format schemas
+        const estimatedTokens = this._countRequestTokens(requestBody, aiService, model).total;
+        console.log("Estimated LLM input tokens:", estimatedTokens, "/", maxInputTokens);
+        if (estimatedTokens > maxInputTokens) {
+            throw new Error("Input tokens exceed the maximum limit of " + maxInputTokens);
+        }
+
+        const defaultHeaders: Record<string, string> = {
+            'Content-Type': 'application/json'
+        };
+        const headers = ProviderRegistry.buildAuthHeaders(aiService, apiKey, defaultHeaders, apiUrl);
+
+        return {
+            apiUrl,
+            requestBody,
+            headers,
+            chatConfig,
+            structuredOutputConfig,
+            estimatedTokens,
+            expectedCompletionTokens,
+            aiService,
+            model,
+            maxInputTokens,
+            resilienceConfig: this._resolveResilienceConfig(llmOptions),
+            bucket: this._resolveBucket(llmOptions),
+            enableCache: llmOptions?.enableCache ?? true,
+        };
+    }
+
+    /** Throws when a provider that requires an API key has none (in the options, registry or environment). */
+    private _assertApiKey(providerConfig: ProviderConfig, apiKey: string | undefined): void {
+        const hasApiKeyInRegistry = ProviderRegistry.hasApiKey(providerConfig.name);
+        if (!apiKey && !hasApiKeyInRegistry && !providerConfig.authConfig?.optional) {
+            const envVars = providerConfig.envVarNames?.join(' or ') || 'API_KEY';
+            throw new Error(`${envVars} is not set for provider "${providerConfig.name}"`);
+        }
+    }
+
+    /**
+     * Input token limit of a request: `maxInputTokens` when set (per call, constructor or MAX_INPUT_TOKENS),
+     * else the model's `contextWindow` from the ProviderRegistry cache minus the reserved output tokens,
+     * else the 100k default. Never fetches models; call `ProviderRegistry.getModels()` once to load them.
+     */
+    private _inputTokenLimit(llmOptions: LLMOptions, aiService: string, model: string, expectedCompletionTokens: number): number {
+        if (llmOptions?.maxInputTokens || this._maxInputTokensConfigured) {
+            return Number(llmOptions?.maxInputTokens || this.maxInputTokens);
+        }
+        const contextWindow = ProviderRegistry.getCachedModel(aiService, model)?.contextWindow;
+        if (typeof contextWindow === 'number' && contextWindow > 0) {
+            const room = contextWindow - expectedCompletionTokens;
+            return room > 0 ? room : contextWindow;
+        }
+        return Number(this.maxInputTokens);
+    }
+
+    /**
+     * Shortens a conversation over the input token limit with the `contextOverflow` strategy and records a
+     * `context.overflow` event. Returns it unchanged when it fits or the strategy is 'error' (the request
+     * builder then throws); a conversation that still does not fit fails the same way.
+     */
+    private async _fitContextWindow(
+        conversationHistory: ChatMessage[],
+        llmOptions: LLMOptions,
+    ): Promise<{ conversationHistory: ChatMessage[]; llmOptions: LLMOptions }> {
+        const overflow = normalizeContextOverflow(llmOptions.contextOverflow ?? this.contextOverflow);
+        if (overflow.strategy === 'error') {
+            return { conversationHistory, llmOptions };
+        }
+
+        const aiService = llmOptions.aiService || this.aiService;
+        const model = llmOptions.model || this.model;
+        const { providerConfig, chatConfig } = this._resolveProvider(aiService);
+        const { requestBody } = this._buildRequestBody(
+            conversationHistory, llmOptions, { model, chatConfig, providerName: providerConfig.name }
+        );
+        const inputTokens = this._countRequestTokens(requestBody, aiService, model).total;
+        const limit = this._inputTokenLimit(llmOptions, aiService, model, ResilientLLM._expectedCompletionTokens(requestBody));
+        if (inputTokens <= limit) {
+            return { conversationHistory, llmOptions };
+        }
+
+        const fits = (candidate: ChatMessage[]) => this.countTokens(candidate, llmOptions).total <= limit;
+        let fitted = conversationHistory;
+        let droppedMessages = 0;
+        let summarizedMessages = 0;
+        if (overflow.strategy === 'summarize') {
+            const { older, recent } = splitForSummary(conversationHistory, overflow.keepLast ?? 4);
+            if (older.length > 0) {
+                try {
+                    const { summary, summarized } = await this._summarizeHistory(older, overflow, llmOptions);
+                    fitted = withSummary(recent, summary);
+                    summarizedMessages = summarized;
+                    droppedMessages = older.length - summarized;
+                } catch (error) {
+                    console.warn("Could not summarize the earlier conversation, dropping it instead:", (error as Error).message);
+                }
+            }
+        }
+        if (!fits(fitted)) {
+            const keepFirstLast = overflow.strategy === 'keep-first-last';
+            const result = dropTurns(fitted, fits, {
+                keepFirst: keepFirstLast ? overflow.first ?? 1 : 0,
+                keepLast: keepFirstLast ? overflow.last : undefined,
+            });
+            fitted = result.messages;
+            droppedMessages = result.droppedMessages;
+        }
+
+        const fittedTokens = this.countTokens(fitted, llmOptions).total;
+        console.warn(`Input tokens ${inputTokens} exceed the limit of ${limit}; ${overflow.strategy} shortened the conversation to ${fittedTokens} tokens`);
+        const overflowEvent = {
+            type: 'context.overflow',
+            strategy: overflow.strategy,
+            maxInputTokens: limit,
+            inputTokens,
+            fittedTokens,
+            droppedMessages,
+            summarizedMessages,
+            timestamp: new Date().toISOString(),
+        };
+        return {
+            conversationHistory: fitted,
+            llmOptions: { ...llmOptions, __serviceEvents: [...(llmOptions.__serviceEvents || []), overflowEvent] },
         };
     }
 
-    /** Builds provider request data from explicit chat inputs and defaults. */
-    private _buildRequest(input: ChatRequestInput): PreparedChatRequest {
-        const { conversationHistory, llmOptions } = input;
-        const aiService = llmOptions?.aiService || this.aiService;
-        const model = llmOptions?.model || this.model;
+    /**
+     * Summarizes earlier messages with `chat()`, on the strategy's (cheaper) model when set. When the transcript
+     * is over the summarizing model's own input limit, only the newest messages that fit are summarized.
+     */
+    private async _summarizeHistory(
+        messages: ChatMessage[],
+        overflow: ContextOverflowConfig,
+        llmOptions: LLMOptions,
+    ): Promise<{ summary: string; summarized: number }> {
+        const aiService = overflow.aiService || llmOptions.aiService || this.aiService;
+        const sameService = aiService === (llmOptions.aiService || this.aiService);
+        // The request's model belongs to its own provider; another provider summarizes on its default model
+        const model = overflow.model || (sameService ? llmOptions.model || this.model : ProviderRegistry.get(aiService)?.defaultModel);
+        if (!model) {
+            throw new Error(`contextOverflow.model is required to summarize with "${aiService}", which has no default model`);
+        }
+        const summaryOptions: LLMOptions = {
+            aiService,
+            model,
+            maxTokens: overflow.maxSummaryTokens ?? 500,
+            apiKey: sameService ? llmOptions.apiKey : undefined,
+            priority: llmOptions.priority,
+            bucketScope: llmOptions.bucketScope,
+            contextOverflow: 'error',
+        };
+        const summaryRequest = (from: number): ChatMessage[] => [
+            { role: 'system', content: SUMMARY_INSTRUCTIONS },
+            { role: 'user', content: renderTranscript(messages.slice(from)) },
+        ];
+        const limit = this._inputTokenLimit(summaryOptions, aiService, model, summaryOptions.maxTokens as number);
+        // Oldest message to summarize (token counts only shrink as it moves forward)
+        let low = 0;
+        let high = messages.length - 1;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (this.countTokens(summaryRequest(mid), summaryOptions).total <= limit) high = mid;
+            else low = mid + 1;
+        }
 
-        // Get provider configuration
+        const response = await this.chat(summaryRequest(low), summaryOptions);
+        if (typeof response.content !== 'string' || !response.content.trim()) {
+            throw new Error("The summarizing model returned no text");
+        }
+        return { summary: response.content, summarized: messages.length - low };
+    }
+
+    /** Provider configuration and chat config (OpenAI-compatible when unset) of a provider. */
+    private _resolveProvider(aiService: string): { providerConfig: ProviderConfig; chatConfig: ChatConfig } {
         const providerConfig = ProviderRegistry.get(aiService);
         if (!providerConfig) {
             const available = ProviderRegistry.list().map(p => `"${p.name}"`).join(', ');
@@ -453,39 +1736,24 @@ class ResilientLLM {
             responseParsePath: 'choices[0].message.content',
             toolSchemaType: 'openai'
         };
+        return { providerConfig, chatConfig };
+    }
 
-        // Get API URL from provider configuration
-        let apiUrl = ProviderRegistry.getChatApiUrl(aiService);
-        if (!apiUrl) {
-            const available = ProviderRegistry.list().map(p => `"${p.name}"`).join(', ');
-            throw new Error(`Invalid AI service: "${aiService}". Available: ${available}`);
-        }
-
-        // Validate API key for providers that require it (check llmOptions and registry)
-        const hasApiKeyInOptions = !!llmOptions?.apiKey;
-        const hasApiKeyInRegistry = ProviderRegistry.hasApiKey(aiService);
-        if (!hasApiKeyInOptions && !hasApiKeyInRegistry && !providerConfig.authConfig?.optional) {
-            const envVars = providerConfig.envVarNames?.join(' or ') || 'API_KEY';
-            throw new Error(`${envVars} is not set for provider "${aiService}"`);
-        }
-
-        // Get API key early for URL building and headers
-        const apiKey = llmOptions?.apiKey || null;
-
-        // Handle query-parameter auth; buildApiUrl uses endpoint-specific auth when needed
-        apiUrl = ProviderRegistry.buildApiUrl(aiService, apiUrl, apiKey);
-
-        const maxInputTokens = Number(llmOptions?.maxInputTokens || this.maxInputTokens);
-        // Estimate LLM tokens for this request
-        const estimatedTokens = ResilientLLM.estimateTokens(
-            conversationHistory?.map(message => message?.content)?.join("\n")
-        );
-        console.log("Estimated LLM input tokens:", estimatedTokens, "/", maxInputTokens);
-        if (estimatedTokens > maxInputTokens) {
-            throw new Error("Input tokens exceed the maximum limit of " + maxInputTokens);
-        }
+    /** Counts a request body with the tokenizer of its provider and model. */
+    private _countRequestTokens(requestBody: Record<string, unknown>, aiService: string, model: string): TokenCount {
+        const tokenizer = TokenizerRegistry.resolve(aiService, model);
+        const counts = countRequestTokens(requestBody, text => ResilientLLM.estimateTokens(text, { aiService, model }));
+        return { ...counts, tokenizer: tokenizer.name, approximate: tokenizer.approximate };
+    }
 
-        const requestBody: Record<string, unknown> = { model };
+    /** Builds the provider request body (model parameters, messages, tools, structured output) for a chat. */
+    private _buildRequestBody(
+        conversationHistory: ChatMessage[],
+        llmOptions: LLMOptions,
+        { model, chatConfig, providerName }: { model: string; chatConfig: ChatConfig; providerName: string },
+    ): { requestBody: Record<string, unknown>; structuredOutputConfig: NormalizedStructuredOutputConfig | null } {
+        // Gemini takes the model in the URL
+        const requestBody: Record<string, unknown> = chatConfig.messageFormat === 'google' ? {} : { model };
         if (llmOptions?.tools) {
             requestBody.tools = llmOptions.tools;
         }
@@ -516,9 +1784,48 @@ class ResilientLLM {
         if (structuredRequestFields.output_config !== undefined) {
             requestBody.output_config = structuredRequestFields.output_config;
         }
+        if (structuredRequestFields.format !== undefined) {
+            requestBody.format = structuredRequestFields.format;
+        }
 
         const modelBase = model?.includes('/') ? model.split('/').pop() : model;
-        if (modelBase?.startsWith("o") || modelBase?.startsWith("gpt-5")) {
+        if (chatConfig.messageFormat === 'google') {
+            // Gemini: sampling parameters and structured output go in generationConfig
+            const generationConfig: Record<string, unknown> = { ...structuredRequestFields.generationConfig };
+            const maxOutputTokens = llmOptions?.maxTokens || this.maxTokens;
+            if (maxOutputTokens) {
+                generationConfig.maxOutputTokens = Number(maxOutputTokens);
+            }
+            const temperature = llmOptions?.temperature ?? this.temperature;
+            if (temperature != null) {
+                generationConfig.temperature = Number(temperature);
+            }
+            const topP = llmOptions?.topP ?? this.topP;
+            if (topP != null) {
+                generationConfig.topP = Number(topP);
+            }
+            requestBody.generationConfig = generationConfig;
+            if (llmOptions?.safetySettings) {
+                requestBody.safetySettings = llmOptions.safetySettings;
+            }
+        } else if (chatConfig.messageFormat === 'ollama') {
+            // Ollama: sampling parameters go in options; one JSON response instead of a stream
+            const options: Record<string, unknown> = {};
+            const numPredict = llmOptions?.maxTokens || this.maxTokens;
+            if (numPredict) {
+                options.num_predict = Number(numPredict);
+            }
+            const temperature = llmOptions?.temperature ?? this.temperature;
+            if (temperature != null) {
+                options.temperature = Number(temperature);
+            }
+            const topP = llmOptions?.topP ?? this.topP;
+            if (topP != null) {
+                options.top_p = Number(topP);
+            }
+            requestBody.options = options;
+            requestBody.stream = false;
+        } else if (modelBase?.startsWith("o") || modelBase?.startsWith("gpt-5")) {
             // Reasoning model parameters
             const maxCompletionTokens = llmOptions?.maxCompletionTokens
                 ?? this.maxCompletionTokens
@@ -543,60 +1850,53 @@ class ResilientLLM {
             }
         }
 
+        // Images and documents only go to models taking them
+        assertSupportedContent(conversationHistory, {
+            aiService: providerName,
+            model,
+            inputModalities: modelInputModalities(providerName, model, {
+                providerModalities: chatConfig.inputModalities,
+                listedModalities: ProviderRegistry.getCachedModel(providerName, model)?.inputModalities,
+            }),
+        });
+
         // Format messages based on provider configuration
         if (chatConfig.messageFormat === 'anthropic') {
             const { system, messages } = this.formatMessageForAnthropic(conversationHistory);
             if (system) requestBody.system = system;
             requestBody.messages = messages;
+        } else if (chatConfig.messageFormat === 'google') {
+            const { systemInstruction, contents } = toGoogleContents(conversationHistory);
+            if (systemInstruction) requestBody.systemInstruction = systemInstruction;
+            requestBody.contents = contents;
+        } else if (chatConfig.messageFormat === 'ollama') {
+            requestBody.messages = toOllamaMessages(conversationHistory);
         } else {
-            // Default: 'openai' format (keep system in messages)
-            requestBody.messages = conversationHistory;
-            if (process.env.STORE_AI_API_CALLS === 'true' && providerConfig.name === 'openai') {
+            // Default: 'openai' format (keep system in messages; `is_error` is Anthropic-only)
+            requestBody.messages = conversationHistory.some(message => Array.isArray(message.content) || 'is_error' in message)
+                ? conversationHistory.map(({ is_error: _isError, ...message }) => Array.isArray(message.content)
+                    ? {
+                        ...message,
+                        content: toOpenAIContent(message.content, { documentPartType: chatConfig.documentPartType, aiService: providerName }),
+                    }
+                    : message)
+                : conversationHistory;
+            if (process.env.STORE_AI_API_CALLS === 'true' && providerName === 'openai') {
                 requestBody.store = true;
             }
         }
 
         // Handle tool schema conversion based on provider
         if ((requestBody.tools as ToolDefinition[] | undefined)?.length) {
-            const toolDefinitions: ToolDefinition[] = JSON.parse(JSON.stringify(requestBody.tools));
-            if (chatConfig.toolSchemaType === 'anthropic') {
-                // Convert to Anthropic format (input_schema)
-                for (const tool of toolDefinitions) {
-                    if (!tool.function.input_schema && tool.function.parameters) {
-                        tool.function.input_schema = tool.function.parameters;
-                        delete tool.function.parameters;
-                    }
-                }
-            } else {
-                // Convert to OpenAI format (parameters)
-                for (const tool of toolDefinitions) {
-                    if (!tool.function.parameters && tool.function.input_schema) {
-                        tool.function.parameters = tool.function.input_schema;
-                        delete tool.function.input_schema;
-                    }
-                }
-            }
-            requestBody.tools = toolDefinitions;
+            const toolDefinitions = JSON.parse(JSON.stringify(requestBody.tools)) as Record<string, unknown>[];
+            requestBody.tools = chatConfig.toolSchemaType === 'anthropic'
+                ? toAnthropicTools(toolDefinitions)
+                : chatConfig.toolSchemaType === 'google'
+                    ? toGoogleTools(toolDefinitions)
+                    : toOpenAITools(toolDefinitions);
         }
 
-        const defaultHeaders: Record<string, string> = {
-            'Content-Type': 'application/json'
-        };
-        const headers = ProviderRegistry.buildAuthHeaders(aiService, apiKey, defaultHeaders, apiUrl);
-
-        return {
-            apiUrl,
-            requestBody,
-            headers,
-            chatConfig,
-            structuredOutputConfig,
-            estimatedTokens,
-            aiService,
-            model,
-            maxInputTokens,
-            resilienceConfig: this._resolveResilienceConfig(llmOptions),
-            enableCache: llmOptions?.enableCache ?? true,
-        };
+        return { requestBody, structuredOutputConfig };
     }
 
     /** Parses and normalizes the provider response into caller-facing content.
@@ -616,7 +1916,7 @@ class ResilientLLM {
      * // }
     */
     private _handleResponse(input: ChatResponseHandlerInput): ParsedChatResponse {
-        const envelope = this.parseChatCompletion(input.rawData, input.chatConfig, input.tools);
+        const envelope = input.envelope ?? this.parseChatCompletion(input.rawData, input.chatConfig, input.tools);
 
         let content: string | Record<string, unknown> | null = envelope.content ?? null;
         let toolCalls: unknown | undefined;
@@ -727,8 +2027,13 @@ class ResilientLLM {
             events: llmOptions?.__serviceEvents ? [...llmOptions.__serviceEvents] : [],
             timing: { totalTimeMs: null, rateLimitWaitMs: 0, httpRequestMs: null },
             retries: [],
-            rateLimiting: { requestedTokens: preparedRequest.estimatedTokens, totalWaitMs: 0 },
-            circuitBreaker: {},
+            rateLimiting: {
+                ...preparedRequest.bucket,
+                priority: preparedRequest.resilienceConfig.priority,
+                requestedTokens: preparedRequest.estimatedTokens,
+                totalWaitMs: 0,
+            },
+            circuitBreaker: { ...preparedRequest.bucket },
             http: {},
             cache: { enabled: preparedRequest.enableCache },
             service: { attempted: attemptedServices, final: preparedRequest.aiService },
@@ -740,7 +2045,7 @@ class ResilientLLM {
         base: OperationMetadata,
         phase: 'success' | 'error',
         runtimeMetrics: ReturnType<ResilientOperation['getRuntimeMetrics']> | null,
-        usageData?: Record<string, unknown>,
+        usageData?: NormalizedUsage,
     ): OperationMetadata {
         const prev = base ?? {};
         const timingPrev = prev.timing ?? {};
@@ -755,10 +2060,16 @@ class ResilientLLM {
         };
 
         const rateLimiting = {
-            requestedTokens: prev.rateLimiting?.requestedTokens ?? runtimeMetrics?.rateLimiting?.requestedTokens ?? 0,
+            ...(prev.rateLimiting?.bucketId ? { bucketId: prev.rateLimiting.bucketId, scope: prev.rateLimiting.scope } : {}),
+            ...(prev.rateLimiting?.priority !== undefined ? { priority: prev.rateLimiting.priority } : {}),
+            // Tokens taken from the bucket (input + expected completion), once acquired
+            requestedTokens: runtimeMetrics?.rateLimiting?.requestedTokens || prev.rateLimiting?.requestedTokens || 0,
             totalWaitMs: runtimeMetrics?.rateLimiting?.totalWaitMs
                 ?? prev.rateLimiting?.totalWaitMs
                 ?? 0,
+            ...(runtimeMetrics?.rateLimiting?.actualTokens !== undefined
+                ? { actualTokens: runtimeMetrics.rateLimiting.actualTokens }
+                : prev.rateLimiting?.actualTokens !== undefined ? { actualTokens: prev.rateLimiting.actualTokens } : {}),
         };
 
         const circuitBreaker = {
@@ -771,21 +2082,7 @@ class ResilientLLM {
             ...(runtimeMetrics?.cache ?? {}),
         };
 
-        const usage =
-            phase === 'success' && usageData && typeof usageData === 'object'
-                ? (() => {
-                      const pt = usageData.prompt_tokens as number | undefined;
-                      const ct = usageData.completion_tokens as number | undefined;
-                      const tot =
-                          (usageData.total_tokens as number | undefined) ??
-                          (pt != null && ct != null ? pt + ct : null);
-                      return {
-                          prompt_tokens: pt ?? null,
-                          completion_tokens: ct ?? null,
-                          total_tokens: tot ?? null,
-                      };
-                  })()
-                : prev.usage;
+        const usage = phase === 'success' && usageData ? { ...usageData } : prev.usage;
         const retries = runtimeMetrics?.retries ?? prev.retries ?? [];
 
         return {
@@ -800,6 +2097,162 @@ class ResilientLLM {
         };
     }
 
+    /**
+     * Sets `metadata.cost` of a successful response from its usage and the model's prices, and adds
+     * the response to `usageTotals`. Cache hits cost nothing; the failed hops in `metadata.service.attempted`
+     * report no usage and cost 0 in `cost.byService`.
+     */
+    private _recordCost(metadata: OperationMetadata): OperationMetadata {
+        const aiService = metadata.service?.final ?? this.aiService;
+        const cacheHit = Boolean(metadata.cache?.hit);
+        const usage = (metadata.usage ?? {}) as Partial<NormalizedUsage>;
+        const pricing = ProviderRegistry.getModelPricing(aiService, metadata.config?.model as string | undefined);
+        const cost = cacheHit ? zeroCost() : pricing ? computeCost(usage as NormalizedUsage, pricing) : null;
+        if (cost) {
+            const attempted = metadata.service?.attempted?.length ? metadata.service.attempted : [aiService];
+            cost.byService = Object.fromEntries(attempted.map(service => [service, service === aiService ? cost.total : 0]));
+        }
+
+        const totals = this.usageTotals;
+        const serviceTotals = totals.byService[aiService] ??= { requests: 0, total_tokens: 0, cost: 0 };
+        totals.requests++;
+        serviceTotals.requests++;
+        if (cacheHit) {
+            totals.cacheHits++;
+        } else {
+            totals.prompt_tokens += usage.prompt_tokens ?? 0;
+            totals.completion_tokens += usage.completion_tokens ?? 0;
+            totals.total_tokens += usage.total_tokens ?? 0;
+            totals.cached_input_tokens += usage.cached_input_tokens ?? 0;
+            totals.cache_write_tokens += usage.cache_write_tokens ?? 0;
+            totals.reasoning_tokens += usage.reasoning_tokens ?? 0;
+            serviceTotals.total_tokens += usage.total_tokens ?? 0;
+        }
+        if (cost) {
+            totals.cost = roundUsd(totals.cost + cost.total);
+            serviceTotals.cost = roundUsd(serviceTotals.cost + cost.total);
+        } else {
+            totals.unpricedRequests++;
+        }
+        return { ...metadata, cost };
+    }
+
+    /**
+     * Resets `usageTotals`, e.g. at the start of a billing period.
+     * @returns The totals before the reset
+     */
+    resetUsageTotals(): UsageTotals {
+        const totals = this.usageTotals;
+        this.usageTotals = ResilientLLM._emptyUsageTotals();
+        return totals;
+    }
+
+    /**
+     * Checks a request's estimated cost (input tokens plus max output tokens, at the model's prices)
+     * against the budgets and reserves it until the request settles. Unpriced models are estimated
+     * at 0, so they are only over budget once a window is fully spent.
+     * @returns The reservation (null without budgets), or the options to retry with a cheaper model
+     *   when over budget with `onExceeded: 'downgrade'`
+     * @throws {ResilientLLMError} BUDGET_EXCEEDED when over budget and no model is left to downgrade to
+     */
+    private _reserveBudget(
+        preparedRequest: PreparedChatRequest,
+        llmOptions: LLMOptions
+    ): { reservation: BudgetReservation | null; downgrade?: LLMOptions } {
+        if (!this.budgets) return { reservation: null };
+        const { aiService, model } = preparedRequest;
+        const pricing = ProviderRegistry.getModelPricing(aiService, model);
+        const estimate = pricing
+            ? computeCost({
+                prompt_tokens: preparedRequest.estimatedTokens,
+                completion_tokens: preparedRequest.expectedCompletionTokens,
+                total_tokens: null,
+            }, pricing)?.total ?? 0
+            : 0;
+        const exceeded = this.budgets.check(estimate, llmOptions.tenant);
+        if (!exceeded) {
+            return { reservation: this.budgets.reserve(estimate, llmOptions.tenant) };
+        }
+
+        const budgetName = exceeded.scope === 'tenant' ? `tenant ${exceeded.tenant}` : 'instance';
+        const { onExceeded = 'block', downgradeTo = [] } = this.budgets.config;
+        if (onExceeded === 'downgrade') {
+            const start = llmOptions.__budgetDowngradeIndex ?? 0;
+            const index = downgradeTo.findIndex((target, i) => i >= start
+                && ((target.aiService ?? aiService) !== aiService || target.model !== model));
+            if (index !== -1) {
+                const target = downgradeTo[index];
+                const toService = target.aiService ?? aiService;
+                console.warn(`Budget downgrade: ${aiService}/${model} -> ${toService}/${target.model} (${budgetName} ${exceeded.window} budget of $${exceeded.limit})`);
+                // Credentials belong to the original provider
+                const { apiKey: _previousApiKey, ...llmOptionsForTarget } = llmOptions;
+                return {
+                    reservation: null,
+                    downgrade: {
+                        ...(toService === aiService ? llmOptions : llmOptionsForTarget),
+                        aiService: toService,
+                        model: target.model,
+                        __budgetDowngradeIndex: index + 1,
+                        __serviceEvents: [...(llmOptions.__serviceEvents || []), {
+                            type: 'budget.downgrade',
+                            fromService: aiService,
+                            fromModel: model,
+                            toService,
+                            toModel: target.model,
+                            ...exceeded,
+                            timestamp: new Date().toISOString(),
+                        }],
+                    },
+                };
+            }
+        }
+        throw new ResilientLLMError(
+            `Budget exceeded: the ${budgetName} ${exceeded.window} budget of $${exceeded.limit} has $${roundUsd(exceeded.limit - exceeded.spent - exceeded.reserved)} left; this request is estimated at $${estimate}`,
+            'BUDGET_EXCEEDED',
+            { metadata: { budget: exceeded, events: [...(llmOptions.__serviceEvents || [])] } },
+        );
+    }
+
+    /** Settles a budget reservation with the response's cost, or releases it (no metadata: the request failed). */
+    private _settleBudget(reservation: BudgetReservation | null, metadata: OperationMetadata | null): void {
+        if (!reservation || !this.budgets) return;
+        this.budgets.settle(reservation, metadata?.cost?.total ?? 0);
+    }
+
+    /**
+     * Spending, in-flight estimates and limits per budget window, for dashboards.
+     * @returns null when the instance has no `budgets`
+     * @example
+     * llm.getBudgetStatus();
+     * // { instance: { day: { limit: 50, spent: 12.4, reserved: 0.02, remaining: 37.58, resetsAt: '2026-10-20T00:00:00.000Z' } }, tenants: { ... } }
+     */
+    getBudgetStatus(): BudgetStatus | null {
+        return this.budgets?.getStatus() ?? null;
+    }
+
+    /**
+     * Clears budget spending: of one tenant, or of the instance and all tenants when called without arguments.
+     */
+    resetBudgets(tenant?: string): void {
+        this.budgets?.reset(tenant);
+    }
+
+    private static _emptyUsageTotals(): UsageTotals {
+        return {
+            requests: 0,
+            cacheHits: 0,
+            prompt_tokens: 0,
+            completion_tokens: 0,
+            total_tokens: 0,
+            cached_input_tokens: 0,
+            cache_write_tokens: 0,
+            reasoning_tokens: 0,
+            cost: 0,
+            unpricedRequests: 0,
+            byService: {},
+        };
+    }
+
     async retryChatWithAlternateService(
         conversationHistory: ChatMessage[],
         llmOptions?: LLMOptions | null,
@@ -807,24 +2260,25 @@ class ResilientLLM {
             statusCode?: number;
             message?: string;
             response?: Record<string, unknown> | null;
+            retryAfterMs?: number | null;
         }
     ): Promise<ChatResponse> {
         llmOptions = llmOptions ?? {};
-        this.llmOutOfService = this.llmOutOfService || [];
         const currentService = llmOptions?.aiService || this.aiService;
-        this.llmOutOfService.push(currentService);
+        this._markProviderDown(this._resolveBucket(llmOptions).bucketId, fallbackContext ?? {});
         const attemptedServices = llmOptions.__serviceAttempted ? [...llmOptions.__serviceAttempted] : [currentService];
         if (!attemptedServices.includes(currentService)) {
             attemptedServices.push(currentService);
         }
+        const { apiKey: _previousApiKey, ...llmOptionsForFallback } = llmOptions;
         const defaultModels = ProviderRegistry.getDefaultModels();
         for (const [providerName, defaultModel] of Object.entries(defaultModels)) {
-            if (!this.llmOutOfService.includes(providerName)) {
+            const { bucketId } = this._resolveBucket({ ...llmOptionsForFallback, aiService: providerName, model: defaultModel });
+            if (!attemptedServices.includes(providerName) && this.providerHealth.isAvailable(bucketId)) {
                 const providerConfig = ProviderRegistry.get(providerName);
                 const canFallback =
                     !!providerConfig?.authConfig?.optional || ProviderRegistry.hasApiKey(providerName);
                 if (!canFallback) {
-                    this.llmOutOfService.push(providerName);
                     continue;
                 }
                 console.log("Switching LLM service to:", providerName, defaultModel);
@@ -841,7 +2295,6 @@ class ResilientLLM {
                     `Fallback triggered: ${currentService} -> ${providerName} (status: ${fallbackContext?.statusCode ?? 'unknown'})`,
                     fallbackContext?.message || ''
                 );
-                const { apiKey: _previousApiKey, ...llmOptionsForFallback } = llmOptions;
                 const newLLMOptions: LLMOptions = {
                     ...llmOptionsForFallback,
                     aiService: providerName,
@@ -855,6 +2308,140 @@ class ResilientLLM {
         throw new Error("No alternative model found");
     }
 
+    /**
+     * Retry a chat on the next eligible target of an ordered fallback chain.
+     * Targets are eligible when the error code matches their conditions, their tier is within
+     * `fallbackPolicy.maxTierDrop` of the originally requested model and credentials are available.
+     * @param fallbacks - Remaining chain, in order
+     * @param fallbackContext - The failed attempt; `code` is matched against the targets' conditions,
+     *   `error` and `metadata` are rethrown (via parseError) when no target is eligible
+     * @throws {ResilientLLMError} With the failed attempt's code when no target is eligible
+     */
+    async retryChatWithFallback(
+        conversationHistory: ChatMessage[],
+        llmOptions: LLMOptions,
+        fallbacks: FallbackTarget[],
+        fallbackContext: {
+            code: ResilientLLMErrorCode;
+            statusCode?: number | null;
+            message?: string;
+            response?: Record<string, unknown> | null;
+            retryAfterMs?: number | null;
+            error?: Error;
+            metadata?: OperationMetadata | null;
+        }
+    ): Promise<ChatResponse> {
+        const currentService = llmOptions.aiService || this.aiService;
+        const currentModel = llmOptions.model || this.model;
+        const policy = { ...this.fallbackPolicy, ...llmOptions.fallbackPolicy };
+        const primaryTier = llmOptions.__fallbackPrimaryTier !== undefined
+            ? llmOptions.__fallbackPrimaryTier
+            : resolveTier(currentModel, policy);
+
+        // Credentials belong to the failed provider; the target brings its own or uses the registry
+        const { apiKey: _previousApiKey, ...llmOptionsForFallback } = llmOptions;
+        this._markProviderDown(this._resolveBucket(llmOptions).bucketId, fallbackContext);
+        const { target, remaining, skipped } = selectFallback(fallbacks, fallbackContext.code, {
+            policy,
+            primaryTier,
+            isHealthy: (candidate) => this.providerHealth.isAvailable(this._resolveBucket({
+                ...llmOptionsForFallback,
+                ...(candidate.llmOptions as LLMOptions | undefined),
+                aiService: candidate.aiService,
+                model: candidate.model,
+            }).bucketId),
+            canUse: (candidate) => !!candidate.llmOptions?.apiKey
+                || !!ProviderRegistry.get(candidate.aiService)?.authConfig?.optional
+                || ProviderRegistry.hasApiKey(candidate.aiService),
+        });
+        const events: Record<string, unknown>[] = [
+            ...(llmOptions.__serviceEvents || []),
+            ...skipped.map(entry => ({ type: 'fallback.targetSkipped', ...entry, timestamp: new Date().toISOString() })),
+        ];
+        if (!target) {
+            const error = fallbackContext.error
+                ?? new Error(fallbackContext.message || `${currentService} request failed and no fallback target is eligible`);
+            this.parseError(fallbackContext.statusCode ?? null, error, fallbackContext.metadata
+                ? { ...fallbackContext.metadata, events }
+                : undefined);
+        }
+
+        console.warn(
+            `Fallback triggered: ${currentService}/${currentModel} -> ${target.aiService}/${target.model} (${fallbackContext.code})`,
+            fallbackContext.message || ''
+        );
+        const attemptedServices = llmOptions.__serviceAttempted ? [...llmOptions.__serviceAttempted] : [currentService];
+        if (!attemptedServices.includes(currentService)) {
+            attemptedServices.push(currentService);
+        }
+        events.push({
+            type: 'fallback.serviceSwitch',
+            fromService: currentService,
+            fromModel: currentModel,
+            toService: target.aiService,
+            toModel: target.model,
+            code: fallbackContext.code,
+            statusCode: fallbackContext.statusCode ?? null,
+            reason: fallbackContext.message ?? null,
+            response: fallbackContext.response ?? null,
+            timestamp: new Date().toISOString(),
+        });
+
+        return this.chat(conversationHistory, {
+            ...llmOptionsForFallback,
+            ...(target.llmOptions as LLMOptions | undefined),
+            aiService: target.aiService,
+            model: target.model,
+            fallbacks: remaining,
+            __fallbackPrimaryTier: primaryTier,
+            __serviceAttempted: [...attemptedServices, target.aiService],
+            __serviceEvents: events,
+        });
+    }
+
+    /**
+     * Mark a provider down after a failover. It recovers after the provider's `retry-after`,
+     * the remaining cooldown of its open circuit, or the circuit breaker cooldown period.
+     * @param bucketId - The failed request's bucket: the provider name unless `bucketScope` is narrower
+     */
+    private _markProviderDown(
+        bucketId: string,
+        failure: { code?: ResilientLLMErrorCode; statusCode?: number | null; message?: string; retryAfterMs?: number | null }
+    ): void {
+        let recoverAfterMs = failure.retryAfterMs ?? null;
+        if (recoverAfterMs === null && failure.code === 'CIRCUIT_OPEN') {
+            recoverAfterMs = CircuitBreaker.getInstance(bucketId).getStatus().cooldownRemaining || null;
+        }
+        this.providerHealth.markDown(bucketId, {
+            reason: failure.message ?? null,
+            statusCode: failure.statusCode ?? null,
+            recoverAfterMs,
+        });
+    }
+
+    /**
+     * Providers currently marked down (excluded as fallback targets), with time remaining until recovery.
+     * Keyed by bucket id: the provider name, or e.g. `openai:gpt-5` with `bucketScope: 'provider+model'`.
+     * @example
+     * llm.getProviderHealth(); // { openai: { reason: 'Rate limit exceeded', statusCode: 429, remainingMs: 18000, ... } }
+     */
+    getProviderHealth(): Record<string, ProviderHealthStatus> {
+        return this.providerHealth.getStatus();
+    }
+
+    /**
+     * Restore one provider (or all when called without arguments) before its recovery time.
+     * @param service - Provider name or bucket id, e.g. `openai` or `openai:gpt-5`
+     */
+    resetProviderHealth(service?: string): void {
+        this.providerHealth.reset(service);
+    }
+
+    /** @deprecated Use `getProviderHealth()`. Providers currently marked down. */
+    get llmOutOfService(): string[] {
+        return this.providerHealth.getDownServices();
+    }
+
     async _makeHttpRequest(
         apiUrl: string,
         requestBody: Record<string, unknown>,
@@ -885,12 +2472,20 @@ class ResilientLLM {
                 ResilientLLM._captureHttpMetadata(observabilityOptions.metadata, apiUrl, response, httpDurationMs);
             }
 
-            return result;
+            // Thrown so that ResilientOperation retries them and counts them toward the circuit breaker
+            if (result.statusCode >= 500) {
+                const providerError = ResilientLLM._extractProviderErrorDetails(result.data, result.statusCode);
+                const error = new Error(providerError.message) as Error & { response?: Response };
+                error.response = response;
+                throw error;
+            }
+
+            return { ...result, responseHeaders: ResilientLLM._headersToObject(response) };
         } catch (error) {
             const httpDurationMs = Date.now() - httpStartTime;
             console.log(`Request to ${apiUrl} failed in ${httpDurationMs} ms`);
 
-            if (observabilityOptions?.metadata) {
+            if (!(error as { response?: unknown }).response && observabilityOptions?.metadata) {
                 ResilientLLM._captureHttpMetadata(observabilityOptions.metadata, apiUrl, null, httpDurationMs, error as Error);
             }
 
@@ -902,6 +2497,56 @@ class ResilientLLM {
         }
     }
 
+    /**
+     * Opens a streaming request. Resolves as soon as response headers arrive so that
+     * ResilientOperation retries only cover the time before the first byte.
+     * Throws (with `error.response`) on 429 and 5xx so they are retried like other transient failures.
+     */
+    async _makeStreamRequest(
+        apiUrl: string,
+        requestBody: Record<string, unknown>,
+        headers: Record<string, string>,
+        abortSignal: AbortSignal,
+        observabilityOptions?: ObservabilityOptions
+    ): Promise<HttpStreamResult> {
+        console.log("Making streaming HTTP request to:", apiUrl);
+        const httpStartTime = Date.now();
+
+        try {
+            const response = await fetch(apiUrl, {
+                method: 'POST',
+                headers: { ...headers, Accept: 'text/event-stream' },
+                body: JSON.stringify(requestBody),
+                signal: abortSignal
+            });
+
+            const httpDurationMs = Date.now() - httpStartTime;
+            if (observabilityOptions?.metadata) {
+                ResilientLLM._captureHttpMetadata(observabilityOptions.metadata, apiUrl, response, httpDurationMs);
+            }
+
+            const statusCode = response?.status ?? 0;
+            if (statusCode >= 200 && statusCode < 300 && response.body) {
+                return { body: response.body, statusCode, responseHeaders: ResilientLLM._headersToObject(response) };
+            }
+
+            const { data } = await ResilientLLM._readProviderJsonResponse(response);
+            if (statusCode === 429 || statusCode >= 500) {
+                const providerError = ResilientLLM._extractProviderErrorDetails(data, statusCode);
+                const error = new Error(providerError.message) as Error & { response?: Response };
+                error.response = response;
+                throw error;
+            }
+            return { data, statusCode, responseHeaders: ResilientLLM._headersToObject(response) };
+        } catch (error) {
+            if (!(error as { response?: unknown }).response && observabilityOptions?.metadata) {
+                ResilientLLM._captureHttpMetadata(observabilityOptions.metadata, apiUrl, null, Date.now() - httpStartTime, error as Error);
+            }
+            console.error(`Error in streaming request to ${apiUrl}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Pulls a human-readable message and full payload from provider error JSON.
      * OpenRouter often puts the real reason in error.metadata.raw while error.message stays generic.
@@ -1005,6 +2650,17 @@ class ResilientLLM {
         };
     }
 
+    /** Converts fetch response headers to a plain object with lowercase names (empty for header-less mocks). */
+    static _headersToObject(response: Response | null | undefined): Record<string, string> {
+        const responseHeaders: Record<string, string> = {};
+        if (typeof response?.headers?.forEach === 'function') {
+            response.headers.forEach((value, key) => {
+                responseHeaders[key.toLowerCase()] = value;
+            });
+        }
+        return responseHeaders;
+    }
+
     static _captureHttpMetadata(
         metadata: OperationMetadata,
         apiUrl: string,
@@ -1056,7 +2712,7 @@ class ResilientLLM {
             }
             throw error;
         }
-        const { message, code } = ResilientLLM._mapHttpStatus(statusCode, error);
+        const { message, code } = ResilientLLM._mapError(statusCode, error);
         const metadata: OperationMetadata = {
             ...(operationMetadata ?? {}),
             provider: { httpStatus: statusCode },
@@ -1067,6 +2723,33 @@ class ResilientLLM {
         });
     }
 
+    /** Maps a failure to a stable error code and message: resilience errors first, then the HTTP status. */
+    static _mapError(
+        statusCode: number | null,
+        error: Error,
+    ): { message: string; code: ResilientLLMErrorCode } {
+        if (error instanceof ResilientLLMError) {
+            return { message: error.message, code: error.code };
+        }
+        if (error?.name === 'TimeoutError') {
+            return { message: error.message || "Operation timed out", code: "TIMEOUT" };
+        }
+        if (error?.message === 'Circuit breaker is open') {
+            return { message: error.message, code: "CIRCUIT_OPEN" };
+        }
+        if (error?.name === 'AbortError') {
+            return { message: error.message || "Operation was aborted", code: "ABORTED" };
+        }
+        if (error?.message?.startsWith('Concurrency limit exceeded')) {
+            return { message: error.message, code: "BULKHEAD_EXHAUSTED" };
+        }
+        if (error?.name === 'RateLimitExhaustedError') {
+            return { message: error.message, code: "RATE_LIMIT_EXHAUSTED" };
+        }
+        const responseStatus = (error as { response?: { status?: number } })?.response?.status;
+        return ResilientLLM._mapHttpStatus(statusCode ?? responseStatus ?? null, error);
+    }
+
     /** Maps an HTTP status to a stable error code and message. */
     private static _mapHttpStatus(
         statusCode: number | null,
@@ -1087,7 +2770,9 @@ class ResilientLLM {
                 return { message: error?.message || "Not found", code: "PROVIDER_NOT_FOUND" };
             case 500:
                 return { message: error?.message || "Internal server error", code: "PROVIDER_INTERNAL_ERROR" };
+            case 502:
             case 503:
+            case 504:
                 return { message: error?.message || "Service unavailable", code: "PROVIDER_UNAVAILABLE" };
             case 529:
                 return { message: error?.message || "API temporarily overloaded", code: "PROVIDER_OVERLOADED" };
@@ -1098,7 +2783,9 @@ class ResilientLLM {
 
     /**
      * Converts the messages array to the format required by Anthropic
-     * Extracts system messages into a separate system field
+     * Extracts system messages into a separate system field, converts assistant `tool_calls`
+     * to `tool_use` blocks, `role: 'tool'` messages to `tool_result` blocks and image and document parts
+     * to `image` / `document` blocks
      * @param {Array} messages - Array of message objects
      * @returns {Object} Object with system (string) and messages (array) properties
      * @example 
@@ -1113,12 +2800,17 @@ class ResilientLLM {
         const messagesWithoutSystemMessage: ChatMessage[] = [];
         for (let i = 0; i < messages.length; i++) {
             if (messages[i].role === "system" && messages[i].content) {
-                system = messages[i].content;
+                system = contentToText(messages[i].content);
+            } else if (Array.isArray(messages[i].content)) {
+                messagesWithoutSystemMessage.push({
+                    ...messages[i],
+                    content: toAnthropicContent(messages[i].content as ContentPart[]) as ContentPart[],
+                });
             } else {
                 messagesWithoutSystemMessage.push(messages[i]);
             }
         }
-        return { system, messages: messagesWithoutSystemMessage };
+        return { system, messages: toAnthropicMessages(messagesWithoutSystemMessage) as ChatMessage[] };
     }
 
     /**
@@ -1240,16 +2932,46 @@ class ResilientLLM {
         }
 
         const parsePath = chatConfig?.responseParsePath || 'choices[0].message.content';
+
+        if (chatConfig?.messageFormat === 'anthropic') {
+            const content = extractAnthropicText(data) ?? this._getNestedValue(data, parsePath) as string | null;
+            const finishReason = normalizeAnthropicStopReason(data.stop_reason);
+            const toolCalls = tools ? parseAnthropicToolCalls(data) : undefined;
+            if (toolCalls) {
+                return { content, toolCalls, finishReason };
+            }
+            return { content, finishReason };
+        }
+
+        if (chatConfig?.messageFormat === 'google') {
+            const content = extractGoogleText(data) ?? this._getNestedValue(data, parsePath) as string | null;
+            const calls = parseGoogleToolCalls(data);
+            const finishReason = normalizeGoogleFinishReason(data, Boolean(calls));
+            const toolCalls = tools ? calls : undefined;
+            if (toolCalls) {
+                return { content, toolCalls, finishReason };
+            }
+            return { content, finishReason };
+        }
+
+        if (chatConfig?.messageFormat === 'ollama') {
+            const content = this._getNestedValue(data, parsePath) as string | null;
+            const calls = parseOllamaToolCalls(data);
+            const finishReason = normalizeOllamaDoneReason(data.done_reason, Boolean(calls));
+            const toolCalls = tools ? calls : undefined;
+            if (toolCalls) {
+                return { content, toolCalls, finishReason };
+            }
+            return { content, finishReason };
+        }
+
         const content = this._getNestedValue(data, parsePath) as string | null;
 
         const choices = data?.choices as Record<string, unknown>[] | undefined;
         const finishReason = (choices?.[0]?.finish_reason as string) ?? null;
 
         if (tools) {
-            const dataContent = data?.content as Record<string, unknown>[] | undefined;
-            const toolCalls = choices?.[0]?.message
-                ? (choices[0].message as Record<string, unknown>)?.tool_calls
-                : dataContent?.[0]?.tool_use || null;
+            const toolCalls = (choices?.[0]?.message as Record<string, unknown> | undefined)?.tool_calls;
             if (toolCalls) {
                 return { content, toolCalls, finishReason };
             }
@@ -1321,6 +3043,27 @@ class ResilientLLM {
         return message?.content as string | undefined;
     }
 
+    /**
+     * Count the input tokens of a chat request as it would be sent: messages with their per-message
+     * overhead, the system prompt, tool calls and results, images, tool schemas and response format schemas.
+     * Uses the tokenizer registered for the provider and model (see TokenizerRegistry).
+     * @param conversationHistory - Array of messages (role + content)
+     * @param llmOptions - Same overrides as `chat()` (aiService, model, tools, responseFormat, ...)
+     * @returns Token counts by part of the request, and the tokenizer used
+     * @example
+     * const { total, tools, tokenizer } = llm.countTokens(messages, { model: "gpt-4o", tools });
+     */
+    countTokens(conversationHistory: ChatMessage[], llmOptions?: LLMOptions | null): TokenCount {
+        llmOptions = llmOptions ?? {};
+        const aiService = llmOptions.aiService || this.aiService;
+        const model = llmOptions.model || this.model;
+        const { providerConfig, chatConfig } = this._resolveProvider(aiService);
+        const { requestBody } = this._buildRequestBody(
+            conversationHistory, llmOptions, { model, chatConfig, providerName: providerConfig.name }
+        );
+        return this._countRequestTokens(requestBody, aiService, model);
+    }
+
     /** Cancel all in-flight operations for this instance. */
     abort(): void {
         this._abortController?.abort();
@@ -1328,16 +3071,38 @@ class ResilientLLM {
         this.resilientOperations = {};
     }
 
-    /** Estimate token count for text (uses tiktoken when available; fallback ~chars/4). */
-    static estimateTokens(text: string): number {
-        if (text.length > 10000) {
-            return Math.ceil(text.length / 4);
-        }
+    /**
+     * Estimate token count for text with the tokenizer of a provider and model (default: OpenAI `o200k_base`).
+     * Use `countTokens()` for whole requests.
+     * @example
+     * ResilientLLM.estimateTokens("Hello, world!"); // 4
+     * ResilientLLM.estimateTokens(text, { aiService: "anthropic", model: "claude-sonnet-4-5" });
+     */
+    static estimateTokens(text: string, { aiService = 'openai', model }: { aiService?: string; model?: string } = {}): number {
+        return TokenizerRegistry.resolve(aiService, model).count(text);
+    }
 
-        if (!ResilientLLM.encoder) {
-            ResilientLLM.encoder = new Tiktoken(o200k_base);
-        }
-        return ResilientLLM.encoder.encode(text).length;
+    /** Completion tokens a request body reserves (its max output tokens; 0 when unset). */
+    private static _expectedCompletionTokens(requestBody: Record<string, unknown>): number {
+        const generationConfig = requestBody.generationConfig as Record<string, unknown> | undefined;
+        const options = requestBody.options as Record<string, unknown> | undefined;
+        const maxOutputTokens = Number(
+            requestBody.max_completion_tokens ?? requestBody.max_tokens ?? generationConfig?.maxOutputTokens ?? options?.num_predict
+        );
+        return Number.isFinite(maxOutputTokens) && maxOutputTokens > 0 ? maxOutputTokens : 0;
+    }
+
+    /** Normalized usage of a chat response, read through the provider's usage mapping (see Usage.ts). */
+    private static _responseUsage(data: Record<string, unknown>, chatConfig: ChatConfig | null | undefined): NormalizedUsage {
+        return normalizeUsage(data, resolveUsageConfig(chatConfig));
+    }
+
+    /** Tokens a response used, from its normalized usage; null when the provider did not report usage. */
+    private static _usedTokens(usage: NormalizedUsage | null | undefined): number | null {
+        if (!usage) return null;
+        if (typeof usage.total_tokens === 'number') return usage.total_tokens;
+        if (usage.prompt_tokens == null && usage.completion_tokens == null) return null;
+        return (usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0);
     }
 }
 
@@ -39,6 +39,8 @@ export type ResilientLLMErrorCode =
     | "RATE_LIMIT_EXHAUSTED"
     | "ABORTED"
     | "BULKHEAD_EXHAUSTED"
+    // Budget
+    | "BUDGET_EXCEEDED"
     // Configuration
     | "INVALID_PROVIDER"
     | "MISSING_CREDENTIALS"
@@ -1,6 +1,8 @@
 import RateLimitManager, { type RateLimitConfig } from './RateLimitManager.js';
-import CircuitBreaker, { type CircuitBreakerConfig, type CircuitBreakerStatus } from './CircuitBreaker.js';
-import { createHash } from "node:crypto";
+import CircuitBreaker, { type CircuitBreakerConfig, type CircuitBreakerStatus, type CircuitStateChange } from './CircuitBreaker.js';
+import RateLimitHeaderParser, { type RateLimitInfo } from './RateLimitHeaderParser.js';
+import { toCacheStore, buildCacheKey, type CacheStore, type CacheKeyPolicy } from './CacheStore.js';
+import type { StateBackend } from './StateBackend.js';
 import { sleep } from './Utility.js';
 
 /**
@@ -8,7 +10,11 @@ import { sleep } from './Utility.js';
  *
  * @param {Object} options - The options for the ResilientOperation.
  * @param {string} options.bucketId - The ID of the bucket for rate limiting and circuit breaker identification.
- * @param {Object} options.rateLimitConfig - The rate limit configuration for request and token buckets.
+ * @param {string} [options.provider] - Provider whose rate limit headers apply to this bucket (default: bucketId).
+ *                                      Set it when the bucket is narrower than a provider, e.g. `openai:gpt-5`.
+ * @param {Object} options.rateLimitConfig - The rate limit configuration for request and token buckets,
+ *                                           and the bucket's queue limits (maxQueueDepth, maxQueueWaitMs).
+ * @param {number} [options.priority=0] - Queue priority while waiting for rate limit tokens (higher is served first).
  * @param {number} [options.retries=3] - The number of retry attempts for a single operation before giving up.
  *                                       Each retry is counted as a separate failure in the circuit breaker.
  * @param {number} [options.timeout=120000] - The timeout in milliseconds for the entire operation (including retries).
@@ -18,9 +24,18 @@ import { sleep } from './Utility.js';
  *                                                  across all operations before opening the circuit. Default: 5
  *                                                - cooldownPeriod: Time in milliseconds to wait before attempting
  *                                                  to close the circuit breaker. Default: 30000 (30 seconds)
+ *                                                - halfOpenProbes, rollingWindowMs, failureRateThreshold, minimumRequests:
+ *                                                  see CircuitBreakerConfig
+ * @param {Function} [options.onCircuitStateChange] - Callback when the bucket's circuit breaker changes state.
+ * @param {Object} [options.stateBackend] - Shares the bucket's token buckets and circuit open/close across processes
+ *                                          (e.g. RedisStateBackend). Default: this process only.
  * @param {number} [options.maxConcurrent] - Maximum number of concurrent operations for this bucketId (bulkhead pattern).
- * @param {Function} [options.onRateLimitUpdate] - Callback function when rate limit information is updated.
- * @param {Object} [options.cacheStore] - Cache store for storing successful responses.
+ * @param {Function} [options.onRateLimitUpdate] - Callback with the normalized RateLimitInfo whenever a response carries provider rate limit headers.
+ * @param {Object} [options.cacheStore] - Cache store for successful responses: a CacheStore (async get/set/delete with TTL),
+ *                                       or a plain object (legacy, no expiry). Defaults to an in-memory LRU store.
+ * @param {number} [options.cacheTtlMs] - Time to live for cached responses (default: the store's default).
+ * @param {Object} [options.cacheKeyPolicy] - Request fields, opt-in tenant and non-secret headers that make up the cache key.
+ *                                            Credentials are never part of the key.
  * @param {Object} [options.presets] - Predefined configuration presets for common use cases.
  *
  * @example
@@ -44,6 +59,10 @@ import { sleep } from './Utility.js';
  * // Simple usage - each operation gets fresh instance
  * const result = await operation.withTokens(100).execute(asyncFn, arg1, arg2);
  *
+ * // Reserve 100 input + up to 1000 completion tokens, then correct with the provider's usage
+ * const response = await operation.withTokens(100, 1000).execute(asyncFn, arg1, arg2);
+ * await operation.reconcileTokens(response.data.usage.total_tokens);
+ *
  * // Multiple operations - create new instances for each
  * const operation1 = new ResilientOperation({ bucketId: 'openai', maxConcurrent: 10 });
  * const result1 = await operation1.execute(fn1, args1);
@@ -64,7 +83,12 @@ export interface RetryMetric {
 
 export interface RuntimeMetrics {
     retries: RetryMetric[];
-    rateLimiting: { requestedTokens: number; totalWaitMs: number };
+    rateLimiting: {
+        requestedTokens: number;
+        totalWaitMs: number;
+        /** Tokens the provider reported, once reconciled with `reconcileTokens()` */
+        actualTokens?: number;
+    };
     circuitBreaker: CircuitBreakerStatus | null;
     cache: { hit: boolean; key: string | null };
 }
@@ -76,20 +100,27 @@ export interface ResilientOperationPresets {
 export interface ResilientOperationConfig {
     id?: string;
     bucketId: string;
+    provider?: string;
     rateLimitConfig?: RateLimitConfig;
     retries?: number;
     timeout?: number;
     backoffFactor?: number;
     circuitBreakerConfig?: CircuitBreakerConfig;
     maxConcurrent?: number;
+    priority?: number;
     collectMetrics?: boolean;
-    onRateLimitUpdate?: (rateLimitInfo: RateLimitConfig) => void;
-    cacheStore?: Record<string, unknown>;
+    onRateLimitUpdate?: (rateLimitInfo: RateLimitInfo) => void;
+    onCircuitStateChange?: (change: CircuitStateChange) => void;
+    stateBackend?: StateBackend;
+    cacheStore?: CacheStore | Record<string, unknown>;
+    cacheTtlMs?: number;
+    cacheKeyPolicy?: CacheKeyPolicy;
     presets?: ResilientOperationPresets;
 }
 
 interface ExecutionConfig {
     llmTokenCount: number;
+    completionTokenCount: number;
     timeout: number;
     retries: number;
     backoffFactor: number;
@@ -99,7 +130,8 @@ interface ExecutionConfig {
 interface ExecutionResult {
     data?: unknown;
     statusCode?: number;
-    rateLimitInfo?: RateLimitConfig;
+    /** Raw response headers; parsed with the bucket's provider rate limit header config. */
+    responseHeaders?: Record<string, string>;
     [key: string]: unknown;
 }
 
@@ -109,20 +141,27 @@ class ResilientOperation {
 
     id: string;
     bucketId: string;
+    provider: string;
     rateLimitManager: RateLimitManager;
     circuitBreaker: CircuitBreaker;
     retries: number;
     timeout: number;
     backoffFactor: number;
     maxConcurrent: number | undefined;
-    onRateLimitUpdate: ((rateLimitInfo: RateLimitConfig) => void) | undefined;
-    cacheStore: Record<string, unknown>;
+    priority: number;
+    onRateLimitUpdate: ((rateLimitInfo: RateLimitInfo) => void) | undefined;
+    cacheStore: CacheStore;
+    cacheTtlMs: number | undefined;
+    cacheKeyPolicy: CacheKeyPolicy;
     presets: ResilientOperationPresets;
     nextRetryDelay: number | null | undefined;
 
     private _collectMetrics: boolean;
     private _runtimeMetrics: RuntimeMetrics | null;
     private _currentTokenCount: number | null;
+    private _currentCompletionTokenCount: number;
+    /** LLM tokens taken for the successful attempt, until reconciled */
+    private _reservedTokens: number | null;
     private _enableCache: boolean;
     private _currentConfig: Partial<ExecutionConfig>;
     private _abortController: AbortController | null;
@@ -131,31 +170,45 @@ class ResilientOperation {
     constructor({
         id,
         bucketId,
+        provider,
         rateLimitConfig = { requestsPerMinute: 10, llmTokensPerMinute: 150000 },
         retries = 3,
         timeout = 120000,
         backoffFactor = 2,
         circuitBreakerConfig = { failureThreshold: 5, cooldownPeriod: 30000 },
         maxConcurrent,
+        priority = 0,
         collectMetrics = false,
         onRateLimitUpdate,
-        cacheStore = {},
+        onCircuitStateChange,
+        stateBackend,
+        cacheStore,
+        cacheTtlMs,
+        cacheKeyPolicy = {},
         presets
     }: ResilientOperationConfig) {
         this.id = id || ResilientOperation.generateId();
         console.log(`[ResilientOperation][${this.id}] Created ResilientOperation`);
         this.bucketId = bucketId;
+        this.provider = provider ?? bucketId;
 
         // Get shared resources using static getInstance methods
-        this.rateLimitManager = RateLimitManager.getInstance(bucketId, rateLimitConfig);
-        this.circuitBreaker = CircuitBreaker.getInstance(bucketId, circuitBreakerConfig);
+        this.rateLimitManager = RateLimitManager.getInstance(bucketId, rateLimitConfig, stateBackend);
+        this.circuitBreaker = CircuitBreaker.getInstance(bucketId, {
+            ...circuitBreakerConfig,
+            ...(onCircuitStateChange ? { onStateChange: onCircuitStateChange } : {}),
+            ...(stateBackend ? { stateBackend } : {}),
+        });
 
         this.retries = retries;
         this.timeout = timeout;
         this.backoffFactor = backoffFactor;
         this.maxConcurrent = maxConcurrent;
+        this.priority = priority;
         this.onRateLimitUpdate = onRateLimitUpdate;
-        this.cacheStore = cacheStore;
+        this.cacheStore = toCacheStore(cacheStore);
+        this.cacheTtlMs = cacheTtlMs;
+        this.cacheKeyPolicy = cacheKeyPolicy;
         this.presets = presets || {
             fast: { timeout: 10000, retries: 1 },
             reliable: { timeout: 300000, retries: 5, backoffFactor: 3 },
@@ -171,6 +224,8 @@ class ResilientOperation {
         } : null;
 
         this._currentTokenCount = null;
+        this._currentCompletionTokenCount = 0;
+        this._reservedTokens = null;
         this._enableCache = false;
         this._currentConfig = {};
 
@@ -189,17 +244,37 @@ class ResilientOperation {
         return `job_${today}_${ResilientOperation.jobCounter.toString().padStart(3, '0')}`;
     }
 
-    /** Set the number of tokens for this operation (for rate limiting). Returns this for chaining. */
-    withTokens(llmTokenCount: number = 1): this {
+    /**
+     * Set the number of tokens for this operation (for rate limiting). Returns this for chaining.
+     * `expectedCompletionTokens` (e.g. max_tokens) are reserved on top of the input tokens, capped
+     * so the reservation fits the LLM token bucket; correct it afterwards with `reconcileTokens()`.
+     */
+    withTokens(llmTokenCount: number = 1, expectedCompletionTokens: number = 0): this {
         this._currentTokenCount = llmTokenCount;
+        this._currentCompletionTokenCount = expectedCompletionTokens;
         return this;
     }
 
+    /**
+     * Correct the LLM tokens reserved by the last execution with the tokens the provider reported
+     * (refunding or charging the difference). No-op when nothing was reserved, e.g. on a cache hit.
+     * @param actualTokens - Tokens used by the request (prompt + completion)
+     */
+    async reconcileTokens(actualTokens: number | null | undefined): Promise<void> {
+        const reservedTokens = this._reservedTokens;
+        if (reservedTokens == null || actualTokens == null || !Number.isFinite(actualTokens)) return;
+        this._reservedTokens = null;
+        await this.rateLimitManager.reconcile(reservedTokens, actualTokens);
+        if (this._collectMetrics && this._runtimeMetrics) {
+            this._runtimeMetrics.rateLimiting.actualTokens = actualTokens;
+        }
+    }
+
     /** Enable caching for this operation. Optionally pass cacheStore. Returns this for chaining. */
-    withCache(isEnabled: boolean = true, cacheStore?: Record<string, unknown>): this {
+    withCache(isEnabled: boolean = true, cacheStore?: CacheStore | Record<string, unknown>): this {
         this._enableCache = isEnabled;
         if (cacheStore && typeof cacheStore === 'object') {
-            this.cacheStore = cacheStore;
+            this.cacheStore = toCacheStore(cacheStore);
         }
         return this;
     }
@@ -241,6 +316,7 @@ class ResilientOperation {
         // Merge all configurations
         const finalConfig: ExecutionConfig = {
             llmTokenCount: this._currentTokenCount || (this._currentConfig.llmTokenCount as number) || 1,
+            completionTokenCount: this._currentCompletionTokenCount > 0 ? this._currentCompletionTokenCount : 0,
             timeout: this._currentConfig.timeout || this.timeout,
             retries: this._currentConfig.retries || this.retries,
             backoffFactor: this._currentConfig.backoffFactor || this.backoffFactor,
@@ -249,6 +325,8 @@ class ResilientOperation {
 
         // Reset builder state
         this._currentTokenCount = null;
+        this._currentCompletionTokenCount = 0;
+        this._reservedTokens = null;
         this._enableCache = false;
         this._currentConfig = {};
 
@@ -312,7 +390,8 @@ class ResilientOperation {
 
         while (retryAttempt <= config.retries) {
             try {
-                // Check circuit breaker first
+                // Check circuit breaker first (adopting open/close from other processes, if shared)
+                await this.circuitBreaker.syncSharedState();
                 if (this.circuitBreaker.isCircuitOpen()) {
                     const status = this.circuitBreaker.getStatus();
                     console.log(`[ResilientOperation][${this.id}] Circuit breaker is open. Fail count: ${status.failCount}/${status.failureThreshold}. Cooldown remaining: ${status.cooldownRemaining}ms`);
@@ -325,18 +404,18 @@ class ResilientOperation {
                     throw error;
                 }
 
-                const rateLimitResult = await this.rateLimitManager.acquire(config.llmTokenCount, this._abortController?.signal);
+                const reservation = this._reservation(config);
+                const rateLimitResult = await this.rateLimitManager.acquire(reservation, this._abortController?.signal, { priority: this.priority });
                 if (this._collectMetrics && this._runtimeMetrics && rateLimitResult) {
-                    this._runtimeMetrics.rateLimiting.requestedTokens = config.llmTokenCount;
+                    this._runtimeMetrics.rateLimiting.requestedTokens = reservation;
                     this._runtimeMetrics.rateLimiting.totalWaitMs += rateLimitResult.totalWaitMs || 0;
                 }
 
                 const result = await asyncFn(...args) as ExecutionResult | undefined;
 
-                if (result && result.rateLimitInfo) {
-                    this.rateLimitManager.syncConfig(result.rateLimitInfo);
-                    this.onRateLimitUpdate?.(result.rateLimitInfo);
-                }
+                const rateLimitInfo = this._syncRateLimitsFromHeaders(result?.responseHeaders);
+                // Remaining tokens reported by the provider already account for this request
+                this._reservedTokens = rateLimitInfo?.tokens?.remaining != null ? null : reservation;
 
                 // Record success in circuit breaker - this resets the failure count
                 this.circuitBreaker.recordSuccess();
@@ -360,6 +439,9 @@ class ResilientOperation {
                     throw abortError;
                 }
 
+                // Providers also report their quota on 429s
+                this._syncRateLimitsFromHeaders(error.response?.headers as Headers | undefined);
+
                 if (error.name === 'OversizedRequestError') {
                     console.log(`[ResilientOperation][${this.id}] Oversized request error: ${error.message}`);
                     throw error;
@@ -418,6 +500,17 @@ class ResilientOperation {
         console.log(`[ResilientOperation][${this.id}] Exiting execution attempt loop`);
     }
 
+    /**
+     * LLM tokens to take for an attempt: the input tokens plus the expected completion tokens,
+     * as far as the bucket can hold them (an oversized input alone still fails).
+     * @private
+     */
+    private _reservation({ llmTokenCount, completionTokenCount }: ExecutionConfig): number {
+        if (!completionTokenCount) return llmTokenCount;
+        const room = Math.max(0, this.rateLimitManager.llmTokenBucket.capacity - llmTokenCount);
+        return llmTokenCount + Math.min(completionTokenCount, room);
+    }
+
     /**
      * Internal method for execution with caching
      * @private
@@ -427,7 +520,7 @@ class ResilientOperation {
         // The abortSignal will be added by _executeBasic
         const [apiUrl, requestBody, headers] = args as [string, unknown, unknown];
         const cacheKey = this._getCacheKey(apiUrl, requestBody, headers);
-        const cachedResponse = this._getCachedResponse(cacheKey);
+        const cachedResponse = await this._getCachedResponse(cacheKey);
 
         if (cachedResponse) {
             console.log('Cache hit for request');
@@ -441,7 +534,7 @@ class ResilientOperation {
 
         // Cache only successful responses (assuming they have a statusCode of 200)
         if (result && result.statusCode === 200) {
-            this._setCachedResponse(cacheKey, result);
+            await this._setCachedResponse(cacheKey, result);
         }
 
         if (this._collectMetrics && this._runtimeMetrics) {
@@ -451,6 +544,20 @@ class ResilientOperation {
         return result;
     }
 
+    /**
+     * Sync the shared rate limiter to provider quota from response headers, if present.
+     * @private
+     */
+    private _syncRateLimitsFromHeaders(responseHeaders: Headers | Record<string, string> | undefined): RateLimitInfo | null {
+        if (!responseHeaders) return null;
+        const rateLimitInfo = RateLimitHeaderParser.parse(this.provider, responseHeaders);
+        if (rateLimitInfo) {
+            this.rateLimitManager.syncFromHeaders(rateLimitInfo);
+            this.onRateLimitUpdate?.(rateLimitInfo);
+        }
+        return rateLimitInfo;
+    }
+
     /**
      * Check if the operation should be retried
      * @private
@@ -462,6 +569,8 @@ class ResilientOperation {
 
         if (err.name === 'OversizedRequestError') return false;
 
+        if (err.name === 'RateLimitExhaustedError') return false;
+
         if (err.name === 'TimeoutError') return true;
 
         if (err.message === 'Operation timed out') return true;
@@ -502,19 +611,25 @@ class ResilientOperation {
      * Cache management methods
      */
     private _getCacheKey(apiUrl: string, requestBody: unknown, headers: unknown): string {
-        const hash = createHash('sha256');
-        hash.update(apiUrl);
-        if (requestBody) hash.update(JSON.stringify(requestBody));
-        if (headers) hash.update(JSON.stringify(headers));
-        return hash.digest('hex');
+        return buildCacheKey(apiUrl, requestBody, headers as Record<string, string> | undefined, this.cacheKeyPolicy);
     }
 
-    private _getCachedResponse(cacheKey: string): unknown {
-        return this.cacheStore[cacheKey] || null;
+    /** Cache backend failures are treated as misses so they never fail the operation. */
+    private async _getCachedResponse(cacheKey: string): Promise<unknown> {
+        try {
+            return (await this.cacheStore.get(cacheKey)) || null;
+        } catch (error) {
+            console.warn(`[ResilientOperation][${this.id}] Cache read failed: ${(error as Error).message}`);
+            return null;
+        }
     }
 
-    private _setCachedResponse(cacheKey: string, response: unknown): void {
-        this.cacheStore[cacheKey] = response;
+    private async _setCachedResponse(cacheKey: string, response: unknown): Promise<void> {
+        try {
+            await this.cacheStore.set(cacheKey, response, this.cacheTtlMs);
+        } catch (error) {
+            console.warn(`[ResilientOperation][${this.id}] Cache write failed: ${(error as Error).message}`);
+        }
     }
 
     /**
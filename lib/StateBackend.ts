@@ -0,0 +1,208 @@
+/**
+ * Shared state backends for rate limiting and circuit breakers.
+ * Without a backend, token buckets and circuit breakers live in the process. With one, every process
+ * using the same backend (e.g. all worker pods pointing at one Redis) takes tokens from the same buckets
+ * and sees the same circuit open/close, so limits hold cluster-wide.
+ *
+ * @example
+ * import Redis from 'ioredis';
+ * const llm = new ResilientLLM({ stateBackend: new RedisStateBackend({ client: new Redis(process.env.REDIS_URL) }) });
+ */
+
+import TokenBucket from "./TokenBucket.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+/** Capacity and refill rate (tokens per second) of a bucket, sent with every call so backends need no setup. */
+export interface SharedBucketConfig {
+    capacity: number;
+    refillRate: number;
+}
+
+export interface TakeResult {
+    taken: boolean;
+    /** When not taken: estimated time until the tokens may be available (ms) */
+    retryAfterMs: number;
+}
+
+/** Circuit state shared between processes. Half-open is derived locally from `openedAt`. */
+export interface SharedCircuitState {
+    state: 'closed' | 'open';
+    openedAt: number | null;
+    /** When this state was written (epoch ms); newer states win */
+    updatedAt: number;
+}
+
+/**
+ * Backend for shared token buckets and circuit state.
+ * `take` must be atomic: concurrent callers may never take more than the bucket holds.
+ */
+export interface StateBackend {
+    take(key: string, count: number, bucket: SharedBucketConfig): Promise<TakeResult>;
+    refund(key: string, count: number, bucket: SharedBucketConfig): Promise<void>;
+    /** Remove tokens already used, even beyond what the bucket holds (e.g. a response used more than reserved) */
+    charge?(key: string, count: number, bucket: SharedBucketConfig): Promise<void>;
+    /** Set the remaining tokens to the provider's view (from rate limit headers); `resetMs` is when the window refills */
+    syncFromProvider(key: string, bucket: SharedBucketConfig, window: { remaining: number | null; resetMs: number | null }): Promise<void>;
+    getCircuitState(key: string): Promise<SharedCircuitState | null>;
+    setCircuitState(key: string, state: SharedCircuitState): Promise<void>;
+}
+
+/**
+ * Subset of a Redis client used by RedisStateBackend. ioredis clients match it as-is;
+ * wrap other clients (e.g. node-redis `incrBy`) to these lowercase names.
+ */
+export interface RedisLikeClient {
+    incrby(key: string, increment: number): Promise<number>;
+    decrby(key: string, decrement: number): Promise<number>;
+    pexpire(key: string, milliseconds: number): Promise<unknown>;
+    pttl(key: string): Promise<number>;
+    get(key: string): Promise<string | null>;
+    set(key: string, value: string, ...args: (string | number)[]): Promise<unknown>;
+}
+
+export interface RedisStateBackendOptions {
+    client: RedisLikeClient;
+    /** Prefix for all keys (default `resilient-llm:`) */
+    prefix?: string;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// IN-MEMORY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * In-memory backend: token buckets and circuit states shared by everything in this process
+ * that uses the same instance. Same semantics as the default per-process buckets.
+ */
+export class MemoryStateBackend implements StateBackend {
+    private _buckets: Map<string, TokenBucket>;
+    private _circuits: Map<string, SharedCircuitState>;
+
+    constructor() {
+        this._buckets = new Map();
+        this._circuits = new Map();
+    }
+
+    async take(key: string, count: number, bucket: SharedBucketConfig): Promise<TakeResult> {
+        const tokenBucket = this._bucket(key, bucket);
+        if (tokenBucket.tryRemoveToken(count)) {
+            return { taken: true, retryAfterMs: 0 };
+        }
+        const deficit = count - tokenBucket.getAvailableTokens();
+        return { taken: false, retryAfterMs: Math.ceil(deficit / bucket.refillRate) * 1000 };
+    }
+
+    async refund(key: string, count: number, bucket: SharedBucketConfig): Promise<void> {
+        this._bucket(key, bucket).refundTokens(count);
+    }
+
+    async charge(key: string, count: number, bucket: SharedBucketConfig): Promise<void> {
+        this._bucket(key, bucket).chargeTokens(count);
+    }
+
+    async syncFromProvider(key: string, bucket: SharedBucketConfig, window: { remaining: number | null; resetMs: number | null }): Promise<void> {
+        this._bucket(key, bucket).syncFromProvider({ capacity: bucket.capacity, ...window });
+    }
+
+    async getCircuitState(key: string): Promise<SharedCircuitState | null> {
+        return this._circuits.get(key) ?? null;
+    }
+
+    async setCircuitState(key: string, state: SharedCircuitState): Promise<void> {
+        this._circuits.set(key, { ...state });
+    }
+
+    private _bucket(key: string, { capacity, refillRate }: SharedBucketConfig): TokenBucket {
+        let tokenBucket = this._buckets.get(key);
+        if (!tokenBucket) {
+            tokenBucket = new TokenBucket(capacity, refillRate);
+            this._buckets.set(key, tokenBucket);
+        } else {
+            tokenBucket.syncConfig({ capacity, refillRate });
+        }
+        return tokenBucket;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REDIS (REFERENCE ADAPTER)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Reference Redis adapter using only atomic single-key commands (no Lua), so any Redis-compatible
+ * server works. Buckets are fixed windows of `capacity / refillRate` seconds (60s for per-minute limits):
+ * `INCRBY` counts tokens used in the window and a take that overshoots is undone, so concurrent
+ * processes never exceed the capacity. Circuit states are JSON strings.
+ */
+export class RedisStateBackend implements StateBackend {
+    readonly client: RedisLikeClient;
+    readonly prefix: string;
+
+    constructor({ client, prefix = 'resilient-llm:' }: RedisStateBackendOptions) {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async take(key: string, count: number, bucket: SharedBucketConfig): Promise<TakeResult> {
+        const redisKey = this._bucketKey(key);
+        const used = await this.client.incrby(redisKey, count);
+        if (used === count) {
+            // First take of the window starts its expiry
+            await this.client.pexpire(redisKey, RedisStateBackend._windowMs(bucket));
+        }
+        if (used <= bucket.capacity) {
+            return { taken: true, retryAfterMs: 0 };
+        }
+        await this.client.decrby(redisKey, count);
+        const ttl = await this.client.pttl(redisKey);
+        if (ttl === -1) {
+            // Expiry lost (e.g. the process that started the window crashed before setting it)
+            await this.client.pexpire(redisKey, RedisStateBackend._windowMs(bucket));
+        }
+        return { taken: false, retryAfterMs: ttl > 0 ? ttl : RedisStateBackend._windowMs(bucket) };
+    }
+
+    async refund(key: string, count: number): Promise<void> {
+        if (count <= 0) return;
+        const redisKey = this._bucketKey(key);
+        const used = await this.client.decrby(redisKey, count);
+        if (used < 0) {
+            // The window expired in between: do not carry a credit into the next one
+            await this.client.incrby(redisKey, -used);
+        }
+    }
+
+    async charge(key: string, count: number, bucket: SharedBucketConfig): Promise<void> {
+        if (count <= 0) return;
+        const redisKey = this._bucketKey(key);
+        const used = await this.client.incrby(redisKey, count);
+        if (used === count) {
+            await this.client.pexpire(redisKey, RedisStateBackend._windowMs(bucket));
+        }
+    }
+
+    async syncFromProvider(key: string, bucket: SharedBucketConfig, { remaining, resetMs }: { remaining: number | null; resetMs: number | null }): Promise<void> {
+        if (remaining == null) return;
+        const used = Math.max(0, bucket.capacity - remaining);
+        const ttl = resetMs != null && resetMs > 0 ? resetMs : RedisStateBackend._windowMs(bucket);
+        await this.client.set(this._bucketKey(key), String(used), 'PX', Math.ceil(ttl));
+    }
+
+    async getCircuitState(key: string): Promise<SharedCircuitState | null> {
+        const value = await this.client.get(`${this.prefix}circuit:${key}`);
+        return value ? JSON.parse(value) as SharedCircuitState : null;
+    }
+
+    async setCircuitState(key: string, state: SharedCircuitState): Promise<void> {
+        await this.client.set(`${this.prefix}circuit:${key}`, JSON.stringify(state));
+    }
+
+    private _bucketKey(key: string): string {
+        return `${this.prefix}bucket:${key}`;
+    }
+
+    private static _windowMs({ capacity, refillRate }: SharedBucketConfig): number {
+        return Math.max(1000, Math.ceil((capacity / refillRate) * 1000));
+    }
+}
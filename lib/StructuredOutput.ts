@@ -1,3 +1,5 @@
+import { toGoogleSchema } from "./GoogleFormat.js";
+
 // ─── Policy Types ────────────────────────────────────────────────────────
 
 export type ParseMode = 'off' | 'best_effort' | 'strict_json';
@@ -54,6 +56,8 @@ export interface NormalizedStructuredOutputConfig {
 export interface StructuredRequestFields {
     response_format?: unknown;
     output_config?: unknown;
+    generationConfig?: { responseMimeType: string; responseSchema?: unknown };
+    format?: unknown;
 }
 
 // ─── Response Envelope ───────────────────────────────────────────────────
@@ -247,10 +251,17 @@ function normalizeFromOutputConfig(
  */
 export function mapConfigToRequestFields(
     config: NormalizedStructuredOutputConfig,
-    requestField: 'response_format' | 'output_config',
+    requestField: 'response_format' | 'output_config' | 'generationConfig' | 'format',
 ): StructuredRequestFields {
     if (config._source === 'none') return {};
 
+    if (requestField === 'generationConfig') {
+        return deriveGenerationConfig(config);
+    }
+    if (requestField === 'format') {
+        return deriveOllamaFormat(config);
+    }
+
     if (requestField === 'output_config') {
         if (config._outputConfig !== undefined) {
             return { output_config: config._outputConfig };
@@ -275,6 +286,27 @@ function deriveOutputConfig(config: NormalizedStructuredOutputConfig): Structure
     return {};
 }
 
+function deriveGenerationConfig(config: NormalizedStructuredOutputConfig): StructuredRequestFields {
+    // Gemini: JSON mode, constrained to the schema when there is one
+    if (!config.expectsJson && !config.schema) {
+        return {};
+    }
+    return {
+        generationConfig: {
+            responseMimeType: 'application/json',
+            ...(config.schema ? { responseSchema: toGoogleSchema(config.schema) } : {}),
+        },
+    };
+}
+
+function deriveOllamaFormat(config: NormalizedStructuredOutputConfig): StructuredRequestFields {
+    // Ollama: the schema itself, or 'json' for JSON mode
+    if (config.schema) {
+        return { format: config.schema };
+    }
+    return config.expectsJson ? { format: 'json' } : {};
+}
+
 function deriveResponseFormat(config: NormalizedStructuredOutputConfig): StructuredRequestFields {
     if (config.expectsJson && !config.schema) {
         return { response_format: { type: 'json_object' } };
@@ -49,12 +49,39 @@ class TokenBucket {
         return this.availableTokens;
     }
 
+    /**
+     * Time until `count` tokens are available (0 if they are now), following the whole-second refill steps.
+     * Infinity when they never will be (more than the capacity, or no refill).
+     * @example
+     * const tokenBucket = new TokenBucket(10, 2);
+     * tokenBucket.tryRemoveToken(10);
+     * tokenBucket.getWaitTimeMs(4); // 2000 (2 refills of 2 tokens)
+     */
+    getWaitTimeMs(count: number = 1): number {
+        const deficit = count - this.getAvailableTokens();
+        if (deficit <= 0) return 0;
+        if (count > this.capacity || this.refillRate <= 0) return Infinity;
+        const refills = Math.ceil(deficit / this.refillRate);
+        return Math.max(0, this.lastRefill + refills * 1000 - Date.now());
+    }
+
     refundTokens(count: number = 1): void {
         if (count <= 0) return;
         this._refill();
         this.availableTokens = Math.min(this.capacity, this.availableTokens + count);
     }
 
+    /**
+     * Remove tokens that were already used, e.g. when a response used more than was reserved.
+     * Unlike `tryRemoveToken()` this never fails: the bucket may go below zero, and later requests
+     * wait until the refill has paid the overrun back.
+     */
+    chargeTokens(count: number = 1): void {
+        if (count <= 0) return;
+        this._refill();
+        this.availableTokens -= count;
+    }
+
     private _refill(): void {
         const now = Date.now();
         const timeSinceLastRefill = now - this.lastRefill;
@@ -74,6 +101,33 @@ class TokenBucket {
         if (this.refillRate && refillRate !== undefined && refillRate !== this.refillRate) this.refillRate = refillRate;
         if (capacity !== undefined && this.availableTokens > capacity) this.availableTokens = capacity;
     }
+
+    /**
+     * Sync the bucket to the provider's real quota (e.g. from rate limit response headers).
+     * Sets remaining tokens directly and, when `resetMs` is known, refills the deficit over exactly that window.
+     * With only `capacity` known, behaves like `syncConfig()` with a per-minute refill rate.
+     * Does not reset the refill timer.
+     * @example
+     * tokenBucket.syncFromProvider({ capacity: 5000, remaining: 4000, resetMs: 12000 }); // refills 1000 tokens in 12s
+     */
+    syncFromProvider({ capacity, remaining, resetMs }: { capacity?: number | null; remaining?: number | null; resetMs?: number | null }): void {
+        if (capacity != null && capacity > 0) {
+            this.capacity = capacity;
+            if (remaining == null) this.refillRate = capacity / 60;
+        }
+        if (remaining != null) {
+            this.availableTokens = Math.max(0, Math.min(this.capacity, remaining));
+            if (resetMs === 0) {
+                // Window already reset (or clock skew): the provider quota is full again
+                this.availableTokens = this.capacity;
+            } else if (resetMs != null && resetMs > 0) {
+                const deficit = this.capacity - this.availableTokens;
+                if (deficit > 0) this.refillRate = deficit / (resetMs / 1000);
+            }
+        } else if (this.availableTokens > this.capacity) {
+            this.availableTokens = this.capacity;
+        }
+    }
 }
 
 export default TokenBucket;
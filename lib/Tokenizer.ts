@@ -0,0 +1,326 @@
+/**
+ * Token counting for provider requests.
+ * A registry maps provider/model to a tokenizer: tiktoken encodings for OpenAI model families,
+ * character-based approximations for providers whose tokenizers are not public. Request counts
+ * cover everything that is sent: messages with their per-message overhead, system prompts,
+ * tool calls and results, images, documents, tool schemas and response format schemas.
+ *
+ * @example
+ * TokenizerRegistry.resolve('openai', 'gpt-4-turbo').name; // 'cl100k_base'
+ * TokenizerRegistry.register('ollama', approximateTokenizer('qwen-approx', 3.2), { model: /^qwen/ });
+ */
+
+import { Tiktoken } from "js-tiktoken/lite";
+import o200k_base from "js-tiktoken/ranks/o200k_base";
+import cl100k_base from "js-tiktoken/ranks/cl100k_base";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+export interface Tokenizer {
+    /** Encoding or approximation name, reported in `TokenCount.tokenizer` */
+    name: string;
+    /** True when counts are estimated from characters rather than the model's own encoding */
+    approximate: boolean;
+    count(text: string): number;
+}
+
+/** Tokens of a request, by part of the request body. */
+export interface TokenCount {
+    total: number;
+    /** Messages, including per-message overhead, tool calls, tool results, images and documents */
+    messages: number;
+    /** Top-level system prompt (Anthropic format); system messages are counted in `messages` */
+    system: number;
+    tools: number;
+    responseFormat: number;
+    tokenizer: string;
+    approximate: boolean;
+}
+
+interface RegistryEntry {
+    aiService: string;
+    model?: string | RegExp;
+    tokenizer: Tokenizer;
+}
+
+type Part = Record<string, unknown>;
+
+/** Runs of non-whitespace longer than this (base64, minified data) are approximated: BPE is quadratic on them */
+const MAX_ENCODED_RUN = 200;
+const LONG_RUN_PATTERN = new RegExp(`\\S{${MAX_ENCODED_RUN + 1},}`, 'g');
+/** Chat format tokens around each message (role markers and separators) and before the reply */
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+/** Tool definitions are wrapped in a provider-side preamble */
+const TOKENS_PER_TOOL = 8;
+/** Image cost without known dimensions: a 1024x1024 image at high detail (85 base + 4 tiles of 170) */
+const IMAGE_TOKENS = 765;
+const LOW_DETAIL_IMAGE_TOKENS = 85;
+const IMAGE_TILE_TOKENS = 170;
+/** Document pages are read as text and as an image: 1,500-3,000 tokens per page */
+const DOCUMENT_PAGE_TOKENS = 2000;
+const PDF_PAGE_PATTERN = /\/Type\s*\/Page(?!s)/g;
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,(.*)$/s;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TOKENIZERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Tokenizer for a tiktoken encoding. The encoder is created on first use.
+ * @example
+ * tiktokenTokenizer('o200k_base', o200k_base).count('Hello, world!'); // 4
+ */
+export function tiktokenTokenizer(name: string, ranks: ConstructorParameters<typeof Tiktoken>[0]): Tokenizer {
+    let encoder: Tiktoken | null = null;
+    return {
+        name,
+        approximate: false,
+        count(text: string): number {
+            if (!text) return 0;
+            encoder ??= new Tiktoken(ranks);
+            let tokens = 0;
+            let start = 0;
+            for (const match of text.matchAll(LONG_RUN_PATTERN)) {
+                tokens += encoder.encode(text.slice(start, match.index)).length;
+                tokens += Math.ceil(match[0].length / 4);
+                start = match.index! + match[0].length;
+            }
+            return tokens + encoder.encode(text.slice(start)).length;
+        },
+    };
+}
+
+/**
+ * Tokenizer estimating tokens from the character count.
+ * @example
+ * approximateTokenizer('claude-approx', 3.5).count('Hello, world!'); // 4
+ */
+export function approximateTokenizer(name: string, charsPerToken: number): Tokenizer {
+    return {
+        name,
+        approximate: true,
+        count: (text: string) => (text ? Math.ceil(text.length / charsPerToken) : 0),
+    };
+}
+
+const O200K = tiktokenTokenizer('o200k_base', o200k_base);
+const CL100K = tiktokenTokenizer('cl100k_base', cl100k_base);
+const CLAUDE_APPROX = approximateTokenizer('claude-approx', 3.5);
+const GEMINI_APPROX = approximateTokenizer('gemini-approx', 4);
+const LLAMA_APPROX = approximateTokenizer('llama-approx', 3.8);
+
+const BUILT_IN_ENTRIES: RegistryEntry[] = [
+    { aiService: 'openai', model: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt-|o\d)/, tokenizer: O200K },
+    { aiService: 'openai', model: /^(gpt-4|gpt-3\.5|text-embedding-)/, tokenizer: CL100K },
+    { aiService: 'openai', tokenizer: O200K },
+    { aiService: 'anthropic', tokenizer: CLAUDE_APPROX },
+    { aiService: 'google', tokenizer: GEMINI_APPROX },
+    { aiService: 'ollama', tokenizer: LLAMA_APPROX },
+];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Tokenizers by provider and model. Registered tokenizers take precedence over the built-ins
+ * (latest registration first); unknown providers use `o200k_base`. For aggregators such as
+ * OpenRouter, a `vendor/model` id resolves with the vendor's tokenizer.
+ */
+class TokenizerRegistry {
+    static #entries: RegistryEntry[] = [];
+
+    /**
+     * Register a tokenizer for a provider, optionally only for models matching `model`
+     * (exact id or RegExp).
+     */
+    static register(aiService: string, tokenizer: Tokenizer, { model }: { model?: string | RegExp } = {}): void {
+        this.#entries.unshift({ aiService, model, tokenizer });
+    }
+
+    /** Tokenizer for a provider and model. */
+    static resolve(aiService: string, model?: string | null): Tokenizer {
+        const modelId = model ?? '';
+        const entries = [...this.#entries, ...BUILT_IN_ENTRIES];
+        const match = (service: string, id: string) => entries.find(entry =>
+            entry.aiService === service && TokenizerRegistry.#matchesModel(entry.model, id)
+        );
+        const direct = match(aiService, modelId);
+        if (direct) return direct.tokenizer;
+        const [vendor, ...rest] = modelId.split('/');
+        if (rest.length > 0) {
+            const vendorMatch = match(vendor, rest.join('/'));
+            if (vendorMatch) return vendorMatch.tokenizer;
+        }
+        return O200K;
+    }
+
+    /** Remove registered tokenizers (built-ins stay). */
+    static reset(): void {
+        this.#entries = [];
+    }
+
+    static #matchesModel(pattern: string | RegExp | undefined, model: string): boolean {
+        if (pattern === undefined) return true;
+        return typeof pattern === 'string' ? pattern === model : pattern.test(model);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REQUEST COUNTING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Count the input tokens of a provider request body (OpenAI, Anthropic, Gemini or Ollama format).
+ * @param requestBody - The body as sent (messages or contents, system or systemInstruction, tools,
+ *   response_format / output_config / generationConfig.responseSchema / format)
+ * @param countText - Token count of a text with the provider's tokenizer
+ * @example
+ * const tokenizer = TokenizerRegistry.resolve('openai', 'gpt-4o');
+ * countRequestTokens({ messages: [{ role: 'user', content: 'Hi' }] }, text => tokenizer.count(text));
+ * // { total: 8, messages: 8, system: 0, tools: 0, responseFormat: 0 }
+ */
+export function countRequestTokens(
+    requestBody: Record<string, unknown>,
+    countText: (text: string) => number,
+): Omit<TokenCount, 'tokenizer' | 'approximate'> {
+    const messageList = Array.isArray(requestBody.messages) ? requestBody.messages as Part[]
+        : Array.isArray(requestBody.contents) ? requestBody.contents as Part[] : [];
+    const messages = messageList.length === 0 ? 0 : messageList.reduce(
+        (sum, message) => sum + TOKENS_PER_MESSAGE + countMessage(message, countText),
+        TOKENS_PER_REPLY,
+    );
+    const systemInstruction = requestBody.systemInstruction as Part | undefined;
+    const system = requestBody.system != null ? countContent(requestBody.system, countText)
+        : systemInstruction != null ? countContent(systemInstruction.parts ?? systemInstruction, countText) : 0;
+    const toolList = Array.isArray(requestBody.tools) ? requestBody.tools : [];
+    const tools = toolList.reduce<number>((sum, tool) => sum + TOKENS_PER_TOOL + countText(JSON.stringify(tool)), 0);
+    const format = requestBody.response_format ?? requestBody.output_config
+        ?? (requestBody.generationConfig as Part | undefined)?.responseSchema ?? requestBody.format;
+    const responseFormat = format != null ? countText(JSON.stringify(format)) : 0;
+    return { total: messages + system + tools + responseFormat, messages, system, tools, responseFormat };
+}
+
+function countMessage(message: Part, countText: (text: string) => number): number {
+    let tokens = countText(String(message.role ?? ''));
+    if (message.content != null) tokens += countContent(message.content, countText);
+    if (message.parts != null) tokens += countContent(message.parts, countText);
+    // Ollama: base64 images next to the text
+    if (Array.isArray(message.images)) tokens += message.images.reduce<number>((sum, data) => sum + countImage(String(data)), 0);
+    if (typeof message.name === 'string') tokens += countText(message.name) + 1;
+    if (message.tool_calls != null) tokens += countText(JSON.stringify(message.tool_calls));
+    if (typeof message.tool_call_id === 'string') tokens += countText(message.tool_call_id);
+    return tokens;
+}
+
+/** Content as a string or an array of parts (text, image, tool use / result blocks). */
+function countContent(content: unknown, countText: (text: string) => number): number {
+    if (typeof content === 'string') return countText(content);
+    if (!Array.isArray(content)) return countText(JSON.stringify(content));
+    return (content as Part[]).reduce((sum, part) => sum + countPart(part, countText), 0);
+}
+
+function countPart(part: Part, countText: (text: string) => number): number {
+    if (typeof part === 'string') return countText(part);
+    if (typeof part?.text === 'string') return countText(part.text);
+    const media = mediaOf(part);
+    if (media?.kind === 'document') return countDocument(media, countText);
+    if (media?.kind === 'image') {
+        const detail = (part.image_url as Part | undefined)?.detail ?? part.detail;
+        return detail === 'low' ? LOW_DETAIL_IMAGE_TOKENS : countImage(media.data);
+    }
+    if (part?.type === 'tool_result') {
+        return countText(String(part.tool_use_id ?? '')) + countContent(part.content ?? '', countText);
+    }
+    return countText(JSON.stringify(part));
+}
+
+interface Media {
+    kind: 'image' | 'document';
+    mediaType?: string;
+    /** Base64 data, or plain text for Anthropic text documents */
+    data?: string;
+    text?: string;
+}
+
+/** Image or document in any provider's part format (OpenAI, Gemini, Anthropic, unified). */
+function mediaOf(part: Part): Media | null {
+    const googleData = (part?.inlineData ?? part?.fileData) as Part | undefined;
+    if (googleData) {
+        const mediaType = googleData.mimeType as string | undefined;
+        const data = typeof googleData.data === 'string' ? googleData.data : undefined;
+        return { kind: mediaType && !mediaType.startsWith('image/') ? 'document' : 'image', mediaType, data };
+    }
+    if (part?.type === 'image_url' || part?.type === 'input_image') {
+        const imageUrl = part.image_url as Part | string | undefined;
+        const url = String((typeof imageUrl === 'string' ? imageUrl : imageUrl?.url) ?? part.image_url ?? '');
+        const match = url.match(DATA_URL_PATTERN);
+        // Gemini's OpenAI-compatible endpoint takes documents as data URLs in image_url parts
+        const kind = match && !match[1].startsWith('image/') ? 'document' : 'image';
+        return { kind, mediaType: match?.[1], data: match?.[2] };
+    }
+    if (part?.type === 'file') {
+        const match = String((part.file as Part | undefined)?.file_data ?? '').match(DATA_URL_PATTERN);
+        return { kind: 'document', mediaType: match?.[1], data: match?.[2] };
+    }
+    if (part?.type === 'image' || part?.type === 'document') {
+        const source = (part.source ?? part) as Part;
+        if (source.type === 'text') return { kind: 'document', mediaType: 'text/plain', text: String(source.data ?? '') };
+        const mediaType = (source.media_type ?? source.mediaType) as string | undefined;
+        return { kind: part.type, mediaType, data: typeof source.data === 'string' ? source.data : undefined };
+    }
+    return null;
+}
+
+/** PDFs by page count, plain text by its tokens, anything else (URLs, other formats) as one page. */
+function countDocument(media: Media, countText: (text: string) => number): number {
+    if (media.text !== undefined) return countText(media.text);
+    if (media.data === undefined) return DOCUMENT_PAGE_TOKENS;
+    const bytes = Buffer.from(media.data, 'base64');
+    if (media.mediaType?.startsWith('text/')) return countText(bytes.toString('utf8'));
+    const pages = media.mediaType === 'application/pdf' ? bytes.toString('latin1').match(PDF_PAGE_PATTERN)?.length ?? 1 : 1;
+    return pages * DOCUMENT_PAGE_TOKENS;
+}
+
+/**
+ * High-detail image cost from its dimensions (PNG, JPEG, GIF): scaled to fit 2048x2048, then to 768px on
+ * the short side, at 170 tokens per 512px tile plus 85. Without data or known format: a 1024x1024 image.
+ */
+function countImage(data: string | undefined): number {
+    const size = data ? imageSize(Buffer.from(data, 'base64')) : null;
+    if (!size?.width || !size.height) return IMAGE_TOKENS;
+    let { width, height } = size;
+    const fit = Math.min(1, 2048 / Math.max(width, height));
+    width *= fit;
+    height *= fit;
+    const shortSide = Math.min(1, 768 / Math.min(width, height));
+    width *= shortSide;
+    height *= shortSide;
+    return LOW_DETAIL_IMAGE_TOKENS + IMAGE_TILE_TOKENS * Math.ceil(width / 512) * Math.ceil(height / 512);
+}
+
+function imageSize(bytes: Buffer): { width: number; height: number } | null {
+    // PNG: IHDR chunk
+    if (bytes.length >= 24 && bytes.readUInt32BE(0) === 0x89504e47) {
+        return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+    }
+    // GIF: logical screen size
+    if (bytes.length >= 10 && bytes.toString('latin1', 0, 3) === 'GIF') {
+        return { width: bytes.readUInt16LE(6), height: bytes.readUInt16LE(8) };
+    }
+    // JPEG: first start-of-frame segment
+    if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < bytes.length && bytes[offset] === 0xff) {
+            const marker = bytes[offset + 1];
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + bytes.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+export default TokenizerRegistry;
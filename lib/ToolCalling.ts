@@ -0,0 +1,376 @@
+/**
+ * Tool calling translation between the normalized (OpenAI-style) format used by
+ * ResilientLLM callers and provider-native formats.
+ *
+ * Callers always use one format:
+ * - tool definitions: `{ type: 'function', function: { name, description, parameters } }`
+ * - tool calls: `{ id, type: 'function', function: { name, arguments } }` (arguments is a JSON string)
+ * - history: assistant messages carry `tool_calls`, results are `{ role: 'tool', tool_call_id, content }`
+ */
+
+import { toAnthropicContent, type ContentPart } from "./MessageContent.js";
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+/** A normalized tool call, as returned in `ChatResponse.toolCalls`. */
+export interface NormalizedToolCall {
+    id: string;
+    type: 'function';
+    function: { name: string; arguments: string };
+}
+
+/** An Anthropic tool definition. */
+export interface AnthropicTool {
+    name: string;
+    description?: string;
+    input_schema: unknown;
+    [key: string]: unknown;
+}
+
+/** An Anthropic message (content may be a string or an array of content blocks). */
+export interface AnthropicMessage {
+    role: 'user' | 'assistant';
+    content: string | Record<string, unknown>[];
+    [key: string]: unknown;
+}
+
+/**
+ * A tool handler registered with `runTools()`.
+ * Receives the parsed arguments; the `signal` aborts when the tool times out or the loop is aborted.
+ * The return value is sent back to the model (strings as-is, anything else as JSON).
+ */
+export type ToolHandler = (
+    args: Record<string, unknown>,
+    context: { toolCall: NormalizedToolCall; signal: AbortSignal }
+) => unknown | Promise<unknown>;
+
+/** Outcome of executing one tool call. */
+export interface ToolExecutionResult {
+    toolCallId: string;
+    name: string;
+    status: 'success' | 'error' | 'timeout' | 'invalid_arguments' | 'unknown_tool';
+    /** Content of the `role: 'tool'` message sent back to the model. */
+    content: string;
+    durationMs: number;
+    error?: string;
+}
+
+type ToolLike = Record<string, unknown>;
+type MessageLike = { role: string; content?: unknown; [key: string]: unknown };
+
+const EMPTY_OBJECT_SCHEMA = { type: 'object', properties: {} };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TOOL DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Converts tool definitions to Anthropic's `{ name, description, input_schema }` shape.
+ * Definitions already in Anthropic shape pass through unchanged.
+ * @example
+ * toAnthropicTools([{ type: 'function', function: { name: 'get_weather', parameters: schema } }]);
+ * // [{ name: 'get_weather', input_schema: schema }]
+ */
+export function toAnthropicTools(tools: ToolLike[]): AnthropicTool[] {
+    return tools.map(tool => {
+        const fn = tool.function as Record<string, unknown> | undefined;
+        if (!fn) {
+            return tool as AnthropicTool;
+        }
+        return {
+            name: fn.name as string,
+            ...(fn.description !== undefined ? { description: fn.description as string } : {}),
+            input_schema: fn.input_schema ?? fn.parameters ?? EMPTY_OBJECT_SCHEMA,
+        };
+    });
+}
+
+/**
+ * Converts tool definitions to OpenAI's `{ type: 'function', function: { name, description, parameters } }` shape.
+ * Accepts Anthropic-shaped definitions and `function.input_schema` for symmetry.
+ */
+export function toOpenAITools(tools: ToolLike[]): ToolLike[] {
+    return tools.map(tool => {
+        const fn = tool.function as Record<string, unknown> | undefined;
+        if (!fn) {
+            return {
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    ...(tool.description !== undefined ? { description: tool.description } : {}),
+                    parameters: tool.input_schema ?? tool.parameters ?? EMPTY_OBJECT_SCHEMA,
+                },
+            };
+        }
+        if (!fn.parameters && fn.input_schema) {
+            const { input_schema, ...rest } = fn;
+            return { ...tool, type: tool.type ?? 'function', function: { ...rest, parameters: input_schema } };
+        }
+        return { ...tool, type: tool.type ?? 'function' };
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONVERSATION HISTORY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Converts normalized conversation messages (without system messages) to Anthropic messages.
+ * - assistant `tool_calls` become `tool_use` content blocks
+ * - consecutive `role: 'tool'` messages become one user message of `tool_result` blocks (content parts
+ *   such as images become Anthropic blocks)
+ * Messages without tool data are returned as-is.
+ */
+export function toAnthropicMessages(messages: MessageLike[]): AnthropicMessage[] {
+    const result: AnthropicMessage[] = [];
+    for (const message of messages) {
+        if (message.role === 'tool') {
+            const block: Record<string, unknown> = {
+                type: 'tool_result',
+                tool_use_id: message.tool_call_id,
+                content: typeof message.content === 'string'
+                    ? message.content
+                    : Array.isArray(message.content)
+                        ? toAnthropicContent(message.content as ContentPart[])
+                        : JSON.stringify(message.content ?? ''),
+                ...(message.is_error ? { is_error: true } : {}),
+            };
+            const previous = result[result.length - 1];
+            if (previous?.role === 'user' && Array.isArray(previous.content)
+                && previous.content.every(part => part.type === 'tool_result')) {
+                previous.content.push(block);
+            } else {
+                result.push({ role: 'user', content: [block] });
+            }
+            continue;
+        }
+
+        const toolCalls = message.role === 'assistant' ? message.tool_calls as NormalizedToolCall[] | undefined : undefined;
+        if (toolCalls?.length) {
+            const blocks: Record<string, unknown>[] = [];
+            if (typeof message.content === 'string' && message.content) {
+                blocks.push({ type: 'text', text: message.content });
+            } else if (Array.isArray(message.content)) {
+                blocks.push(...message.content as Record<string, unknown>[]);
+            }
+            for (const call of toolCalls) {
+                blocks.push({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.function?.name,
+                    input: parseToolArguments(call.function?.arguments),
+                });
+            }
+            result.push({ role: 'assistant', content: blocks });
+            continue;
+        }
+
+        result.push(message as AnthropicMessage);
+    }
+    return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESPONSES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Extracts `tool_use` content blocks from an Anthropic response as normalized tool calls.
+ * @returns Normalized tool calls, or undefined when the response has none
+ */
+export function parseAnthropicToolCalls(data: Record<string, unknown>): NormalizedToolCall[] | undefined {
+    const blocks = Array.isArray(data?.content) ? data.content as Record<string, unknown>[] : [];
+    const toolCalls = blocks
+        .filter(block => block?.type === 'tool_use')
+        .map(block => ({
+            id: block.id as string,
+            type: 'function' as const,
+            function: {
+                name: block.name as string,
+                arguments: JSON.stringify(block.input ?? {}),
+            },
+        }));
+    return toolCalls.length ? toolCalls : undefined;
+}
+
+/**
+ * Joins the `text` content blocks of an Anthropic response.
+ * @returns The assistant text, or null when the response has no text blocks
+ */
+export function extractAnthropicText(data: Record<string, unknown>): string | null {
+    const blocks = Array.isArray(data?.content) ? data.content as Record<string, unknown>[] : [];
+    const texts = blocks
+        .filter(block => block?.type === 'text' || (block?.type === undefined && typeof block?.text === 'string'))
+        .map(block => block.text as string);
+    return texts.length ? texts.join('') : null;
+}
+
+/** Maps Anthropic `stop_reason` values to normalized finish reasons (`stop`, `length`, `tool_calls`). */
+export function normalizeAnthropicStopReason(stopReason: unknown): string | null {
+    switch (stopReason) {
+        case 'end_turn':
+        case 'stop_sequence':
+            return 'stop';
+        case 'max_tokens':
+            return 'length';
+        case 'tool_use':
+            return 'tool_calls';
+        case null:
+        case undefined:
+            return null;
+        default:
+            return String(stopReason);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXECUTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validates tool arguments against a JSON schema.
+ * Supports `type`, `enum`, `required`, `properties`, `additionalProperties: false` and `items`.
+ * @returns Human-readable issues; empty when the arguments are valid
+ * @example
+ * validateToolArguments({ location: 1 }, { type: 'object', properties: { location: { type: 'string' } } });
+ * // ['$.location: expected string, got integer']
+ */
+export function validateToolArguments(value: unknown, schema: unknown, path: string = '$'): string[] {
+    if (!schema || typeof schema !== 'object') return [];
+    const rules = schema as Record<string, unknown>;
+    const issues: string[] = [];
+
+    const expectedTypes = rules.type === undefined ? [] : [rules.type].flat() as string[];
+    const actual = jsonType(value);
+    if (expectedTypes.length && !expectedTypes.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+        return [`${path}: expected ${expectedTypes.join(' | ')}, got ${actual}`];
+    }
+    if (Array.isArray(rules.enum) && !rules.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        issues.push(`${path}: must be one of ${JSON.stringify(rules.enum)}`);
+    }
+
+    if (actual === 'object') {
+        const object = value as Record<string, unknown>;
+        const properties = (rules.properties ?? {}) as Record<string, unknown>;
+        for (const field of Array.isArray(rules.required) ? rules.required as string[] : []) {
+            if (!(field in object)) issues.push(`${path}.${field}: is required`);
+        }
+        for (const [field, fieldValue] of Object.entries(object)) {
+            if (field in properties) {
+                issues.push(...validateToolArguments(fieldValue, properties[field], `${path}.${field}`));
+            } else if (rules.additionalProperties === false) {
+                issues.push(`${path}.${field}: is not allowed`);
+            }
+        }
+    } else if (actual === 'array' && rules.items) {
+        (value as unknown[]).forEach((item, index) => {
+            issues.push(...validateToolArguments(item, rules.items, `${path}[${index}]`));
+        });
+    }
+    return issues;
+}
+
+/**
+ * Executes one tool call with its registered handler.
+ * Never throws: unknown tools, invalid arguments, handler errors and timeouts are returned
+ * as results so they can be reported back to the model.
+ * @param toolCall - Normalized tool call returned by the model
+ * @param options.tools - Tool definitions (used for argument validation)
+ * @param options.handlers - Handlers by tool name
+ * @param options.timeoutMs - Maximum handler run time
+ * @param options.signal - Aborts the handler when the caller aborts
+ */
+export async function executeToolCall(
+    toolCall: NormalizedToolCall,
+    options: {
+        tools: ToolLike[];
+        handlers: Record<string, ToolHandler>;
+        timeoutMs: number;
+        signal?: AbortSignal;
+    }
+): Promise<ToolExecutionResult> {
+    const startTime = Date.now();
+    const name = toolCall.function?.name;
+    const result = (status: ToolExecutionResult['status'], content: string, error?: string): ToolExecutionResult => ({
+        toolCallId: toolCall.id,
+        name,
+        status,
+        content,
+        durationMs: Date.now() - startTime,
+        ...(error !== undefined ? { error } : {}),
+    });
+
+    // Tool names come from the model: only the caller's own handlers count, not inherited properties
+    const handler = Object.hasOwn(options.handlers, name) ? options.handlers[name] : undefined;
+    if (typeof handler !== 'function') {
+        const error = `Unknown tool: ${name}`;
+        return result('unknown_tool', `Error: ${error}`, error);
+    }
+
+    let args: unknown;
+    try {
+        args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    } catch {
+        const error = 'Arguments are not valid JSON';
+        return result('invalid_arguments', `Error: ${error}`, error);
+    }
+    const definition = toOpenAITools(options.tools)
+        .find(tool => (tool.function as Record<string, unknown>).name === name);
+    const schema = (definition?.function as Record<string, unknown> | undefined)?.parameters;
+    const issues = validateToolArguments(args, schema ?? { type: 'object' });
+    if (issues.length) {
+        const error = `Invalid arguments: ${issues.join('; ')}`;
+        return result('invalid_arguments', `Error: ${error}`, error);
+    }
+
+    if (options.signal?.aborted) {
+        const error = 'Operation was aborted';
+        return result('error', `Error: ${error}`, error);
+    }
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(options.signal?.reason);
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+    let timerId: ReturnType<typeof setTimeout> | undefined;
+    const timeout = new Promise<never>((_, reject) => {
+        timerId = setTimeout(() => {
+            const error = new Error(`Tool timed out after ${options.timeoutMs}ms`);
+            error.name = 'TimeoutError';
+            reject(error);
+            controller.abort(error);
+        }, options.timeoutMs);
+    });
+    try {
+        const output = await Promise.race([
+            Promise.resolve(handler(args as Record<string, unknown>, { toolCall, signal: controller.signal })),
+            timeout,
+        ]);
+        return result('success', typeof output === 'string' ? output : JSON.stringify(output ?? null));
+    } catch (err) {
+        const error = (err as Error)?.message || String(err);
+        return result((err as Error)?.name === 'TimeoutError' ? 'timeout' : 'error', `Error: ${error}`, error);
+    } finally {
+        clearTimeout(timerId);
+        options.signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function jsonType(value: unknown): string {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function parseToolArguments(args: unknown): unknown {
+    if (args && typeof args === 'object') return args;
+    if (typeof args !== 'string' || !args.trim()) return {};
+    try {
+        return JSON.parse(args);
+    } catch {
+        return {};
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Normalized token usage for `metadata.usage`, read from provider responses through a per-provider
+ * mapping (`chatConfig.usageConfig`) over the defaults of its `messageFormat`.
+ *
+ * Every provider reports the same fields:
+ * - `prompt_tokens`: all input tokens, including cached ones (Anthropic's `input_tokens` leaves those out)
+ * - `completion_tokens`: all output tokens, including reasoning/thinking tokens
+ * - `total_tokens`: as reported, or prompt + completion
+ * - `cached_input_tokens`, `cache_write_tokens`, `reasoning_tokens`: breakdowns, present when reported
+ *
+ * @example
+ * normalizeUsage({ usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 90 } }, DEFAULT_USAGE_CONFIGS.anthropic);
+ * // { prompt_tokens: 100, completion_tokens: 5, total_tokens: 105, cached_input_tokens: 90 }
+ */
+
+// ─── Types ───────────────────────────────────────────────────────────────
+
+/** A path in the response body (e.g. `usage.prompt_tokens`), or several paths whose values are summed. */
+export type UsagePath = string | string[];
+
+/**
+ * Where a provider's response reports each usage field. Unset fields use the defaults of the
+ * provider's `messageFormat`; `null` turns a field off.
+ */
+export interface UsageConfig {
+    inputTokens?: UsagePath | null;
+    outputTokens?: UsagePath | null;
+    totalTokens?: UsagePath | null;
+    /** Input tokens read from the provider's prompt cache (included in `inputTokens`) */
+    cachedInputTokens?: UsagePath | null;
+    /** Input tokens written to the provider's prompt cache (included in `inputTokens`) */
+    cacheWriteTokens?: UsagePath | null;
+    /** Reasoning/thinking tokens (included in `outputTokens`) */
+    reasoningTokens?: UsagePath | null;
+}
+
+/** `metadata.usage` of a chat response. */
+export interface NormalizedUsage {
+    prompt_tokens: number | null;
+    completion_tokens: number | null;
+    total_tokens: number | null;
+    cached_input_tokens?: number;
+    cache_write_tokens?: number;
+    reasoning_tokens?: number;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEFAULTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Usage mapping per `chatConfig.messageFormat`. */
+export const DEFAULT_USAGE_CONFIGS: Record<'openai' | 'anthropic' | 'google' | 'ollama', UsageConfig> = {
+    openai: {
+        inputTokens: 'usage.prompt_tokens',
+        outputTokens: 'usage.completion_tokens',
+        totalTokens: 'usage.total_tokens',
+        cachedInputTokens: 'usage.prompt_tokens_details.cached_tokens',
+        // OpenRouter
+        cacheWriteTokens: 'usage.prompt_tokens_details.cache_write_tokens',
+        reasoningTokens: 'usage.completion_tokens_details.reasoning_tokens',
+    },
+    anthropic: {
+        inputTokens: ['usage.input_tokens', 'usage.cache_read_input_tokens', 'usage.cache_creation_input_tokens'],
+        outputTokens: 'usage.output_tokens',
+        cachedInputTokens: 'usage.cache_read_input_tokens',
+        cacheWriteTokens: 'usage.cache_creation_input_tokens',
+    },
+    google: {
+        inputTokens: 'usageMetadata.promptTokenCount',
+        outputTokens: ['usageMetadata.candidatesTokenCount', 'usageMetadata.thoughtsTokenCount'],
+        totalTokens: 'usageMetadata.totalTokenCount',
+        cachedInputTokens: 'usageMetadata.cachedContentTokenCount',
+        reasoningTokens: 'usageMetadata.thoughtsTokenCount',
+    },
+    ollama: {
+        inputTokens: 'prompt_eval_count',
+        outputTokens: 'eval_count',
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NORMALIZATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Usage mapping for a chat config: its `usageConfig` over the defaults of its `messageFormat`.
+ */
+export function resolveUsageConfig(chatConfig: { messageFormat?: string; usageConfig?: UsageConfig } | null | undefined): UsageConfig {
+    const defaults = DEFAULT_USAGE_CONFIGS[chatConfig?.messageFormat as keyof typeof DEFAULT_USAGE_CONFIGS] ?? DEFAULT_USAGE_CONFIGS.openai;
+    return { ...defaults, ...(chatConfig?.usageConfig ?? {}) };
+}
+
+/**
+ * Reads a response's usage through a usage mapping.
+ * @returns Normalized usage; token counts the response does not report are null (or left out for breakdowns)
+ */
+export function normalizeUsage(data: unknown, usageConfig: UsageConfig): NormalizedUsage {
+    const prompt = readTokens(data, usageConfig.inputTokens);
+    const completion = readTokens(data, usageConfig.outputTokens);
+    const total = readTokens(data, usageConfig.totalTokens)
+        ?? (prompt !== undefined && completion !== undefined ? prompt + completion : undefined);
+    const cachedInput = readTokens(data, usageConfig.cachedInputTokens);
+    const cacheWrite = readTokens(data, usageConfig.cacheWriteTokens);
+    const reasoning = readTokens(data, usageConfig.reasoningTokens);
+    return {
+        prompt_tokens: prompt ?? null,
+        completion_tokens: completion ?? null,
+        total_tokens: total ?? null,
+        ...(cachedInput !== undefined ? { cached_input_tokens: cachedInput } : {}),
+        ...(cacheWrite !== undefined ? { cache_write_tokens: cacheWrite } : {}),
+        ...(reasoning !== undefined ? { reasoning_tokens: reasoning } : {}),
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Sum of the numbers at the given paths; undefined when none of them holds a number. */
+function readTokens(data: unknown, path: UsagePath | null | undefined): number | undefined {
+    if (!path) return undefined;
+    let sum: number | undefined;
+    for (const single of Array.isArray(path) ? path : [path]) {
+        const value = readPath(data, single);
+        if (typeof value === 'number' && Number.isFinite(value)) sum = (sum ?? 0) + value;
+    }
+    return sum;
+}
+
+function readPath(data: unknown, path: string): unknown {
+    let current = data;
+    for (const part of path.split(/[.[\]]+/).filter(Boolean)) {
+        if (current == null || typeof current !== 'object') return undefined;
+        current = (current as Record<string, unknown>)[part];
+    }
+    return current;
+}
@@ -1,3 +1,5 @@
+import type { CostBreakdown } from "./Pricing.js";
+
 /** Metadata about an LLM operation, returned on both success and failure paths. */
 export interface OperationMetadata {
     requestId?: string | null;
@@ -9,11 +11,22 @@ export interface OperationMetadata {
     events?: unknown[];
     timing?: { totalTimeMs?: number | null; rateLimitWaitMs?: number; httpRequestMs?: number | null };
     retries?: unknown[];
-    rateLimiting?: { requestedTokens?: number; totalWaitMs?: number };
+    /** `bucketId` and `scope` identify the shared rate limiter (see `bucketScope`) */
+    rateLimiting?: { bucketId?: string; scope?: string; priority?: number; requestedTokens?: number; actualTokens?: number; totalWaitMs?: number };
     circuitBreaker?: Record<string, unknown>;
     http?: Record<string, unknown>;
     cache?: Record<string, unknown>;
     service?: { attempted?: string[]; final?: string };
-    usage?: { prompt_tokens?: number | null; completion_tokens?: number | null; total_tokens?: number | null };
+    /** Normalized across providers (see Usage.ts); the cache and reasoning breakdowns are present when reported */
+    usage?: {
+        prompt_tokens?: number | null;
+        completion_tokens?: number | null;
+        total_tokens?: number | null;
+        cached_input_tokens?: number;
+        cache_write_tokens?: number;
+        reasoning_tokens?: number;
+    };
+    /** Cost in USD from `usage` and the model's prices (see Pricing.ts); null when the model is not priced */
+    cost?: CostBreakdown | null;
     [key: string]: unknown;
 }
@@ -0,0 +1,217 @@
+import { ResilientLLM, ResilientLLMError, ProviderRegistry } from '../dist/index.js';
+import { describe, it, before, after, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { createServer } from 'node:http';
+
+/**
+ * Local mock of the OpenAI Files + Batch API and Anthropic Message Batches.
+ * Jobs end after two polls; the first poll of every job fails with a 503.
+ */
+function startMockServer() {
+    const state = { files: {}, batches: {}, requests: [] };
+    const server = createServer(async (req, res) => {
+        let raw = '';
+        for await (const chunk of req) raw += chunk;
+        state.requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw });
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const json = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        };
+        const poll = batch => {
+            batch.polls++;
+            if (batch.polls === 1) return json(503, { error: { message: 'Try again' } });
+            if (batch.polls >= 3) batch.finish();
+            return json(200, batch.data);
+        };
+
+        // OpenAI
+        if (req.method === 'POST' && req.url === '/v1/files') {
+            const lines = raw.split(/\r?\n/).filter(line => line.startsWith('{"custom_id"'));
+            state.files['file-input'] = lines.map(line => JSON.parse(line));
+            return json(200, { id: 'file-input', purpose: 'batch' });
+        }
+        if (req.method === 'POST' && req.url === '/v1/batches') {
+            const { input_file_id: inputFileId, endpoint } = JSON.parse(raw);
+            const input = state.files[inputFileId];
+            const batch = {
+                polls: 0,
+                data: { id: 'batch_abc', status: 'validating', endpoint, request_counts: { total: input.length, completed: 0, failed: 0 } },
+                finish() {
+                    const output = input.filter(line => !line.body.messages[0].content.includes('fail'));
+                    const failed = input.filter(line => line.body.messages[0].content.includes('fail'));
+                    state.files['file-output'] = output.map(line => JSON.stringify({
+                        id: `batch_req_${line.custom_id}`,
+                        custom_id: line.custom_id,
+                        response: {
+                            status_code: 200,
+                            body: {
+                                model: line.body.model,
+                                choices: [{ message: { content: line.body.response_format ? '{"answer": 42}' : `Answer to ${line.body.messages[0].content}` }, finish_reason: 'stop' }],
+                                usage: { prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 },
+                            },
+                        },
+                    })).join('\n');
+                    state.files['file-errors'] = failed.map(line => JSON.stringify({
+                        custom_id: line.custom_id,
+                        response: { status_code: 400, body: { error: { message: 'Invalid prompt' } } },
+                    })).join('\n');
+                    Object.assign(batch.data, {
+                        status: 'completed',
+                        output_file_id: 'file-output',
+                        error_file_id: 'file-errors',
+                        request_counts: { total: input.length, completed: output.length, failed: failed.length },
+                    });
+                },
+            };
+            state.batches.batch_abc = batch;
+            return json(200, batch.data);
+        }
+        if (req.method === 'GET' && req.url === '/v1/batches/batch_abc') return poll(state.batches.batch_abc);
+        const content = req.url.match(/^\/v1\/files\/([\w-]+)\/content$/);
+        if (req.method === 'GET' && content) return json(200, state.files[content[1]]);
+
+        // Anthropic
+        if (req.method === 'POST' && req.url === '/v1/messages/batches') {
+            const { requests } = JSON.parse(raw);
+            const batch = {
+                polls: 0,
+                data: { id: 'msgbatch_01', type: 'message_batch', processing_status: 'in_progress', request_counts: { processing: requests.length } },
+                finish() {
+                    Object.assign(batch.data, {
+                        processing_status: 'ended',
+                        request_counts: { processing: 0, succeeded: 1, errored: 1, canceled: 0, expired: 0 },
+                        results_url: `${base}/v1/messages/batches/msgbatch_01/results`,
+                    });
+                    state.files.anthropic = [
+                        { custom_id: requests[0].custom_id, result: { type: 'succeeded', message: { model: requests[0].params.model, content: [{ type: 'text', text: 'Bonjour' }], stop_reason: 'end_turn', usage: { input_tokens: 9, output_tokens: 3 } } } },
+                        { custom_id: requests[1].custom_id, result: { type: 'errored', error: { type: 'error', error: { type: 'invalid_request_error', message: 'max_tokens: too large' } } } },
+                    ].map(line => JSON.stringify(line)).join('\n');
+                },
+            };
+            state.batches.msgbatch_01 = batch;
+            return json(200, batch.data);
+        }
+        if (req.method === 'GET' && req.url === '/v1/messages/batches/msgbatch_01') return poll(state.batches.msgbatch_01);
+        if (req.method === 'GET' && req.url === '/v1/messages/batches/msgbatch_01/results') return json(200, state.files.anthropic);
+
+        json(404, { error: { message: `No route for ${req.method} ${req.url}` } });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, state, base: `http://127.0.0.1:${server.address().port}` })));
+}
+
+describe('Batch Job Unit Tests', () => {
+    let mock;
+    let originalEnv;
+    let originalUrls;
+
+    before(async () => {
+        mock = await startMockServer();
+        originalUrls = {
+            openai: { batchApiUrl: ProviderRegistry.get('openai').batchApiUrl, filesApiUrl: ProviderRegistry.get('openai').filesApiUrl },
+            anthropic: { batchApiUrl: ProviderRegistry.get('anthropic').batchApiUrl },
+        };
+        ProviderRegistry.configure('openai', { batchApiUrl: `${mock.base}/v1/batches`, filesApiUrl: `${mock.base}/v1/files` });
+        ProviderRegistry.configure('anthropic', { batchApiUrl: `${mock.base}/v1/messages/batches` });
+    });
+
+    after(async () => {
+        ProviderRegistry.configure('openai', originalUrls.openai);
+        ProviderRegistry.configure('anthropic', originalUrls.anthropic);
+        await new Promise(resolve => mock.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        process.env.OPENAI_API_KEY = 'test-key';
+        process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
+        mock.state.requests.length = 0;
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+    });
+
+    it('submits an OpenAI batch file, polls through transient errors and maps results to chat responses', async () => {
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-4o-mini' });
+
+        const job = await llm.submitBatchJob([
+            { id: 'greeting', messages: [{ role: 'user', content: 'hello' }] },
+            [{ role: 'user', content: 'please fail' }],
+            { id: 'json', messages: [{ role: 'user', content: 'answer' }], options: { responseFormat: 'json' } },
+        ], { temperature: 0, metadata: { project: 'nightly' } });
+
+        expect(job.id).to.equal('batch_abc');
+        expect(job.status).to.equal('in_progress');
+        const upload = mock.state.requests[0];
+        expect(upload.headers.authorization).to.equal('Bearer test-key');
+        const inputLines = mock.state.files['file-input'];
+        expect(inputLines.map(line => line.custom_id)).to.deep.equal(['greeting', '1', 'json']);
+        expect(inputLines[0]).to.deep.include({ method: 'POST', url: '/v1/chat/completions' });
+        expect(inputLines[0].body).to.include({ model: 'gpt-4o-mini', temperature: 0 });
+        expect(JSON.parse(mock.state.requests[1].body)).to.deep.equal({
+            input_file_id: 'file-input', endpoint: '/v1/chat/completions', completion_window: '24h', metadata: { project: 'nightly' },
+        });
+        expect((await job.results().catch(err => err)).code).to.equal('INVALID_REQUEST');
+
+        const polls = [];
+        await job.wait({ pollIntervalMs: 5, onPoll: j => polls.push(j.providerStatus) });
+        expect(polls).to.deep.equal(['validating', 'completed']);
+        expect(job.requestCounts).to.deep.equal({ total: 3, succeeded: 2, failed: 1 });
+
+        const results = await job.results();
+        expect(results.map(r => r.id)).to.deep.equal(['greeting', '1', 'json']);
+        expect(results[0].result.content).to.equal('Answer to hello');
+        expect(results[0].result.metadata.usage).to.deep.equal({ prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 });
+        expect(results[0].result.metadata.config).to.include({ aiService: 'openai', model: 'gpt-4o-mini', batchJobId: 'batch_abc' });
+        expect(results[1].result).to.be.instanceOf(ResilientLLMError);
+        expect(results[1].result.code).to.equal('PROVIDER_BAD_REQUEST');
+        expect(results[2].result.content).to.deep.equal({ answer: 42 });
+    });
+
+    it('submits Anthropic message batches and maps succeeded and errored requests', async () => {
+        const llm = new ResilientLLM({ aiService: 'anthropic', model: 'claude-haiku-4-5-20251001' });
+
+        const job = await llm.submitBatchJob([
+            [{ role: 'system', content: 'Answer in French.' }, { role: 'user', content: 'Hello' }],
+            [{ role: 'user', content: 'Hi' }],
+        ], { maxTokens: 100 });
+
+        const submitted = JSON.parse(mock.state.requests[0].body);
+        expect(mock.state.requests[0].headers['x-api-key']).to.equal('test-anthropic-key');
+        expect(submitted.requests[0]).to.deep.include({ custom_id: '0' });
+        expect(submitted.requests[0].params).to.include({ model: 'claude-haiku-4-5-20251001', system: 'Answer in French.', max_tokens: 100 });
+
+        await job.wait({ pollIntervalMs: 5 });
+        expect(job.status).to.equal('completed');
+        const [first, second] = await job.results();
+        expect(first.result.content).to.equal('Bonjour');
+        expect(first.result.metadata.finishReason).to.equal('stop');
+        expect(second.result.code).to.equal('PROVIDER_BAD_REQUEST');
+        expect(second.result.message).to.equal('max_tokens: too large');
+
+        // A job can be loaded again by id
+        const loaded = await llm.getBatchJob('msgbatch_01');
+        expect(loaded.status).to.equal('completed');
+        expect((await loaded.results()).map(r => r.id)).to.deep.equal(['0', '1']);
+    });
+
+    it('rejects providers without a batch API and gives up waiting after timeoutMs', async () => {
+        const llm = new ResilientLLM({ aiService: 'ollama', model: 'llama3.1:8b' });
+        const unsupported = await llm.submitBatchJob([[{ role: 'user', content: 'Hi' }]]).catch(err => err);
+        expect(unsupported).to.be.instanceOf(ResilientLLMError);
+        expect(unsupported.code).to.equal('UNSUPPORTED_FEATURE');
+
+        const mixed = await llm.submitBatchJob([
+            [{ role: 'user', content: 'Hi' }],
+            { messages: [{ role: 'user', content: 'Hi' }], options: { aiService: 'anthropic' } },
+        ], { aiService: 'openai' }).catch(err => err);
+        expect(mixed.code).to.equal('INVALID_REQUEST');
+
+        mock.state.batches.batch_abc.polls = -100;
+        mock.state.batches.batch_abc.data.status = 'in_progress';
+        const job = await llm.getBatchJob('batch_abc', { aiService: 'openai' });
+        const timedOut = await job.wait({ pollIntervalMs: 5, timeoutMs: 30 }).catch(err => err);
+        expect(timedOut.code).to.equal('TIMEOUT');
+    });
+});
@@ -0,0 +1,105 @@
+import { ResilientLLM, ResilientLLMError } from '../dist/index.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+function success(content) {
+    return {
+        data: { choices: [{ message: { content }, finish_reason: 'stop' }], usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 } },
+        statusCode: 200,
+    };
+}
+
+const prompt = text => [{ role: 'user', content: text }];
+
+describe('Batch Unit Tests', () => {
+    let originalEnv;
+    let directory;
+
+    beforeEach(async () => {
+        originalEnv = { ...process.env };
+        process.env.OPENAI_API_KEY = 'test-key';
+        directory = await mkdtemp(join(tmpdir(), 'resilient-llm-batch-'));
+    });
+
+    afterEach(async () => {
+        process.env = originalEnv;
+        sinon.restore();
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it('runs items with bounded concurrency and returns results and errors in input order', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        sinon.stub(ResilientOperation.prototype, 'execute').callsFake(async (_fn, _url, body) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            const text = body.messages[0].content;
+            await new Promise(resolve => setTimeout(resolve, text === 'q0' ? 30 : 5));
+            inFlight--;
+            if (text === 'q2') return { data: { error: { message: 'Bad prompt' } }, statusCode: 400 };
+            return success(`a${text.slice(1)}`);
+        });
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-nano', fallbacks: [] });
+        const progress = [];
+
+        const { results, metadata } = await llm.batch(
+            ['q0', 'q1', 'q2', 'q3', 'q4', 'q5'].map(prompt),
+            { concurrency: 2, onProgress: p => progress.push(p.completed) }
+        );
+
+        expect(maxInFlight).to.equal(2);
+        expect(results.map(r => r instanceof ResilientLLMError ? r.code : r.content))
+            .to.deep.equal(['a0', 'a1', 'PROVIDER_BAD_REQUEST', 'a3', 'a4', 'a5']);
+        expect(progress).to.deep.equal([1, 2, 3, 4, 5, 6]);
+        expect(metadata.items).to.deep.equal({ total: 6, succeeded: 5, failed: 1, resumed: 0, notRun: 0 });
+        expect(metadata.usage).to.deep.equal({ prompt_tokens: 50, completion_tokens: 10, total_tokens: 60 });
+        expect(metadata.timing.totalTimeMs).to.be.a('number');
+    });
+
+    it('stops starting items after a failure with stopOnError and caps concurrency at maxConcurrent', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute').callsFake(async (_fn, _url, body) =>
+            body.messages[0].content === 'q1' ? { data: { error: { message: 'Unauthorized' } }, statusCode: 401 } : success('ok'));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-nano', maxConcurrent: 1, fallbacks: [] });
+
+        const { results, metadata } = await llm.batch(['q0', 'q1', 'q2', 'q3'].map(prompt), { concurrency: 3, stopOnError: true });
+
+        expect(executeStub.callCount).to.equal(2);
+        expect(results[0].content).to.equal('ok');
+        expect(results[1].code).to.equal('PROVIDER_UNAUTHORIZED');
+        expect(results.slice(2).map(r => r.code)).to.deep.equal(['ABORTED', 'ABORTED']);
+        expect(metadata.items).to.include({ succeeded: 1, failed: 1, notRun: 2 });
+    });
+
+    it('resumes from a checkpoint file without repeating finished items', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute').callsFake(async (_fn, _url, body) =>
+            body.messages[0].content === 'flaky' ? { data: { error: { message: 'Down' } }, statusCode: 500 } : success(`re: ${body.messages[0].content}`));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-nano', retries: 0, fallbacks: [] });
+        const checkpointPath = join(directory, 'nested', 'checkpoint.json');
+        const items = [
+            { id: 'a', messages: prompt('first') },
+            { id: 'b', messages: prompt('flaky') },
+            { id: 'c', messages: prompt('third') },
+        ];
+
+        const first = await llm.batch(items, { checkpointPath });
+        expect(first.metadata.items).to.include({ succeeded: 2, failed: 1 });
+        const saved = JSON.parse(await readFile(checkpointPath, 'utf8'));
+        expect(Object.keys(saved.items).sort()).to.deep.equal(['a', 'c']);
+
+        executeStub.resetHistory();
+        items[1].messages = prompt('fixed');
+        items[2].messages = prompt('changed');
+        const second = await llm.batch(items, { checkpointPath });
+
+        // Only the failed item and the changed item are sent again
+        expect(executeStub.getCalls().map(call => call.args[2].messages[0].content)).to.deep.equal(['fixed', 'changed']);
+        expect(second.results.map(r => r.content)).to.deep.equal(['re: first', 're: fixed', 're: changed']);
+        expect(second.metadata.items).to.include({ succeeded: 3, failed: 0, resumed: 1 });
+        expect(second.metadata.usage.total_tokens).to.equal(24);
+    });
+});
@@ -0,0 +1,105 @@
+import { ResilientLLM } from '../dist/index.js';
+import CircuitBreaker from '../dist/lib/CircuitBreaker.js';
+import RateLimitManager from '../dist/lib/RateLimitManager.js';
+import { resolveBucket } from '../dist/lib/BucketScope.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+function jsonResponse(status, body, headers = {}) {
+    return {
+        ok: status === 200,
+        status,
+        headers: new Headers({ 'content-type': 'application/json', ...headers }),
+        text: async () => JSON.stringify(body),
+    };
+}
+
+describe('Bucket Scope Unit Tests', () => {
+    const bucketIds = ['openai', 'openai:gpt-5', 'openai:gpt-5-mini'];
+    let originalEnv;
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        process.env.OPENAI_API_KEY = 'test-key';
+        for (const bucketId of bucketIds) {
+            CircuitBreaker.clear(bucketId);
+            RateLimitManager.clear(bucketId);
+        }
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        sinon.restore();
+        for (const bucketId of bucketIds) {
+            CircuitBreaker.clear(bucketId);
+        }
+    });
+
+    it('resolves bucket ids for named scopes and custom functions without exposing API keys', () => {
+        const request = { aiService: 'openai', model: 'gpt-5', apiKey: 'sk-tenant-a' };
+
+        expect(resolveBucket(undefined, request)).to.deep.equal({ bucketId: 'openai', scope: 'provider' });
+        expect(resolveBucket('provider+model', request)).to.deep.equal({ bucketId: 'openai:gpt-5', scope: 'provider+model' });
+
+        const byKey = resolveBucket('provider+apiKey', request);
+        expect(byKey.bucketId).to.match(/^openai:key-[0-9a-f]{12}$/);
+        expect(byKey.bucketId).to.not.include('sk-tenant-a');
+        expect(resolveBucket('provider+apiKey', { ...request, apiKey: 'sk-tenant-b' }).bucketId).to.not.equal(byKey.bucketId);
+        expect(resolveBucket('provider+apiKey', { ...request, apiKey: undefined }).bucketId).to.equal('openai:key-default');
+
+        const custom = resolveBucket(({ aiService, model }) => `${aiService}/${model.split('-')[0]}`, request);
+        expect(custom).to.deep.equal({ bucketId: 'openai/gpt', scope: 'custom' });
+        expect(() => resolveBucket(() => '', request)).to.throw(/non-empty string/);
+        expect(() => resolveBucket('model', request)).to.throw(/Invalid bucketScope/);
+    });
+
+    it('keeps circuit breakers and rate limiters of different models apart with provider+model scope', async () => {
+        const rateLimitUpdates = [];
+        const fetchStub = sinon.stub(globalThis, 'fetch').resolves(jsonResponse(200,
+            { choices: [{ message: { content: 'ok' } }] },
+            { 'x-ratelimit-limit-requests': '500', 'x-ratelimit-remaining-requests': '499' }
+        ));
+        const llm = new ResilientLLM({
+            aiService: 'openai',
+            model: 'gpt-5',
+            bucketScope: 'provider+model',
+            onRateLimitUpdate: (info) => rateLimitUpdates.push(info.provider),
+            // Surface the open circuit instead of failing over to another provider
+            fallbackPolicy: { on: [] },
+        });
+        CircuitBreaker.getInstance('openai:gpt-5').forceOpen();
+
+        const response = await llm.chat([{ role: 'user', content: 'Hello' }], { model: 'gpt-5-mini' });
+
+        expect(response.content).to.equal('ok');
+        expect(response.metadata.circuitBreaker).to.include({ bucketId: 'openai:gpt-5-mini', scope: 'provider+model', state: 'closed' });
+        expect(response.metadata.rateLimiting).to.include({ bucketId: 'openai:gpt-5-mini', scope: 'provider+model' });
+        expect(rateLimitUpdates).to.deep.equal(['openai']);
+        expect(RateLimitManager.getInstance('openai:gpt-5-mini').requestBucket.capacity).to.equal(500);
+
+        const error = await llm.chat([{ role: 'user', content: 'Hello' }]).catch(err => err);
+        expect(error.code).to.equal('CIRCUIT_OPEN');
+        expect(error.metadata.circuitBreaker.bucketId).to.equal('openai:gpt-5');
+        expect(fetchStub.callCount).to.equal(1);
+    });
+
+    it('marks only the failed bucket down so failover can stay on the same provider', async () => {
+        const fetchStub = sinon.stub(globalThis, 'fetch');
+        fetchStub.onFirstCall().resolves(jsonResponse(429, { error: { message: 'Rate limited' } }, { 'retry-after': '10' }));
+        fetchStub.onSecondCall().resolves(jsonResponse(200, { choices: [{ message: { content: 'from mini' } }] }));
+        const llm = new ResilientLLM({
+            aiService: 'openai',
+            model: 'gpt-5',
+            retries: 0,
+            bucketScope: 'provider+model',
+            fallbacks: [{ aiService: 'openai', model: 'gpt-5-mini' }],
+        });
+
+        const response = await llm.chat([{ role: 'user', content: 'Hello' }]);
+
+        expect(response.content).to.equal('from mini');
+        expect(response.metadata.events.map(event => event.type)).to.deep.equal(['fallback.serviceSwitch']);
+        expect(Object.keys(llm.getProviderHealth())).to.deep.equal(['openai:gpt-5']);
+    });
+});
@@ -0,0 +1,112 @@
+import { ResilientLLM, ResilientLLMError } from '../dist/index.js';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { openAIResponse, stubExecute, useTestEnv } from './helpers/chat-fixtures.js';
+
+describe('Budget Unit Tests', () => {
+    useTestEnv({ OPENAI_API_KEY: 'sk-test' });
+
+    it('throws BUDGET_EXCEEDED before sending a request whose estimated cost is over the instance budget', async () => {
+        const executeStub = stubExecute(openAIResponse({ prompt_tokens: 1000, completion_tokens: 10000, total_tokens: 11000 }));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-mini', maxTokens: 10000, budgets: { instance: { day: 0.03 } } });
+
+        // gpt-5-mini: 1000 x $0.25 + 10000 x $2 per million
+        await llm.chat([{ role: 'user', content: 'Hi' }]);
+        expect(llm.getBudgetStatus().instance.day).to.include({ limit: 0.03, spent: 0.02025, reserved: 0, remaining: 0.00975 });
+
+        // Estimated at 10000 output tokens ($0.02), which no longer fits
+        try {
+            await llm.chat([{ role: 'user', content: 'Hi' }]);
+            expect.fail('Expected BUDGET_EXCEEDED');
+        } catch (error) {
+            expect(error).to.be.instanceOf(ResilientLLMError);
+            expect(error.code).to.equal('BUDGET_EXCEEDED');
+            expect(error.retryable).to.equal(false);
+            expect(error.metadata.budget).to.include({ scope: 'instance', tenant: null, window: 'day', limit: 0.03, spent: 0.02025 });
+        }
+        expect(executeStub.calledOnce).to.equal(true);
+        expect(llm.getBudgetStatus().instance.day.reserved).to.equal(0);
+    });
+
+    it('blocks requests to unpriced models once a budget window is fully spent', async () => {
+        const executeStub = stubExecute(openAIResponse({ prompt_tokens: 1000, completion_tokens: 10000, total_tokens: 11000 }));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-mini', budgets: { instance: { day: 0.01 } } });
+
+        // Estimated at 0 while the budget has room
+        const unpriced = await llm.chat([{ role: 'user', content: 'Hi' }], { model: 'my-local-model' });
+        expect(unpriced.metadata.cost).to.equal(null);
+
+        // Without maxTokens only the input is estimated; the response goes over the limit
+        await llm.chat([{ role: 'user', content: 'Hi' }]);
+        expect(llm.getBudgetStatus().instance.day).to.include({ spent: 0.02025, remaining: 0 });
+
+        try {
+            await llm.chat([{ role: 'user', content: 'Hi' }], { model: 'my-local-model' });
+            expect.fail('Expected BUDGET_EXCEEDED');
+        } catch (error) {
+            expect(error.code).to.equal('BUDGET_EXCEEDED');
+            expect(error.metadata.budget).to.include({ window: 'day', estimate: 0 });
+        }
+        expect(executeStub.callCount).to.equal(2);
+    });
+
+    it('downgrades an over-budget tenant request to the first configured model within budget', async () => {
+        const executeStub = stubExecute(openAIResponse({ prompt_tokens: 100, completion_tokens: 5000, total_tokens: 5100 }));
+        const llm = new ResilientLLM({
+            aiService: 'openai',
+            model: 'gpt-5',
+            budgets: {
+                tenants: { '*': { month: 0.01 } },
+                onExceeded: 'downgrade',
+                downgradeTo: [{ model: 'gpt-5-mini' }, { model: 'gpt-5-nano' }],
+            },
+        });
+
+        // gpt-5 is estimated at $0.1 and gpt-5-mini at $0.02 for 10000 output tokens; gpt-5-nano at $0.004
+        const response = await llm.chat([{ role: 'user', content: 'Hi' }], { tenant: 'acme', maxTokens: 10000 });
+
+        expect(executeStub.calledOnce).to.equal(true);
+        expect(executeStub.firstCall.args[2].model).to.equal('gpt-5-nano');
+        expect(response.metadata.config.model).to.equal('gpt-5-nano');
+        expect(response.metadata.events.map(event => [event.type, event.fromModel, event.toModel])).to.deep.equal([
+            ['budget.downgrade', 'gpt-5', 'gpt-5-mini'],
+            ['budget.downgrade', 'gpt-5-mini', 'gpt-5-nano'],
+        ]);
+        expect(response.metadata.events[0]).to.include({ scope: 'tenant', tenant: 'acme', window: 'month', limit: 0.01 });
+
+        // Other tenants have their own budget; requests without a tenant only count toward instance budgets
+        await llm.chat([{ role: 'user', content: 'Hi' }], { tenant: 'globex', maxTokens: 100 });
+        await llm.chat([{ role: 'user', content: 'Hi' }], { maxTokens: 100 });
+        const status = llm.getBudgetStatus();
+        expect(Object.keys(status.tenants)).to.deep.equal(['acme', 'globex']);
+        expect(status.tenants.acme.month.spent).to.equal(0.002005);
+        expect(status.tenants.globex.month.spent).to.equal(0.050125);
+    });
+
+    it('starts each window over at its UTC calendar boundary and reports when it resets', async () => {
+        const clock = sinon.useFakeTimers({ now: Date.UTC(2026, 9, 19, 23, 30), toFake: ['Date'] });
+        stubExecute(openAIResponse({ prompt_tokens: 1000, completion_tokens: 1000, total_tokens: 2000 }));
+        const llm = new ResilientLLM({
+            aiService: 'openai',
+            model: 'gpt-5-nano',
+            budgets: { instance: { hour: 1, month: 10 }, tenants: { acme: { day: 0.5 } } },
+        });
+        expect(new ResilientLLM({ aiService: 'openai' }).getBudgetStatus()).to.equal(null);
+
+        await llm.chat([{ role: 'user', content: 'Hi' }], { tenant: 'acme' });
+        let status = llm.getBudgetStatus();
+        expect(status.instance.hour).to.deep.equal({ limit: 1, spent: 0.00045, reserved: 0, remaining: 0.99955, resetsAt: '2026-10-20T00:00:00.000Z' });
+        expect(status.instance.month.resetsAt).to.equal('2026-11-01T00:00:00.000Z');
+        expect(status.tenants.acme.day.spent).to.equal(0.00045);
+
+        clock.tick(60 * 60 * 1000);
+        status = llm.getBudgetStatus();
+        expect(status.instance.hour).to.include({ spent: 0, resetsAt: '2026-10-20T01:00:00.000Z' });
+        expect(status.instance.month.spent).to.equal(0.00045);
+        expect(status.tenants.acme.day).to.include({ spent: 0, resetsAt: '2026-10-21T00:00:00.000Z' });
+
+        llm.resetBudgets();
+        expect(llm.getBudgetStatus().instance.month.spent).to.equal(0);
+    });
+});
@@ -0,0 +1,155 @@
+import { ResilientLLM, MemoryCacheStore, FileSystemCacheStore } from '../dist/index.js';
+import { buildCacheKey } from '../dist/lib/CacheStore.js';
+import CircuitBreaker from '../dist/lib/CircuitBreaker.js';
+import RateLimitManager from '../dist/lib/RateLimitManager.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+describe('CacheStore Unit Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('MemoryCacheStore', () => {
+        it('evicts least recently used entries beyond maxEntries and maxBytes', async () => {
+            const store = new MemoryCacheStore({ maxEntries: 2, maxBytes: 40 });
+            await store.set('a', { value: 'a' });
+            await store.set('b', { value: 'b' });
+            await store.get('a'); // a is now most recently used
+            await store.set('c', { value: 'c' });
+
+            expect(await store.get('b')).to.equal(undefined);
+            expect(await store.get('a')).to.deep.equal({ value: 'a' });
+            expect(await store.get('c')).to.deep.equal({ value: 'c' });
+
+            await store.set('big', { value: 'x'.repeat(20) }); // 32 bytes: only room for itself
+            expect(store.size).to.equal(1);
+            expect(store.totalBytes).to.equal(32);
+            await store.set('huge', { value: 'x'.repeat(100) }); // larger than maxBytes: not cached
+            expect(await store.get('huge')).to.equal(undefined);
+        });
+
+        it('expires entries after their TTL', async () => {
+            const clock = sinon.useFakeTimers({ now: 0, toFake: ['Date'] });
+            const store = new MemoryCacheStore({ defaultTtlMs: 1000 });
+            await store.set('default', 1);
+            await store.set('custom', 2, 5000);
+
+            clock.tick(1000);
+            expect(await store.get('default')).to.equal(undefined);
+            expect(await store.get('custom')).to.equal(2);
+            clock.tick(4000);
+            expect(await store.get('custom')).to.equal(undefined);
+        });
+    });
+
+    describe('FileSystemCacheStore', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await mkdtemp(join(tmpdir(), 'resilient-llm-cache-'));
+        });
+
+        afterEach(async () => {
+            await rm(directory, { recursive: true, force: true });
+        });
+
+        it('persists entries across instances and removes expired ones', async () => {
+            await new FileSystemCacheStore({ directory }).set('key', { data: { answer: 42 }, statusCode: 200 });
+            await new FileSystemCacheStore({ directory }).set('short', 'value', -1);
+
+            const store = new FileSystemCacheStore({ directory });
+            expect(await store.get('key')).to.deep.equal({ data: { answer: 42 }, statusCode: 200 });
+            expect(await store.get('short')).to.equal(undefined);
+            expect(await store.get('missing')).to.equal(undefined);
+            expect(await readdir(directory)).to.have.length(1);
+
+            await store.delete('key');
+            expect(await store.get('key')).to.equal(undefined);
+        });
+    });
+
+    describe('ResilientOperation with a custom async store', () => {
+        it('reads and writes cached responses through the store with the configured TTL', async () => {
+            const entries = new Map();
+            const cacheStore = {
+                get: sinon.stub().callsFake(async (key) => entries.get(key)),
+                set: sinon.stub().callsFake(async (key, value) => { entries.set(key, value); }),
+                delete: sinon.stub().callsFake(async (key) => { entries.delete(key); })
+            };
+            const asyncFn = sinon.stub().resolves({ data: 'result', statusCode: 200 });
+            const run = () => new ResilientOperation({ bucketId: 'cache-store-test', cacheStore, cacheTtlMs: 60000 })
+                .withCache(true)
+                .execute(asyncFn, 'https://api.example.com/chat', { prompt: 'hi' }, {});
+
+            const first = await run();
+            const second = await run();
+
+            expect(first).to.deep.equal({ data: 'result', statusCode: 200 });
+            expect(second).to.deep.equal(first);
+            expect(asyncFn.callCount).to.equal(1);
+            expect(cacheStore.set.firstCall.args[2]).to.equal(60000);
+        });
+
+        it('treats cache backend failures as misses', async () => {
+            const cacheStore = {
+                get: sinon.stub().rejects(new Error('connection refused')),
+                set: sinon.stub().rejects(new Error('connection refused')),
+                delete: sinon.stub().resolves()
+            };
+            const asyncFn = sinon.stub().resolves({ data: 'result', statusCode: 200 });
+
+            const result = await new ResilientOperation({ bucketId: 'cache-store-test', cacheStore })
+                .withCache(true)
+                .execute(asyncFn, 'https://api.example.com/chat', { prompt: 'hi' }, {});
+
+            expect(result.data).to.equal('result');
+            expect(asyncFn.callCount).to.equal(1);
+        });
+    });
+
+    describe('Cache key policy', () => {
+        const url = 'https://api.openai.com/v1/chat/completions';
+        const body = { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }], temperature: 0, stream: false };
+
+        it('excludes credentials and honors fields and opt-in tenant scoping', () => {
+            const key = buildCacheKey(url, body, { Authorization: 'Bearer sk-old' });
+
+            expect(buildCacheKey(`${url}?key=secret`, { ...body }, { Authorization: 'Bearer sk-new', 'x-api-key': 'other' })).to.equal(key);
+            expect(buildCacheKey(url, { temperature: 0, messages: body.messages, model: 'gpt-4o-mini' }, {})).to.equal(key);
+            expect(buildCacheKey(url, { ...body, temperature: 1 }, {})).to.not.equal(key);
+            expect(buildCacheKey(url, { ...body, temperature: 1 }, {}, { fields: ['model', 'messages'] }))
+                .to.equal(buildCacheKey(url, body, {}, { fields: ['model', 'messages'] }));
+            expect(buildCacheKey(url, body, {}, { tenant: 'acme' })).to.not.equal(key);
+            expect(buildCacheKey(url, body, { Authorization: 'Bearer sk-new' }, { headers: ['authorization'] })).to.equal(key);
+            expect(buildCacheKey(url, body, { 'anthropic-beta': 'x' }, { headers: ['anthropic-beta'] })).to.not.equal(key);
+        });
+
+        it('shares cached responses across API keys unless scoped by tenant', async () => {
+            process.env.OPENAI_API_KEY = 'test-key';
+            CircuitBreaker.clear('openai');
+            RateLimitManager.clear('openai');
+            const mockFetch = sinon.stub().callsFake(async () => ({
+                status: 200,
+                json: async () => ({ choices: [{ message: { content: 'Hello' }, finish_reason: 'stop' }] })
+            }));
+            global.fetch = mockFetch;
+            const cacheStore = new MemoryCacheStore();
+            const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-4o-mini', cacheStore });
+            const conversation = [{ role: 'user', content: 'Hi' }];
+
+            await llm.chat(conversation, { apiKey: 'sk-tenant-a' });
+            const shared = await llm.chat(conversation, { apiKey: 'sk-tenant-b' });
+            await llm.chat(conversation, { apiKey: 'sk-tenant-b', cacheKeyPolicy: { tenant: 'tenant-b' } });
+
+            expect(shared.metadata.cache.hit).to.equal(true);
+            expect(mockFetch.callCount).to.equal(2);
+            expect(cacheStore.size).to.equal(2);
+        });
+    });
+});
@@ -0,0 +1,170 @@
+import { ResilientLLM, ResilientLLMError } from '../dist/index.js';
+import { parseServerSentEvents, StreamAccumulator } from '../dist/lib/ChatStream.js';
+import CircuitBreaker from '../dist/lib/CircuitBreaker.js';
+import RateLimitManager from '../dist/lib/RateLimitManager.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+
+use(chaiAsPromised);
+
+function streamFrom(chunks) {
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+            controller.close();
+        }
+    });
+}
+
+function sseResponse(chunks, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Headers({ 'content-type': 'text/event-stream', 'x-request-id': 'req-stream' }),
+        body: streamFrom(chunks),
+    };
+}
+
+function jsonResponse(data, status) {
+    return {
+        ok: false,
+        status,
+        headers: new Headers({ 'content-type': 'application/json' }),
+        text: async () => JSON.stringify(data),
+    };
+}
+
+const openAIChunks = [
+    'data: {"choices":[{"index":0,"delta":{"role":"assistant","content":"Hel"}}]}\n\n',
+    'data: {"choices":[{"index":0,"delta":{"content":"lo"}}]}\n',
+    '\ndata: {"choices":[{"index":0,"delta":{},"finish_reason":"stop"}]}\n\n',
+    'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2,"total_tokens":7}}\n\n',
+    'data: [DONE]\n\n',
+];
+
+describe('ResilientLLM chatStream() Unit Tests', () => {
+    let originalEnv;
+    let originalFetch;
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        originalFetch = globalThis.fetch;
+        process.env.OPENAI_API_KEY = 'test-key';
+        process.env.ANTHROPIC_API_KEY = 'test-key';
+        for (const bucketId of ['openai', 'anthropic']) {
+            CircuitBreaker.clear(bucketId);
+            RateLimitManager.clear(bucketId);
+            ResilientOperation.clearConcurrencyCounts(bucketId);
+        }
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        globalThis.fetch = originalFetch;
+        sinon.restore();
+    });
+
+    describe('Server-Sent Events parsing', () => {
+        it('reassembles events split across chunks and joins multi-line data', async () => {
+            const events = [];
+            for await (const event of parseServerSentEvents(streamFrom([
+                ': keep-alive\n\nevent: ping\ndata: {"a"',
+                ':1}\n\ndata: line1\ndata: line2\n\n',
+            ]))) {
+                events.push(event);
+            }
+
+            expect(events).to.deep.equal([
+                { event: 'ping', data: '{"a":1}' },
+                { event: null, data: 'line1\nline2' },
+            ]);
+        });
+
+        it('accumulates Anthropic tool_use blocks into normalized tool calls', () => {
+            const accumulator = new StreamAccumulator('anthropic');
+            const deltas = [
+                { type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 1 } } },
+                { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking.' } },
+                { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+                { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+                { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"Paris"}' } },
+                { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } },
+                { type: 'message_stop' },
+            ].flatMap(payload => accumulator.push({ event: payload.type, data: JSON.stringify(payload) }));
+
+            expect(deltas).to.deep.equal([
+                { type: 'text', text: 'Checking.' },
+                { type: 'tool_call', index: 0, id: 'toolu_1', name: 'get_weather', argumentsDelta: '' },
+                { type: 'tool_call', index: 0, argumentsDelta: '{"city":' },
+                { type: 'tool_call', index: 0, argumentsDelta: '"Paris"}' },
+            ]);
+            expect(accumulator.done).to.be.true;
+            expect(accumulator.usage).to.deep.equal({ prompt_tokens: 12, completion_tokens: 20, total_tokens: 32 });
+            expect(accumulator.toEnvelope()).to.deep.equal({
+                content: 'Checking.',
+                toolCalls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+                finishReason: 'tool_calls',
+            });
+        });
+    });
+
+    it('streams OpenAI text deltas and resolves the final response with metadata', async () => {
+        const mockFetch = sinon.stub().resolves(sseResponse(openAIChunks));
+        globalThis.fetch = mockFetch;
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-4o-mini', maxTokens: 100 });
+
+        const stream = llm.chatStream([{ role: 'user', content: 'Hi' }]);
+        const texts = [];
+        for await (const delta of stream) {
+            texts.push(delta.text);
+        }
+        const response = await stream.finalResponse();
+
+        expect(texts).to.deep.equal(['Hel', 'lo']);
+        expect(response.content).to.equal('Hello');
+        expect(response.metadata.finishReason).to.equal('stop');
+        expect(response.metadata.usage).to.deep.equal({ prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 });
+        expect(response.metadata.service).to.deep.equal({ attempted: ['openai'], final: 'openai' });
+        expect(response.metadata.http.headers).to.have.property('x-request-id', 'req-stream');
+        const requestBody = JSON.parse(mockFetch.firstCall.args[1].body);
+        expect(requestBody.stream).to.be.true;
+        expect(requestBody.stream_options).to.deep.equal({ include_usage: true });
+    });
+
+    it('retries before the first byte when the provider returns 5xx', async () => {
+        const mockFetch = sinon.stub();
+        mockFetch.onFirstCall().resolves(jsonResponse({ error: { message: 'upstream down' } }, 503));
+        mockFetch.onSecondCall().resolves(sseResponse(openAIChunks));
+        globalThis.fetch = mockFetch;
+        const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-4o-mini', maxTokens: 100 });
+
+        const responsePromise = llm.chatStream([{ role: 'user', content: 'Hi' }]).finalResponse();
+        await clock.tickAsync(1000);
+        const response = await responsePromise;
+        clock.restore();
+
+        expect(mockFetch.callCount).to.equal(2);
+        expect(response.content).to.equal('Hello');
+        expect(response.metadata.retries).to.have.length(1);
+        expect(response.metadata.retries[0]).to.include({ errorMessage: 'upstream down', willRetry: true });
+    });
+
+    it('throws ResilientLLMError with provider code when the request is rejected', async () => {
+        globalThis.fetch = sinon.stub().resolves(jsonResponse({ error: { message: 'Invalid API key' } }, 401));
+        const llm = new ResilientLLM({ aiService: 'anthropic', model: 'claude-haiku-4-5-20251001', maxTokens: 100 });
+
+        const stream = llm.chatStream([{ role: 'user', content: 'Hi' }]);
+        const error = await stream.finalResponse().catch(err => err);
+
+        expect(error).to.be.instanceOf(ResilientLLMError);
+        expect(error.code).to.equal('PROVIDER_UNAUTHORIZED');
+        expect(error.message).to.equal('Invalid API key');
+        expect(error.metadata?.service?.final).to.equal('anthropic');
+    });
+});
@@ -201,7 +201,8 @@ describe('ResilientLLM Chat Function E2E Tests with mocked fetch', () => {
 
         it('should successfully chat with Ollama service', async () => {
             const mockResponse = {
-                response: 'Hello! I am Llama, how can I help you today?',
+                message: { role: 'assistant', content: 'Hello! I am Llama, how can I help you today?' },
+                done_reason: 'stop',
                 done: true
             };
 
@@ -225,7 +226,7 @@ describe('ResilientLLM Chat Function E2E Tests with mocked fetch', () => {
             expect(response.content).to.equal('Hello! I am Llama, how can I help you today?');
             sinon.assert.calledWith(
                 mockFetch,
-                'http://localhost:11434/api/generate',
+                'http://localhost:11434/api/chat',
                 sinon.match({
                     method: 'POST',
                     headers: sinon.match({
@@ -364,10 +365,13 @@ describe('ResilientLLM Chat Function E2E Tests with mocked fetch', () => {
             
             expect(response.content).to.equal('I can help you get the weather information for New York.');
             
-            // Verify that the request body contains the converted tool schema
+            // Verify that the request body contains the native Anthropic tool schema
             const requestBody = JSON.parse(mockFetch.getCall(0).args[1].body);
-            expect(requestBody.tools[0].function.input_schema).to.exist;
-            expect(requestBody.tools[0].function.parameters).to.be.undefined;
+            expect(requestBody.tools[0]).to.deep.equal({
+                name: 'get_weather',
+                description: 'Get the current weather in a given location',
+                input_schema: tools[0].function.parameters
+            });
         });
     });
 
@@ -687,7 +691,8 @@ describe('ResilientLLM Chat Function E2E Tests with mocked fetch', () => {
         it('should handle timeout scenarios', async () => {
             const timeoutLLM = new ResilientLLM({
                 aiService: 'openai',
-                timeout: 1000 // 1 second timeout
+                timeout: 1000, // 1 second timeout
+                fallbackPolicy: { on: [] } // no failover to other providers
             });
 
             // Mock a delayed response
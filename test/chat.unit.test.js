@@ -49,7 +49,7 @@ describe('ResilientLLM Chat Function Unit Tests', () => {
         it('should generate correct API URL for Ollama with default URL via ProviderRegistry', () => {
             const baseUrl = ProviderRegistry.getChatApiUrl('ollama');
             const url = ProviderRegistry.buildApiUrl('ollama', baseUrl, null);
-            expect(url).to.equal('http://localhost:11434/api/generate');
+            expect(url).to.equal('http://localhost:11434/api/chat');
         });
 
         it('should generate correct API URL for OpenRouter via ProviderRegistry', () => {
@@ -62,7 +62,7 @@ describe('ResilientLLM Chat Function Unit Tests', () => {
             process.env.OLLAMA_API_URL = 'http://custom-ollama:8080/api/generate';
             const baseUrl = ProviderRegistry.getChatApiUrl('ollama');
             const url = ProviderRegistry.buildApiUrl('ollama', baseUrl, null);
-            expect(url).to.equal('http://localhost:11434/api/generate');
+            expect(url).to.equal('http://localhost:11434/api/chat');
         });
 
         it('should return null for invalid provider getChatApiUrl', () => {
@@ -668,5 +668,64 @@ describe('ResilientLLM Chat Function Unit Tests', () => {
                 maxConcurrent: 3
             });
         });
+
+        it('fails with RATE_LIMIT_EXHAUSTED when the rate limit queue wait exceeds maxQueueWaitMs', async () => {
+            RateLimitManager.clear('openai');
+            CircuitBreaker.clear('openai');
+            const fetchStub = sinon.stub(globalThis, 'fetch').resolves({
+                ok: true,
+                status: 200,
+                headers: new Headers({ 'content-type': 'application/json' }),
+                text: async () => JSON.stringify({ choices: [{ message: { content: 'ok' } }] }),
+            });
+            const limitedLLM = new ResilientLLM({
+                aiService: 'openai',
+                model: 'gpt-5-nano',
+                retries: 2,
+                rateLimitConfig: { requestsPerMinute: 1, maxQueueWaitMs: 50 },
+            });
+
+            const response = await limitedLLM.chat([{ role: 'user', content: 'Hello' }], { apiKey: 'test-key', priority: 5 });
+            const error = await limitedLLM.chat([{ role: 'user', content: 'Hello again' }], { apiKey: 'test-key' }).catch(err => err);
+
+            expect(response.metadata.rateLimiting.priority).to.equal(5);
+            expect(error).to.be.instanceOf(ResilientLLMError);
+            expect(error.code).to.equal('RATE_LIMIT_EXHAUSTED');
+            expect(fetchStub.callCount).to.equal(1);
+            RateLimitManager.clear('openai');
+        });
+
+        it('reserves the expected completion tokens and reconciles them with the reported usage', async () => {
+            RateLimitManager.clear('openai');
+            CircuitBreaker.clear('openai');
+            sinon.stub(globalThis, 'fetch').resolves({
+                ok: true,
+                status: 200,
+                headers: new Headers({ 'content-type': 'application/json' }),
+                text: async () => JSON.stringify({
+                    choices: [{ message: { content: 'ok' }, finish_reason: 'stop' }],
+                    usage: { prompt_tokens: 20, completion_tokens: 280, total_tokens: 300 },
+                }),
+            });
+            const reconcilingLLM = new ResilientLLM({
+                aiService: 'openai',
+                model: 'gpt-4o-mini',
+                maxTokens: 2000,
+                rateLimitConfig: { requestsPerMinute: 60, llmTokensPerMinute: 10000 },
+            });
+            const acquireSpy = sinon.spy(RateLimitManager.prototype, 'acquire');
+
+            const response = await reconcilingLLM.chat([{ role: 'user', content: 'Hello' }], { apiKey: 'test-key' });
+
+            const reserved = response.metadata.config.estimatedInputTokens + 2000;
+            expect(acquireSpy.firstCall.args[0]).to.equal(reserved);
+            expect(response.metadata.rateLimiting).to.include({ requestedTokens: reserved, actualTokens: 300 });
+            expect(RateLimitManager.getInstance('openai').llmTokenBucket.getAvailableTokens()).to.equal(10000 - 300);
+
+            // A cache hit takes nothing, so there is nothing to reconcile
+            await reconcilingLLM.chat([{ role: 'user', content: 'Hello' }], { apiKey: 'test-key' });
+            expect(RateLimitManager.getInstance('openai').llmTokenBucket.getAvailableTokens()).to.equal(10000 - 300);
+            RateLimitManager.clear('openai');
+        });
     });
-}); 
\ No newline at end of file
+});
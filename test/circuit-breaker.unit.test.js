@@ -0,0 +1,84 @@
+import CircuitBreaker from '../dist/lib/CircuitBreaker.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+describe('CircuitBreaker Unit Tests', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 0, toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('lets a limited number of probes through in half-open state and closes when they succeed', () => {
+        const changes = [];
+        const breaker = new CircuitBreaker({
+            failureThreshold: 2,
+            cooldownPeriod: 1000,
+            halfOpenProbes: 2,
+            name: 'probe-test',
+            onStateChange: ({ from, to, reason }) => changes.push(`${from}->${to} (${reason})`),
+        });
+
+        breaker.recordFailure();
+        breaker.recordFailure();
+        expect(breaker.getStatus()).to.include({ state: 'open', isOpen: true, cooldownRemaining: 1000 });
+        expect(breaker.isCircuitOpen()).to.be.true;
+
+        clock.tick(1001);
+        expect(breaker.isCircuitOpen()).to.be.false;
+        expect(breaker.isCircuitOpen()).to.be.false;
+        expect(breaker.isCircuitOpen()).to.be.true; // probes exhausted
+        expect(breaker.getStatus()).to.include({ state: 'half-open', isOpen: false });
+
+        breaker.recordSuccess();
+        expect(breaker.getStatus().state).to.equal('half-open');
+        breaker.recordSuccess();
+        expect(breaker.getStatus()).to.include({ state: 'closed', failCount: 0 });
+        expect(changes).to.deep.equal([
+            'closed->open (failure threshold reached)',
+            'open->half-open (cooldown elapsed)',
+            'half-open->closed (probes succeeded)',
+        ]);
+    });
+
+    it('reopens on a failed probe and restarts the cooldown', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownPeriod: 1000 });
+        breaker.recordFailure();
+        clock.tick(1001);
+
+        expect(breaker.isCircuitOpen()).to.be.false;
+        breaker.recordFailure();
+
+        expect(breaker.getStatus()).to.include({ state: 'open', cooldownRemaining: 1000 });
+        expect(breaker.isCircuitOpen()).to.be.true;
+    });
+
+    it('opens on the failure rate in the rolling window once the minimum volume is reached', () => {
+        const breaker = new CircuitBreaker({
+            failureThreshold: Infinity,
+            rollingWindowMs: 60000,
+            failureRateThreshold: 0.5,
+            minimumRequests: 4,
+        });
+
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordFailure();
+        expect(breaker.getStatus()).to.include({ state: 'closed', failureRate: 1, windowRequests: 3 });
+
+        // Outcomes older than the window no longer count
+        clock.tick(60001);
+        breaker.recordSuccess();
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        expect(breaker.getStatus()).to.include({ state: 'closed', windowRequests: 3 });
+
+        breaker.recordFailure();
+        expect(breaker.getStatus()).to.include({ state: 'open', failureRate: 0.5, windowRequests: 4 });
+    });
+});
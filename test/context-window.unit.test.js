@@ -0,0 +1,162 @@
+import { ResilientLLM, ResilientLLMError, ProviderRegistry } from '../dist/index.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import { dropTurns } from '../dist/lib/ContextWindow.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+function success(content) {
+    return { data: { choices: [{ message: { content }, finish_reason: 'stop' }] }, statusCode: 200 };
+}
+
+/** A conversation of `turns` user/assistant exchanges of about 40 tokens each. */
+function longConversation(turns) {
+    const messages = [{ role: 'system', content: 'You are a helpful assistant.' }];
+    for (let i = 1; i <= turns; i++) {
+        messages.push({ role: 'user', content: `Question ${i}: ${'tell me more about the weather '.repeat(6)}` });
+        messages.push({ role: 'assistant', content: `Answer ${i}: ${'it is sunny and warm today '.repeat(6)}` });
+    }
+    messages.push({ role: 'user', content: 'And tomorrow?' });
+    return messages;
+}
+
+describe('Context Window Unit Tests', () => {
+    let originalEnv;
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        process.env.OPENAI_API_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        sinon.restore();
+        ProviderRegistry.clearCache('openai');
+        ProviderRegistry.clearCache('anthropic');
+    });
+
+    it('drops whole turns, keeping system prompts, tool calls with their results and the first turns', () => {
+        const toolCalls = [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } }];
+        const messages = [
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'first' },
+            { role: 'assistant', content: null, tool_calls: toolCalls },
+            { role: 'tool', tool_call_id: 'call_1', content: 'result' },
+            { role: 'assistant', content: 'done' },
+            { role: 'user', content: 'second' },
+            { role: 'assistant', content: 'ok' },
+            { role: 'user', content: 'last' },
+        ];
+        const atMost = count => candidate => candidate.length <= count;
+
+        // Never resumes with an assistant turn, nor with a tool result without its call
+        expect(dropTurns(messages, atMost(5)).messages.map(m => m.content)).to.deep.equal(['Be brief.', 'second', 'ok', 'last']);
+        expect(dropTurns(messages, atMost(6)).messages.map(m => m.content)).to.deep.equal(['Be brief.', 'second', 'ok', 'last']);
+
+        const firstLast = dropTurns(messages, atMost(4), { keepFirst: 1 });
+        expect(firstLast.messages.map(m => m.content)).to.deep.equal(['Be brief.', 'first', 'ok', 'last']);
+        expect(firstLast.droppedMessages).to.equal(4);
+        expect(dropTurns(messages, atMost(8), { keepFirst: 1, keepLast: 1 }).messages.map(m => m.content))
+            .to.deep.equal(['Be brief.', 'first', 'last']);
+        // Returns the shortest candidate when nothing fits
+        expect(dropTurns(messages, atMost(0)).messages.map(m => m.content)).to.deep.equal(['Be brief.', 'last']);
+    });
+
+    it('drops the oldest turns to fit maxInputTokens and records a context.overflow event', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute').resolves(success('Rainy.'));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-nano', maxInputTokens: 300, contextOverflow: 'drop-oldest' });
+        const conversation = longConversation(10);
+
+        const response = await llm.chat(conversation);
+
+        const sent = executeStub.firstCall.args[2].messages;
+        expect(sent[0]).to.deep.equal(conversation[0]);
+        expect(sent[1].role).to.equal('user');
+        expect(sent.at(-1).content).to.equal('And tomorrow?');
+        expect(sent.length).to.be.below(conversation.length);
+        expect(llm.countTokens(sent).total).to.be.at.most(300);
+        const event = response.metadata.events.find(e => e.type === 'context.overflow');
+        expect(event).to.include({ strategy: 'drop-oldest', maxInputTokens: 300, droppedMessages: conversation.length - sent.length });
+        expect(event.inputTokens).to.be.above(300);
+        expect(response.metadata.config.estimatedInputTokens).to.equal(event.fittedTokens);
+
+        // The default strategy keeps failing
+        const error = await llm.chat(conversation, { contextOverflow: 'error' }).catch(err => err);
+        expect(error).to.be.instanceOf(ResilientLLMError);
+        expect(error.message).to.equal('Input tokens exceed the maximum limit of 300');
+    });
+
+    it('summarizes older history with the configured model and keeps the recent turns', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        executeStub.onFirstCall().resolves(success('The user asked about the weather; it was sunny.'));
+        executeStub.onSecondCall().resolves(success('Rainy.'));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5', maxInputTokens: 400 });
+        const conversation = longConversation(10);
+
+        const response = await llm.chat(conversation, {
+            contextOverflow: { strategy: 'summarize', model: 'gpt-5-nano', keepLast: 3, maxSummaryTokens: 200 },
+        });
+
+        // The summarizing request has the same 400 token limit: the newest older turns that fit are summarized
+        const summaryRequest = executeStub.firstCall.args[2];
+        expect(summaryRequest.model).to.equal('gpt-5-nano');
+        expect(summaryRequest.messages[1].content).to.include('user: Question 9:');
+        expect(summaryRequest.messages[1].content).not.to.include('Question 1:');
+        expect(summaryRequest.messages[1].content).not.to.include('Question 10:');
+        expect(llm.countTokens(summaryRequest.messages, { model: 'gpt-5-nano' }).total).to.be.at.most(400);
+
+        const sent = executeStub.secondCall.args[2];
+        expect(sent.model).to.equal('gpt-5');
+        expect(sent.messages[0].content).to.equal(
+            'You are a helpful assistant.\n\nSummary of the earlier conversation:\nThe user asked about the weather; it was sunny.'
+        );
+        expect(sent.messages.slice(1).map(m => m.content.slice(0, 12))).to.deep.equal(['Question 10:', 'Answer 10: i', 'And tomorrow']);
+        expect(response.metadata.events.find(e => e.type === 'context.overflow'))
+            .to.include({ strategy: 'summarize', summarizedMessages: 8, droppedMessages: 10 });
+    });
+
+    it("summarizes on another provider's default model and input limit when only its aiService is set", async () => {
+        process.env.ANTHROPIC_API_KEY = 'test-key';
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        executeStub.onFirstCall().resolves({ data: { content: [{ type: 'text', text: 'Sunny so far.' }], stop_reason: 'end_turn' }, statusCode: 200 });
+        executeStub.onSecondCall().resolves(success('Rainy.'));
+        const summaryModel = ProviderRegistry.get('anthropic').defaultModel;
+        ProviderRegistry.saveModel('openai', 'small-context-model', { contextWindow: 500 });
+        ProviderRegistry.saveModel('anthropic', summaryModel, { contextWindow: 300 });
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'small-context-model', maxTokens: 100 });
+
+        const response = await llm.chat(longConversation(10), {
+            contextOverflow: { strategy: 'summarize', aiService: 'anthropic', keepLast: 3, maxSummaryTokens: 100 },
+        });
+
+        expect(executeStub.firstCall.args[1]).to.equal('https://api.anthropic.com/v1/messages');
+        const summaryRequest = executeStub.firstCall.args[2];
+        expect(summaryRequest.model).to.equal(summaryModel);
+        // 300 token window minus 100 summary tokens, not the request model's 400
+        const summaryTokens = llm.countTokens(summaryRequest.messages, { aiService: 'anthropic', model: summaryModel }).total;
+        expect(summaryTokens).to.be.at.most(200);
+        expect(executeStub.secondCall.args[2].model).to.equal('small-context-model');
+        expect(response.metadata.events.find(e => e.type === 'context.overflow')).to.include({ strategy: 'summarize' });
+    });
+
+    it("uses the model's cached context window minus max output tokens as the default limit", async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute').resolves(success('Rainy.'));
+        ProviderRegistry.saveModel('openai', 'small-context-model', { contextWindow: 500 });
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'small-context-model', maxTokens: 100 });
+
+        const fits = await llm.chat([{ role: 'user', content: 'Hi' }]);
+        expect(fits.metadata.config.maxInputTokens).to.equal(400);
+
+        const error = await llm.chat(longConversation(10)).catch(err => err);
+        expect(error.message).to.equal('Input tokens exceed the maximum limit of 400');
+
+        await llm.chat(longConversation(10), { contextOverflow: 'keep-first-last' });
+        const sent = executeStub.lastCall.args[2].messages;
+        expect(sent[1].content).to.match(/^Question 1:/);
+        expect(sent.at(-1).content).to.equal('And tomorrow?');
+
+        // An explicit limit wins over the context window; uncached models keep the 100k default
+        expect((await llm.chat([{ role: 'user', content: 'Hi' }], { maxInputTokens: 50 })).metadata.config.maxInputTokens).to.equal(50);
+        expect((await llm.chat([{ role: 'user', content: 'Hi' }], { model: 'gpt-5-nano' })).metadata.config.maxInputTokens).to.equal(100000);
+    });
+});
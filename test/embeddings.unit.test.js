@@ -0,0 +1,113 @@
+import { ResilientLLM, ResilientLLMError, MemoryCacheStore } from '../dist/index.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import { batchInputs, parseEmbeddingsResponse } from '../dist/lib/Embeddings.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+/** A vector standing for a text, so tests can check which input it belongs to. */
+const vectorOf = text => [text.length, text.charCodeAt(0)];
+
+/** OpenAI-format response to an embeddings request, with the items out of order. */
+function openAIEmbeddings(body) {
+    const data = body.input.map((text, index) => ({ object: 'embedding', index, embedding: vectorOf(text) })).reverse();
+    return { data: { object: 'list', data, usage: { prompt_tokens: body.input.length * 3, total_tokens: body.input.length * 3 } }, statusCode: 200 };
+}
+
+describe('Embeddings Unit Tests', () => {
+    let originalEnv;
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        process.env.OPENAI_API_KEY = 'test-key';
+        process.env.ANTHROPIC_API_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        sinon.restore();
+    });
+
+    it('splits inputs into batches within the size and token limits', () => {
+        expect(batchInputs([10, 10, 10], { maxBatchSize: 2 })).to.deep.equal([[0, 1], [2]]);
+        expect(batchInputs([300, 100, 300, 900], { maxBatchSize: 10, maxBatchTokens: 500 })).to.deep.equal([[0, 1], [2], [3]]);
+        expect(batchInputs([], { maxBatchSize: 10 })).to.deep.equal([]);
+    });
+
+    it('parses vectors in index order and rejects items that are not arrays of numbers', () => {
+        const openai = { requestFormat: 'openai' };
+        expect(parseEmbeddingsResponse(openai, { data: [{ index: 1, embedding: [3] }, { index: 0, embedding: [1, 2] }], usage: { prompt_tokens: 4 } }))
+            .to.deep.equal({ embeddings: [[1, 2], [3]], usage: { prompt_tokens: 4, total_tokens: 4 } });
+        expect(() => parseEmbeddingsResponse(openai, { data: [{ index: 0, embedding: 'AAAA' }] })).to.throw(/not an array of numbers/);
+        expect(() => parseEmbeddingsResponse({ requestFormat: 'ollama' }, { embeddings: [[1, null]] })).to.throw(/not an array of numbers/);
+        expect(() => parseEmbeddingsResponse(openai, null)).to.throw('Embeddings response has no data');
+    });
+
+    it('batches uncached inputs, returns vectors in input order and caches each input', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute')
+            .callsFake(async (_fn, apiUrl, body) => openAIEmbeddings(body));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-nano', cacheStore: new MemoryCacheStore() });
+        const texts = Array.from({ length: 5 }, (_, i) => `document number ${i}`);
+
+        const first = await llm.embed(texts, { aiService: 'openai', dimensions: 256 }, null);
+
+        expect(first.embeddings).to.deep.equal(texts.map(vectorOf));
+        expect(executeStub.callCount).to.equal(1);
+        const [, apiUrl, body] = executeStub.firstCall.args;
+        expect(apiUrl).to.equal('https://api.openai.com/v1/embeddings');
+        expect(body).to.deep.equal({ model: 'text-embedding-3-small', input: texts, dimensions: 256 });
+        expect(first.metadata.config).to.include({ aiService: 'openai', model: 'text-embedding-3-small', inputs: 5, batches: 1 });
+        expect(first.metadata.cache).to.deep.equal({ enabled: true, hits: 0, misses: 5 });
+        expect(first.metadata.usage).to.include({ prompt_tokens: 15, total_tokens: 15 });
+
+        // Only new strings are sent; repeated inputs are sent once
+        const second = await llm.embed([texts[1], 'a new one', texts[3], 'a new one'], { dimensions: 256, aiService: 'openai' });
+        expect(second.embeddings).to.deep.equal([vectorOf(texts[1]), vectorOf('a new one'), vectorOf(texts[3]), vectorOf('a new one')]);
+        expect(executeStub.secondCall.args[2].input).to.deep.equal(['a new one']);
+        // Counted per input: the repeated string is two misses
+        expect(second.metadata.cache).to.deep.equal({ enabled: true, hits: 2, misses: 2 });
+
+        // Other dimensions are other vectors
+        await llm.embed(texts[0], { aiService: 'openai', dimensions: 512 });
+        expect(executeStub.callCount).to.equal(3);
+    });
+
+    it('splits a large call into provider-sized batches, each rate limited by its tokens', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute')
+            .callsFake(async (_fn, apiUrl, body) => ({ data: { embeddings: body.input.map(vectorOf), prompt_eval_count: 4 }, statusCode: 200 }));
+        const withTokensSpy = sinon.spy(ResilientOperation.prototype, 'withTokens');
+        const llm = new ResilientLLM({ aiService: 'ollama', model: 'llama3.1:8b' });
+        const texts = Array.from({ length: 1100 }, (_, i) => `chunk ${i}`);
+
+        const response = await llm.embed(texts, { enableCache: false });
+
+        // Ollama's /api/embed takes at most 512 inputs per request
+        expect(executeStub.callCount).to.equal(3);
+        expect(executeStub.getCalls().map(call => call.args[2].input.length)).to.deep.equal([512, 512, 76]);
+        expect(executeStub.firstCall.args[1]).to.equal('http://localhost:11434/api/embed');
+        expect(executeStub.firstCall.args[2].model).to.equal('nomic-embed-text');
+        expect(response.embeddings).to.have.length(1100);
+        expect(response.embeddings[1099]).to.deep.equal(vectorOf('chunk 1099'));
+        expect(response.metadata.config.batches).to.equal(3);
+        expect(response.metadata.usage.prompt_tokens).to.equal(12);
+        const batchTokens = withTokensSpy.getCalls().map(call => call.args[0]);
+        expect(batchTokens[2]).to.equal(texts.slice(1024).reduce((sum, text) => sum + ResilientLLM.estimateTokens(text, { aiService: 'ollama', model: 'nomic-embed-text' }), 0));
+    });
+
+    it('throws UNSUPPORTED_FEATURE for providers without embeddings and maps provider errors', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute')
+            .resolves({ data: { error: { message: 'Invalid model' } }, statusCode: 400 });
+        const llm = new ResilientLLM({ aiService: 'anthropic', model: 'claude-haiku-4-5-20251001' });
+
+        const unsupported = await llm.embed('hello').catch(err => err);
+        expect(unsupported).to.be.instanceOf(ResilientLLMError);
+        expect(unsupported.code).to.equal('UNSUPPORTED_FEATURE');
+        expect((await llm.embed([], { aiService: 'openai' }).catch(err => err)).code).to.equal('INVALID_REQUEST');
+        expect(executeStub.called).to.equal(false);
+
+        const failed = await llm.embed('hello', { aiService: 'openai', model: 'no-such-model' }).catch(err => err);
+        expect(failed.code).to.equal('PROVIDER_BAD_REQUEST');
+        expect(failed.message).to.equal('Invalid model');
+        expect(failed.metadata.config.model).to.equal('no-such-model');
+    });
+});
@@ -0,0 +1,263 @@
+import { ResilientLLM, ResilientLLMError } from '../dist/index.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import CircuitBreaker from '../dist/lib/CircuitBreaker.js';
+import RateLimitManager from '../dist/lib/RateLimitManager.js';
+import { selectFallback } from '../dist/lib/FallbackChain.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+function providerError(statusCode, message) {
+    return { data: { error: { message } }, statusCode };
+}
+
+function success(content) {
+    return { data: { choices: [{ message: { content }, finish_reason: 'stop' }] }, statusCode: 200 };
+}
+
+describe('Fallback Chain Unit Tests', () => {
+    let originalEnv;
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        process.env.OPENAI_API_KEY = 'test-key';
+        process.env.ANTHROPIC_API_KEY = 'test-key';
+        delete process.env.GEMINI_API_KEY;
+        delete process.env.GOOGLE_API_KEY;
+        delete process.env.GOOGLE_GENERATIVE_AI_API_KEY;
+        for (const bucketId of ['openai', 'anthropic']) {
+            CircuitBreaker.clear(bucketId);
+            RateLimitManager.clear(bucketId);
+        }
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        sinon.restore();
+        CircuitBreaker.clear('anthropic');
+    });
+
+    it('selects the first target matching the condition, tier and credentials', () => {
+        const targets = [
+            { aiService: 'openai', model: 'gpt-5', on: ['PROVIDER_OVERLOADED'] },
+            { aiService: 'openai', model: 'gpt-5-nano' },
+            { aiService: 'google', model: 'gemini-2.5-pro' },
+            { aiService: 'openai', model: 'gpt-5-mini' },
+            { aiService: 'anthropic', model: 'claude-opus-4-1' },
+        ];
+
+        const selection = selectFallback(targets, 'PROVIDER_RATE_LIMIT', {
+            policy: { tiers: { 'gpt-5-nano': 3, 'gpt-5-mini': 2, 'gemini-2.5-pro': 1 }, maxTierDrop: 1 },
+            primaryTier: 1,
+            canUse: (target) => target.aiService !== 'google',
+        });
+
+        expect(selection.target).to.equal(targets[3]);
+        expect(selection.remaining).to.deep.equal([targets[4]]);
+        expect(selection.skipped).to.deep.equal([
+            { aiService: 'openai', model: 'gpt-5', reason: 'condition' },
+            { aiService: 'openai', model: 'gpt-5-nano', reason: 'tier' },
+            { aiService: 'google', model: 'gemini-2.5-pro', reason: 'credentials' },
+        ]);
+    });
+
+    it('fails over along the configured chain with per-target options and records the hops', async () => {
+        process.env.GEMINI_API_KEY = 'test-key';
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        executeStub.onFirstCall().resolves(providerError(429, 'Rate limited'));
+        executeStub.onSecondCall().resolves(providerError(529, 'Overloaded'));
+        executeStub.onThirdCall().resolves(success('from fallback'));
+
+        const llm = new ResilientLLM({
+            aiService: 'anthropic',
+            model: 'claude-sonnet-4-5',
+            fallbacks: [
+                { aiService: 'openai', model: 'gpt-5-nano' },
+                { aiService: 'openai', model: 'gpt-5', llmOptions: { apiKey: 'sk-fallback', maxTokens: 512 } },
+                { aiService: 'google', model: 'gemini-2.5-pro', on: ['PROVIDER_OVERLOADED'] },
+                { aiService: 'openai', model: 'gpt-5-mini' },
+            ],
+            fallbackPolicy: { tiers: { 'claude-sonnet-4-5': 1, 'gpt-5': 1, 'gpt-5-nano': 3, 'gemini-2.5-pro': 1 } },
+        });
+        const buildRequestSpy = sinon.spy(llm, '_buildRequest');
+
+        const response = await llm.chat([{ role: 'user', content: 'Hello' }], { apiKey: 'sk-ant-primary' });
+
+        expect(response.content).to.equal('from fallback');
+        const hops = buildRequestSpy.getCalls().map(call => call.args[0].llmOptions);
+        expect(hops.map(options => `${options.aiService ?? 'anthropic'}/${options.model ?? 'claude-sonnet-4-5'}`)).to.deep.equal([
+            'anthropic/claude-sonnet-4-5',
+            'openai/gpt-5',
+            'google/gemini-2.5-pro',
+        ]);
+        expect(hops[1]).to.include({ apiKey: 'sk-fallback', maxTokens: 512 });
+        expect(hops[2].apiKey).to.be.undefined;
+        expect(response.metadata.service).to.deep.equal({ attempted: ['anthropic', 'openai', 'google'], final: 'google' });
+        expect(response.metadata.events.map(event => [event.type, event.model ?? event.toModel, event.reason ?? event.code])).to.deep.equal([
+            ['fallback.targetSkipped', 'gpt-5-nano', 'tier'],
+            ['fallback.serviceSwitch', 'gpt-5', 'Rate limited'],
+            ['fallback.serviceSwitch', 'gemini-2.5-pro', 'Overloaded'],
+        ]);
+        expect(response.metadata.events[2]).to.include({ fromModel: 'gpt-5', code: 'PROVIDER_OVERLOADED', statusCode: 529 });
+    });
+
+    it('throws the provider error code when the chain is exhausted or disabled per call', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute').resolves(providerError(429, 'Rate limited'));
+        const llm = new ResilientLLM({
+            aiService: 'openai',
+            model: 'gpt-5',
+            fallbacks: [{ aiService: 'anthropic', model: 'claude-sonnet-4-5' }],
+        });
+
+        const exhausted = await llm.chat([{ role: 'user', content: 'Hello' }]).catch(err => err);
+        expect(exhausted).to.be.instanceOf(ResilientLLMError);
+        expect(exhausted.code).to.equal('PROVIDER_RATE_LIMIT');
+        expect(exhausted.metadata.service.attempted).to.deep.equal(['openai', 'anthropic']);
+        expect(executeStub.callCount).to.equal(2);
+
+        const disabled = await llm.chat([{ role: 'user', content: 'Hello' }], { fallbacks: [] }).catch(err => err);
+        expect(disabled.code).to.equal('PROVIDER_RATE_LIMIT');
+        expect(executeStub.callCount).to.equal(3);
+    });
+
+    it('routes to the next target immediately when the primary circuit is open', async () => {
+        CircuitBreaker.getInstance('anthropic').forceOpen();
+        const mockFetch = sinon.stub().resolves({
+            ok: true,
+            status: 200,
+            headers: new Headers({ 'content-type': 'application/json' }),
+            text: async () => JSON.stringify({ choices: [{ message: { content: 'served by openai' } }] }),
+        });
+        sinon.stub(globalThis, 'fetch').callsFake(mockFetch);
+        const llm = new ResilientLLM({
+            aiService: 'anthropic',
+            model: 'claude-sonnet-4-5',
+            fallbacks: [{ aiService: 'openai', model: 'gpt-5' }],
+        });
+
+        const response = await llm.chat([{ role: 'user', content: 'Hello' }]);
+
+        expect(response.content).to.equal('served by openai');
+        expect(mockFetch.callCount).to.equal(1);
+        expect(mockFetch.firstCall.args[0]).to.equal('https://api.openai.com/v1/chat/completions');
+        expect(response.metadata.events[0]).to.include({ type: 'fallback.serviceSwitch', code: 'CIRCUIT_OPEN', statusCode: null });
+    });
+
+    it('fails over on timeouts and 5xx according to each target condition', async () => {
+        const timeoutError = new Error('Operation timed out');
+        timeoutError.name = 'TimeoutError';
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        executeStub.onFirstCall().rejects(timeoutError);
+        executeStub.onSecondCall().resolves(providerError(503, 'Service unavailable'));
+        const llm = new ResilientLLM({
+            aiService: 'anthropic',
+            model: 'claude-sonnet-4-5',
+            fallbacks: [
+                { aiService: 'openai', model: 'gpt-5' },
+                { aiService: 'anthropic', model: 'claude-opus-4-1', on: ['TIMEOUT'] },
+            ],
+        });
+
+        const error = await llm.chat([{ role: 'user', content: 'Hello' }]).catch(err => err);
+
+        expect(executeStub.callCount).to.equal(2);
+        expect(error).to.be.instanceOf(ResilientLLMError);
+        expect(error.code).to.equal('PROVIDER_UNAVAILABLE');
+        expect(error.metadata.events.map(event => [event.type, event.code ?? event.reason])).to.deep.equal([
+            ['fallback.serviceSwitch', 'TIMEOUT'],
+        ]);
+
+        executeStub.resetHistory();
+        executeStub.onFirstCall().rejects(timeoutError);
+        const strict = await llm.chat([{ role: 'user', content: 'Hello' }], {
+            fallbacks: [{ aiService: 'openai', model: 'gpt-5' }],
+            fallbackPolicy: { on: ['PROVIDER_RATE_LIMIT'] },
+        }).catch(err => err);
+        expect(strict.code).to.equal('TIMEOUT');
+        expect(executeStub.callCount).to.equal(1);
+    });
+
+    it('counts 5xx responses toward the circuit breaker and then routes to the next target', async () => {
+        const fetchStub = sinon.stub(globalThis, 'fetch').callsFake(async (url) => {
+            const [status, body] = url.includes('anthropic')
+                ? [503, { type: 'error', error: { type: 'overloaded_error', message: 'Service unavailable' } }]
+                : [200, { choices: [{ message: { content: 'served by openai' } }] }];
+            return { ok: status === 200, status, headers: new Headers({ 'content-type': 'application/json' }), text: async () => JSON.stringify(body) };
+        });
+        const llm = new ResilientLLM({
+            aiService: 'anthropic',
+            model: 'claude-sonnet-4-5',
+            circuitBreakerConfig: { failureThreshold: 2 },
+            fallbacks: [{ aiService: 'openai', model: 'gpt-5' }],
+        });
+
+        const codes = [];
+        for (let i = 0; i < 3; i++) {
+            const response = await llm.chat([{ role: 'user', content: 'Hello' }], { retries: 0 });
+            expect(response.content).to.equal('served by openai');
+            codes.push(response.metadata.events[0].code);
+        }
+
+        expect(codes).to.deep.equal(['PROVIDER_UNAVAILABLE', 'PROVIDER_UNAVAILABLE', 'CIRCUIT_OPEN']);
+        expect(CircuitBreaker.getInstance('anthropic').getStatus().state).to.equal('open');
+        expect(fetchStub.getCalls().filter(call => call.args[0].includes('anthropic'))).to.have.lengthOf(2);
+    });
+
+    it('fails over across the default models on the fallbackPolicy conditions when no chain is configured', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        executeStub.onFirstCall().rejects(Object.assign(new Error('Service unavailable'), { response: { status: 503 } }));
+        executeStub.onSecondCall().resolves({ data: { content: [{ type: 'text', text: 'from anthropic' }], stop_reason: 'end_turn' }, statusCode: 200 });
+        executeStub.onThirdCall().rejects(Object.assign(new Error('Service unavailable'), { response: { status: 503 } }));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5' });
+
+        const response = await llm.chat([{ role: 'user', content: 'Hello' }]);
+        expect(response.content).to.equal('from anthropic');
+        expect(response.metadata.events[0]).to.include({ type: 'fallback.serviceSwitch', fromService: 'openai', toService: 'anthropic', statusCode: 503 });
+
+        llm.resetProviderHealth();
+        const strict = await llm.chat([{ role: 'user', content: 'Hello' }], { fallbackPolicy: { on: ['PROVIDER_RATE_LIMIT'] } }).catch(err => err);
+        expect(strict).to.be.instanceOf(ResilientLLMError);
+        expect(strict.code).to.equal('PROVIDER_UNAVAILABLE');
+        expect(executeStub.callCount).to.equal(3);
+    });
+
+    describe('Provider health', () => {
+        it('marks failed-over providers down until retry-after passes, then restores them', async () => {
+            const clock = sinon.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+            const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+            executeStub.onFirstCall().resolves({ ...providerError(429, 'Rate limited'), responseHeaders: { 'retry-after': '20' } });
+            executeStub.onSecondCall().resolves({ data: { content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn' }, statusCode: 200 });
+            executeStub.onThirdCall().resolves(providerError(429, 'Rate limited'));
+            const events = [];
+            const llm = new ResilientLLM({
+                aiService: 'openai',
+                model: 'gpt-5',
+                onProviderHealthChange: (event) => events.push([event.type, event.service]),
+            });
+
+            await llm.chat([{ role: 'user', content: 'Hello' }]);
+            expect(llm.getProviderHealth().openai).to.include({ statusCode: 429, reason: 'Rate limited', remainingMs: 20000 });
+            expect(llm.llmOutOfService).to.deep.equal(['openai']);
+
+            const skipped = await llm.chat([{ role: 'user', content: 'Hello' }], {
+                aiService: 'anthropic',
+                model: 'claude-sonnet-4-5',
+                fallbacks: [{ aiService: 'openai', model: 'gpt-5' }],
+            }).catch(err => err);
+            expect(skipped.code).to.equal('PROVIDER_RATE_LIMIT');
+            expect(skipped.metadata.events[0]).to.include({ type: 'fallback.targetSkipped', aiService: 'openai', reason: 'unhealthy' });
+
+            clock.tick(20000);
+            expect(Object.keys(llm.getProviderHealth())).to.deep.equal(['anthropic']);
+            llm.resetProviderHealth();
+            expect(llm.getProviderHealth()).to.deep.equal({});
+            expect(events).to.deep.equal([
+                ['provider.down', 'openai'],
+                ['provider.down', 'anthropic'],
+                ['provider.restored', 'openai'],
+                ['provider.restored', 'anthropic'],
+            ]);
+            clock.restore();
+        });
+    });
+});
@@ -0,0 +1,210 @@
+import { ResilientLLM, ProviderRegistry } from '../dist/index.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import { StreamAccumulator } from '../dist/lib/ChatStream.js';
+import { toGoogleStreamUrl } from '../dist/lib/GoogleFormat.js';
+import { normalizeStructuredOutputConfig, mapConfigToRequestFields } from '../dist/lib/StructuredOutput.js';
+import { describe, it, before, after, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+/** The google provider switched to Gemini's native generateContent API. */
+const NATIVE_GOOGLE = {
+    chatApiUrl: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+    chatConfig: {
+        messageFormat: 'google',
+        responseParsePath: 'candidates[0].content.parts[0].text',
+        toolSchemaType: 'google',
+        structuredOutputRequestField: 'generationConfig',
+    },
+};
+
+const weatherTool = {
+    type: 'function',
+    function: {
+        name: 'get_weather',
+        description: 'Current weather',
+        parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'], additionalProperties: false },
+    },
+};
+
+describe('Google Format Unit Tests', () => {
+    let originalEnv;
+    let original;
+
+    before(() => {
+        original = ProviderRegistry.get('google');
+        ProviderRegistry.configure('google', NATIVE_GOOGLE);
+    });
+
+    after(() => {
+        ProviderRegistry.configure('google', { chatApiUrl: original.chatApiUrl, chatConfig: original.chatConfig });
+    });
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        process.env.GEMINI_API_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        sinon.restore();
+    });
+
+    it('sends contents, systemInstruction and generationConfig and parses candidates and usageMetadata', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute').resolves({
+            data: {
+                candidates: [{ content: { role: 'model', parts: [{ text: '{"summary": ' }, { text: '"Sunny", "tempC": 21}' }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 8, thoughtsTokenCount: 4, totalTokenCount: 32 },
+            },
+            statusCode: 200,
+        });
+        const llm = new ResilientLLM({ aiService: 'google', model: 'gemini-2.5-flash' });
+        const conversation = [
+            { role: 'system', content: 'You are a weather bot.' },
+            { role: 'user', content: [{ type: 'text', text: 'Weather here?' }, { type: 'image', data: 'iVBO', mediaType: 'image/png' }] },
+        ];
+        const safetySettings = [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }];
+        const options = {
+            temperature: 0.2,
+            maxTokens: 256,
+            safetySettings,
+            responseFormat: {
+                type: 'json_schema',
+                schema: {
+                    type: 'object',
+                    properties: { summary: { type: 'string' }, tempC: { type: ['number', 'null'] } },
+                    required: ['summary'],
+                    additionalProperties: false,
+                },
+            },
+        };
+
+        const response = await llm.chat(conversation, options);
+
+        const [, apiUrl, body, headers] = executeStub.firstCall.args;
+        expect(apiUrl).to.equal('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent');
+        expect(headers['x-goog-api-key']).to.equal('test-key');
+        expect(headers).to.not.have.property('Authorization');
+        expect(body).to.deep.equal({
+            systemInstruction: { parts: [{ text: 'You are a weather bot.' }] },
+            contents: [{ role: 'user', parts: [{ text: 'Weather here?' }, { inlineData: { mimeType: 'image/png', data: 'iVBO' } }] }],
+            generationConfig: {
+                responseMimeType: 'application/json',
+                responseSchema: {
+                    type: 'object',
+                    properties: { summary: { type: 'string' }, tempC: { type: 'number', nullable: true } },
+                    required: ['summary'],
+                },
+                maxOutputTokens: 256,
+                temperature: 0.2,
+            },
+            safetySettings,
+        });
+        expect(response.content).to.deep.equal({ summary: 'Sunny', tempC: 21 });
+        expect(response.metadata.finishReason).to.equal('stop');
+        expect(response.metadata.usage).to.deep.equal({ prompt_tokens: 20, completion_tokens: 12, total_tokens: 32, reasoning_tokens: 4 });
+
+        const counts = llm.countTokens(conversation, options);
+        expect(counts.system).to.be.greaterThan(0);
+        expect(counts.messages).to.be.greaterThan(counts.system);
+        expect(counts.responseFormat).to.be.greaterThan(0);
+    });
+
+    it('sends tools as function declarations and maps function calls, tool results and blocked prompts', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        executeStub.onFirstCall().resolves({
+            data: {
+                candidates: [{
+                    content: { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }, { functionCall: { name: 'get_time', args: {} } }] },
+                    finishReason: 'STOP',
+                }],
+            },
+            statusCode: 200,
+        });
+        executeStub.onSecondCall().resolves({
+            data: { promptFeedback: { blockReason: 'SAFETY' }, usageMetadata: { promptTokenCount: 30, totalTokenCount: 30 } },
+            statusCode: 200,
+        });
+        const llm = new ResilientLLM({ aiService: 'google', model: 'gemini-2.5-flash' });
+        const tools = [
+            weatherTool,
+            { type: 'function', function: { name: 'get_time', parameters: { type: 'object', properties: {} } } },
+            { googleSearch: {} },
+        ];
+        const conversation = [{ role: 'user', content: 'Weather and time in Paris?' }];
+
+        const first = await llm.chat(conversation, { tools });
+
+        expect(executeStub.firstCall.args[2].tools).to.deep.equal([
+            {
+                functionDeclarations: [
+                    { name: 'get_weather', description: 'Current weather', parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] } },
+                    { name: 'get_time' },
+                ],
+            },
+            { googleSearch: {} },
+        ]);
+        expect(first.toolCalls).to.deep.equal([
+            { id: 'call_0', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+            { id: 'call_1', type: 'function', function: { name: 'get_time', arguments: '{}' } },
+        ]);
+        expect(first.metadata.finishReason).to.equal('tool_calls');
+
+        const second = await llm.chat([
+            ...conversation,
+            { role: 'assistant', content: null, tool_calls: first.toolCalls },
+            { role: 'tool', tool_call_id: 'call_0', content: '{"tempC": 21}' },
+            { role: 'tool', tool_call_id: 'call_1', content: '14:05' },
+        ], { tools });
+
+        expect(executeStub.secondCall.args[2].contents.slice(1)).to.deep.equal([
+            {
+                role: 'model',
+                parts: [
+                    { functionCall: { id: 'call_0', name: 'get_weather', args: { city: 'Paris' } } },
+                    { functionCall: { id: 'call_1', name: 'get_time', args: {} } },
+                ],
+            },
+            {
+                role: 'user',
+                parts: [
+                    { functionResponse: { id: 'call_0', name: 'get_weather', response: { tempC: 21 } } },
+                    { functionResponse: { id: 'call_1', name: 'get_time', response: { result: '14:05' } } },
+                ],
+            },
+        ]);
+        expect(second.content).to.equal(null);
+        expect(second.metadata.finishReason).to.equal('content_filter');
+        expect(second.metadata.usage).to.include({ prompt_tokens: 30, total_tokens: 30 });
+    });
+
+    it('accumulates streamed chunks and maps JSON mode to generationConfig', () => {
+        const accumulator = new StreamAccumulator('google');
+        const deltas = [
+            { candidates: [{ content: { role: 'model', parts: [{ text: 'Checking ' }] } }] },
+            {
+                candidates: [{ content: { role: 'model', parts: [{ text: 'now.' }, { functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 6, totalTokenCount: 16 },
+            },
+        ].flatMap(chunk => accumulator.push({ event: null, data: JSON.stringify(chunk) }));
+
+        expect(deltas).to.deep.equal([
+            { type: 'text', text: 'Checking ' },
+            { type: 'text', text: 'now.' },
+            { type: 'tool_call', index: 0, id: 'call_0', name: 'get_weather', argumentsDelta: '{"city":"Paris"}' },
+        ]);
+        expect(accumulator.toEnvelope()).to.deep.equal({
+            content: 'Checking now.',
+            toolCalls: [{ id: 'call_0', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+            finishReason: 'tool_calls',
+        });
+        expect(accumulator.usage).to.deep.equal({ prompt_tokens: 10, completion_tokens: 6, total_tokens: 16 });
+        expect(toGoogleStreamUrl('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent'))
+            .to.equal('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+
+        const { data: jsonMode } = normalizeStructuredOutputConfig('json');
+        expect(mapConfigToRequestFields(jsonMode, 'generationConfig')).to.deep.equal({
+            generationConfig: { responseMimeType: 'application/json' },
+        });
+    });
+});
@@ -0,0 +1,36 @@
+import ResilientOperation from '../../dist/lib/ResilientOperation.js';
+import { beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+
+/** An OpenAI chat completion of 'Hi' with the given usage, as resolved by ResilientOperation.execute(). */
+export function openAIResponse(usage) {
+    return { data: { choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }], usage }, statusCode: 200 };
+}
+
+/**
+ * Sets environment variables (e.g. provider API keys) for each test of the enclosing describe(),
+ * then restores the environment and sinon stubs after each test.
+ * @param {Record<string, string>} env
+ */
+export function useTestEnv(env) {
+    let originalEnv;
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        Object.assign(process.env, env);
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        sinon.restore();
+    });
+}
+
+/**
+ * Stubs ResilientOperation.prototype.execute so chat() resolves `response` without sending requests.
+ * Without a response the stub is returned bare, for per-call responses (`onFirstCall()`, ...).
+ */
+export function stubExecute(response) {
+    const stub = sinon.stub(ResilientOperation.prototype, 'execute');
+    return response === undefined ? stub : stub.resolves(response);
+}
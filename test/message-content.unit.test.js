@@ -0,0 +1,126 @@
+import { ResilientLLM, ResilientLLMError, ProviderRegistry } from '../dist/index.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+/** Base64 of a PNG header declaring the given size. */
+function pngHeader(width, height) {
+    const bytes = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]).copy(bytes);
+    bytes.write('IHDR', 12, 'latin1');
+    bytes.writeUInt32BE(width, 16);
+    bytes.writeUInt32BE(height, 20);
+    return bytes.toString('base64');
+}
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Pages /Count 2 >>\n2 0 obj << /Type /Page >>\n3 0 obj << /Type/Page >>\n%%EOF').toString('base64');
+
+const openAIResponse = { data: { choices: [{ message: { content: 'A cat.' }, finish_reason: 'stop' }] }, statusCode: 200 };
+const anthropicResponse = { data: { content: [{ type: 'text', text: 'A cat.' }], stop_reason: 'end_turn' }, statusCode: 200 };
+
+describe('Message Content Unit Tests', () => {
+    let originalEnv;
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        process.env.OPENAI_API_KEY = 'test-key';
+        process.env.ANTHROPIC_API_KEY = 'test-key';
+        process.env.GEMINI_API_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        sinon.restore();
+        ProviderRegistry.clearCache('openrouter');
+    });
+
+    it('translates images and documents to OpenAI, Gemini and Anthropic parts', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        executeStub.onFirstCall().resolves(openAIResponse);
+        executeStub.onSecondCall().resolves(openAIResponse);
+        executeStub.onThirdCall().resolves(anthropicResponse);
+        const image = pngHeader(64, 64);
+        const conversation = [
+            { role: 'system', content: [{ type: 'text', text: 'Describe precisely.' }] },
+            {
+                role: 'user',
+                content: [
+                    { type: 'text', text: 'What is in these?' },
+                    { type: 'image', data: image, mediaType: 'image/png', detail: 'low' },
+                    { type: 'image_url', image_url: { url: 'https://example.com/cat.jpg' } },
+                    { type: 'document', data: PDF, mediaType: 'application/pdf', name: 'report.pdf' },
+                ],
+            },
+        ];
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-4o' });
+
+        await llm.chat(conversation);
+        await llm.chat(conversation, { aiService: 'google', model: 'gemini-2.5-flash' });
+        await llm.chat(conversation, { aiService: 'anthropic', model: 'claude-sonnet-4-5' });
+
+        expect(executeStub.firstCall.args[2].messages[1].content).to.deep.equal([
+            { type: 'text', text: 'What is in these?' },
+            { type: 'image_url', image_url: { url: `data:image/png;base64,${image}`, detail: 'low' } },
+            { type: 'image_url', image_url: { url: 'https://example.com/cat.jpg' } },
+            { type: 'file', file: { filename: 'report.pdf', file_data: `data:application/pdf;base64,${PDF}` } },
+        ]);
+        expect(executeStub.secondCall.args[2].messages[1].content[3]).to.deep.equal(
+            { type: 'image_url', image_url: { url: `data:application/pdf;base64,${PDF}` } }
+        );
+        const anthropicBody = executeStub.thirdCall.args[2];
+        expect(anthropicBody.system).to.equal('Describe precisely.');
+        expect(anthropicBody.messages[0].content.slice(1)).to.deep.equal([
+            { type: 'image', source: { type: 'base64', media_type: 'image/png', data: image } },
+            { type: 'image', source: { type: 'url', url: 'https://example.com/cat.jpg' } },
+            { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: PDF }, title: 'report.pdf' },
+        ]);
+        // The caller's messages are left untouched
+        expect(conversation[1].content[1]).to.deep.equal({ type: 'image', data: image, mediaType: 'image/png', detail: 'low' });
+    });
+
+    it('throws UNSUPPORTED_FEATURE before sending content a model does not take', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute').resolves(openAIResponse);
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-3.5-turbo' });
+        const withImage = [{ role: 'user', content: [{ type: 'text', text: 'Hi' }, { type: 'image', url: 'https://example.com/cat.jpg' }] }];
+
+        const textOnly = await llm.chat(withImage).catch(err => err);
+        expect(textOnly).to.be.instanceOf(ResilientLLMError);
+        expect(textOnly.code).to.equal('UNSUPPORTED_FEATURE');
+        expect(textOnly.message).to.include('does not accept image input');
+
+        const documentUrl = await llm.chat(
+            [{ role: 'user', content: [{ type: 'document', url: 'https://example.com/report.pdf' }] }],
+            { model: 'gpt-4o' }
+        ).catch(err => err);
+        expect(documentUrl.code).to.equal('UNSUPPORTED_FEATURE');
+
+        expect((await llm.chat(withImage, { aiService: 'ollama', model: 'llama3.1' }).catch(err => err)).code).to.equal('UNSUPPORTED_FEATURE');
+        await llm.chat(
+            [{ role: 'user', content: [{ type: 'text', text: 'Hi' }, { type: 'image', data: 'iVBO', mediaType: 'image/png' }] }],
+            { aiService: 'ollama', model: 'llama3.2-vision' }
+        );
+
+        // Input modalities from the provider's model list win over the built-in rules
+        ProviderRegistry.saveModel('openrouter', 'openai/gpt-4o', { inputModalities: ['text'] });
+        const listed = await llm.chat(withImage, { aiService: 'openrouter', model: 'openai/gpt-4o', apiKey: 'sk-or' }).catch(err => err);
+        expect(listed.code).to.equal('UNSUPPORTED_FEATURE');
+        expect(executeStub.callCount).to.equal(1);
+    });
+
+    it('estimates image tokens from their dimensions and document tokens from their pages', () => {
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-4o' });
+        const count = content => llm.countTokens([{ role: 'user', content }]).messages - llm.countTokens([{ role: 'user', content: [] }]).messages;
+
+        // 2048x1024: 768px on the short side, 3x2 tiles of 170 plus 85
+        expect(count([{ type: 'image', data: pngHeader(2048, 1024), mediaType: 'image/png' }])).to.equal(85 + 6 * 170);
+        expect(count([{ type: 'image', data: pngHeader(2048, 1024), mediaType: 'image/png', detail: 'low' }])).to.equal(85);
+        expect(count([{ type: 'image', url: 'https://example.com/cat.jpg' }])).to.equal(765);
+        expect(count([{ type: 'document', data: PDF, mediaType: 'application/pdf' }])).to.equal(2 * 2000);
+        const text = 'Quarterly revenue grew by twelve percent.';
+        expect(count([{ type: 'document', data: Buffer.from(text).toString('base64'), mediaType: 'text/plain' }]))
+            .to.equal(ResilientLLM.estimateTokens(text));
+        expect(llm.countTokens([{ role: 'user', content: [{ type: 'document', url: 'https://example.com/a.pdf' }] }], { aiService: 'anthropic' }).messages)
+            .to.be.above(2000);
+    });
+});
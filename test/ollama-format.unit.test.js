@@ -0,0 +1,122 @@
+import { ResilientLLM, ResilientLLMError } from '../dist/index.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+const weatherTool = {
+    type: 'function',
+    function: {
+        name: 'get_weather',
+        description: 'Current weather',
+        parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+    },
+};
+
+describe('Ollama Format Unit Tests', () => {
+    let originalEnv;
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        delete process.env.OLLAMA_API_KEY;
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        sinon.restore();
+    });
+
+    it('sends messages, images, options and a format schema to /api/chat and reads message, done_reason and eval counts', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute').resolves({
+            data: {
+                model: 'llama3.2-vision',
+                message: { role: 'assistant', content: '{"animal": "cat"}' },
+                done_reason: 'stop',
+                done: true,
+                prompt_eval_count: 26,
+                eval_count: 9,
+            },
+            statusCode: 200,
+        });
+        const llm = new ResilientLLM({ aiService: 'ollama', model: 'llama3.2-vision' });
+        const schema = { type: 'object', properties: { animal: { type: 'string' } }, required: ['animal'] };
+
+        const response = await llm.chat([
+            { role: 'system', content: 'Answer in JSON.' },
+            { role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image', data: 'iVBO', mediaType: 'image/png' }] },
+        ], { maxTokens: 128, temperature: 0, topP: 0.9, responseFormat: { type: 'json_schema', schema } });
+
+        const [, apiUrl, body] = executeStub.firstCall.args;
+        expect(apiUrl).to.equal('http://localhost:11434/api/chat');
+        expect(body).to.deep.equal({
+            model: 'llama3.2-vision',
+            messages: [
+                { role: 'system', content: 'Answer in JSON.' },
+                { role: 'user', content: 'What is this?', images: ['iVBO'] },
+            ],
+            format: schema,
+            options: { num_predict: 128, temperature: 0, top_p: 0.9 },
+            stream: false,
+        });
+        expect(response.content).to.deep.equal({ animal: 'cat' });
+        expect(response.metadata.finishReason).to.equal('stop');
+        expect(response.metadata.usage).to.deep.equal({ prompt_tokens: 26, completion_tokens: 9, total_tokens: 35 });
+    });
+
+    it('sends tools and maps tool calls, tool results and length finishes', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        executeStub.onFirstCall().resolves({
+            data: { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }] }, done_reason: 'stop', done: true },
+            statusCode: 200,
+        });
+        executeStub.onSecondCall().resolves({
+            data: { message: { role: 'assistant', content: '{"tempC": 21}' }, done_reason: 'length', done: true },
+            statusCode: 200,
+        });
+        const llm = new ResilientLLM({ aiService: 'ollama', model: 'qwen3:8b' });
+        const conversation = [{ role: 'user', content: 'Weather in Paris?' }];
+
+        const first = await llm.chat(conversation, { tools: [weatherTool] });
+
+        expect(executeStub.firstCall.args[2].tools).to.deep.equal([weatherTool]);
+        expect(first.toolCalls).to.deep.equal([
+            { id: 'call_0', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+        ]);
+        expect(first.metadata.finishReason).to.equal('tool_calls');
+
+        const second = await llm.chat([
+            ...conversation,
+            { role: 'assistant', content: null, tool_calls: first.toolCalls },
+            { role: 'tool', tool_call_id: 'call_0', content: '{"tempC": 21}' },
+        ], { tools: [weatherTool], responseFormat: 'json' });
+
+        const body = executeStub.secondCall.args[2];
+        expect(body.messages.slice(1)).to.deep.equal([
+            { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }] },
+            { role: 'tool', content: '{"tempC": 21}', tool_name: 'get_weather' },
+        ]);
+        expect(body.format).to.equal('json');
+        expect(second.content).to.deep.equal({ tempC: 21 });
+        expect(second.metadata.finishReason).to.equal('length');
+    });
+
+    it('rejects images by URL and streaming with UNSUPPORTED_FEATURE', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        const llm = new ResilientLLM({ aiService: 'ollama', model: 'llama3.2-vision' });
+
+        const imageUrl = await llm.chat([
+            { role: 'user', content: [{ type: 'image', url: 'https://example.com/cat.jpg' }] },
+        ]).catch(err => err);
+        expect(imageUrl).to.be.instanceOf(ResilientLLMError);
+        expect(imageUrl.code).to.equal('UNSUPPORTED_FEATURE');
+
+        const streamed = await (async () => {
+            for await (const delta of llm.chatStream([{ role: 'user', content: 'Hi' }])) {
+                expect.fail(`unexpected delta ${JSON.stringify(delta)}`);
+            }
+        })().catch(err => err);
+        expect(streamed).to.be.instanceOf(ResilientLLMError);
+        expect(streamed.code).to.equal('UNSUPPORTED_FEATURE');
+        expect(executeStub.called).to.equal(false);
+    });
+});
@@ -0,0 +1,100 @@
+import { ResilientLLM, ProviderRegistry } from '../dist/index.js';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { openAIResponse, stubExecute, useTestEnv } from './helpers/chat-fixtures.js';
+
+describe('Pricing Unit Tests', () => {
+    useTestEnv({ OPENAI_API_KEY: 'sk-test', ANTHROPIC_API_KEY: 'sk-ant-test' });
+
+    it('prices input, cache reads, cache writes and output of a response by model prefix', async () => {
+        stubExecute({
+            data: {
+                content: [{ type: 'text', text: 'Hi' }],
+                stop_reason: 'end_turn',
+                usage: { input_tokens: 1000, cache_read_input_tokens: 100000, cache_creation_input_tokens: 2000, output_tokens: 500 },
+            },
+            statusCode: 200,
+        });
+        const llm = new ResilientLLM({ aiService: 'anthropic', model: 'claude-haiku-4-5-20251001' });
+
+        const response = await llm.chat([{ role: 'user', content: 'Hi' }]);
+
+        expect(response.metadata.cost).to.deep.equal({
+            currency: 'USD',
+            input: 0.001,
+            cachedInput: 0.01,
+            cacheWrite: 0.0025,
+            output: 0.0025,
+            total: 0.016,
+            byService: { anthropic: 0.016 },
+        });
+        expect(llm.usageTotals).to.include({ requests: 1, prompt_tokens: 103000, cached_input_tokens: 100000, cost: 0.016 });
+    });
+
+    it('reports every fallback hop in cost.byService and adds up the instance totals', async () => {
+        const executeStub = stubExecute();
+        executeStub.onFirstCall().resolves({ data: { error: { message: 'Rate limited' } }, statusCode: 429 });
+        executeStub.onSecondCall().resolves({
+            data: { content: [{ type: 'text', text: 'Hi' }], stop_reason: 'end_turn', usage: { input_tokens: 2000, output_tokens: 400 } },
+            statusCode: 200,
+        });
+        executeStub.onThirdCall().resolves(openAIResponse({ prompt_tokens: 10000, completion_tokens: 1000, total_tokens: 11000 }));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-nano' });
+
+        const fallback = await llm.chat([{ role: 'user', content: 'Hi' }]);
+        expect(fallback.metadata.service.attempted).to.deep.equal(['openai', 'anthropic']);
+        expect(fallback.metadata.cost.total).to.equal(0.004);
+        expect(fallback.metadata.cost.byService).to.deep.equal({ openai: 0, anthropic: 0.004 });
+
+        // gpt-5-nano: 10000 x $0.05 + 1000 x $0.40 per million
+        const direct = await llm.chat([{ role: 'user', content: 'Hi' }], { aiService: 'openai', model: 'gpt-5-nano' });
+        expect(direct.metadata.cost.total).to.equal(0.0009);
+
+        expect(llm.usageTotals).to.deep.equal({
+            requests: 2,
+            cacheHits: 0,
+            prompt_tokens: 12000,
+            completion_tokens: 1400,
+            total_tokens: 13400,
+            cached_input_tokens: 0,
+            cache_write_tokens: 0,
+            reasoning_tokens: 0,
+            cost: 0.0049,
+            unpricedRequests: 0,
+            byService: {
+                anthropic: { requests: 1, total_tokens: 2400, cost: 0.004 },
+                openai: { requests: 1, total_tokens: 11000, cost: 0.0009 },
+            },
+        });
+        expect(llm.resetUsageTotals().requests).to.equal(2);
+        expect(llm.usageTotals.requests).to.equal(0);
+    });
+
+    it('uses prices set with ProviderRegistry.configure and reports unpriced models with a null cost', async () => {
+        ProviderRegistry.configure('openai', { pricing: { 'ft:gpt-4o-mini-2024-07-18:acme::v2': { input: 0.3, output: 1.2 } } });
+        stubExecute(openAIResponse({ prompt_tokens: 1000000, completion_tokens: 100000, total_tokens: 1100000 }));
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-nano' });
+
+        const tuned = await llm.chat([{ role: 'user', content: 'Hi' }], { model: 'ft:gpt-4o-mini-2024-07-18:acme::v2' });
+        expect(tuned.metadata.cost).to.include({ input: 0.3, output: 0.12, total: 0.42 });
+        expect(ProviderRegistry.getModelPricing('openai', 'gpt-5-nano')).to.deep.equal({ input: 0.05, output: 0.4, cachedInput: 0.005 });
+
+        const unpriced = await llm.chat([{ role: 'user', content: 'Hi' }], { model: 'my-local-model' });
+        expect(unpriced.metadata.cost).to.equal(null);
+        expect(llm.usageTotals).to.include({ requests: 2, unpricedRequests: 1, cost: 0.42 });
+    });
+
+    it('prices dated snapshots by their model key but not other models sharing its prefix', () => {
+        expect(ProviderRegistry.getModelPricing('anthropic', 'claude-opus-4-5-20251101')).to.include({ input: 5, output: 25 });
+        expect(ProviderRegistry.getModelPricing('anthropic', 'claude-opus-4-1-20250805')).to.include({ input: 15, output: 75 });
+        expect(ProviderRegistry.getModelPricing('anthropic', 'claude-opus-4-20250514')).to.include({ input: 15, output: 75 });
+        expect(ProviderRegistry.getModelPricing('openai', 'gpt-5-pro')).to.deep.equal({ input: 15, output: 120 });
+        expect(ProviderRegistry.getModelPricing('openai', 'o3-pro-2025-06-10')).to.deep.equal({ input: 20, output: 80 });
+        expect(ProviderRegistry.getModelPricing('openai', 'gpt-4o-2024-08-06')).to.include({ input: 2.5, output: 10 });
+
+        // Unknown siblings are unpriced rather than billed at the base model's rates
+        expect(ProviderRegistry.getModelPricing('anthropic', 'claude-opus-4-7')).to.equal(null);
+        expect(ProviderRegistry.getModelPricing('openai', 'gpt-5-codex')).to.equal(null);
+        expect(ProviderRegistry.getModelPricing('ollama', 'llama3.1:8b')).to.deep.equal({ input: 0, output: 0 });
+    });
+});
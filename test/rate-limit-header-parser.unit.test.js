@@ -0,0 +1,74 @@
+import RateLimitHeaderParser from '../dist/lib/RateLimitHeaderParser.js';
+import RateLimitManager from '../dist/lib/RateLimitManager.js';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+
+describe('RateLimitHeaderParser Unit Tests', () => {
+    it('parses OpenAI headers with duration resets into normalized rate limit info', () => {
+        const headers = new Headers({
+            'X-RateLimit-Limit-Requests': '5000',
+            'x-ratelimit-remaining-requests': '4999',
+            'x-ratelimit-reset-requests': '12ms',
+            'x-ratelimit-limit-tokens': '160000',
+            'x-ratelimit-remaining-tokens': '159000',
+            'x-ratelimit-reset-tokens': '1m30s',
+            'x-request-id': 'req_123',
+            'openai-processing-ms': '250',
+            'content-type': 'application/json'
+        });
+
+        const info = RateLimitHeaderParser.parse('openai', headers);
+
+        expect(info).to.deep.include({
+            requests: { limit: 5000, remaining: 4999, resetMs: 12 },
+            tokens: { limit: 160000, remaining: 159000, resetMs: 90000 },
+            inputTokens: null,
+            outputTokens: null,
+            provider: 'openai',
+            requestId: 'req_123',
+            processingMs: 250
+        });
+        expect(info.raw).to.have.property('x-ratelimit-limit-requests', '5000');
+        expect(RateLimitHeaderParser.parseDurationToMs('6s')).to.equal(6000);
+        expect(RateLimitHeaderParser.parseDurationToMs('soon')).to.equal(null);
+    });
+
+    it('parses Anthropic headers with ISO 8601 resets, including input/output token limits', () => {
+        const inOneMinute = new Date(Date.now() + 60000).toISOString();
+        const info = RateLimitHeaderParser.parse('anthropic', {
+            'anthropic-ratelimit-requests-limit': '50',
+            'anthropic-ratelimit-requests-remaining': '49',
+            'anthropic-ratelimit-requests-reset': inOneMinute,
+            'anthropic-ratelimit-tokens-limit': '90000',
+            'anthropic-ratelimit-tokens-remaining': '30000',
+            'anthropic-ratelimit-tokens-reset': inOneMinute,
+            'anthropic-ratelimit-input-tokens-limit': '50000',
+            'anthropic-ratelimit-input-tokens-remaining': '20000',
+            'anthropic-ratelimit-input-tokens-reset': '2000-01-01T00:00:00Z',
+            'anthropic-ratelimit-output-tokens-limit': '40000',
+            'anthropic-ratelimit-output-tokens-remaining': '10000',
+            'anthropic-ratelimit-output-tokens-reset': inOneMinute,
+            'request-id': 'req_abc'
+        });
+
+        expect(info.tokens).to.include({ limit: 90000, remaining: 30000 });
+        expect(info.tokens.resetMs).to.be.within(58000, 60000);
+        expect(info.inputTokens).to.deep.equal({ limit: 50000, remaining: 20000, resetMs: 0 });
+        expect(info.outputTokens).to.include({ limit: 40000, remaining: 10000 });
+        expect(info.requestId).to.equal('req_abc');
+
+        // Buckets follow the provider's total token quota instead of the static config
+        const manager = new RateLimitManager({ requestsPerMinute: 10, llmTokensPerMinute: 150000 });
+        manager.syncFromHeaders(info);
+        manager.syncConfig({ requestsPerMinute: 10, llmTokensPerMinute: 150000 });
+        expect(manager.llmTokenBucket.capacity).to.equal(90000);
+        expect(manager.llmTokenBucket.availableTokens).to.equal(30000);
+        expect(manager.requestBucket.capacity).to.equal(50);
+    });
+
+    it('returns null for providers with header parsing disabled or without rate limit headers', () => {
+        expect(RateLimitHeaderParser.parse('ollama', { 'x-ratelimit-remaining-requests': '10' })).to.equal(null);
+        expect(RateLimitHeaderParser.parse('openai', { 'x-request-id': 'req_123', 'content-type': 'application/json' })).to.equal(null);
+        expect(RateLimitHeaderParser.parse('openai', undefined)).to.equal(null);
+    });
+});
@@ -1,5 +1,5 @@
 import RateLimitManager from '../dist/lib/RateLimitManager.js';
-import { describe, it, afterEach } from 'mocha';
+import { describe, it, beforeEach, afterEach } from 'mocha';
 import { expect } from 'chai';
 import sinon from 'sinon';
 
@@ -109,4 +109,100 @@ describe('RateLimitManager Unit Tests', () => {
         expect(manager.requestBucket.getAvailableTokens()).to.equal(initialRequestTokens);
         expect(manager.llmTokenBucket.getAvailableTokens()).to.equal(initialLlmTokens);
     });
+
+    describe('Queue', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('wakes up when the bucket has refilled for the head request instead of polling', async () => {
+            const manager = new RateLimitManager({ requestsPerMinute: 100, llmTokensPerMinute: 600 }); // 10 LLM tokens/s
+            await manager.acquire(600);
+            const llmTryRemoveSpy = sinon.spy(manager.llmTokenBucket, 'tryRemoveToken');
+            let result;
+
+            manager.acquire(50).then(value => { result = value; });
+            await clock.tickAsync(4999);
+            expect(result).to.be.undefined;
+            expect(llmTryRemoveSpy.callCount).to.equal(1);
+
+            await clock.tickAsync(1);
+            expect(result).to.deep.equal({ totalWaitMs: 5000 });
+            expect(llmTryRemoveSpy.callCount).to.equal(2);
+        });
+
+        it('serves a large request before smaller ones that arrived later', async () => {
+            const manager = new RateLimitManager({ requestsPerMinute: 100, llmTokensPerMinute: 60 }); // 1 LLM token/s
+            await manager.acquire(60);
+            const served = [];
+
+            const large = manager.acquire(30).then(() => served.push('large'));
+            const small = manager.acquire(1).then(() => served.push('small'));
+            await clock.tickAsync(29000);
+            expect(served).to.deep.equal([]);
+            expect(manager.queueDepth).to.equal(2);
+
+            await clock.tickAsync(2000);
+            await Promise.all([large, small]);
+            expect(served).to.deep.equal(['large', 'small']);
+        });
+
+        it('serves higher priorities first and keeps arrival order within a priority', async () => {
+            const manager = new RateLimitManager({ requestsPerMinute: 60, llmTokensPerMinute: 1000 }); // 1 request/s
+            for (let i = 0; i < 60; i++) await manager.acquire(1);
+            const served = [];
+            const enqueue = (name, priority) => manager.acquire(1, undefined, { priority }).then(() => served.push(name));
+
+            const all = Promise.all([
+                enqueue('batch', -10),
+                enqueue('default-1', 0),
+                enqueue('interactive', 10),
+                enqueue('default-2', 0),
+            ]);
+            await clock.tickAsync(4000);
+            await all;
+
+            expect(served).to.deep.equal(['interactive', 'default-1', 'default-2', 'batch']);
+        });
+
+        it('reconciles reservations: unused tokens serve waiting requests, overruns delay later ones', async () => {
+            const manager = new RateLimitManager({ requestsPerMinute: 100, llmTokensPerMinute: 600 }); // 10 LLM tokens/s
+            await manager.acquire(500);
+            let waiting;
+            manager.acquire(300).then(value => { waiting = value; });
+            await clock.tickAsync(0);
+            expect(waiting).to.be.undefined;
+
+            await manager.reconcile(500, 200); // 300 unused tokens go back
+            await clock.tickAsync(0);
+            expect(waiting).to.deep.equal({ totalWaitMs: 0 });
+            expect(manager.llmTokenBucket.getAvailableTokens()).to.equal(100);
+
+            await manager.reconcile(300, 500); // 200 more than reserved
+            expect(manager.llmTokenBucket.getAvailableTokens()).to.equal(-100);
+            expect(manager.llmTokenBucket.getWaitTimeMs(50)).to.equal(15000);
+        });
+
+        it('rejects with RateLimitExhaustedError when the queue is full or the wait is too long', async () => {
+            const manager = new RateLimitManager({ requestsPerMinute: 1, maxQueueDepth: 1, maxQueueWaitMs: 500 });
+            await manager.acquire(1);
+
+            const queued = manager.acquire(1).catch(err => err);
+            const overflow = await manager.acquire(1).catch(err => err);
+            expect(overflow.name).to.equal('RateLimitExhaustedError');
+            expect(overflow.message).to.include('queue for default is full');
+
+            await clock.tickAsync(500);
+            const timedOut = await queued;
+            expect(timedOut.name).to.equal('RateLimitExhaustedError');
+            expect(timedOut.message).to.include('within 500ms');
+            expect(manager.queueDepth).to.equal(0);
+        });
+    });
 });
@@ -0,0 +1,153 @@
+import { MemoryStateBackend, RedisStateBackend } from '../dist/index.js';
+import RateLimitManager from '../dist/lib/RateLimitManager.js';
+import CircuitBreaker from '../dist/lib/CircuitBreaker.js';
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+/**
+ * Local stand-in for a Redis server: the commands RedisStateBackend uses, with key expiry.
+ * Each command runs atomically after a simulated network hop, so concurrent clients interleave like real ones.
+ */
+class RedisStandIn {
+    constructor() {
+        this.values = new Map();
+        this.expiries = new Map();
+    }
+
+    client() {
+        const hop = () => new Promise(resolve => setImmediate(resolve));
+        return {
+            incrby: async (key, increment) => { await hop(); return this._incr(key, increment); },
+            decrby: async (key, decrement) => { await hop(); return this._incr(key, -decrement); },
+            pexpire: async (key, ms) => { await hop(); this._expire(key); if (this.values.has(key)) this.expiries.set(key, Date.now() + ms); return 1; },
+            pttl: async (key) => {
+                await hop();
+                this._expire(key);
+                if (!this.values.has(key)) return -2;
+                return this.expiries.has(key) ? this.expiries.get(key) - Date.now() : -1;
+            },
+            get: async (key) => { await hop(); this._expire(key); return this.values.get(key) ?? null; },
+            set: async (key, value, ...args) => {
+                await hop();
+                this.values.set(key, value);
+                this.expiries.delete(key);
+                if (args[0] === 'PX') this.expiries.set(key, Date.now() + Number(args[1]));
+                return 'OK';
+            },
+        };
+    }
+
+    _incr(key, by) {
+        this._expire(key);
+        const value = Number(this.values.get(key) ?? 0) + by;
+        this.values.set(key, String(value));
+        return value;
+    }
+
+    _expire(key) {
+        if (this.expiries.has(key) && this.expiries.get(key) <= Date.now()) {
+            this.values.delete(key);
+            this.expiries.delete(key);
+        }
+    }
+}
+
+describe('State Backend Unit Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('never lets concurrent processes take more than the shared bucket holds', async () => {
+        const server = new RedisStandIn();
+        const podA = new RedisStateBackend({ client: server.client() });
+        const podB = new RedisStateBackend({ client: server.client() });
+        const bucket = { capacity: 5, refillRate: 5 / 60 };
+
+        const results = await Promise.all(Array.from({ length: 12 }, (_, i) =>
+            (i % 2 ? podA : podB).take('openai:requests', 1, bucket)
+        ));
+
+        expect(results.filter(result => result.taken)).to.have.lengthOf(5);
+        expect(server.values.get('resilient-llm:bucket:openai:requests')).to.equal('5');
+        const rejected = results.find(result => !result.taken);
+        expect(rejected.retryAfterMs).to.be.within(59000, 60000);
+
+        await podA.refund('openai:requests', 2, bucket);
+        expect((await podB.take('openai:requests', 2, bucket)).taken).to.be.true;
+
+        // The provider's view replaces the counted usage for the rest of its window
+        await podB.syncFromProvider('openai:requests', bucket, { remaining: 4, resetMs: 2000 });
+        expect(server.values.get('resilient-llm:bucket:openai:requests')).to.equal('1');
+        expect(await server.client().pttl('resilient-llm:bucket:openai:requests')).to.be.within(1900, 2000);
+
+        // Usage beyond a reservation is charged even past the capacity
+        await podA.charge('openai:requests', 5, bucket);
+        expect(server.values.get('resilient-llm:bucket:openai:requests')).to.equal('6');
+    });
+
+    it('holds requestsPerMinute across rate limit managers of different processes', async () => {
+        const server = new RedisStandIn();
+        const config = { requestsPerMinute: 3, llmTokensPerMinute: 1000 };
+        const podA = new RateLimitManager(config, { bucketId: 'openai', stateBackend: new RedisStateBackend({ client: server.client() }) });
+        const podB = new RateLimitManager(config, { bucketId: 'openai', stateBackend: new RedisStateBackend({ client: server.client() }) });
+
+        await Promise.all([podA.acquire(100), podB.acquire(100), podA.acquire(100)]);
+        const blocked = await podB.acquire(100, AbortSignal.timeout(300)).catch(err => err);
+
+        expect(blocked.name).to.equal('AbortError');
+        expect(server.values.get('resilient-llm:bucket:openai:requests')).to.equal('3');
+        // LLM tokens taken while waiting for a request slot were returned
+        expect(server.values.get('resilient-llm:bucket:openai:tokens')).to.equal('300');
+        // Each process keeps its local buckets untouched (they only hold the config)
+        expect(podA.requestBucket.getAvailableTokens()).to.equal(3);
+    });
+
+    it('falls back to local buckets when the backend is unavailable', async () => {
+        const backend = new MemoryStateBackend();
+        sinon.stub(backend, 'take').rejects(new Error('ECONNREFUSED'));
+        const manager = new RateLimitManager({ requestsPerMinute: 2 }, { bucketId: 'openai', stateBackend: backend });
+
+        const result = await manager.acquire(10);
+
+        expect(result.totalWaitMs).to.be.below(100);
+        expect(manager.requestBucket.getAvailableTokens()).to.equal(1);
+    });
+
+    it('shares circuit open and close between processes', async () => {
+        const server = new RedisStandIn();
+        const changesB = [];
+        const breakerA = new CircuitBreaker({
+            name: 'CircuitBreaker-openai', failureThreshold: 2, cooldownPeriod: 50,
+            stateBackend: new RedisStateBackend({ client: server.client() }),
+        });
+        const breakerB = new CircuitBreaker({
+            name: 'CircuitBreaker-openai', failureThreshold: 2, cooldownPeriod: 50,
+            stateBackend: new RedisStateBackend({ client: server.client() }),
+            onStateChange: ({ to, reason }) => changesB.push(`${to} (${reason})`),
+        });
+        const flush = () => new Promise(resolve => setTimeout(resolve, 5));
+
+        breakerA.recordFailure();
+        breakerA.recordFailure();
+        await flush();
+        await breakerB.syncSharedState();
+        expect(breakerB.isCircuitOpen()).to.be.true;
+        expect(breakerB.openedAt).to.equal(breakerA.openedAt);
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(breakerA.isCircuitOpen()).to.be.false; // half-open probe
+        breakerA.recordSuccess();
+        await flush();
+        await breakerB.syncSharedState();
+        await breakerA.syncSharedState(); // its own write is not adopted again
+
+        expect(breakerB.getStatus().state).to.equal('closed');
+        expect(changesB).to.deep.equal([
+            'open (opened by another process)',
+            'half-open (cooldown elapsed)',
+            'closed (closed by another process)',
+        ]);
+        expect(breakerA.getStatus().state).to.equal('closed');
+    });
+});
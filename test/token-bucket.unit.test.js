@@ -1,6 +1,7 @@
 import TokenBucket from '../dist/lib/TokenBucket.js';
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
+import sinon from 'sinon';
 
 describe('TokenBucket Unit Tests', () => {
     it('should throw OversizedRequestError when requested tokens exceed capacity', () => {
@@ -9,4 +10,19 @@ describe('TokenBucket Unit Tests', () => {
         expect(() => tokenBucket.tryRemoveToken(11)).to.throw('Cannot remove more tokens than the bucket capacity');
         expect(() => tokenBucket.tryRemoveToken(11)).to.throw().with.property('name', 'OversizedRequestError');
     });
+
+    it('should report the wait until the requested tokens have refilled', () => {
+        const clock = sinon.useFakeTimers();
+        const tokenBucket = new TokenBucket(10, 2);
+        tokenBucket.tryRemoveToken(10);
+
+        expect(tokenBucket.getWaitTimeMs(4)).to.equal(2000);
+        clock.tick(1500);
+        // 2 tokens refilled at 1500ms; the next refill is a whole second later
+        expect(tokenBucket.getWaitTimeMs(4)).to.equal(1000);
+        expect(tokenBucket.getWaitTimeMs(11)).to.equal(Infinity);
+        clock.tick(1000);
+        expect(tokenBucket.getWaitTimeMs(4)).to.equal(0);
+        clock.restore();
+    });
 });
@@ -0,0 +1,81 @@
+import { ResilientLLM, TokenizerRegistry, approximateTokenizer } from '../dist/index.js';
+import { Tiktoken } from 'js-tiktoken/lite';
+import o200k_base from 'js-tiktoken/ranks/o200k_base';
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+
+describe('Tokenizer Unit Tests', () => {
+    afterEach(() => {
+        TokenizerRegistry.reset();
+    });
+
+    it('resolves tokenizers by provider and model family, with registered tokenizers first', () => {
+        expect(TokenizerRegistry.resolve('openai', 'gpt-5-mini').name).to.equal('o200k_base');
+        expect(TokenizerRegistry.resolve('openai', 'gpt-4-turbo').name).to.equal('cl100k_base');
+        expect(TokenizerRegistry.resolve('anthropic', 'claude-sonnet-4-5')).to.include({ name: 'claude-approx', approximate: true });
+        expect(TokenizerRegistry.resolve('openrouter', 'openai/gpt-3.5-turbo').name).to.equal('cl100k_base');
+        expect(TokenizerRegistry.resolve('openrouter', 'anthropic/claude-3.5-haiku').name).to.equal('claude-approx');
+        expect(TokenizerRegistry.resolve('my-gateway', 'anything').name).to.equal('o200k_base');
+
+        TokenizerRegistry.register('ollama', approximateTokenizer('qwen-approx', 2), { model: /^qwen/ });
+        expect(TokenizerRegistry.resolve('ollama', 'qwen3:8b').name).to.equal('qwen-approx');
+        expect(TokenizerRegistry.resolve('ollama', 'llama3.1').name).to.equal('llama-approx');
+        expect(ResilientLLM.estimateTokens('abcdef', { aiService: 'ollama', model: 'qwen3:8b' })).to.equal(3);
+    });
+
+    it('counts messages with overhead, tool calls, images, tools and response format schemas', () => {
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-4o' });
+        const count = text => ResilientLLM.estimateTokens(text);
+        const tool = {
+            type: 'function',
+            function: { name: 'get_weather', description: 'Weather for a city', parameters: { type: 'object', properties: { city: { type: 'string' } } } },
+        };
+        const toolCalls = [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }];
+        const conversation = [
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: [{ type: 'text', text: 'Weather here?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA', detail: 'low' } }] },
+            { role: 'assistant', content: null, tool_calls: toolCalls },
+            { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' },
+        ];
+        const responseFormat = { type: 'json_schema', json_schema: { name: 'answer', schema: { type: 'object', properties: { text: { type: 'string' } } } } };
+
+        const result = llm.countTokens(conversation, { tools: [tool], responseFormat });
+
+        expect(result.messages).to.equal(3 // reply priming
+            + (3 + count('system') + count('Be brief.'))
+            + (3 + count('user') + count('Weather here?') + 85)
+            + (3 + count('assistant') + count(JSON.stringify(toolCalls)))
+            + (3 + count('tool') + count('Sunny') + count('call_1')));
+        expect(result.tools).to.equal(8 + count(JSON.stringify(tool)));
+        expect(result.responseFormat).to.be.above(count(JSON.stringify(responseFormat.json_schema.schema)));
+        expect(result.total).to.equal(result.messages + result.system + result.tools + result.responseFormat);
+        expect(result).to.include({ tokenizer: 'o200k_base', approximate: false });
+    });
+
+    it('counts the Anthropic system prompt and tools in the shape sent to the provider', () => {
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-4o' });
+        const tool = { type: 'function', function: { name: 'lookup', parameters: { type: 'object', properties: {} } } };
+
+        const result = llm.countTokens(
+            [{ role: 'system', content: 'You are terse.' }, { role: 'user', content: 'Hi' }],
+            { aiService: 'anthropic', model: 'claude-haiku-4-5', tools: [tool] }
+        );
+
+        expect(result.system).to.equal(Math.ceil('You are terse.'.length / 3.5));
+        expect(result.messages).to.equal(3 + 3 + Math.ceil(4 / 3.5) + 1);
+        // Anthropic tool shape: { name, input_schema }
+        expect(result.tools).to.equal(8 + Math.ceil(JSON.stringify({ name: 'lookup', input_schema: { type: 'object', properties: {} } }).length / 3.5));
+        expect(result.tokenizer).to.equal('claude-approx');
+    });
+
+    it('encodes long texts exactly and approximates only unbroken runs such as base64', () => {
+        const sentence = 'This is a test message to create a long conversation history. ';
+        const text = sentence.repeat(1000);
+        const blob = 'a'.repeat(500000);
+
+        expect(ResilientLLM.estimateTokens(text)).to.equal(new Tiktoken(o200k_base).encode(text).length);
+        const started = Date.now();
+        expect(ResilientLLM.estimateTokens(`${sentence}${blob}`)).to.equal(ResilientLLM.estimateTokens(sentence) + 125000);
+        expect(Date.now() - started).to.be.below(2000);
+    });
+});
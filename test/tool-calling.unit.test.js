@@ -0,0 +1,294 @@
+import { ResilientLLM } from '../dist/index.js';
+import ProviderRegistry from '../dist/lib/ProviderRegistry.js';
+import { toAnthropicTools, toOpenAITools, toAnthropicMessages, validateToolArguments, executeToolCall } from '../dist/lib/ToolCalling.js';
+import CircuitBreaker from '../dist/lib/CircuitBreaker.js';
+import RateLimitManager from '../dist/lib/RateLimitManager.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+const weatherSchema = {
+    type: 'object',
+    properties: { location: { type: 'string' } },
+    required: ['location']
+};
+
+function openAIResponse(message, usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }) {
+    return {
+        status: 200,
+        json: async () => ({
+            choices: [{ message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+            usage
+        })
+    };
+}
+
+function toolCall(id, name, args) {
+    return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+const weatherTool = {
+    type: 'function',
+    function: { name: 'get_weather', description: 'Get the weather', parameters: weatherSchema }
+};
+
+describe('Tool Calling Translation Unit Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('Tool definitions', () => {
+        it('converts OpenAI-style tools to Anthropic { name, description, input_schema }', () => {
+            expect(toAnthropicTools([weatherTool])).to.deep.equal([
+                { name: 'get_weather', description: 'Get the weather', input_schema: weatherSchema }
+            ]);
+        });
+
+        it('converts Anthropic-style tools to OpenAI { type, function: { parameters } }', () => {
+            expect(toOpenAITools([{ name: 'get_weather', description: 'Get the weather', input_schema: weatherSchema }]))
+                .to.deep.equal([weatherTool]);
+        });
+    });
+
+    describe('Conversation history', () => {
+        it('converts assistant tool_calls and tool results to tool_use/tool_result blocks', () => {
+            const messages = toAnthropicMessages([
+                { role: 'user', content: 'Weather in Paris and Rome?' },
+                {
+                    role: 'assistant',
+                    content: 'Let me check.',
+                    tool_calls: [
+                        { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"location":"Paris"}' } },
+                        { id: 'call_2', type: 'function', function: { name: 'get_weather', arguments: '{"location":"Rome"}' } }
+                    ]
+                },
+                { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' },
+                { role: 'tool', tool_call_id: 'call_2', content: 'Rainy' }
+            ]);
+
+            expect(messages).to.deep.equal([
+                { role: 'user', content: 'Weather in Paris and Rome?' },
+                {
+                    role: 'assistant',
+                    content: [
+                        { type: 'text', text: 'Let me check.' },
+                        { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { location: 'Paris' } },
+                        { type: 'tool_use', id: 'call_2', name: 'get_weather', input: { location: 'Rome' } }
+                    ]
+                },
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'tool_result', tool_use_id: 'call_1', content: 'Sunny' },
+                        { type: 'tool_result', tool_use_id: 'call_2', content: 'Rainy' }
+                    ]
+                }
+            ]);
+        });
+
+        it('converts content parts of tool results to Anthropic blocks', () => {
+            const messages = toAnthropicMessages([
+                {
+                    role: 'tool',
+                    tool_call_id: 'call_1',
+                    content: [
+                        { type: 'text', text: 'Chart attached' },
+                        { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBO' } }
+                    ]
+                }
+            ]);
+
+            expect(messages).to.deep.equal([{
+                role: 'user',
+                content: [{
+                    type: 'tool_result',
+                    tool_use_id: 'call_1',
+                    content: [
+                        { type: 'text', text: 'Chart attached' },
+                        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBO' } }
+                    ]
+                }]
+            }]);
+        });
+    });
+
+    describe('Anthropic responses', () => {
+        let llm;
+
+        beforeEach(() => {
+            llm = new ResilientLLM({ aiService: 'anthropic', model: 'claude-haiku-4-5-20251001' });
+        });
+
+        it('normalizes tool_use content blocks into toolCalls', () => {
+            const envelope = llm.parseChatCompletion({
+                content: [
+                    { type: 'text', text: 'Checking the weather.' },
+                    { type: 'tool_use', id: 'toolu_01', name: 'get_weather', input: { location: 'Paris' } }
+                ],
+                stop_reason: 'tool_use'
+            }, ProviderRegistry.getChatConfig('anthropic'), [weatherTool]);
+
+            expect(envelope).to.deep.equal({
+                content: 'Checking the weather.',
+                toolCalls: [{
+                    id: 'toolu_01',
+                    type: 'function',
+                    function: { name: 'get_weather', arguments: '{"location":"Paris"}' }
+                }],
+                finishReason: 'tool_calls'
+            });
+        });
+
+        it('sends a multi-turn tool conversation in native Anthropic format', async () => {
+            process.env.ANTHROPIC_API_KEY = 'test-key';
+            const mockFetch = sinon.stub().resolves({
+                status: 200,
+                json: async () => ({ content: [{ type: 'text', text: 'It is sunny in Paris.' }], stop_reason: 'end_turn' })
+            });
+            global.fetch = mockFetch;
+
+            const response = await llm.chat([
+                { role: 'system', content: 'Be brief.' },
+                { role: 'user', content: 'Weather in Paris?' },
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [{ id: 'toolu_01', type: 'function', function: { name: 'get_weather', arguments: '{"location":"Paris"}' } }]
+                },
+                { role: 'tool', tool_call_id: 'toolu_01', content: 'Sunny' }
+            ], { tools: [weatherTool], enableCache: false });
+
+            const requestBody = JSON.parse(mockFetch.firstCall.args[1].body);
+            expect(requestBody.system).to.equal('Be brief.');
+            expect(requestBody.tools).to.deep.equal([{ name: 'get_weather', description: 'Get the weather', input_schema: weatherSchema }]);
+            expect(requestBody.messages[1].content[0]).to.deep.equal({
+                type: 'tool_use', id: 'toolu_01', name: 'get_weather', input: { location: 'Paris' }
+            });
+            expect(requestBody.messages[2]).to.deep.equal({
+                role: 'user',
+                content: [{ type: 'tool_result', tool_use_id: 'toolu_01', content: 'Sunny' }]
+            });
+            expect(response.content).to.equal('It is sunny in Paris.');
+            expect(response.metadata.finishReason).to.equal('stop');
+        });
+    });
+
+    describe('runTools()', () => {
+        let llm;
+        let mockFetch;
+
+        beforeEach(() => {
+            process.env.OPENAI_API_KEY = 'test-key';
+            CircuitBreaker.clear('openai');
+            RateLimitManager.clear('openai');
+            llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-4o-mini' });
+            mockFetch = sinon.stub();
+            global.fetch = mockFetch;
+        });
+
+        it('validates arguments against the tool JSON schema', () => {
+            expect(validateToolArguments({ location: 'Paris' }, weatherSchema)).to.deep.equal([]);
+            expect(validateToolArguments({ location: 3, unit: 'c' }, { ...weatherSchema, additionalProperties: false }))
+                .to.deep.equal(['$.location: expected string, got integer', '$.unit: is not allowed']);
+            expect(validateToolArguments({}, weatherSchema)).to.deep.equal(['$.location: is required']);
+        });
+
+        it('executes tool calls, feeds results back and returns the final answer with a trace', async () => {
+            mockFetch.onFirstCall().resolves(openAIResponse({
+                content: null,
+                tool_calls: [toolCall('call_1', 'get_weather', { location: 'Paris' })]
+            }));
+            mockFetch.onSecondCall().resolves(openAIResponse({ content: 'It is sunny in Paris.' }));
+            const getWeather = sinon.stub().resolves({ forecast: 'sunny' });
+
+            const response = await llm.runTools(
+                [{ role: 'user', content: 'Weather in Paris?' }],
+                { tools: [weatherTool], handlers: { get_weather: getWeather }, enableCache: false }
+            );
+
+            expect(response.content).to.equal('It is sunny in Paris.');
+            expect(getWeather.firstCall.args[0]).to.deep.equal({ location: 'Paris' });
+            const secondRequest = JSON.parse(mockFetch.secondCall.args[1].body);
+            expect(secondRequest.messages.slice(1)).to.deep.equal([
+                { role: 'assistant', content: '', tool_calls: [toolCall('call_1', 'get_weather', { location: 'Paris' })] },
+                { role: 'tool', tool_call_id: 'call_1', content: '{"forecast":"sunny"}' }
+            ]);
+            expect(response.messages).to.have.length(4);
+            expect(response.metadata.usage).to.deep.equal({ prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 });
+            expect(response.metadata.events.map(event => event.type)).to.deep.equal(['tool.step', 'tool.call', 'tool.step']);
+            expect(response.metadata.events[1]).to.include({ step: 1, toolCallId: 'call_1', name: 'get_weather', status: 'success' });
+        });
+
+        it('reports invalid arguments, unknown tools and timeouts back to the model', async () => {
+            mockFetch.onFirstCall().resolves(openAIResponse({
+                content: null,
+                tool_calls: [
+                    toolCall('call_1', 'get_weather', { city: 'Paris' }),
+                    toolCall('call_2', 'get_time', {}),
+                    toolCall('call_3', 'slow_tool', {})
+                ]
+            }));
+            mockFetch.onSecondCall().resolves(openAIResponse({ content: 'Sorry, the tools failed.' }));
+            const getWeather = sinon.stub().resolves('sunny');
+            const slowTool = (_args, { signal }) => new Promise((resolve) => signal.addEventListener('abort', () => resolve('late')));
+
+            const response = await llm.runTools(
+                [{ role: 'user', content: 'Weather in Paris?' }],
+                {
+                    tools: [weatherTool, { type: 'function', function: { name: 'slow_tool', parameters: { type: 'object' } } }],
+                    handlers: { get_weather: getWeather, slow_tool: slowTool },
+                    toolTimeouts: { slow_tool: 10 },
+                    enableCache: false
+                }
+            );
+
+            expect(getWeather.called).to.be.false;
+            const toolEvents = response.metadata.events.filter(event => event.type === 'tool.call');
+            expect(toolEvents.map(event => event.status)).to.deep.equal(['invalid_arguments', 'unknown_tool', 'timeout']);
+            const toolMessages = JSON.parse(mockFetch.secondCall.args[1].body).messages.filter(message => message.role === 'tool');
+            expect(toolMessages.map(message => message.content)).to.deep.equal([
+                'Error: Invalid arguments: $.location: is required',
+                'Error: Unknown tool: get_time',
+                'Error: Tool timed out after 10ms'
+            ]);
+            // Failed results are flagged for Anthropic's is_error, which is not sent to OpenAI
+            expect(toolMessages.some(message => 'is_error' in message)).to.be.false;
+            expect(response.messages.filter(message => message.role === 'tool').map(message => message.is_error))
+                .to.deep.equal([true, true, true]);
+        });
+
+        it('treats inherited object properties as unknown tools and skips handlers once aborted', async () => {
+            const options = { tools: [weatherTool], handlers: { get_weather: sinon.stub().resolves('sunny') }, timeoutMs: 1000 };
+
+            for (const name of ['toString', 'constructor', 'hasOwnProperty']) {
+                const result = await executeToolCall(toolCall('call_1', name, {}), options);
+                expect(result).to.include({ status: 'unknown_tool', content: `Error: Unknown tool: ${name}` });
+            }
+
+            const controller = new AbortController();
+            controller.abort();
+            const aborted = await executeToolCall(toolCall('call_2', 'get_weather', { location: 'Paris' }), { ...options, signal: controller.signal });
+            expect(aborted).to.include({ status: 'error', error: 'Operation was aborted' });
+            expect(options.handlers.get_weather.called).to.be.false;
+        });
+
+        it('stops after maxSteps and returns the pending tool calls', async () => {
+            mockFetch.resolves(openAIResponse({
+                content: null,
+                tool_calls: [toolCall('call_1', 'get_weather', { location: 'Paris' })]
+            }));
+
+            const response = await llm.runTools(
+                [{ role: 'user', content: 'Weather in Paris?' }],
+                { tools: [weatherTool], handlers: { get_weather: () => 'sunny' }, maxSteps: 2, enableCache: false }
+            );
+
+            expect(mockFetch.callCount).to.equal(2);
+            expect(response.toolCalls).to.have.length(1);
+            expect(response.metadata.events.at(-1)).to.include({ type: 'tool.maxStepsReached', step: 2 });
+            // The unexecuted calls are left out so the conversation can be sent again
+            expect(response.messages.map(message => message.role)).to.deep.equal(['user', 'assistant', 'tool']);
+            expect(response.messages.at(-1)).to.include({ role: 'tool', tool_call_id: 'call_1' });
+        });
+    });
+});
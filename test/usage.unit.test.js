@@ -0,0 +1,100 @@
+import { ResilientLLM, ProviderRegistry } from '../dist/index.js';
+import ResilientOperation from '../dist/lib/ResilientOperation.js';
+import { StreamAccumulator } from '../dist/lib/ChatStream.js';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+describe('Usage Unit Tests', () => {
+    let originalEnv;
+
+    beforeEach(() => {
+        originalEnv = { ...process.env };
+        process.env.OPENAI_API_KEY = 'sk-test';
+        process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        sinon.restore();
+    });
+
+    it('counts Anthropic cache reads and writes as input tokens and reports them separately, streamed or not', async () => {
+        const usage = { input_tokens: 10, cache_read_input_tokens: 90, cache_creation_input_tokens: 20, output_tokens: 5 };
+        sinon.stub(ResilientOperation.prototype, 'execute').resolves({
+            data: { content: [{ type: 'text', text: 'Hi' }], stop_reason: 'end_turn', usage },
+            statusCode: 200,
+        });
+        const llm = new ResilientLLM({ aiService: 'anthropic', model: 'claude-haiku-4-5-20251001' });
+        const expected = { prompt_tokens: 120, completion_tokens: 5, total_tokens: 125, cached_input_tokens: 90, cache_write_tokens: 20 };
+
+        const response = await llm.chat([{ role: 'user', content: 'Hi' }]);
+        expect(response.metadata.usage).to.deep.equal(expected);
+
+        const accumulator = new StreamAccumulator('anthropic');
+        [
+            { type: 'message_start', message: { usage: { input_tokens: 10, cache_read_input_tokens: 90, cache_creation_input_tokens: 20, output_tokens: 1 } } },
+            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } },
+        ].forEach(event => accumulator.push({ event: event.type, data: JSON.stringify(event) }));
+        expect(accumulator.usage).to.deep.equal(expected);
+    });
+
+    it('reads cached and reasoning tokens from OpenAI usage details and Ollama eval counts', async () => {
+        const executeStub = sinon.stub(ResilientOperation.prototype, 'execute');
+        executeStub.onFirstCall().resolves({
+            data: {
+                choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }],
+                usage: {
+                    prompt_tokens: 1200,
+                    completion_tokens: 300,
+                    total_tokens: 1500,
+                    prompt_tokens_details: { cached_tokens: 1024 },
+                    completion_tokens_details: { reasoning_tokens: 256 },
+                },
+            },
+            statusCode: 200,
+        });
+        executeStub.onSecondCall().resolves({
+            data: { message: { role: 'assistant', content: 'Hi' }, done_reason: 'stop', done: true, prompt_eval_count: 12, eval_count: 3 },
+            statusCode: 200,
+        });
+        const llm = new ResilientLLM({ aiService: 'openai', model: 'gpt-5-nano' });
+
+        const openai = await llm.chat([{ role: 'user', content: 'Hi' }]);
+        expect(openai.metadata.usage).to.deep.equal({
+            prompt_tokens: 1200, completion_tokens: 300, total_tokens: 1500, cached_input_tokens: 1024, reasoning_tokens: 256,
+        });
+
+        const ollama = await llm.chat([{ role: 'user', content: 'Hi' }], { aiService: 'ollama', model: 'llama3.1:8b' });
+        expect(ollama.metadata.usage).to.deep.equal({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+    });
+
+    it('reads usage of custom providers through chatConfig.usageConfig over the format defaults', async () => {
+        ProviderRegistry.configure('usage-test-provider', {
+            baseUrl: 'https://llm.example.com',
+            defaultModel: 'acme-1',
+            authConfig: { type: 'header', headerName: 'Authorization', headerFormat: 'Bearer {key}', optional: true },
+            chatConfig: {
+                messageFormat: 'openai',
+                responseParsePath: 'choices[0].message.content',
+                toolSchemaType: 'openai',
+                usageConfig: { inputTokens: 'meta.tokens.in', outputTokens: 'meta.tokens.out', cachedInputTokens: 'meta.tokens.cached' },
+            },
+        });
+        sinon.stub(ResilientOperation.prototype, 'execute').resolves({
+            data: {
+                choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }],
+                meta: { tokens: { in: 40, out: 8, cached: 32 } },
+                usage: { total_tokens: 48, completion_tokens_details: { reasoning_tokens: 2 } },
+            },
+            statusCode: 200,
+        });
+        const llm = new ResilientLLM({ aiService: 'usage-test-provider' });
+
+        const response = await llm.chat([{ role: 'user', content: 'Hi' }]);
+
+        expect(response.metadata.usage).to.deep.equal({
+            prompt_tokens: 40, completion_tokens: 8, total_tokens: 48, cached_input_tokens: 32, reasoning_tokens: 2,
+        });
+    });
+});